@@ -24,8 +24,10 @@ echo "Step 2: Building and Pushing Docker Image..."
 IMAGE_URI="${REGION}-docker.pkg.dev/${PROJECT_ID}/${REPO_NAME}/${IMAGE_NAME}:latest"
 echo "Target Image: ${IMAGE_URI}"
 
-gcloud builds submit src/large-downloader \
-  --tag "${IMAGE_URI}" \
+# The context is src/ so the image gets the shared modules (src/shared)
+gcloud builds submit src \
+  --config src/large-downloader/cloudbuild.yaml \
+  --substitutions "_IMAGE=${IMAGE_URI}" \
   --project "${PROJECT_ID}"
 
 # 3. Apply the rest of the Terraform (Job, Functions updates)
@@ -1,11 +1,75 @@
+# ------------------------------------------------------------------------------
+# Watched folder profiles (shared by poller, transcriber and notifier)
+# ------------------------------------------------------------------------------
+
+locals {
+  # Poller and webhook stop starting downloads shortly before this (FUNCTION_TIMEOUT_SECONDS)
+  poller_timeout_seconds = 3600
+
+  watched_folders = length(var.watched_folders) > 0 ? var.watched_folders : [{
+    id                    = "default"
+    folder_id             = var.drive_folder_id
+    shared_drive_id       = var.shared_drive_id
+    notification_emails   = []
+    slack_webhook_url     = null
+    teams_webhook_url     = null
+    webhook_url           = null
+    language_code         = ""
+    provider              = ""
+    on_screen_text        = null
+    prompt                = ""
+    prompts               = null
+    model                 = ""
+    exports               = null
+    deliver_to_drive      = null
+    drive_subfolder       = null
+    drive_google_docs     = null
+    send_start_email      = null
+    delete_source_video   = true
+    keep_transcripts_days = 0
+  }]
+
+  # JSON shape read by src/drive-poller/profiles.js (and its mirrors)
+  profiles_json = jsonencode([for f in local.watched_folders : {
+    id                 = f.id
+    folderId           = f.folder_id
+    sharedDriveId      = f.shared_drive_id
+    notificationEmails = length(f.notification_emails) > 0 ? f.notification_emails : compact([var.notification_email])
+    channels = {
+      slack   = f.slack_webhook_url == null ? var.slack_webhook_url : f.slack_webhook_url
+      teams   = f.teams_webhook_url == null ? var.teams_webhook_url : f.teams_webhook_url
+      webhook = f.webhook_url == null ? var.notification_webhook_url : f.webhook_url
+    }
+    languageCode       = f.language_code
+    provider           = f.provider
+    onScreenText       = f.on_screen_text == null ? var.detect_on_screen_text : f.on_screen_text
+    prompt             = f.prompt
+    prompts            = f.prompts == null ? var.analysis_prompts : f.prompts
+    model              = f.model
+    exports            = f.exports == null ? var.transcript_exports : f.exports
+    sendStartEmail     = f.send_start_email == null ? var.send_start_email : f.send_start_email
+    driveDelivery = {
+      enabled    = f.deliver_to_drive == null ? var.deliver_to_drive : f.deliver_to_drive
+      subfolder  = f.drive_subfolder == null ? var.drive_subfolder : f.drive_subfolder
+      googleDocs = f.drive_google_docs == null ? var.drive_google_docs : f.drive_google_docs
+    }
+    retention = {
+      deleteSourceVideo   = f.delete_source_video
+      keepTranscriptsDays = f.keep_transcripts_days
+    }
+  }])
+}
+
 # ------------------------------------------------------------------------------
 # 1. Drive Poller (Scheduled / HTTP)
 # ------------------------------------------------------------------------------
 
 # Zip the source code
 data "archive_file" "drive_poller_zip" {
+  # The shared -> ../shared link is followed, so the zip holds the shared modules
   type        = "zip"
   source_dir  = "${path.module}/../src/drive-poller"
+  excludes    = ["shared/node_modules/**", "shared/*.test.js"]
   output_path = "${path.module}/dist/drive-poller.zip"
 }
 
@@ -36,11 +100,19 @@ resource "google_cloudfunctions2_function" "drive_poller" {
   service_config {
     max_instance_count = 1
     available_memory   = "256M"
-    timeout_seconds    = 3600
+    timeout_seconds    = local.poller_timeout_seconds
     environment_variables = {
-      FOLDER_ID               = var.drive_folder_id
-      DEST_BUCKET             = google_storage_bucket.audio_input_bucket.name
-      LARGE_DOWNLOAD_JOB_NAME = google_cloud_run_v2_job.large_downloader.id # Resource ID: projects/*/locations/*/jobs/*
+      FOLDER_ID                   = var.drive_folder_id
+      SHARED_DRIVE_ID             = var.shared_drive_id
+      PROFILES                    = local.profiles_json
+      DEST_BUCKET                 = google_storage_bucket.audio_input_bucket.name
+      LARGE_DOWNLOAD_JOB_NAME     = google_cloud_run_v2_job.large_downloader.id # Resource ID: projects/*/locations/*/jobs/*
+      INGEST_CONCURRENCY          = var.ingest_concurrency
+      INGEST_FILE_TIMEOUT_SECONDS = var.ingest_file_timeout_seconds
+      FUNCTION_TIMEOUT_SECONDS    = local.poller_timeout_seconds
+      # The poller opens and renews the Drive push channels that call the webhook
+      WEBHOOK_URL   = var.enable_drive_webhook ? google_cloudfunctions2_function.drive_webhook.service_config[0].uri : ""
+      WEBHOOK_TOKEN = random_id.webhook_token.hex
     }
     service_account_email = google_service_account.drive_poller_sa.email
   }
@@ -63,13 +135,95 @@ resource "google_cloud_scheduler_job" "poller_trigger" {
   }
 }
 
+# ------------------------------------------------------------------------------
+# 1b. Drive Webhook (Drive push notifications, same source as the poller)
+# ------------------------------------------------------------------------------
+
+# Shared secret Drive echoes back in X-Goog-Channel-Token
+resource "random_id" "webhook_token" {
+  byte_length = 24
+}
+
+resource "google_cloudfunctions2_function" "drive_webhook" {
+  name        = "drive-webhook"
+  location    = var.region
+  description = "Receives Google Drive change notifications"
+
+  build_config {
+    runtime     = "nodejs22"
+    entry_point = "driveWebhook"
+    source {
+      storage_source {
+        bucket = google_storage_bucket.source_bucket.name
+        object = google_storage_bucket_object.drive_poller_zip.name
+      }
+    }
+  }
+
+  service_config {
+    max_instance_count = 1
+    available_memory   = "256M"
+    timeout_seconds    = 300 # Only queues files; downloads run in the job or the poll
+    environment_variables = {
+      FOLDER_ID               = var.drive_folder_id
+      SHARED_DRIVE_ID         = var.shared_drive_id
+      PROFILES                = local.profiles_json
+      DEST_BUCKET             = google_storage_bucket.audio_input_bucket.name
+      LARGE_DOWNLOAD_JOB_NAME = google_cloud_run_v2_job.large_downloader.id
+      WEBHOOK_TOKEN           = random_id.webhook_token.hex
+      INGEST_CONCURRENCY      = var.ingest_concurrency
+    }
+    service_account_email = google_service_account.drive_poller_sa.email
+  }
+}
+
+# IAM: Drive calls the webhook unauthenticated (requests are checked against the channel token in code)
+resource "google_cloud_run_service_iam_member" "drive_webhook_invoker" {
+  location = var.region
+  service  = google_cloudfunctions2_function.drive_webhook.name
+  role     = "roles/run.invoker"
+  member   = "allUsers"
+}
+
 # ------------------------------------------------------------------------------
 # 2. Transcriber (GCS Trigger)
 # ------------------------------------------------------------------------------
 
+locals {
+  # Shared by the transcriber and its checker, which restarts failed jobs the same way
+  transcriber_env = {
+    TRANSCRIPT_BUCKET                 = google_storage_bucket.transcripts_bucket.name
+    INPUT_BUCKET                      = google_storage_bucket.audio_input_bucket.name
+    NOTIFICATION_EMAIL                = var.notification_email
+    GMAIL_USER                        = var.gmail_user
+    GMAIL_APP_PASSWORD                = var.gmail_app_password
+    SMTP_HOST                         = var.smtp_host
+    SMTP_PORT                         = var.smtp_port
+    SMTP_USER                         = var.smtp_user
+    SMTP_PASSWORD                     = var.smtp_password
+    SMTP_FROM                         = var.smtp_from
+    NOTIFY_WEBHOOK_SECRET             = var.notification_webhook_secret
+    SEND_START_EMAIL                  = var.send_start_email ? "true" : "false"
+    PROFILES                          = local.profiles_json
+    AUTO_LANGUAGE_CODES               = join(",", var.auto_language_codes)
+    ENABLE_SPEAKER_DIARIZATION        = var.enable_speaker_diarization ? "true" : "false"
+    MIN_SPEAKER_COUNT                 = var.min_speaker_count
+    MAX_SPEAKER_COUNT                 = var.max_speaker_count
+    TRANSCRIPTION_PROVIDER            = var.transcription_provider
+    WHISPER_URL                       = var.whisper_url
+    WHISPER_API_KEY                   = var.whisper_api_key
+    WHISPER_MODEL                     = var.whisper_model
+    WHISPER_MAX_UPLOAD_MB             = var.whisper_max_upload_mb
+    MAX_TRANSCRIPTION_ATTEMPTS        = var.max_transcription_attempts
+    TRANSCRIPTION_STUCK_AFTER_MINUTES = var.transcription_stuck_after_minutes
+  }
+}
+
 data "archive_file" "transcriber_zip" {
+  # The shared -> ../shared link is followed, so the zip holds the shared modules
   type        = "zip"
   source_dir  = "${path.module}/../src/transcriber"
+  excludes    = ["shared/node_modules/**", "shared/*.test.js"]
   output_path = "${path.module}/dist/transcriber.zip"
 }
 
@@ -96,16 +250,10 @@ resource "google_cloudfunctions2_function" "transcriber" {
   }
 
   service_config {
-    max_instance_count = 10
-    available_memory   = "512M"
-    timeout_seconds    = 540 # 9 mins (Speech API can take time)
-    environment_variables = {
-      TRANSCRIPT_BUCKET  = google_storage_bucket.transcripts_bucket.name
-      NOTIFICATION_EMAIL = var.notification_email
-      GMAIL_USER         = var.gmail_user
-      GMAIL_APP_PASSWORD = var.gmail_app_password
-      SEND_START_EMAIL   = var.send_start_email ? "true" : "false"
-    }
+    max_instance_count    = 10
+    available_memory      = "512M"
+    timeout_seconds       = 540 # 9 mins (Speech API can take time)
+    environment_variables = local.transcriber_env
   }
 
   event_trigger {
@@ -120,13 +268,59 @@ resource "google_cloudfunctions2_function" "transcriber" {
   }
 }
 
+# ------------------------------------------------------------------------------
+# 2b. Transcription Checker (Scheduled, same source as the transcriber)
+# ------------------------------------------------------------------------------
+
+resource "google_cloudfunctions2_function" "transcription_checker" {
+  name        = "transcription-checker"
+  location    = var.region
+  description = "Retries failed or stuck transcriptions and reports permanent failures"
+
+  build_config {
+    runtime     = "nodejs22"
+    entry_point = "checkTranscriptions"
+    source {
+      storage_source {
+        bucket = google_storage_bucket.source_bucket.name
+        object = google_storage_bucket_object.transcriber_zip.name
+      }
+    }
+  }
+
+  service_config {
+    max_instance_count    = 1
+    available_memory      = "512M"
+    timeout_seconds       = 3600 # Whisper restarts run inline
+    environment_variables = local.transcriber_env
+  }
+}
+
+resource "google_cloud_scheduler_job" "transcription_checker_trigger" {
+  name        = "trigger-transcription-checker"
+  description = "Checks running transcriptions every 15 mins"
+  schedule    = "*/15 * * * *"
+  region      = var.region
+
+  http_target {
+    http_method = "POST"
+    uri         = google_cloudfunctions2_function.transcription_checker.service_config[0].uri
+
+    oidc_token {
+      service_account_email = google_service_account.drive_poller_sa.email
+    }
+  }
+}
+
 # ------------------------------------------------------------------------------
 # 3. Notifier (GCS Trigger)
 # ------------------------------------------------------------------------------
 
 data "archive_file" "notifier_zip" {
+  # The shared -> ../shared link is followed, so the zip holds the shared modules
   type        = "zip"
   source_dir  = "${path.module}/../src/notifier"
+  excludes    = ["shared/node_modules/**", "shared/*.test.js"]
   output_path = "${path.module}/dist/notifier.zip"
 }
 
@@ -155,15 +349,26 @@ resource "google_cloudfunctions2_function" "notifier" {
   service_config {
     max_instance_count = 5
     available_memory   = "256M"
+    timeout_seconds    = 540 # Long transcripts are analysed in several model calls
     environment_variables = {
-      NOTIFICATION_EMAIL = var.notification_email
-      GMAIL_USER         = var.gmail_user
-      GMAIL_APP_PASSWORD = var.gmail_app_password
-      TRANSCRIPT_BUCKET  = google_storage_bucket.transcripts_bucket.name
-      INPUT_BUCKET       = google_storage_bucket.audio_input_bucket.name
-      FOLDER_ID          = var.drive_folder_id
-      GCP_PROJECT        = var.project_id
-      DASHBOARD_URL      = google_cloudfunctions2_function.dashboard.service_config[0].uri
+      NOTIFICATION_EMAIL    = var.notification_email
+      GMAIL_USER            = var.gmail_user
+      GMAIL_APP_PASSWORD    = var.gmail_app_password
+      SMTP_HOST             = var.smtp_host
+      SMTP_PORT             = var.smtp_port
+      SMTP_USER             = var.smtp_user
+      SMTP_PASSWORD         = var.smtp_password
+      SMTP_FROM             = var.smtp_from
+      NOTIFY_WEBHOOK_SECRET = var.notification_webhook_secret
+      TRANSCRIPT_BUCKET     = google_storage_bucket.transcripts_bucket.name
+      INPUT_BUCKET          = google_storage_bucket.audio_input_bucket.name
+      FOLDER_ID             = var.drive_folder_id
+      SHARED_DRIVE_ID       = var.shared_drive_id
+      PROFILES              = local.profiles_json
+      GCP_PROJECT           = var.project_id
+      DASHBOARD_URL         = google_cloudfunctions2_function.dashboard.service_config[0].uri
+      SERVICE_ACCOUNT_EMAIL = google_service_account.drive_poller_sa.email # Named when Drive delivery lacks write access
+      ANALYSIS_CHUNK_TOKENS = var.analysis_chunk_tokens
     }
   }
 
@@ -184,8 +389,10 @@ resource "google_cloudfunctions2_function" "notifier" {
 # ------------------------------------------------------------------------------
 
 data "archive_file" "dashboard_zip" {
+  # The shared -> ../shared link is followed, so the zip holds the shared modules
   type        = "zip"
   source_dir  = "${path.module}/../src/dashboard"
+  excludes    = ["shared/node_modules/**", "shared/*.test.js"]
   output_path = "${path.module}/dist/dashboard.zip"
 }
 
@@ -219,6 +426,7 @@ resource "google_cloudfunctions2_function" "dashboard" {
       TRANSCRIPT_BUCKET  = google_storage_bucket.transcripts_bucket.name
       INPUT_BUCKET       = google_storage_bucket.audio_input_bucket.name
       DASHBOARD_PASSWORD = var.dashboard_password
+      PROFILES           = local.profiles_json # Folder choices for the vocabulary settings
     }
     service_account_email = google_service_account.drive_poller_sa.email
   }
@@ -4,7 +4,7 @@
 
 # The image URL. We'll use a placeholder or "latest" tag.
 # NOTE: You must build/push this image at least once for the Job to deploy successfully.
-# gcloud builds submit --tag REGION-docker.pkg.dev/PROJECT/REPO/large-downloader ../src/large-downloader
+# gcloud builds submit ../src --config ../src/large-downloader/cloudbuild.yaml --substitutions _IMAGE=REGION-docker.pkg.dev/PROJECT/REPO/large-downloader
 locals {
   image_name = "${var.region}-docker.pkg.dev/${var.project_id}/${google_artifact_registry_repository.repo.repository_id}/large-downloader:latest"
 }
@@ -48,6 +48,16 @@ resource "google_storage_bucket" "transcripts_bucket" {
   name                        = "${var.project_id}-transcripts-${random_id.bucket_suffix.hex}"
   location                    = var.region
   uniform_bucket_level_access = true
+
+  # Profiles with keep_transcripts_days set their expiry date as customTime
+  lifecycle_rule {
+    condition {
+      days_since_custom_time = 1
+    }
+    action {
+      type = "Delete"
+    }
+  }
 }
 
 # Grant read access to transcripts bucket for the notification recipient
@@ -4,6 +4,11 @@ terraform {
       source  = "hashicorp/google"
       version = ">= 5.0"
     }
+    # 2.4.0 follows symlinked directories (the functions' shared/ links)
+    archive = {
+      source  = "hashicorp/archive"
+      version = ">= 2.4.0"
+    }
   }
 }
 
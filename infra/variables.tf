@@ -10,8 +10,67 @@ variable "region" {
 }
 
 variable "drive_folder_id" {
-  description = "The ID of the Google Drive folder to watch"
+  description = "The ID of the Google Drive folder to watch (single-folder setup; ignored when watched_folders is set)"
   type        = string
+  default     = ""
+}
+
+variable "shared_drive_id" {
+  description = "ID of the Shared Drive that contains drive_folder_id (leave empty for My Drive folders)"
+  type        = string
+  default     = ""
+}
+
+variable "watched_folders" {
+  description = <<-EOT
+    Watched Drive folders, each with its own pipeline profile. Leave empty to
+    watch only drive_folder_id with the global settings. Empty optional fields
+    fall back to the global variables (notification_email, slack_webhook_url,
+    teams_webhook_url, notification_webhook_url, send_start_email,
+    analysis_prompts, transcript_exports, deliver_to_drive, drive_subfolder,
+    drive_google_docs) or to the dashboard prompt/model.
+  EOT
+  type = list(object({
+    id                    = string # Profile ID, stored on every uploaded object
+    folder_id             = string
+    shared_drive_id       = optional(string, "")
+    notification_emails   = optional(list(string), [])
+    slack_webhook_url     = optional(string)     # Slack incoming webhook; "" turns off the global one
+    teams_webhook_url     = optional(string)     # Microsoft Teams webhook; "" turns off the global one
+    webhook_url           = optional(string)     # Signed JSON notices; "" turns off notification_webhook_url
+    language_code         = optional(string, "") # e.g. "de-DE" or "auto"; empty uses the dashboard setting
+    provider              = optional(string, "") # "video-intelligence", "speech-v2" or "whisper"; empty uses transcription_provider
+    on_screen_text        = optional(bool)       # Slide text and shot changes (Video Intelligence); empty uses detect_on_screen_text
+    prompt                = optional(string, "")
+    prompts               = optional(list(string)) # Dashboard prompt library entries to run; empty uses analysis_prompts
+    model                 = optional(string, "")
+    exports               = optional(list(string)) # "srt", "vtt", "docx", "json"; empty uses transcript_exports
+    deliver_to_drive      = optional(bool)         # Write transcript and analysis back next to the recording
+    drive_subfolder       = optional(string)       # Subfolder of the recording's folder; "" for the folder itself
+    drive_google_docs     = optional(bool)         # Convert delivered files to Google Docs
+    send_start_email      = optional(bool)
+    delete_source_video   = optional(bool, true)
+    keep_transcripts_days = optional(number, 0) # 0 keeps transcripts forever
+  }))
+  default = []
+}
+
+variable "enable_drive_webhook" {
+  description = "Process new Drive files as soon as Drive reports them (push notifications); scheduled polling keeps running as a fallback"
+  type        = bool
+  default     = true
+}
+
+variable "ingest_concurrency" {
+  description = "How many Drive files the poller downloads in parallel"
+  type        = number
+  default     = 4
+}
+
+variable "ingest_file_timeout_seconds" {
+  description = "Abort a single inline download after this long (it is retried on a later run)"
+  type        = number
+  default     = 1800
 }
 
 variable "notification_email" {
@@ -32,12 +91,184 @@ variable "gmail_app_password" {
   default     = ""
 }
 
+variable "smtp_host" {
+  description = "SMTP server for notification emails (any provider); empty sends through the Gmail account (gmail_user)"
+  type        = string
+  default     = ""
+}
+
+variable "smtp_port" {
+  description = "SMTP port: 587 (STARTTLS) or 465 (TLS)"
+  type        = number
+  default     = 587
+}
+
+variable "smtp_user" {
+  description = "SMTP login; empty for servers that accept mail without one"
+  type        = string
+  default     = ""
+}
+
+variable "smtp_password" {
+  description = "SMTP password"
+  type        = string
+  default     = ""
+}
+
+variable "smtp_from" {
+  description = "Sender address of notification emails; empty uses smtp_user"
+  type        = string
+  default     = ""
+}
+
+variable "slack_webhook_url" {
+  description = "Slack incoming webhook that gets every notice; watched_folders can override this per folder"
+  type        = string
+  default     = ""
+}
+
+variable "teams_webhook_url" {
+  description = "Microsoft Teams webhook (Workflows or incoming webhook) that gets every notice; watched_folders can override this per folder"
+  type        = string
+  default     = ""
+}
+
+variable "notification_webhook_url" {
+  description = "URL that gets every notice as JSON (events transcription.started, transcription.failed, transcript.ready); watched_folders can override this per folder"
+  type        = string
+  default     = ""
+}
+
+variable "notification_webhook_secret" {
+  description = "Secret for the X-Transcriber-Signature HMAC of webhook notices; empty sends them unsigned"
+  type        = string
+  default     = ""
+}
+
 variable "send_start_email" {
   description = "Whether to send 'Transcription Started' email (true/false)"
   type        = bool
   default     = true
 }
 
+variable "auto_language_codes" {
+  description = "Candidate languages for language_code = \"auto\" (Speech-to-Text detects among them; Video Intelligence uses the first)"
+  type        = list(string)
+  default     = ["en-US", "de-DE", "es-ES"]
+}
+
+variable "enable_speaker_diarization" {
+  description = "Label transcript turns by speaker (Speaker 1, Speaker 2, ...)"
+  type        = bool
+  default     = true
+}
+
+variable "min_speaker_count" {
+  description = "Fewest speakers diarization expects in a recording"
+  type        = number
+  default     = 2
+}
+
+variable "max_speaker_count" {
+  description = "Most speakers diarization expects in a recording (Video Intelligence uses this as its estimate)"
+  type        = number
+  default     = 6
+}
+
+variable "detect_on_screen_text" {
+  description = "Read slide text and shot changes from videos (Video Intelligence TEXT_DETECTION and SHOT_CHANGE_DETECTION, billed per minute on top of transcription); watched_folders can override this per folder"
+  type        = bool
+  default     = false
+}
+
+variable "analysis_prompts" {
+  description = "Names of the dashboard prompt library entries every recording is analysed with (one _ANALYSIS_<name>.txt each); empty runs the whole library. watched_folders can override this per folder"
+  type        = list(string)
+  default     = []
+}
+
+variable "transcript_exports" {
+  description = "Extra transcript formats saved next to _TRANSCRIPT.txt and attached to the email: \"srt\", \"vtt\", \"docx\", \"json\"; watched_folders can override this per folder"
+  type        = list(string)
+  default     = []
+
+  validation {
+    condition     = alltrue([for f in var.transcript_exports : contains(["srt", "vtt", "docx", "json"], f)])
+    error_message = "transcript_exports may only contain \"srt\", \"vtt\", \"docx\" and \"json\"."
+  }
+}
+
+variable "deliver_to_drive" {
+  description = "Write transcripts and analyses back into the source recording's Drive folder (the service account needs Editor access); watched_folders can override this per folder"
+  type        = bool
+  default     = false
+}
+
+variable "drive_subfolder" {
+  description = "Subfolder of the recording's folder that delivered files go to, created on first use (\"\" writes next to the recording)"
+  type        = string
+  default     = "Transcripts"
+}
+
+variable "drive_google_docs" {
+  description = "Convert transcripts and analyses delivered to Drive into Google Docs"
+  type        = bool
+  default     = false
+}
+
+variable "transcription_provider" {
+  description = "Default transcription backend: \"video-intelligence\", \"speech-v2\", \"whisper\", or empty to pick by file type"
+  type        = string
+  default     = ""
+
+  validation {
+    condition     = contains(["", "video-intelligence", "speech-v2", "whisper"], var.transcription_provider)
+    error_message = "transcription_provider must be empty, \"video-intelligence\", \"speech-v2\" or \"whisper\"."
+  }
+}
+
+variable "whisper_url" {
+  description = "Base URL of a Whisper-compatible server (POST /v1/audio/transcriptions), for the whisper provider"
+  type        = string
+  default     = ""
+}
+
+variable "whisper_api_key" {
+  description = "Bearer token for the Whisper server, if it needs one"
+  type        = string
+  default     = ""
+}
+
+variable "whisper_model" {
+  description = "Model name sent to the Whisper server"
+  type        = string
+  default     = "whisper-1"
+}
+
+variable "whisper_max_upload_mb" {
+  description = "Largest file sent to the Whisper server; larger ones go to Speech-to-Text or Video Intelligence (OpenAI accepts 25 MB)"
+  type        = number
+  default     = 25
+}
+
+variable "max_transcription_attempts" {
+  description = "How often a failed or stuck transcription is started before it is reported as failed"
+  type        = number
+  default     = 3
+}
+
+variable "transcription_stuck_after_minutes" {
+  description = "Restart a transcription that is still running after this long"
+  type        = number
+  default     = 360
+}
+
+variable "analysis_chunk_tokens" {
+  description = "Transcripts estimated above this many tokens are analysed in parts and combined (about 12k tokens per hour of speech); capped by the model's context"
+  type        = number
+  default     = 60000
+}
+
 variable "dashboard_password" {
   description = "Password for the public dashboard"
   type        = string
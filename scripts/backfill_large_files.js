@@ -1,16 +1,22 @@
 const { google } = require('googleapis');
 const { Storage } = require('@google-cloud/storage');
+const ledger = require('../src/shared/ledger');
+const naming = require('../src/shared/naming');
 
 // CONFIGURATION
 const PROJECT_ID = 'sam-drive-automation';
 const REGION = 'us-central1';
 const FOLDER_ID = '1SD4_7768gW5fG8QcaPo1qKdgQqZvJItx'; // From terraform.tfvars
+const SHARED_DRIVE_ID = process.env.SHARED_DRIVE_ID || ''; // shared_drive_id from terraform.tfvars, if any
+const PROFILE_ID = process.env.PROFILE_ID || 'default'; // watched_folders[].id that FOLDER_ID belongs to
 const DEST_BUCKET = 'sam-drive-automation-audio-input-68a0f741'; // From infra state
 const JOB_NAME = `projects/${PROJECT_ID}/locations/${REGION}/jobs/drive-large-downloader`;
 const HOURS_LOOKBACK = 48;
+const PARENT_QUERY_BATCH_SIZE = 50;
 
 const drive = google.drive({ version: 'v3' });
 const run = google.run({ version: 'v2' });
+const storage = new Storage();
 
 async function main() {
     console.log('Starting Backfill for Large Files...');
@@ -38,31 +44,31 @@ async function main() {
     // We assume files are in the folder or subfolders.
     // For simplicity in a script, I'll list files recursively using `q`.
 
-    // First get all folder IDs (recurisvely)
-    const allFolderIds = await getAllFolderIds(FOLDER_ID);
+    // First get all folders (recursively), with names for the object path
+    const folderTree = await getFolderTree(FOLDER_ID);
+    const allFolderIds = Array.from(folderTree.keys());
     console.log(`Scanning ${allFolderIds.length} folders...`);
 
-    const parentQueries = allFolderIds.map(id => `'${id}' in parents`).join(' or ');
-    const q = `(${parentQueries}) and createdTime > '${timeStr}' and mimeType contains 'video/' and trashed = false`;
+    const files = await listFilesInParents(
+        allFolderIds,
+        `createdTime > '${timeStr}' and (mimeType contains 'video/' or mimeType contains 'audio/') and trashed = false`,
+        'id, name, createdTime, mimeType, size, parents'
+    );
 
-    let files = [];
-    let pageToken = null;
+    console.log(`Found ${files.length} media files in total.`);
 
-    do {
-        const res = await drive.files.list({
-            q,
-            fields: 'nextPageToken, files(id, name, createdTime, mimeType, size, parents)',
-            pageToken
-        });
-        files = files.concat(res.data.files);
-        pageToken = res.data.nextPageToken;
-    } while (pageToken);
+    // 4. Filter and Trigger (skipping anything the poller's ledger already has in hand)
+    const bucket = storage.bucket(DEST_BUCKET);
+    const known = new Map((await ledger.listEntries(bucket)).map(e => [e.fileId, e]));
 
-    console.log(`Found ${files.length} videos in total.`);
-
-    // 4. Filter and Trigger
     let triggeredCount = 0;
     for (const file of files) {
+        const entry = known.get(file.id);
+        if (entry && ledger.FINAL_STATUSES.includes(entry.status)) {
+            console.log(`   Skipping ${file.name} (ledger status: ${entry.status})`);
+            continue;
+        }
+
         const sizeGB = (parseInt(file.size) / (1024 * 1024 * 1024)).toFixed(2);
         console.log(`Checking ${file.name} (${sizeGB} GB)...`);
 
@@ -70,8 +76,22 @@ async function main() {
         if (parseInt(file.size) > 1024 * 1024 * 1024) {
             console.log(`>>> Triggering Job for ${file.name} (${file.id})`);
 
-            const parentFolderId = file.parents && file.parents.length > 0 ? file.parents[0] : '';
-            await triggerJob(file.id, file.name, DEST_BUCKET, parentFolderId);
+            const parentFolderId = (file.parents || []).find(id => folderTree.has(id)) || '';
+            const objectName = naming.buildObjectName(getFolderPath(folderTree, parentFolderId), file.name, file.id);
+            await triggerJob(file.id, file.name, objectName, DEST_BUCKET, parentFolderId, PROFILE_ID);
+            await ledger.putEntry(bucket, {
+                fileId: file.id,
+                name: file.name,
+                objectName,
+                parentFolderId: parentFolderId || null,
+                profileId: PROFILE_ID,
+                createdTime: file.createdTime,
+                mimeType: file.mimeType,
+                size: file.size || null,
+                status: ledger.STATUS.HANDED_TO_JOB,
+                attempts: ((entry && entry.attempts) || 0) + 1,
+                lastError: null
+            });
             triggeredCount++;
         } else {
             console.log(`   Skipping (small file)`);
@@ -81,7 +101,7 @@ async function main() {
     console.log(`\nDone! Triggered ${triggeredCount} jobs.`);
 }
 
-async function triggerJob(fileId, fileName, destBucket, parentFolderId) {
+async function triggerJob(fileId, fileName, objectName, destBucket, parentFolderId, profileId) {
     const request = {
         name: JOB_NAME,
         overrides: {
@@ -89,8 +109,10 @@ async function triggerJob(fileId, fileName, destBucket, parentFolderId) {
                 env: [
                     { name: 'FILE_ID', value: fileId },
                     { name: 'FILE_NAME', value: fileName },
+                    { name: 'OBJECT_NAME', value: objectName },
                     { name: 'DEST_BUCKET', value: destBucket },
-                    { name: 'PARENT_FOLDER_ID', value: parentFolderId }
+                    { name: 'PARENT_FOLDER_ID', value: parentFolderId },
+                    { name: 'PROFILE_ID', value: profileId }
                 ]
             }]
         }
@@ -98,22 +120,63 @@ async function triggerJob(fileId, fileName, destBucket, parentFolderId) {
     await run.projects.locations.jobs.run(request);
 }
 
-// Reuse helper
-async function getAllFolderIds(parentFolderId) {
-    const allIds = [parentFolderId];
-    async function getSubfolders(folderId) {
-        const res = await drive.files.list({
-            q: `'${folderId}' in parents and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
-            fields: 'files(id, name)',
-        });
-        const subfolders = res.data.files || [];
+// Reuse helpers (mirrors src/drive-poller)
+async function getFolderTree(rootFolderId) {
+    const rootRes = await drive.files.get({ fileId: rootFolderId, fields: 'id, name', supportsAllDrives: true });
+    const tree = new Map([[rootFolderId, { name: rootRes.data.name, parentId: null }]]);
+    let level = [rootFolderId];
+    while (level.length > 0) {
+        const levelIds = new Set(level);
+        const subfolders = await listFilesInParents(
+            level,
+            `mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
+            'id, name, parents'
+        );
+        level = [];
         for (const folder of subfolders) {
-            allIds.push(folder.id);
-            await getSubfolders(folder.id);
+            if (tree.has(folder.id)) continue;
+            const parentId = (folder.parents || []).find(id => levelIds.has(id)) || null;
+            tree.set(folder.id, { name: folder.name, parentId });
+            level.push(folder.id);
         }
     }
-    await getSubfolders(parentFolderId);
-    return allIds;
+    return tree;
+}
+
+function getFolderPath(folderTree, folderId) {
+    const segments = [];
+    let current = folderTree.get(folderId);
+    while (current) {
+        segments.unshift(current.name);
+        current = current.parentId ? folderTree.get(current.parentId) : null;
+    }
+    return segments;
+}
+
+// Splits the parent clause into batches, follows nextPageToken and de-duplicates
+async function listFilesInParents(folderIds, filter, fileFields) {
+    const byId = new Map();
+    for (let i = 0; i < folderIds.length; i += PARENT_QUERY_BATCH_SIZE) {
+        const batch = folderIds.slice(i, i + PARENT_QUERY_BATCH_SIZE);
+        const q = `(${batch.map(id => `'${id}' in parents`).join(' or ')}) and ${filter}`;
+        let pageToken = undefined;
+        do {
+            const res = await drive.files.list({
+                q,
+                fields: `nextPageToken, files(${fileFields})`,
+                pageSize: 1000,
+                pageToken,
+                supportsAllDrives: true,
+                includeItemsFromAllDrives: true,
+                ...(SHARED_DRIVE_ID ? { corpora: 'drive', driveId: SHARED_DRIVE_ID } : {})
+            });
+            for (const file of res.data.files || []) {
+                byId.set(file.id, file);
+            }
+            pageToken = res.data.nextPageToken;
+        } while (pageToken);
+    }
+    return Array.from(byId.values());
 }
 
 main().catch(console.error);
@@ -1,5 +1,8 @@
 const functions = require('@google-cloud/functions-framework');
 const { Storage } = require('@google-cloud/storage');
+const ledger = require('./shared/ledger');
+const { configuredProfiles } = require('./shared/profiles');
+const { displayNameFromObjectName } = require('./shared/naming');
 
 const storage = new Storage();
 
@@ -7,8 +10,29 @@ const TRANSCRIPT_BUCKET = process.env.TRANSCRIPT_BUCKET;
 const INPUT_BUCKET = process.env.INPUT_BUCKET;
 const DASHBOARD_PASSWORD = process.env.DASHBOARD_PASSWORD || 'tmptmp123';
 
-const PROMPT_CONFIG_FILE = '_config/prompt.txt';
+const PROMPT_CONFIG_FILE = '_config/prompt.txt'; // Single prompt from before the library
+const PROMPT_SCHEMA_CONFIG_FILE = '_config/prompt.schema.json'; // Its optional schema
+const PROMPT_LIBRARY_FILE = '_config/prompts.json'; // Read by the notifier
+// Library names become part of "<key>_ANALYSIS_<name>.txt". Mirrors src/notifier/prompt-library.js.
+const PROMPT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+// Text and structured (.json) analyses on "<key>"
+const ANALYSIS_OUTPUT_PATTERN = /^(.*)_ANALYSIS(?:_([a-z0-9][a-z0-9-]{0,39}))?\.(txt|json)$/;
 const MODEL_CONFIG_FILE = '_config/model.txt';
+const LANGUAGE_CONFIG_FILE = '_config/language.txt'; // Read by the transcriber
+const FAILED_PREFIX = '_failed/'; // Recordings the transcriber gave up on
+// Vocabulary: "<prefix>.txt" for every folder, "<prefix>/<profileId>.txt" for one.
+// Phrase hints are read by the transcriber, corrections by the notifier.
+const VOCABULARY_CONFIG = {
+    phrases: '_config/phrases',
+    corrections: '_config/corrections'
+};
+// Per-profile transcript exports written by the notifier, by suffix on "<key>"
+const TRANSCRIPT_EXPORTS = [
+    { label: 'SRT', suffix: '.srt' },
+    { label: 'VTT', suffix: '.vtt' },
+    { label: 'DOCX', suffix: '_TRANSCRIPT.docx' },
+    { label: 'JSON export', suffix: '_TRANSCRIPT.json' }
+];
 
 const AVAILABLE_MODELS = [
     { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', provider: 'google', description: 'Fast & cost-effective' },
@@ -17,6 +41,21 @@ const AVAILABLE_MODELS = [
     { id: 'claude-opus-4', name: 'Claude Opus 4', provider: 'anthropic', description: 'Most capable Claude' }
 ];
 
+// Transcription languages offered in the settings; "auto" lets Speech-to-Text pick
+// between the transcriber's AUTO_LANGUAGE_CODES. Folder profiles and filename
+// tags such as "[de]" take precedence over this setting.
+const AVAILABLE_LANGUAGES = [
+    { code: 'en-US', name: 'English (US)' },
+    { code: 'en-GB', name: 'English (UK)' },
+    { code: 'de-DE', name: 'German' },
+    { code: 'es-ES', name: 'Spanish' },
+    { code: 'fr-FR', name: 'French' },
+    { code: 'it-IT', name: 'Italian' },
+    { code: 'pt-BR', name: 'Portuguese (Brazil)' },
+    { code: 'nl-NL', name: 'Dutch' },
+    { code: 'auto', name: 'Auto-detect' }
+];
+
 // Register HTTP function
 functions.http('dashboard', async (req, res) => {
     // Check for password in URL query parameter first (e.g., ?p=dashboard)
@@ -49,35 +88,116 @@ functions.http('dashboard', async (req, res) => {
 
         const transcriptBucket = storage.bucket(TRANSCRIPT_BUCKET);
         const inputBucket = storage.bucket(INPUT_BUCKET);
+        // Links back into the dashboard keep the URL password
+        const dashboardQuery = urlPassword ? `?p=${encodeURIComponent(urlPassword)}&` : '?';
+
+        // Show a structured analysis ("<key>_ANALYSIS_<name>.json") with its fields rendered
+        if (req.method === 'GET' && req.query.analysis) {
+            const objectName = String(req.query.analysis);
+            const match = objectName.match(ANALYSIS_OUTPUT_PATTERN);
+            if (!match || match[3] !== 'json' || objectName.startsWith('_')) {
+                return res.status(400).send('Not a structured analysis');
+            }
+            let value;
+            let metadata;
+            try {
+                const file = transcriptBucket.file(objectName);
+                [[metadata], [value]] = await Promise.all([file.getMetadata(), file.download()]);
+                value = JSON.parse(value.toString());
+            } catch (e) {
+                return res.status(404).send('Structured analysis not found');
+            }
+            // "<key>_ANALYSIS.json" is the single prompt's, with the schema next to it
+            const entry = match[2]
+                ? (await loadPromptLibrary(transcriptBucket)).find(e => e.name === match[2])
+                : { schema: await loadPromptSchema(transcriptBucket) };
+            const customMetadata = metadata.metadata || {};
+            return res.send(generateAnalysisView(
+                customMetadata.originalName || displayNameFromObjectName(match[1]),
+                match[2] || 'analysis',
+                value,
+                (entry && entry.schema) || {},
+                objectLink(TRANSCRIPT_BUCKET, objectName)
+            ));
+        }
 
         // Handle POST request to save settings
         if (req.method === 'POST' && req.body && req.body.action === 'saveSettings') {
-            const promptContent = req.body.prompt || '';
             const modelId = req.body.model || 'gemini-2.5-flash';
+            const languageCode = req.body.language || 'en-US';
 
             await Promise.all([
-                transcriptBucket.file(PROMPT_CONFIG_FILE).save(promptContent, { contentType: 'text/plain; charset=utf-8' }),
-                transcriptBucket.file(MODEL_CONFIG_FILE).save(modelId, { contentType: 'text/plain; charset=utf-8' })
+                transcriptBucket.file(MODEL_CONFIG_FILE).save(modelId, { contentType: 'text/plain; charset=utf-8' }),
+                transcriptBucket.file(LANGUAGE_CONFIG_FILE).save(languageCode, { contentType: 'text/plain; charset=utf-8' })
             ]);
 
             return res.json({ success: true, message: 'Settings saved successfully' });
         }
 
+        // Handle POST request to save the prompt library
+        if (req.method === 'POST' && req.body && req.body.action === 'savePromptLibrary') {
+            const library = [];
+            for (const entry of Array.isArray(req.body.prompts) ? req.body.prompts : []) {
+                const name = String((entry && entry.name) || '').trim();
+                const schemaText = String((entry && entry.schema) || '').trim();
+                let schema;
+                try {
+                    schema = schemaText ? JSON.parse(schemaText) : undefined;
+                } catch (e) {
+                    return res.status(400).json({ success: false, message: `Schema of prompt "${name}" is not valid JSON: ${e.message}` });
+                }
+                library.push({
+                    name,
+                    model: String((entry && entry.model) || '').trim(),
+                    prompt: String((entry && entry.prompt) || '').trim(),
+                    ...(schema !== undefined ? { schema } : {})
+                });
+            }
+            const invalid = promptLibraryError(library);
+            if (invalid) {
+                return res.status(400).json({ success: false, message: invalid });
+            }
+
+            await transcriptBucket.file(PROMPT_LIBRARY_FILE).save(JSON.stringify(library, null, 2), { contentType: 'application/json; charset=utf-8' });
+            // The library replaces the single prompt; an emptied library must not bring it back
+            await transcriptBucket.file(PROMPT_CONFIG_FILE).delete({ ignoreNotFound: true });
+            await transcriptBucket.file(PROMPT_SCHEMA_CONFIG_FILE).delete({ ignoreNotFound: true });
+
+            return res.json({ success: true, message: 'Prompts saved successfully' });
+        }
+
+        // Handle POST request to save one folder's (or the global) vocabulary
+        if (req.method === 'POST' && req.body && req.body.action === 'saveVocabulary') {
+            const scope = req.body.scope || '';
+            if (scope && !getProfileIds().includes(scope)) {
+                return res.status(400).json({ success: false, message: `Unknown folder "${scope}"` });
+            }
+
+            await Promise.all(Object.keys(VOCABULARY_CONFIG).map(kind =>
+                transcriptBucket.file(vocabularyFile(kind, scope))
+                    .save(String(req.body[kind] || ''), { contentType: 'text/plain; charset=utf-8' })
+            ));
+
+            return res.json({ success: true, message: 'Vocabulary saved successfully' });
+        }
+
         // Load current settings from GCS
-        let currentPrompt = '';
+        const promptLibrary = await loadPromptLibrary(transcriptBucket);
         let currentModel = 'gemini-2.5-flash';
-        try {
-            const [promptData] = await transcriptBucket.file(PROMPT_CONFIG_FILE).download();
-            currentPrompt = promptData.toString();
-        } catch (e) {
-            // No prompt file yet, that's okay
-        }
         try {
             const [modelData] = await transcriptBucket.file(MODEL_CONFIG_FILE).download();
             currentModel = modelData.toString().trim();
         } catch (e) {
             // No model file yet, use default
         }
+        let currentLanguage = 'en-US';
+        try {
+            const [languageData] = await transcriptBucket.file(LANGUAGE_CONFIG_FILE).download();
+            currentLanguage = languageData.toString().trim() || currentLanguage;
+        } catch (e) {
+            // No language file yet, use default
+        }
+        const vocabulary = await loadVocabulary(transcriptBucket);
 
         // Parallel fetch of files from both buckets
         const [transcriptFiles] = await transcriptBucket.getFiles();
@@ -86,28 +206,43 @@ functions.http('dashboard', async (req, res) => {
         // --- Process Transcripts (Completed) ---
         const transcriptMap = new Set(); // Stores "video.mp4" for completed files
         const transcripts = [];
+        const transcriptNames = new Set(transcriptFiles.map(f => f.name));
+        // "<key>_ANALYSIS.txt", "<key>_ANALYSIS_<prompt>.txt" and structured ".json", by key
+        const analysesByKey = new Map();
+        for (const name of transcriptNames) {
+            const match = name.match(ANALYSIS_OUTPUT_PATTERN);
+            if (!match || name.startsWith('_')) continue;
+            if (!analysesByKey.has(match[1])) analysesByKey.set(match[1], []);
+            const label = match[2] ? `Analysis: ${match[2]}` : 'Analysis';
+            analysesByKey.get(match[1]).push(match[3] === 'json'
+                ? { label: `${label} (fields)`, link: `${dashboardQuery}analysis=${encodeURIComponent(name)}` }
+                : { label, link: objectLink(TRANSCRIPT_BUCKET, name) });
+        }
 
         for (const file of transcriptFiles) {
             if (file.name.endsWith('_TRANSCRIPT.txt') && !file.name.startsWith('_config/')) {
-                // Extract video name: "video.mp4_TRANSCRIPT.txt" -> "video.mp4"
+                // Extract video key: "Team/video__<id>.mp4_TRANSCRIPT.txt" -> "Team/video__<id>.mp4"
                 const videoName = file.name.replace(/_TRANSCRIPT\.txt$/, '');
+                const customMetadata = file.metadata.metadata || {};
                 transcriptMap.add(videoName);
 
                 const jsonName = videoName + '.json';
-                const analysisName = videoName + '_ANALYSIS.txt';
-
-                // Check if analysis exists (sync check against file list would be better but this works for now)
-                // Actually better to build a Set of all files first for O(1) lookups
-                const hasAnalysis = transcriptFiles.some(f => f.name === analysisName);
+                const analysisLinks = (analysesByKey.get(videoName) || []).sort((a, b) => a.label.localeCompare(b.label));
+                const exportLinks = TRANSCRIPT_EXPORTS
+                    .filter(e => transcriptNames.has(videoName + e.suffix))
+                    .map(e => ({ label: e.label, link: objectLink(TRANSCRIPT_BUCKET, videoName + e.suffix) }));
 
                 transcripts.push({
                     name: file.name,
                     videoName: videoName,
+                    displayName: customMetadata.originalName || displayNameFromObjectName(videoName),
+                    folder: folderFromObjectName(videoName),
                     created: file.metadata.timeCreated,
                     size: formatBytes(parseInt(file.metadata.size)),
-                    transcriptLink: `https://storage.cloud.google.com/${TRANSCRIPT_BUCKET}/${file.name}`,
-                    analysisLink: hasAnalysis ? `https://storage.cloud.google.com/${TRANSCRIPT_BUCKET}/${analysisName}` : null,
-                    jsonLink: `https://storage.cloud.google.com/${TRANSCRIPT_BUCKET}/${jsonName}`
+                    transcriptLink: objectLink(TRANSCRIPT_BUCKET, file.name),
+                    analysisLinks,
+                    jsonLink: objectLink(TRANSCRIPT_BUCKET, jsonName),
+                    exportLinks
                 });
             }
         }
@@ -123,19 +258,47 @@ functions.http('dashboard', async (req, res) => {
 
             const isTranscribed = transcriptMap.has(file.name);
             if (!isTranscribed) {
+                const customMetadata = file.metadata.metadata || {};
                 pendingFiles.push({
                     name: file.name,
+                    displayName: customMetadata.originalName || displayNameFromObjectName(file.name),
+                    folder: folderFromObjectName(file.name),
                     created: file.metadata.timeCreated,
-                    size: formatBytes(parseInt(file.metadata.size))
+                    size: formatBytes(parseInt(file.metadata.size)),
+                    // Set by the transcriber and its checkTranscriptions job
+                    status: customMetadata.transcriptionStatus || '',
+                    attempts: parseInt(customMetadata.transcriptionAttempts) || 0,
+                    error: customMetadata.transcriptionError || ''
                 });
             }
         }
         // Sort pending by date (newest first)
         pendingFiles.sort((a, b) => new Date(b.created) - new Date(a.created));
 
+        // --- Failed Files (moved to "_failed/<key>" by the transcriber) ---
+        const failedFiles = inputFiles
+            .filter(file => file.name.startsWith(FAILED_PREFIX))
+            .map(file => {
+                const customMetadata = file.metadata.metadata || {};
+                const key = file.name.slice(FAILED_PREFIX.length);
+                return {
+                    name: file.name,
+                    displayName: customMetadata.originalName || displayNameFromObjectName(key),
+                    folder: folderFromObjectName(key),
+                    failedAt: customMetadata.transcriptionFailedAt || file.metadata.updated,
+                    attempts: parseInt(customMetadata.transcriptionAttempts) || 0,
+                    provider: customMetadata.transcriptionProvider || '',
+                    error: customMetadata.transcriptionError || ''
+                };
+            })
+            .sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt));
+
+
+        // --- Ingestion Ledger (Drive files not yet in the input bucket) ---
+        const ingestionEntries = await loadIngestionLedger(inputBucket);
 
         // Generate HTML
-        const html = generateDashboard(transcripts, pendingFiles, currentPrompt, currentModel);
+        const html = generateDashboard(transcripts, pendingFiles, promptLibrary, currentModel, ingestionEntries, currentLanguage, vocabulary, failedFiles);
         res.send(html);
 
     } catch (err) {
@@ -144,6 +307,153 @@ functions.http('dashboard', async (req, res) => {
     }
 });
 
+/**
+ * IDs of the watched-folder profiles (PROFILES, rendered by terraform).
+ * A single-folder deployment has only the global settings.
+ */
+function getProfileIds() {
+    return process.env.PROFILES ? configuredProfiles().map(p => p.id) : [];
+}
+
+/**
+ * Loads the prompt library. Before the first save it holds the single
+ * dashboard prompt (and its schema) as "default", so saving the library keeps it.
+ * @returns {Promise<Array<{name: string, model: string, prompt: string, schema?: Object}>>}
+ */
+async function loadPromptLibrary(transcriptBucket) {
+    try {
+        const [data] = await transcriptBucket.file(PROMPT_LIBRARY_FILE).download();
+        const library = JSON.parse(data.toString());
+        if (Array.isArray(library)) return library;
+    } catch (e) {
+        // No library yet
+    }
+    try {
+        const [promptData] = await transcriptBucket.file(PROMPT_CONFIG_FILE).download();
+        const prompt = promptData.toString().trim();
+        if (!prompt) return [];
+        const schema = await loadPromptSchema(transcriptBucket);
+        return [{ name: 'default', model: '', prompt, ...(schema ? { schema } : {}) }];
+    } catch (e) {
+        return []; // No prompt file yet, that's okay
+    }
+}
+
+async function loadPromptSchema(transcriptBucket) {
+    try {
+        const [data] = await transcriptBucket.file(PROMPT_SCHEMA_CONFIG_FILE).download();
+        return JSON.parse(data.toString());
+    } catch (e) {
+        return null; // None, or not JSON; the notifier ignores it too
+    }
+}
+
+/**
+ * Why a prompt library cannot be saved, or null if it can.
+ * @param {Array<{name: string, model: string, prompt: string}>} library
+ * @returns {string|null}
+ */
+function promptLibraryError(library) {
+    const names = new Set();
+    for (const entry of library) {
+        if (!PROMPT_NAME_PATTERN.test(entry.name)) {
+            return `Invalid prompt name "${entry.name}": use 1-40 lowercase letters, digits and dashes`;
+        }
+        if (names.has(entry.name)) {
+            return `Prompt name "${entry.name}" is used twice`;
+        }
+        if (!entry.prompt) {
+            return `Prompt "${entry.name}" is empty`;
+        }
+        if (entry.model && !AVAILABLE_MODELS.some(m => m.id === entry.model)) {
+            return `Unknown model "${entry.model}" for prompt "${entry.name}"`;
+        }
+        const schema = entry.schema;
+        if (schema !== undefined && (!schema || typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object')) {
+            return `Schema of prompt "${entry.name}" must be a JSON Schema object with "type": "object"`;
+        }
+        names.add(entry.name);
+    }
+    return null;
+}
+
+/**
+ * Config object holding one vocabulary list.
+ * @param {string} kind - Key of VOCABULARY_CONFIG
+ * @param {string} scope - Profile ID, or "" for every folder
+ */
+function vocabularyFile(kind, scope) {
+    return scope ? `${VOCABULARY_CONFIG[kind]}/${scope}.txt` : `${VOCABULARY_CONFIG[kind]}.txt`;
+}
+
+/**
+ * Loads the phrase hints and corrections for every scope:
+ * { "": { phrases, corrections }, "<profileId>": { ... } }.
+ */
+async function loadVocabulary(transcriptBucket) {
+    const scopes = ['', ...getProfileIds()];
+    const vocabulary = Object.fromEntries(scopes.map(scope => [scope, {}])); // Keeps the select in this order
+
+    await Promise.all(scopes.flatMap(scope => Object.keys(VOCABULARY_CONFIG).map(async kind => {
+        let content = '';
+        try {
+            const [data] = await transcriptBucket.file(vocabularyFile(kind, scope)).download();
+            content = data.toString();
+        } catch (e) {
+            // Not configured yet
+        }
+        vocabulary[scope][kind] = content;
+    })));
+
+    return vocabulary;
+}
+
+/**
+ * Reads the drive-poller's per-file ledger (`_ledger/<fileId>.json` in the input
+ * bucket) and returns every entry that has not reached "uploaded" yet, so files
+ * that are stuck or failed in Drive ingestion show up before they reach GCS.
+ */
+async function loadIngestionLedger(inputBucket) {
+    const [ledgerFiles] = await inputBucket.getFiles({ prefix: ledger.LEDGER_PREFIX });
+    const open = ledgerFiles.filter(f => (f.metadata.metadata || {}).status !== ledger.STATUS.UPLOADED);
+
+    const entries = await Promise.all(open.map(async (file) => {
+        try {
+            const [content] = await file.download();
+            return JSON.parse(content.toString());
+        } catch (e) {
+            return null;
+        }
+    }));
+
+    return entries
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Status badge for a file in the input bucket. Failed transcriptions show
+ * their error; restarted ones show the attempt number.
+ */
+function pendingBadge(f) {
+    if (f.status === 'failed') {
+        return `<span class="status-badge failed">Failed</span><div class="error-text">${escapeHtml(f.error)}</div>`;
+    }
+    if (f.attempts > 1 || f.status === 'start-failed') {
+        return `<span class="status-badge processing">Retrying (${f.attempts})</span><div class="error-text">${escapeHtml(f.error)}</div>`;
+    }
+    return '<span class="status-badge processing">Processing</span>';
+}
+
+function folderFromObjectName(objectName) {
+    const slash = objectName.lastIndexOf('/');
+    return slash > 0 ? objectName.slice(0, slash) : '';
+}
+
+function objectLink(bucketName, objectName) {
+    return `https://storage.cloud.google.com/${bucketName}/${encodeURI(objectName)}`;
+}
+
 function formatBytes(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -164,7 +474,14 @@ function formatDate(isoString) {
     });
 }
 
-function generateDashboard(transcripts, pendingFiles, currentPrompt = '', currentModel = 'gemini-2.5-flash') {
+function generateDashboard(transcripts, pendingFiles, promptLibrary = [], currentModel = 'gemini-2.5-flash', ingestionEntries = [], currentLanguage = 'en-US', vocabulary = {}, failedFiles = []) {
+    const scopeOptions = Object.keys(vocabulary).map(scope =>
+        `<option value="${escapeHtml(scope)}">${scope ? `Folder: ${escapeHtml(scope)}` : 'All folders'}</option>`
+    ).join('');
+    const globalVocabulary = vocabulary[''] || {};
+    const languageOptions = AVAILABLE_LANGUAGES.map(l =>
+        `<option value="${l.code}" ${l.code === currentLanguage ? 'selected' : ''}>${l.name}${l.code === 'auto' ? '' : ` (${l.code})`}</option>`
+    ).join('');
     const modelOptions = AVAILABLE_MODELS.map(m =>
         `<option value="${m.id}" ${m.id === currentModel ? 'selected' : ''}>${m.name} - ${m.description}</option>`
     ).join('');
@@ -172,14 +489,15 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
     const transcriptRows = transcripts.map((t, i) => `
         <tr>
             <td>${i + 1}</td>
-            <td>${escapeHtml(t.videoName)}</td>
+            <td>${escapeHtml(t.displayName)}${t.folder ? `<div class="folder-path">${escapeHtml(t.folder)}</div>` : ''}</td>
             <td>${formatDate(t.created)}</td>
             <td>${t.size}</td>
             <td>
                 <a href="${t.transcriptLink}" target="_blank">Transcript</a>
-                ${t.analysisLink ? `&nbsp;|&nbsp;<a href="${t.analysisLink}" target="_blank" style="color: #4ade80;">Analysis</a>` : ''}
+                ${(t.analysisLinks || []).map(a => `&nbsp;|&nbsp;<a href="${escapeHtml(a.link)}" target="_blank" style="color: #4ade80;">${escapeHtml(a.label)}</a>`).join('')}
                 &nbsp;|&nbsp;
                 <a href="${t.jsonLink}" target="_blank" style="color: #888;">JSON</a>
+                ${(t.exportLinks || []).map(e => `&nbsp;|&nbsp;<a href="${e.link}" target="_blank">${e.label}</a>`).join('')}
             </td>
         </tr>
     `).join('');
@@ -187,12 +505,32 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
     const pendingRows = pendingFiles.map((f, i) => `
         <tr>
             <td>${i + 1}</td>
-            <td>${escapeHtml(f.name)}</td>
+            <td>${escapeHtml(f.displayName)}${f.folder ? `<div class="folder-path">${escapeHtml(f.folder)}</div>` : ''}</td>
             <td>${formatDate(f.created)}</td>
             <td>${f.size}</td>
-            <td>
-                <span class="status-badge processing">Processing</span>
-            </td>
+            <td>${pendingBadge(f)}</td>
+        </tr>
+    `).join('');
+
+    const ingestionRows = ingestionEntries.map((e, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>${escapeHtml(e.name || e.fileId)}</td>
+            <td><span class="status-badge ${e.status}">${escapeHtml(e.status)}</span></td>
+            <td>${e.attempts || 0}</td>
+            <td>${e.updatedAt ? formatDate(e.updatedAt) : ''}</td>
+            <td class="error-text">${escapeHtml(e.lastError || '')}</td>
+        </tr>
+    `).join('');
+
+    const failedRows = failedFiles.map((f, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>${escapeHtml(f.displayName)}${f.folder ? `<div class="folder-path">${escapeHtml(f.folder)}</div>` : ''}</td>
+            <td>${formatDate(f.failedAt)}</td>
+            <td>${f.attempts}</td>
+            <td>${escapeHtml(f.provider)}</td>
+            <td class="error-text">${escapeHtml(f.error)}</td>
         </tr>
     `).join('');
 
@@ -300,6 +638,23 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
             outline: none;
             border-color: #00d4ff;
         }
+        .prompt-entry {
+            border: 1px solid rgba(255,255,255,0.1);
+            border-radius: 8px;
+            padding: 15px 15px 0;
+            margin-bottom: 15px;
+        }
+        .prompt-entry-header {
+            display: flex;
+            gap: 10px;
+        }
+        .prompt-entry-header .model-select {
+            margin-bottom: 15px;
+        }
+        .btn-secondary {
+            background: rgba(255,255,255,0.1);
+            margin-right: 10px;
+        }
         .model-select {
             width: 100%;
             background: rgba(0,0,0,0.3);
@@ -417,6 +772,37 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
             border: 1px solid rgba(250, 204, 21, 0.3);
             animation: pulse 2s infinite;
         }
+        .status-badge.queued,
+        .status-badge.handed-to-job {
+            background: rgba(148, 163, 184, 0.2);
+            color: #cbd5e1;
+            border: 1px solid rgba(148, 163, 184, 0.3);
+        }
+        .status-badge.downloading {
+            background: rgba(0, 212, 255, 0.2);
+            color: #00d4ff;
+            border: 1px solid rgba(0, 212, 255, 0.3);
+            animation: pulse 2s infinite;
+        }
+        .status-badge.failed {
+            background: rgba(248, 113, 113, 0.2);
+            color: #f87171;
+            border: 1px solid rgba(248, 113, 113, 0.3);
+        }
+        .status-badge.skipped-too-long {
+            background: rgba(245, 158, 11, 0.2);
+            color: #f59e0b;
+            border: 1px solid rgba(245, 158, 11, 0.3);
+        }
+        .folder-path {
+            color: #888;
+            font-size: 0.8rem;
+            margin-top: 3px;
+        }
+        .error-text {
+            color: #f87171;
+            font-size: 0.85rem;
+        }
         @keyframes pulse {
             0% { opacity: 0.7; }
             50% { opacity: 1; }
@@ -442,28 +828,117 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
                 <div class="stat-number">${transcripts.length}</div>
                 <div class="stat-label">Completed</div>
             </div>
+            ${failedFiles.length === 0 ? '' : `
+            <div class="stat-card">
+                <div class="stat-number">${failedFiles.length}</div>
+                <div class="stat-label">Failed</div>
+            </div>
+            `}
         </div>
 
         <div class="settings-section">
             <h2>AI Analysis Settings</h2>
-            <p>Configure the AI model and prompt used for analyzing your video transcripts.</p>
+            <p>Configure the transcription language and the default AI model used for analyzing your video transcripts.</p>
 
             <div class="settings-row">
-                <label class="settings-label">AI Model</label>
-                <select id="modelSelect" class="model-select">
-                    ${modelOptions}
+                <label class="settings-label">Transcription Language</label>
+                <select id="languageSelect" class="model-select">
+                    ${languageOptions}
                 </select>
             </div>
 
             <div class="settings-row">
-                <label class="settings-label">Analysis Prompt</label>
-                <textarea id="promptInput" class="prompt-textarea" placeholder="Enter your analysis prompt here...&#10;&#10;Example: Summarize this video transcript. Identify the main topics discussed and list any action items mentioned.">${escapeHtml(currentPrompt)}</textarea>
+                <label class="settings-label">Default AI Model</label>
+                <select id="modelSelect" class="model-select">
+                    ${modelOptions}
+                </select>
             </div>
 
             <button id="saveSettingsBtn" class="btn" onclick="saveSettings()">Save Settings</button>
             <span id="saveStatus" class="save-status"></span>
         </div>
 
+        <div class="settings-section">
+            <h2>Analysis Prompts</h2>
+            <p>Every recording is analysed once per prompt, each saved as its own _ANALYSIS_&lt;name&gt;.txt and included in the email. Folders can run a subset of these prompts (the prompts setting of watched_folders).</p>
+
+            <div id="promptLibrary"></div>
+
+            <button class="btn btn-secondary" onclick="addPrompt()">Add Prompt</button>
+            <button id="savePromptsBtn" class="btn" onclick="savePromptLibrary()">Save Prompts</button>
+            <span id="promptsStatus" class="save-status"></span>
+        </div>
+
+        <div class="settings-section">
+            <h2>Vocabulary</h2>
+            <p>Phrase hints help the transcription recognise product names and acronyms. Corrections fix what it still gets wrong, before the transcript is saved and analysed. Folder lists add to the lists for all folders.</p>
+
+            <div class="settings-row">
+                <label class="settings-label">Applies To</label>
+                <select id="vocabularyScope" class="model-select" onchange="showVocabulary()">
+                    ${scopeOptions}
+                </select>
+            </div>
+
+            <div class="settings-row">
+                <label class="settings-label">Phrase Hints (one per line)</label>
+                <textarea id="phrasesInput" class="prompt-textarea" placeholder="Kubernetes&#10;BigQuery&#10;OKR">${escapeHtml(globalVocabulary.phrases)}</textarea>
+            </div>
+
+            <div class="settings-row">
+                <label class="settings-label">Corrections (heard => correct, one per line)</label>
+                <textarea id="correctionsInput" class="prompt-textarea" placeholder="cube control => kubectl&#10;big query => BigQuery">${escapeHtml(globalVocabulary.corrections)}</textarea>
+            </div>
+
+            <button id="saveVocabularyBtn" class="btn" onclick="saveVocabulary()">Save Vocabulary</button>
+            <span id="vocabularyStatus" class="save-status"></span>
+        </div>
+
+        ${ingestionEntries.length === 0 ? '' : `
+        <!-- Drive Ingestion Section -->
+        <div class="section">
+            <h2>📥 Drive Ingestion</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Drive File</th>
+                        <th>Status</th>
+                        <th>Attempts</th>
+                        <th>Updated</th>
+                        <th>Last Error</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ingestionRows}
+                </tbody>
+            </table>
+        </div>
+        `}
+
+        ${failedFiles.length === 0 ? '' : `
+        <!-- Failed Files Section -->
+        <div class="section">
+            <h2>❌ Failed</h2>
+            <p style="color: #888; font-size: 0.85rem; margin-bottom: 10px;">Stored under ${FAILED_PREFIX} in the input bucket. Move a recording back to its original path to transcribe it again.</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Video Name</th>
+                        <th>Failed At</th>
+                        <th>Attempts</th>
+                        <th>Provider</th>
+                        <th>Error</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${failedRows}
+                </tbody>
+            </table>
+        </div>
+        `}
+
         <!-- Pending Files Section -->
         <div class="section">
             <h2>⏳ Pending / Processing</h2>
@@ -518,11 +993,129 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
     </div>
 
     <script>
+        const MODELS = ${JSON.stringify(AVAILABLE_MODELS.map(m => ({ id: m.id, name: m.name })))};
+        const PROMPT_LIBRARY = ${JSON.stringify(promptLibrary).replace(/</g, '\\u003c')};
+
+        function addPrompt(entry = { name: '', model: '', prompt: '' }) {
+            const container = document.createElement('div');
+            container.className = 'prompt-entry';
+            container.innerHTML =
+                '<div class="prompt-entry-header">' +
+                '<input class="model-select prompt-name" placeholder="name, e.g. action-items">' +
+                '<select class="model-select prompt-model"><option value="">Default model</option></select>' +
+                '<button class="btn btn-secondary" style="margin-bottom: 15px;">Remove</button>' +
+                '</div>' +
+                '<textarea class="prompt-textarea prompt-text" placeholder="Example: Summarize this video transcript. Identify the main topics discussed and list any action items mentioned."></textarea>' +
+                '<textarea class="prompt-textarea prompt-schema" style="min-height: 60px;" placeholder="Optional JSON Schema for a structured answer, e.g. {&quot;type&quot;: &quot;object&quot;, &quot;properties&quot;: {&quot;actionItems&quot;: {&quot;type&quot;: &quot;array&quot;, &quot;items&quot;: {&quot;type&quot;: &quot;object&quot;, &quot;properties&quot;: {&quot;task&quot;: {&quot;type&quot;: &quot;string&quot;}, &quot;owner&quot;: {&quot;type&quot;: &quot;string&quot;}, &quot;dueDate&quot;: {&quot;type&quot;: &quot;string&quot;}}}}}}"></textarea>';
+            const select = container.querySelector('.prompt-model');
+            for (const model of MODELS) {
+                select.add(new Option(model.name, model.id));
+            }
+            container.querySelector('.prompt-name').value = entry.name;
+            select.value = entry.model || '';
+            container.querySelector('.prompt-text').value = entry.prompt;
+            container.querySelector('.prompt-schema').value = entry.schema ? JSON.stringify(entry.schema, null, 2) : '';
+            container.querySelector('button').onclick = () => container.remove();
+            document.getElementById('promptLibrary').appendChild(container);
+        }
+
+        async function savePromptLibrary() {
+            const btn = document.getElementById('savePromptsBtn');
+            const status = document.getElementById('promptsStatus');
+            const prompts = Array.from(document.querySelectorAll('#promptLibrary .prompt-entry')).map(entry => ({
+                name: entry.querySelector('.prompt-name').value.trim(),
+                model: entry.querySelector('.prompt-model').value,
+                prompt: entry.querySelector('.prompt-text').value,
+                schema: entry.querySelector('.prompt-schema').value
+            }));
+
+            btn.disabled = true;
+            status.textContent = 'Saving...';
+            status.className = 'save-status';
+
+            try {
+                const response = await fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ action: 'savePromptLibrary', prompts })
+                });
+
+                const result = await response.json();
+
+                if (result.success) {
+                    status.textContent = 'Saved!';
+                    status.className = 'save-status success';
+                } else {
+                    status.textContent = 'Error: ' + (result.message || 'Unknown error');
+                    status.className = 'save-status error';
+                }
+            } catch (err) {
+                status.textContent = 'Error: ' + err.message;
+                status.className = 'save-status error';
+            }
+
+            btn.disabled = false;
+            setTimeout(() => { status.textContent = ''; }, 3000);
+        }
+
+        PROMPT_LIBRARY.forEach(entry => addPrompt(entry));
+
+        const VOCABULARY = ${JSON.stringify(vocabulary).replace(/</g, '\\u003c')};
+
+        function showVocabulary() {
+            const entry = VOCABULARY[document.getElementById('vocabularyScope').value] || {};
+            document.getElementById('phrasesInput').value = entry.phrases || '';
+            document.getElementById('correctionsInput').value = entry.corrections || '';
+        }
+
+        async function saveVocabulary() {
+            const btn = document.getElementById('saveVocabularyBtn');
+            const status = document.getElementById('vocabularyStatus');
+            const scope = document.getElementById('vocabularyScope').value;
+            const entry = {
+                phrases: document.getElementById('phrasesInput').value,
+                corrections: document.getElementById('correctionsInput').value
+            };
+
+            btn.disabled = true;
+            status.textContent = 'Saving...';
+            status.className = 'save-status';
+
+            try {
+                const response = await fetch(window.location.href, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ action: 'saveVocabulary', scope, ...entry })
+                });
+
+                const result = await response.json();
+
+                if (result.success) {
+                    VOCABULARY[scope] = entry;
+                    status.textContent = 'Saved!';
+                    status.className = 'save-status success';
+                } else {
+                    status.textContent = 'Error: ' + (result.message || 'Unknown error');
+                    status.className = 'save-status error';
+                }
+            } catch (err) {
+                status.textContent = 'Error: ' + err.message;
+                status.className = 'save-status error';
+            }
+
+            btn.disabled = false;
+            setTimeout(() => { status.textContent = ''; }, 3000);
+        }
+
         async function saveSettings() {
             const btn = document.getElementById('saveSettingsBtn');
             const status = document.getElementById('saveStatus');
-            const promptText = document.getElementById('promptInput').value;
             const modelId = document.getElementById('modelSelect').value;
+            const languageCode = document.getElementById('languageSelect').value;
 
             btn.disabled = true;
             status.textContent = 'Saving...';
@@ -536,8 +1129,8 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
                     },
                     body: JSON.stringify({
                         action: 'saveSettings',
-                        prompt: promptText,
-                        model: modelId
+                        model: modelId,
+                        language: languageCode
                     })
                 });
 
@@ -564,6 +1157,69 @@ function generateDashboard(transcripts, pendingFiles, currentPrompt = '', curren
     `;
 }
 
+/**
+ * "dueDate" / "due_date" -> "Due date", unless the schema gives a title.
+ * Mirrors src/notifier/structured.js.
+ */
+function fieldLabel(key, schema) {
+    if (schema && schema.title) return schema.title;
+    const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Structured analysis as nested definition lists, fields in the schema's
+ * order. The HTML counterpart of renderStructured() in src/notifier/structured.js.
+ */
+function structuredHtml(value, schema = {}) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '<em>(none)</em>';
+        const itemSchema = (schema && schema.items) || {};
+        return `<ul>${value.map(item => `<li>${structuredHtml(item, itemSchema)}</li>`).join('')}</ul>`;
+    }
+    if (value === null || typeof value !== 'object') {
+        return escapeHtml(value === null || value === '' ? '-' : String(value));
+    }
+    const properties = (schema && schema.properties) || {};
+    const keys = [...Object.keys(properties).filter(key => key in value), ...Object.keys(value).filter(key => !(key in properties))];
+    return `<dl>${keys.map(key =>
+        `<dt>${escapeHtml(fieldLabel(key, properties[key]))}</dt><dd>${structuredHtml(value[key], properties[key])}</dd>`
+    ).join('')}</dl>`;
+}
+
+function generateAnalysisView(videoName, promptName, value, schema, rawLink) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(promptName)} - ${escapeHtml(videoName)}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+            color: #eee;
+            min-height: 100vh;
+            padding: 20px 40px;
+        }
+        h1 { color: #00d4ff; font-size: 1.5rem; }
+        a { color: #00d4ff; }
+        dl { margin: 0 0 10px; }
+        dt { color: #aaa; font-size: 0.85rem; margin-top: 10px; }
+        dd { margin-left: 20px; }
+        li { margin-bottom: 8px; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(videoName)}: ${escapeHtml(promptName)}</h1>
+    ${structuredHtml(value, schema)}
+    <p><a href="${escapeHtml(rawLink)}" target="_blank">JSON</a></p>
+</body>
+</html>
+    `;
+}
+
 function escapeHtml(str) {
     if (!str) return '';
     return str
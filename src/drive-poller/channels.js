@@ -0,0 +1,111 @@
+/**
+ * Drive push-notification channels (changes.watch) for the webhook.
+ *
+ * One channel per change feed, i.e. per drive that holds a watched folder.
+ * Channels are recorded in the poller state (`channels: { <feedKey>: {...} }`)
+ * and renewed by the scheduled poll before they expire. Drive sends every
+ * notification with the channel's token in `X-Goog-Channel-Token`; the
+ * webhook rejects anything that does not carry WEBHOOK_TOKEN.
+ *
+ * All functions take the googleapis Drive client so this module stays free of
+ * auth and environment handling.
+ */
+
+const crypto = require('crypto');
+
+const CHANNEL_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Drive caps changes.watch channels at one week
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000; // Replace a channel once it has less than a day left
+
+/**
+ * Constant-time comparison of the token Drive sent with the expected one.
+ * @param {string} received - Value of the X-Goog-Channel-Token header
+ * @param {string} expected - WEBHOOK_TOKEN
+ * @returns {boolean}
+ */
+function isValidToken(received, expected) {
+    if (!received || !expected) return false;
+    const a = Buffer.from(String(received));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Finds the change feed a notification belongs to.
+ * @param {Object} channels - state.channels
+ * @param {string} channelId - Value of the X-Goog-Channel-ID header
+ * @returns {string|null} Feed key, or null for unknown (e.g. already replaced) channels
+ */
+function findFeedKey(channels, channelId) {
+    const match = Object.entries(channels || {}).find(([, channel]) => channel.id === channelId);
+    return match ? match[0] : null;
+}
+
+/**
+ * Whether a channel is missing, pointed elsewhere, or close to expiry.
+ * @param {Object|undefined} channel
+ * @param {string} address - Current webhook URL
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function needsRenewal(channel, address, now = Date.now()) {
+    return !channel || channel.address !== address ||
+        parseInt(channel.expiration) - now < RENEW_BEFORE_MS;
+}
+
+/**
+ * Opens a changes.watch channel on one change feed.
+ * @param {Object} drive - googleapis Drive v3 client
+ * @param {Object} options
+ * @param {string|null} options.driveId - Shared Drive ID, or null for My Drive
+ * @param {string} options.pageToken - Feed position to watch from
+ * @param {string} options.address - HTTPS URL of the webhook
+ * @param {string} options.token - Shared secret echoed back in every notification
+ * @returns {Promise<{id: string, resourceId: string, expiration: string, address: string}>}
+ */
+async function startChannel(drive, { driveId, pageToken, address, token }) {
+    const res = await drive.changes.watch({
+        pageToken,
+        includeRemoved: true,
+        spaces: 'drive',
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        ...(driveId ? { driveId } : {}),
+        requestBody: {
+            id: crypto.randomUUID(),
+            type: 'web_hook',
+            address,
+            token,
+            expiration: String(Date.now() + CHANNEL_TTL_MS)
+        }
+    });
+    return {
+        id: res.data.id,
+        resourceId: res.data.resourceId,
+        expiration: res.data.expiration,
+        address
+    };
+}
+
+/**
+ * Stops a channel. Failures are only logged: an orphaned channel expires on
+ * its own and its notifications are ignored as unknown.
+ * @param {Object} drive - googleapis Drive v3 client
+ * @param {Object} channel - As returned by startChannel()
+ */
+async function stopChannel(drive, channel) {
+    try {
+        await drive.channels.stop({ requestBody: { id: channel.id, resourceId: channel.resourceId } });
+    } catch (err) {
+        console.warn(`Could not stop channel ${channel.id}:`, err.message || err);
+    }
+}
+
+module.exports = {
+    CHANNEL_TTL_MS,
+    RENEW_BEFORE_MS,
+    isValidToken,
+    findFeedKey,
+    needsRenewal,
+    startChannel,
+    stopChannel
+};
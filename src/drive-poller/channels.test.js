@@ -0,0 +1,61 @@
+const channels = require('./channels');
+
+describe('Drive Poller - Channels', () => {
+    const HOUR = 60 * 60 * 1000;
+    const NOW = Date.parse('2026-03-01T12:00:00Z');
+    const ADDRESS = 'https://webhook.example.com/drive';
+    const channel = (hoursLeft, address = ADDRESS) => ({ id: 'c1', resourceId: 'r1', expiration: String(NOW + hoursLeft * HOUR), address });
+
+    test.each([
+        ['the same token', 'secret-token', 'secret-token', true],
+        ['a wrong token of the same length', 'secret-tokeX', 'secret-token', false],
+        ['a token of another length', 'secret', 'secret-token', false],
+        ['no token', undefined, 'secret-token', false],
+        ['an empty token', '', 'secret-token', false],
+        ['no configured token', 'secret-token', undefined, false]
+    ])('should check %s', (label, received, expected, valid) => {
+        expect(channels.isValidToken(received, expected)).toBe(valid);
+    });
+
+    test('should find the feed a channel belongs to', () => {
+        const state = { 'my-drive': { id: 'c1' }, 'shared-1': { id: 'c2' } };
+
+        expect(channels.findFeedKey(state, 'c2')).toBe('shared-1');
+        expect(channels.findFeedKey(state, 'replaced')).toBeNull();
+        expect(channels.findFeedKey(undefined, 'c1')).toBeNull();
+    });
+
+    test.each([
+        ['a missing channel', undefined, true],
+        ['a channel with a week left', channel(7 * 24), false],
+        ['a channel with just over a day left', channel(25), false],
+        ['a channel with less than a day left', channel(23), true],
+        ['an expired channel', channel(-1), true],
+        ['a channel pointed at another address', channel(7 * 24, 'https://old.example.com/drive'), true]
+    ])('should decide renewal of %s', (label, existing, renew) => {
+        expect(channels.needsRenewal(existing, ADDRESS, NOW)).toBe(renew);
+    });
+
+    test('should open a week-long channel on the feed position', async () => {
+        const drive = { changes: { watch: jest.fn(async ({ requestBody }) => ({ data: { id: requestBody.id, resourceId: 'r9', expiration: requestBody.expiration } })) } };
+
+        const opened = await channels.startChannel(drive, { driveId: 'shared-1', pageToken: '42', address: ADDRESS, token: 'secret-token' });
+
+        const [params] = drive.changes.watch.mock.calls[0];
+        expect(params).toMatchObject({ pageToken: '42', driveId: 'shared-1', supportsAllDrives: true });
+        expect(params.requestBody).toMatchObject({ type: 'web_hook', address: ADDRESS, token: 'secret-token' });
+        expect(parseInt(params.requestBody.expiration) - Date.now()).toBeGreaterThan(channels.CHANNEL_TTL_MS - 60000);
+        expect(opened).toEqual({ id: params.requestBody.id, resourceId: 'r9', expiration: params.requestBody.expiration, address: ADDRESS });
+    });
+
+    test('should only log when a channel cannot be stopped', async () => {
+        const drive = { channels: { stop: jest.fn().mockRejectedValue(new Error('Channel not found')) } };
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(channels.stopChannel(drive, channel(1))).resolves.toBeUndefined();
+
+        expect(drive.channels.stop).toHaveBeenCalledWith({ requestBody: { id: 'c1', resourceId: 'r1' } });
+        expect(warn).toHaveBeenCalledWith('Could not stop channel c1:', 'Channel not found');
+        warn.mockRestore();
+    });
+});
@@ -1,136 +1,773 @@
 const { google } = require('googleapis');
 const { Storage } = require('@google-cloud/storage');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const ledger = require('./shared/ledger');
+const naming = require('./shared/naming');
+const profiles = require('./shared/profiles');
+const channels = require('./channels');
 
 const storage = new Storage();
 const drive = google.drive({ version: 'v3' });
 const run = google.run({ version: 'v2' });
 
-// Environment Variables
-const FOLDER_ID = process.env.FOLDER_ID;
+// Environment Variables (watched folders come from PROFILES / FOLDER_ID, see shared/profiles.js)
 const DEST_BUCKET_NAME = process.env.DEST_BUCKET;
+const WEBHOOK_URL = process.env.WEBHOOK_URL; // driveWebhook function URL; unset disables push channels
+const WEBHOOK_TOKEN = process.env.WEBHOOK_TOKEN; // Shared secret Drive echoes back in X-Goog-Channel-Token
 const STATE_FILE_NAME = 'drive-poller-state.json';
-const MAX_VIDEO_DURATION_MS = 3 * 60 * 60 * 1000; // 3 hours (Video Intelligence API max)
+const MAX_VIDEO_DURATION_MS = 3 * 60 * 60 * 1000; // 3 hours (Video Intelligence API max); longer files are segmented by the job
 const LARGE_FILE_THRESHOLD_BYTES = 1024 * 1024 * 1024; // 1 GB
 const LARGE_DOWNLOAD_JOB_NAME = process.env.LARGE_DOWNLOAD_JOB_NAME; // e.g. "projects/.../locations/.../jobs/drive-large-downloader"
+const FILE_FIELDS = 'id, name, createdTime, mimeType, videoMediaMetadata, parents, size';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const MAX_INGEST_ATTEMPTS = 3; // Download attempts per file before it stays "failed"
+const STALE_DOWNLOAD_MS = 2 * 60 * 60 * 1000; // "downloading" older than this belongs to a dead run (function timeout is 1h)
+const PARENT_QUERY_BATCH_SIZE = 50; // Folders per "'id' in parents or ..." clause, keeps q well under Drive's limit
+const MY_DRIVE = 'my-drive'; // Change feed key for folders outside Shared Drives
+const INGEST_CONCURRENCY = parseInt(process.env.INGEST_CONCURRENCY || '4'); // Files downloaded in parallel
+const INGEST_FILE_TIMEOUT_MS = parseInt(process.env.INGEST_FILE_TIMEOUT_SECONDS || '1800') * 1000; // Per inline download
+const FUNCTION_TIMEOUT_MS = parseInt(process.env.FUNCTION_TIMEOUT_SECONDS || '3600') * 1000; // Must match timeout_seconds in terraform
+const DEADLINE_MARGIN_MS = 60 * 1000; // Reserved for ledger writes and the response after the last download
+const MIN_START_WINDOW_MS = 2 * 60 * 1000; // Don't start a download with less time than this left
+
+// files.list scope for this run, set from the profiles' drives (see profiles.driveListOptions)
+let driveQueryOptions = profiles.driveListOptions([]);
 
 /**
  * Cloud Function entry point.
- * Triggered by Cloud Scheduler (HTTP).
+ * Triggered by Cloud Scheduler (HTTP). Also the reconciliation pass behind
+ * the webhook: it reads every change feed, rescans folders that moved in,
+ * retries failed files and renews the push-notification channels.
  */
 exports.pollDrive = async (req, res) => {
+    const deadline = Date.now() + FUNCTION_TIMEOUT_MS - DEADLINE_MARGIN_MS;
     try {
-        console.log(`Starting poll for folder: ${FOLDER_ID}`);
-
-        if (!FOLDER_ID || !DEST_BUCKET_NAME) {
-            throw new Error('Missing FOLDER_ID or DEST_BUCKET env vars');
-        }
-
-        // 1. Get Auth (ADC works automatically in Cloud Functions if SA has permissions)
-        const auth = new google.auth.GoogleAuth({
-            scopes: [
-                'https://www.googleapis.com/auth/cloud-platform',
-                'https://www.googleapis.com/auth/drive.readonly'
-            ]
-        });
-        const authClient = await auth.getClient();
-        google.options({ auth: authClient });
+        const { profileList, folderTree, bucket, known } = await loadWatchContext();
+        const allFolderIds = getAllFolderIds(folderTree);
 
-        // 2. Load State (Last checked time)
-        let lastTime;
+        // 3. Collect newly discovered files
         if (req.query && req.query.backfill === 'true') {
+            // Backfill ignores the change feed and re-scans by creation time
             const hours = parseInt(req.query.hours) || 48; // Default 48h
             const d = new Date();
             d.setHours(d.getHours() - hours);
-            lastTime = d.toISOString();
-            console.log(`[BACKFILL MODE] Polling for files created after: ${lastTime} (${hours} hours ago)`);
+            const since = d.toISOString();
+            console.log(`[BACKFILL MODE] Polling for files created after: ${since} (${hours} hours ago)`);
+            const files = (await listMediaInFolders(allFolderIds, since))
+                .filter(file => !known.has(file.id) || !ledger.FINAL_STATUSES.includes(known.get(file.id).status));
+            console.log(`Found ${files.length} new files.`);
+            await queueFiles(bucket, files, folderTree, profileList, known, false);
         } else {
-            lastTime = await getLastCheckTime(DEST_BUCKET_NAME);
-            console.log(`Polling for files created after: ${lastTime}`);
+            const state = await loadState(DEST_BUCKET_NAME, profileList);
+            const files = await collectChangedFiles(state, folderTree, profileList, bucket, known);
+            console.log(`Found ${files.length} new files.`);
+
+            // 4. Queue discoveries in the ledger, then advance the page tokens.
+            // From here on every file is tracked individually, so a failure below
+            // never causes the whole batch to be fetched again.
+            await queueFiles(bucket, files, folderTree, profileList, known, true);
+            state.folderIds = getFolderIdsByProfile(folderTree);
+            state.folderTree = folderTree; // Reused by the webhook until the next poll
+            const renewal = await syncWatchChannels(state, profileList);
+            const saved = await saveState(DEST_BUCKET_NAME, state);
+            // Channels are stopped only once the state that replaces them is saved. If another
+            // run saved first, its state still points at the old ones: drop the new ones instead.
+            for (const channel of saved ? renewal.retired : renewal.opened) {
+                await channels.stopChannel(drive, channel);
+            }
         }
 
-        // 3. Get all folder IDs (parent + subfolders)
-        const allFolderIds = await getAllFolderIds(FOLDER_ID);
-        console.log(`Monitoring ${allFolderIds.length} folders (including subfolders)`);
+        // 5. Work through everything the ledger says still needs a download
+        const queue = Array.from(known.values()).filter(needsIngest);
+        console.log(`${queue.length} file(s) queued for ingestion.`);
+        const counts = await ingestEntries(bucket, queue, deadline);
+        res.status(200).send(summarizeIngestion(queue.length, counts));
 
-        // 4. List Files in Drive from all folders
-        // Build query: (folder1 in parents OR folder2 in parents OR ...) AND video AND created > lastTime
-        const parentQueries = allFolderIds.map(id => `'${id}' in parents`).join(' or ');
-        const q = `(${parentQueries}) and createdTime > '${lastTime}' and mimeType contains 'video/' and trashed = false`;
+    } catch (err) {
+        console.error('Error in pollDrive:', err);
+        res.status(500).send(err.message);
+    }
+};
 
-        const listRes = await drive.files.list({
-            q: q,
-            fields: 'files(id, name, createdTime, mimeType, videoMediaMetadata, parents, size)',
-            orderBy: 'createdTime asc' // Oldest first, to keep order
-        });
+/**
+ * Cloud Function entry point.
+ * Receives Drive changes.watch push notifications (see channels.js) and
+ * queues the new files from the notified change feed. Drive retries
+ * notifications that get a 5xx, so errors are reported as 500.
+ *
+ * Notifications come in bursts, so this stays cheap: it reuses the folder
+ * tree the last poll saved (plus folders the feed reports), reads only the
+ * ledger entries of the changed files, and downloads nothing itself. The
+ * queued files go to the Cloud Run Job, or wait for the next poll when no job
+ * is configured. Anything a stale tree misses is picked up by the next poll.
+ */
+exports.driveWebhook = async (req, res) => {
+    const channelId = req.get('X-Goog-Channel-ID');
+    const resourceState = req.get('X-Goog-Resource-State');
 
-        const files = listRes.data.files;
-        console.log(`Found ${files.length} new files.`);
+    if (!channels.isValidToken(req.get('X-Goog-Channel-Token'), WEBHOOK_TOKEN)) {
+        console.warn(`Rejected notification with a missing or wrong channel token (channel ${channelId}).`);
+        res.status(403).send('Invalid channel token.');
+        return;
+    }
+
+    // Drive confirms every new channel with a "sync" message that carries no changes
+    if (resourceState === 'sync') {
+        console.log(`Channel ${channelId} is active.`);
+        res.status(200).send('Sync acknowledged.');
+        return;
+    }
+
+    try {
+        const profileList = await connectDrive();
+        const bucket = storage.bucket(DEST_BUCKET_NAME);
+        const state = await loadState(DEST_BUCKET_NAME, profileList);
 
-        if (files.length === 0) {
-            res.status(200).send('No new files.');
+        const feedKey = channels.findFeedKey(state.channels, channelId);
+        if (!feedKey || !state.pageTokens[feedKey]) {
+            // Replaced channels keep notifying until they expire
+            console.log(`Notification from unknown or replaced channel ${channelId}. Ignoring.`);
+            res.status(200).send('Unknown channel.');
             return;
         }
 
-        // 4. Process new files
-        let newestTime = lastTime;
-        let processedCount = 0;
-        let triggeredJobsCount = 0;
-
-        for (const file of files) {
-            // Check video duration (skip if over 3 hours)
-            const durationMs = file.videoMediaMetadata?.durationMillis;
-            if (durationMs && parseInt(durationMs) > MAX_VIDEO_DURATION_MS) {
-                const durationHours = (parseInt(durationMs) / 3600000).toFixed(1);
-                console.log(`Skipping file "${file.name}" - duration ${durationHours}h exceeds 3h limit`);
-                // Still update newest time so we don't reprocess this file
-                if (new Date(file.createdTime) > new Date(newestTime)) {
-                    newestTime = file.createdTime;
-                }
-                continue;
+        if (!coversProfiles(state.folderTree, profileList)) {
+            console.log('No saved folder tree for the current profiles. Walking the watched folders...');
+            state.folderTree = await getWatchedTree(profileList);
+        }
+        const folderTree = state.folderTree;
+
+        // Only this feed moves; the other feeds' tokens are saved as they were
+        state.nextPageTokens = { ...state.pageTokens };
+        const changeItems = await readChangeFeeds(state, [feedKey]);
+        addChangedFolders(folderTree, changeItems);
+        const known = await loadLedgerEntries(bucket, changeItems
+            .filter(change => !change.file || isMedia(change.file))
+            .map(change => change.fileId));
+        const files = await filterChanges(changeItems, new Set(getAllFolderIds(folderTree)), bucket, known);
+        console.log(`Found ${files.length} new files in ${feedKey}.`);
+
+        const queued = await queueFiles(bucket, files, folderTree, profileList, known, true);
+        await saveState(DEST_BUCKET_NAME, state);
+
+        const counts = await handOffEntries(bucket, queued);
+        res.status(200).send(summarizeIngestion(queued.length, counts));
+
+    } catch (err) {
+        console.error('Error in driveWebhook:', err);
+        res.status(500).send(err.message);
+    }
+};
+
+/**
+ * Setup of the scheduled poll: auth, the watched folder trees and the ledger
+ * contents.
+ * @returns {Promise<{profileList: Object[], folderTree: Map, bucket: Bucket, known: Map<string, Object>}>}
+ */
+async function loadWatchContext() {
+    const profileList = await connectDrive();
+
+    // 2. Get all folder IDs (every watched folder + subfolders), tagged with their profile
+    const folderTree = await getWatchedTree(profileList);
+    console.log(`Monitoring ${folderTree.size} folders (including subfolders)`);
+
+    const bucket = storage.bucket(DEST_BUCKET_NAME);
+    const known = new Map((await ledger.listEntries(bucket)).map(e => [e.fileId, e]));
+
+    return { profileList, folderTree, bucket, known };
+}
+
+/**
+ * Shared setup of both entry points: loads the profiles and authenticates
+ * the Drive client.
+ * @returns {Promise<Object[]>} Configured profiles
+ */
+async function connectDrive() {
+    const profileList = profiles.loadProfiles();
+    console.log(`Starting poll for ${profileList.length} watched folder(s): ` +
+        profileList.map(p => `${p.id}=${p.folderId}`).join(', '));
+
+    if (profileList.length === 0 || !DEST_BUCKET_NAME) {
+        throw new Error('Missing PROFILES (or FOLDER_ID) or DEST_BUCKET env vars');
+    }
+
+    // 1. Get Auth (ADC works automatically in Cloud Functions if SA has permissions)
+    const auth = new google.auth.GoogleAuth({
+        scopes: [
+            'https://www.googleapis.com/auth/cloud-platform',
+            'https://www.googleapis.com/auth/drive.readonly'
+        ]
+    });
+    const authClient = await auth.getClient();
+    google.options({ auth: authClient });
+    driveQueryOptions = profiles.driveListOptions(profileList);
+    return profileList;
+}
+
+/**
+ * Reads the ledger entries of the given files only, for runs that do not
+ * need the whole ledger.
+ * @param {Bucket} bucket - Input bucket holding the ledger
+ * @param {string[]} fileIds - Drive file IDs (duplicates are fine)
+ * @returns {Promise<Map<string, Object>>} Entries by Drive file ID; unknown files are left out
+ */
+async function loadLedgerEntries(bucket, fileIds) {
+    const ids = Array.from(new Set(fileIds));
+    const known = new Map();
+    for (let i = 0; i < ids.length; i += INGEST_CONCURRENCY) {
+        const entries = await Promise.all(ids.slice(i, i + INGEST_CONCURRENCY).map(id => ledger.getEntry(bucket, id)));
+        for (const entry of entries) {
+            if (entry) known.set(entry.fileId, entry);
+        }
+    }
+    return known;
+}
+
+/**
+ * Records newly discovered files as "queued" in the ledger.
+ * With `createOnly`, a file that another run (poll or webhook) queued in the
+ * meantime is left to that run; backfills overwrite on purpose to re-queue
+ * failed files.
+ * @param {Bucket} bucket - Input bucket (holds the ledger)
+ * @param {Object[]} files - Drive file resources
+ * @param {Map} folderTree - Result of getWatchedTree()
+ * @param {Object[]} profileList - Configured profiles
+ * @param {Map<string, Object>} known - Ledger entries by Drive file ID (updated)
+ * @param {boolean} createOnly
+ * @returns {Promise<Object[]>} The entries this run queued
+ */
+async function queueFiles(bucket, files, folderTree, profileList, known, createOnly) {
+    const queued = [];
+    for (const file of files) {
+        // Prefer the parent inside the watched tree (files can have several)
+        const parentFolderId = (file.parents || []).find(id => folderTree.has(id)) ||
+            (file.parents && file.parents.length > 0 ? file.parents[0] : null);
+        const parentFolder = folderTree.get(parentFolderId);
+        try {
+            const entry = await ledger.putEntry(bucket, {
+                fileId: file.id,
+                name: file.name,
+                objectName: naming.buildObjectName(getFolderPath(folderTree, parentFolderId), file.name, file.id),
+                parentFolderId,
+                profileId: parentFolder ? parentFolder.profileId : profileList[0].id,
+                createdTime: file.createdTime,
+                mimeType: file.mimeType,
+                size: file.size || null,
+                durationMillis: file.videoMediaMetadata?.durationMillis || null,
+                status: ledger.STATUS.QUEUED,
+                attempts: 0,
+                lastError: null
+            }, createOnly ? { ifGenerationMatch: 0 } : {});
+            known.set(file.id, entry);
+            queued.push(entry);
+        } catch (err) {
+            if (err.code !== 412) throw err;
+            console.log(`${file.name} (${file.id}) was already queued by another run.`);
+        }
+    }
+    return queued;
+}
+
+/**
+ * Ingests ledger entries with up to INGEST_CONCURRENCY downloads in flight.
+ * No download starts within MIN_START_WINDOW_MS of the deadline and none may
+ * run past it, so the function returns before its own timeout; entries that
+ * were not started stay queued in the ledger for the next run.
+ * @param {Bucket} bucket - Input bucket (holds the ledger)
+ * @param {Object[]} entries - Full entries, or listEntries() summaries
+ * @param {number} deadline - Epoch ms by which all downloads must be finished
+ * @returns {Promise<{uploaded: number, job: number, skipped: number, failed: number, busy: number, deferred: number}>}
+ */
+async function ingestEntries(bucket, entries, deadline) {
+    const counts = { uploaded: 0, job: 0, skipped: 0, failed: 0, busy: 0, deferred: 0 };
+    let next = 0;
+
+    const worker = async () => {
+        while (next < entries.length) {
+            const remainingMs = deadline - Date.now();
+            if (remainingMs < MIN_START_WINDOW_MS) {
+                return;
             }
+            const item = entries[next++];
+
+            // Summaries from the listing carry the generation the claim is checked against
+            const entry = item.name ? item : await ledger.getEntry(bucket, item.fileId);
+            if (!entry) continue;
+            const timeoutMs = Math.min(INGEST_FILE_TIMEOUT_MS, remainingMs);
+            const outcome = await ingestFile(bucket, { ...entry, generation: item.generation }, timeoutMs);
+            counts[outcome]++;
+        }
+    };
+
+    const width = Math.max(1, Math.min(INGEST_CONCURRENCY, entries.length));
+    await Promise.all(Array.from({ length: width }, worker));
+
+    counts.deferred = entries.length - next;
+    if (counts.deferred > 0) {
+        console.log(`Stopping before the function deadline. ${counts.deferred} file(s) stay queued for the next run.`);
+    }
+    return counts;
+}
+
+/**
+ * The webhook's share of the ingestion: each newly queued file is handed to
+ * the Cloud Run Job, which has no function timeout to race and runs one
+ * execution per file. Without a job configured the files stay queued for the
+ * next poll.
+ * @param {Bucket} bucket - Input bucket (holds the ledger)
+ * @param {Object[]} entries - Entries queueFiles() just created
+ * @returns {Promise<{uploaded: number, job: number, skipped: number, failed: number, busy: number, deferred: number}>}
+ */
+async function handOffEntries(bucket, entries) {
+    const counts = { uploaded: 0, job: 0, skipped: 0, failed: 0, busy: 0, deferred: 0 };
+    if (!LARGE_DOWNLOAD_JOB_NAME) {
+        counts.deferred = entries.length;
+        return counts;
+    }
+    for (const entry of entries) {
+        counts[await ingestFile(bucket, entry, null, { viaJob: true })]++;
+    }
+    return counts;
+}
+
+function summarizeIngestion(queueLength, counts) {
+    if (queueLength === 0) {
+        return 'No new files.';
+    }
+    const processedCount = counts.uploaded + counts.job;
+    return `Processed ${processedCount} files (${counts.job} via Job)` +
+        `${counts.skipped > 0 ? `, skipped ${counts.skipped}` : ''}` +
+        `${counts.failed > 0 ? `, failed ${counts.failed}` : ''}` +
+        `${counts.busy > 0 ? `, ${counts.busy} taken by another run` : ''}` +
+        `${counts.deferred > 0 ? `, ${counts.deferred} left for the next run` : ''}.`;
+}
+
+/**
+ * Whether a ledger entry still needs a download attempt in this run.
+ * Failed files are retried until MAX_INGEST_ATTEMPTS; a "downloading" entry
+ * that has not moved for STALE_DOWNLOAD_MS belongs to a run that died.
+ */
+function needsIngest(entry) {
+    switch (entry.status) {
+        case ledger.STATUS.QUEUED:
+            return true;
+        case ledger.STATUS.FAILED:
+            return entry.attempts < MAX_INGEST_ATTEMPTS;
+        case ledger.STATUS.DOWNLOADING:
+            return entry.attempts < MAX_INGEST_ATTEMPTS &&
+                Date.now() - new Date(entry.updatedAt).getTime() > STALE_DOWNLOAD_MS;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Downloads (or hands to the Cloud Run Job) a single file and commits its
+ * outcome to the ledger. Never throws: failures are recorded on the entry.
+ * If even that write fails, the entry stays "downloading" and is retried once
+ * it is stale (needsIngest()).
+ *
+ * The first ledger write is a claim against `entry.generation`: if the poll
+ * and the webhook both reach the same file, only one of them processes it.
+ * @param {Bucket} bucket - Input bucket (holds the ledger)
+ * @param {Object} entry - Full ledger entry
+ * @param {number|null} timeoutMs - Inline downloads still running after this are aborted and count as failed
+ * @param {Object} [options]
+ * @param {boolean} [options.viaJob] - Hand every file to the Cloud Run Job, not only large and long ones
+ * @returns {Promise<'uploaded'|'job'|'skipped'|'failed'|'busy'>}
+ */
+async function ingestFile(bucket, entry, timeoutMs, options = {}) {
+    // null: another run got there first; false: the ledger could not be written
+    const claim = async (changes) => {
+        try {
+            return await ledger.putEntry(bucket, { ...entry, ...changes },
+                entry.generation !== undefined ? { ifGenerationMatch: entry.generation } : {});
+        } catch (err) {
+            if (err.code === 412) return null;
+            console.error(`Failed to claim ${entry.name} (${entry.fileId}) in the ledger:`, err.message || err);
+            return false;
+        }
+    };
 
-            console.log(`Processing file: ${file.name} (${file.id}) - Size: ${file.size} bytes`);
+    // Check duration: over 3 hours needs the job to split it into segments
+    const durationMs = entry.durationMillis;
+    const tooLong = Boolean(durationMs && parseInt(durationMs) > MAX_VIDEO_DURATION_MS);
+    if (tooLong && !LARGE_DOWNLOAD_JOB_NAME) {
+        const durationHours = (parseInt(durationMs) / 3600000).toFixed(1);
+        console.log(`Skipping file "${entry.name}" - duration ${durationHours}h exceeds 3h limit and no job is configured to segment it`);
+        const skipped = await claim({ status: ledger.STATUS.SKIPPED_TOO_LONG });
+        return skipped ? 'skipped' : (skipped === false ? 'failed' : 'busy');
+    }
+
+    const attempts = (entry.attempts || 0) + 1;
+    // Entries queued before path-based naming have no objectName yet
+    const objectName = entry.objectName || naming.buildObjectName([], entry.name, entry.fileId);
 
-            // Get parent folder ID for later Drive upload
-            const parentFolderId = file.parents && file.parents.length > 0 ? file.parents[0] : null;
+    const claimed = await claim({ objectName, status: ledger.STATUS.DOWNLOADING, attempts });
+    if (claimed === false) {
+        return 'failed';
+    }
+    if (!claimed) {
+        console.log(`${entry.name} (${entry.fileId}) was picked up by another run. Skipping.`);
+        return 'busy';
+    }
+    console.log(`Processing file: ${entry.name} (${entry.fileId}) -> ${objectName} - Size: ${entry.size} bytes, attempt ${attempts}/${MAX_INGEST_ATTEMPTS}`);
 
-            // Check if file is large (>1GB) -> Trigger Cloud Run Job
-            if (parseInt(file.size) > LARGE_FILE_THRESHOLD_BYTES && LARGE_DOWNLOAD_JOB_NAME) {
-                console.log(`File is large (>1GB). Triggering Cloud Run Job...`);
-                await triggerLargeDownloadJob(file.id, file.name, DEST_BUCKET_NAME, parentFolderId);
-                triggeredJobsCount++;
-            } else {
-                console.log(`File is small (<=1GB). Downloading inline...`);
-                await downloadAndUpload(file.id, file.name, DEST_BUCKET_NAME, parentFolderId);
+    try {
+        // Check if file is large (>1GB) or too long (>3h) -> Trigger Cloud Run Job
+        const large = parseInt(entry.size) > LARGE_FILE_THRESHOLD_BYTES && LARGE_DOWNLOAD_JOB_NAME;
+        if (tooLong || large || options.viaJob) {
+            console.log(tooLong
+                ? `File is longer than 3h. Triggering Cloud Run Job to segment it...`
+                : `File is ${large ? 'large (>1GB)' : 'new from the webhook'}. Triggering Cloud Run Job...`);
+            await triggerLargeDownloadJob(entry.fileId, entry.name, objectName, DEST_BUCKET_NAME, entry.parentFolderId,
+                entry.profileId, tooLong ? parseInt(durationMs) : null);
+            await ledger.putEntry(bucket, { ...entry, objectName, status: ledger.STATUS.HANDED_TO_JOB, attempts, lastError: null });
+            return 'job';
+        }
+
+        console.log(`File is small (<=1GB). Downloading inline...`);
+        await downloadAndUpload(entry.fileId, entry.name, objectName, DEST_BUCKET_NAME, entry.parentFolderId, entry.profileId, timeoutMs);
+        await ledger.putEntry(bucket, { ...entry, objectName, status: ledger.STATUS.UPLOADED, attempts, lastError: null });
+        return 'uploaded';
+
+    } catch (err) {
+        console.error(`Failed to ingest ${entry.name} (${entry.fileId}), attempt ${attempts}/${MAX_INGEST_ATTEMPTS}:`, err.message || err);
+        try {
+            await ledger.putEntry(bucket, {
+                ...entry,
+                objectName,
+                status: ledger.STATUS.FAILED,
+                attempts,
+                lastError: err.message || String(err)
+            });
+        } catch (ledgerErr) {
+            console.error(`Failed to record the failure of ${entry.name} (${entry.fileId}) in the ledger:`, ledgerErr.message || ledgerErr);
+        }
+        return 'failed';
+    }
+}
+
+/**
+ * Reads the Drive change feeds from the stored page tokens and returns the
+ * media files that entered the watched trees since the last run. There is one
+ * feed per drive the profiles live in (My Drive and/or Shared Drives).
+ *
+ * A file counts as new when it sits in a watched folder and has no ledger
+ * entry, which covers uploads as well as files moved or copied in (those keep
+ * their old createdTime). Files that left the trees are dropped from the ledger
+ * so that moving them back later processes them again. Folders that appeared in
+ * a profile's hierarchy since the last run are listed directly, because moving
+ * a folder only reports the folder. A profile seen for the first time starts
+ * from now, like the very first run (use a backfill for older files).
+ *
+ * Mutates `state` (sets `nextPageTokens`) and `known`.
+ * @param {Object} state - Poller state from loadState()
+ * @param {Map} folderTree - Result of getWatchedTree()
+ * @param {Object[]} profileList - Configured profiles
+ * @param {Bucket} bucket - Input bucket holding the ledger
+ * @param {Map<string, Object>} known - Ledger entries by Drive file ID
+ * @returns {Promise<Object[]>} Drive file resources to ingest
+ */
+async function collectChangedFiles(state, folderTree, profileList, bucket, known) {
+    const allFolderIds = getAllFolderIds(folderTree);
+    const watched = new Set(allFolderIds);
+
+    state.nextPageTokens = {};
+    const changeItems = await readChangeFeeds(state, getFeedKeys(profileList));
+    const candidates = new Map((await filterChanges(changeItems, watched, bucket, known))
+        .map(file => [file.id, file]));
+
+    // Migrating from the old createdTime watermark: catch up on anything created since then
+    if (state.lastTime) {
+        console.log(`Migrating from lastTime watermark, scanning files created after: ${state.lastTime}`);
+        for (const file of await listMediaInFolders(allFolderIds, state.lastTime)) {
+            if (!known.has(file.id)) candidates.set(file.id, file);
+        }
+    }
+
+    // Folders that joined a known profile's hierarchy (moved in from elsewhere) bring their files along
+    if (state.folderIds) {
+        const current = getFolderIdsByProfile(folderTree);
+        const newFolderIds = [];
+        for (const [profileId, folderIds] of Object.entries(current)) {
+            if (!state.folderIds[profileId]) {
+                console.log(`Profile "${profileId}" is new. Watching it from now on.`);
+                continue;
+            }
+            const previous = new Set(state.folderIds[profileId]);
+            newFolderIds.push(...folderIds.filter(id => !previous.has(id)));
+        }
+        if (newFolderIds.length > 0) {
+            console.log(`${newFolderIds.length} folder(s) joined the watched tree. Scanning their contents...`);
+            for (const file of await listMediaInFolders(newFolderIds)) {
+                if (!known.has(file.id)) {
+                    candidates.set(file.id, file);
+                }
             }
-            processedCount++;
+        }
+    }
+
+    // Known files whose folder left the hierarchy
+    for (const entry of Array.from(known.values())) {
+        if (entry.parentFolderId && !watched.has(entry.parentFolderId)) {
+            await forgetFile(bucket, known, entry.fileId);
+        }
+    }
+
+    return Array.from(candidates.values())
+        .sort((a, b) => new Date(a.createdTime) - new Date(b.createdTime)); // Oldest first, to keep order
+}
+
+/**
+ * Reads the given change feeds from their stored page tokens (a feed without
+ * one starts from now).
+ *
+ * Sets `state.nextPageTokens[feedKey]` for every feed read.
+ * @param {Object} state - Poller state from loadState()
+ * @param {string[]} feedKeys - Shared Drive IDs and/or MY_DRIVE
+ * @returns {Promise<Object[]>} Change items of all feeds
+ */
+async function readChangeFeeds(state, feedKeys) {
+    const changeItems = [];
+
+    for (const feedKey of feedKeys) {
+        const driveId = feedKey === MY_DRIVE ? null : feedKey;
+        const pageToken = state.pageTokens[feedKey];
+
+        if (!pageToken) {
+            console.log(`No page token stored yet for ${feedKey}. Starting change feed from now.`);
+            state.nextPageTokens[feedKey] = await getStartPageToken(driveId);
+            continue;
+        }
+
+        console.log(`Reading Drive changes for ${feedKey} from page token: ${pageToken}`);
+        const changes = await listChanges(pageToken, driveId);
+        state.nextPageTokens[feedKey] = changes.newStartPageToken;
+        changeItems.push(...changes.items);
+    }
+    return changeItems;
+}
+
+/**
+ * Returns the new media files inside the watched folders from a set of
+ * change items. Known files that left the folders are dropped from the ledger.
+ * @param {Object[]} changeItems - From readChangeFeeds()
+ * @param {Set<string>} watched - All watched folder IDs
+ * @param {Bucket} bucket - Input bucket holding the ledger
+ * @param {Map<string, Object>} known - Ledger entries by Drive file ID, at least those of the changed files
+ * @returns {Promise<Object[]>} Drive file resources, oldest first
+ */
+async function filterChanges(changeItems, watched, bucket, known) {
+    const candidates = new Map();
 
-            // Update newest time seen
-            if (new Date(file.createdTime) > new Date(newestTime)) {
-                newestTime = file.createdTime;
+    // A move between drives shows up in both feeds; the file only left if no feed has it in a tree
+    const inTreeIds = new Set();
+    for (const change of changeItems) {
+        const file = change.file;
+        const inTree = !change.removed && file && !file.trashed &&
+            (file.parents || []).some(id => watched.has(id));
+        if (inTree) {
+            inTreeIds.add(file.id);
+            if (isMedia(file) && !known.has(file.id)) {
+                candidates.set(file.id, file);
             }
         }
+    }
+    for (const change of changeItems) {
+        if (!inTreeIds.has(change.fileId) && known.has(change.fileId)) {
+            await forgetFile(bucket, known, change.fileId);
+        }
+    }
+
+    return Array.from(candidates.values())
+        .sort((a, b) => new Date(a.createdTime) - new Date(b.createdTime)); // Oldest first, to keep order
+}
+
+/**
+ * Removes a file that left the watched folders from the ledger, so moving it
+ * back later processes it again.
+ */
+async function forgetFile(bucket, known, fileId) {
+    console.log(`File ${fileId} left the watched folders. Removing it from the ledger.`);
+    await ledger.deleteEntry(bucket, fileId);
+    known.delete(fileId);
+}
 
-        // 5. Save State
-        await saveLastCheckTime(DEST_BUCKET_NAME, newestTime);
+/**
+ * Opens a push-notification channel for every change feed that has none, or
+ * whose channel is about to expire, and retires channels of feeds no profile
+ * uses any more. Without WEBHOOK_URL all channels are retired.
+ * Updates `state.channels`; runs after the page tokens were advanced. Nothing
+ * is stopped here: the caller stops the retired channels once the state is
+ * saved, or the opened ones if the save lost to another run.
+ * @param {Object} state - Poller state (with nextPageTokens)
+ * @param {Object[]} profileList - Configured profiles
+ * @returns {Promise<{opened: Object[], retired: Object[]}>}
+ */
+async function syncWatchChannels(state, profileList) {
+    const current = state.channels || {};
+    const feedKeys = WEBHOOK_URL && WEBHOOK_TOKEN ? getFeedKeys(profileList) : [];
+    const next = {};
+    const opened = [];
+    const retired = [];
 
-        const skippedCount = files.length - processedCount;
-        res.status(200).send(`Processed ${processedCount} files (${triggeredJobsCount} via Job)${skippedCount > 0 ? `, skipped ${skippedCount}` : ''}.`);
+    for (const feedKey of feedKeys) {
+        const existing = current[feedKey];
+        if (!channels.needsRenewal(existing, WEBHOOK_URL)) {
+            next[feedKey] = existing;
+            continue;
+        }
+        try {
+            next[feedKey] = await channels.startChannel(drive, {
+                driveId: feedKey === MY_DRIVE ? null : feedKey,
+                pageToken: state.nextPageTokens[feedKey],
+                address: WEBHOOK_URL,
+                token: WEBHOOK_TOKEN
+            });
+            console.log(`Opened push channel ${next[feedKey].id} for ${feedKey}, expires ${new Date(parseInt(next[feedKey].expiration)).toISOString()}`);
+            opened.push(next[feedKey]);
+            if (existing) retired.push(existing);
+        } catch (err) {
+            // Polling still covers this feed; try again on the next run
+            console.error(`Failed to open push channel for ${feedKey}:`, err.message || err);
+            if (existing) next[feedKey] = existing;
+        }
+    }
 
-    } catch (err) {
-        console.error('Error in pollDrive:', err);
-        res.status(500).send(err.message);
+    for (const [feedKey, channel] of Object.entries(current)) {
+        if (!feedKeys.includes(feedKey)) {
+            console.log(`Retiring push channel ${channel.id} for ${feedKey}.`);
+            retired.push(channel);
+        }
     }
-};
+
+    state.channels = next;
+    return { opened, retired };
+}
+
+// Video goes to Video Intelligence, audio-only files (podcasts, voice memos) to Speech-to-Text
+function isMedia(file) {
+    return Boolean(file.mimeType && (file.mimeType.startsWith('video/') || file.mimeType.startsWith('audio/')));
+}
+
+/**
+ * One change feed per drive that holds a watched folder.
+ * @param {Object[]} profileList
+ * @returns {string[]} Shared Drive IDs, and MY_DRIVE for folders outside them
+ */
+function getFeedKeys(profileList) {
+    return Array.from(new Set(profileList.map(p => p.sharedDriveId || MY_DRIVE)));
+}
+
+/**
+ * Returns a page token pointing at the current end of a change feed.
+ * @param {string|null} driveId - Shared Drive ID, or null for My Drive
+ */
+async function getStartPageToken(driveId) {
+    const res = await drive.changes.getStartPageToken({
+        supportsAllDrives: true,
+        ...(driveId ? { driveId } : {})
+    });
+    return res.data.startPageToken;
+}
+
+/**
+ * Reads every change since `pageToken`, following nextPageToken until Drive
+ * hands back the newStartPageToken for the next run.
+ * @param {string} pageToken
+ * @param {string|null} driveId - Shared Drive ID, or null for My Drive
+ * @returns {Promise<{items: Object[], newStartPageToken: string}>}
+ */
+async function listChanges(pageToken, driveId) {
+    const items = [];
+    let token = pageToken;
+
+    while (true) {
+        const res = await drive.changes.list({
+            pageToken: token,
+            pageSize: 1000,
+            includeRemoved: true,
+            spaces: 'drive',
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true,
+            ...(driveId ? { driveId } : {}),
+            fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${FILE_FIELDS}, trashed))`
+        });
+
+        items.push(...(res.data.changes || []));
+
+        if (res.data.newStartPageToken) {
+            return { items, newStartPageToken: res.data.newStartPageToken };
+        }
+        token = res.data.nextPageToken;
+    }
+}
+
+/**
+ * Lists video and audio files directly inside the given folders.
+ * @param {string[]} folderIds
+ * @param {string} [createdAfter] - Optional ISO timestamp filter on createdTime
+ * @returns {Promise<Object[]>} Files, oldest first
+ */
+async function listMediaInFolders(folderIds, createdAfter) {
+    let filter = `(mimeType contains 'video/' or mimeType contains 'audio/') and trashed = false`;
+    if (createdAfter) {
+        filter += ` and createdTime > '${createdAfter}'`;
+    }
+
+    const files = await listFilesInParents(folderIds, filter, FILE_FIELDS);
+    return files.sort((a, b) => new Date(a.createdTime) - new Date(b.createdTime)); // Oldest first, to keep order
+}
+
+/**
+ * Runs a files.list query against many parent folders.
+ * The `'a' in parents or 'b' in parents ...` clause is split into batches of
+ * PARENT_QUERY_BATCH_SIZE so the query stays within Drive's length limit, every
+ * batch is read to the last page, and results are merged and de-duplicated
+ * (a file with several parents can match more than one batch).
+ * @param {string[]} folderIds - Parent folder IDs
+ * @param {string} filter - Extra query clause ANDed with the parent clause
+ * @param {string} fileFields - Field selector for each file (must include id)
+ * @returns {Promise<Object[]>} Unique matching files
+ */
+async function listFilesInParents(folderIds, filter, fileFields) {
+    const byId = new Map();
+
+    for (let i = 0; i < folderIds.length; i += PARENT_QUERY_BATCH_SIZE) {
+        const batch = folderIds.slice(i, i + PARENT_QUERY_BATCH_SIZE);
+        const parentQueries = batch.map(id => `'${id}' in parents`).join(' or ');
+        const q = `(${parentQueries}) and ${filter}`;
+
+        let pageToken = undefined;
+        do {
+            const res = await drive.files.list({
+                q: q,
+                fields: `nextPageToken, files(${fileFields})`,
+                pageSize: 1000,
+                pageToken,
+                ...driveQueryOptions
+            });
+            for (const file of res.data.files || []) {
+                byId.set(file.id, file);
+            }
+            pageToken = res.data.nextPageToken;
+        } while (pageToken);
+    }
+
+    return Array.from(byId.values());
+}
 
 /**
  * Triggers the Cloud Run Job for large file download.
+ * With `segmentDurationMs` the job also cuts the recording into overlapping
+ * audio segments that are transcribed separately and stitched by the notifier.
  * Uses the googleapis Node.js client to call Cloud Run v2 jobs.run().
  * IMPORTANT: `overrides` must be in `requestBody` (not top-level),
  * because the googleapis client sends top-level properties as query params.
  */
-async function triggerLargeDownloadJob(fileId, fileName, destBucket, parentFolderId) {
+async function triggerLargeDownloadJob(fileId, fileName, objectName, destBucket, parentFolderId, profileId, segmentDurationMs) {
     const request = {
         // Path parameter: the full resource name of the job
         name: LARGE_DOWNLOAD_JOB_NAME,
@@ -142,8 +779,12 @@ async function triggerLargeDownloadJob(fileId, fileName, destBucket, parentFolde
                         env: [
                             { name: 'FILE_ID', value: fileId },
                             { name: 'FILE_NAME', value: fileName },
+                            { name: 'OBJECT_NAME', value: objectName },
                             { name: 'DEST_BUCKET', value: destBucket },
-                            { name: 'PARENT_FOLDER_ID', value: parentFolderId || '' }
+                            { name: 'PARENT_FOLDER_ID', value: parentFolderId || '' },
+                            { name: 'PROFILE_ID', value: profileId || '' },
+                            // Set only for recordings over the 3h limit: the job splits them into segments
+                            { name: 'SEGMENT_DURATION_MS', value: segmentDurationMs ? String(segmentDurationMs) : '' }
                         ]
                     }
                 ]
@@ -153,7 +794,7 @@ async function triggerLargeDownloadJob(fileId, fileName, destBucket, parentFolde
 
     try {
         console.log(`Triggering Cloud Run Job: ${LARGE_DOWNLOAD_JOB_NAME}`);
-        console.log(`  File: ${fileName} (${fileId}), Bucket: ${destBucket}`);
+        console.log(`  File: ${fileName} (${fileId}) -> gs://${destBucket}/${objectName}`);
         const response = await run.projects.locations.jobs.run(request);
         console.log(`Job triggered successfully. Operation: ${response.data.name}`);
     } catch (e) {
@@ -163,96 +804,256 @@ async function triggerLargeDownloadJob(fileId, fileName, destBucket, parentFolde
 }
 
 /**
- * Recursively gets all folder IDs (parent + all subfolders).
- * @param {string} parentFolderId - The root folder ID
- * @returns {Promise<string[]>} Array of all folder IDs
+ * Walks the watched folder and all subfolders, one level at a time so each
+ * level costs a handful of batched, paginated queries instead of one request
+ * per folder.
+ * @param {string} rootFolderId - The root folder ID
+ * @returns {Promise<Map<string, {name: string, parentId: string|null}>>} Folders by ID, root first
  */
-async function getAllFolderIds(parentFolderId) {
-    const allIds = [parentFolderId];
+async function getFolderTree(rootFolderId) {
+    const rootRes = await drive.files.get({ fileId: rootFolderId, fields: 'id, name', supportsAllDrives: true });
+    const tree = new Map([[rootFolderId, { name: rootRes.data.name, parentId: null }]]);
+    let level = [rootFolderId];
 
-    async function getSubfolders(folderId) {
-        const res = await drive.files.list({
-            q: `'${folderId}' in parents and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
-            fields: 'files(id, name)',
-        });
+    while (level.length > 0) {
+        const levelIds = new Set(level);
+        const subfolders = await listFilesInParents(
+            level,
+            `mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`,
+            'id, name, parents'
+        );
 
-        const subfolders = res.data.files || [];
+        level = [];
         for (const folder of subfolders) {
-            allIds.push(folder.id);
-            // Recursively get subfolders
-            await getSubfolders(folder.id);
+            if (tree.has(folder.id)) continue; // Guard against shortcuts/multi-parent loops
+            const parentId = (folder.parents || []).find(id => levelIds.has(id)) || null;
+            tree.set(folder.id, { name: folder.name, parentId });
+            level.push(folder.id);
+        }
+    }
+
+    return tree;
+}
+
+/**
+ * Walks every profile's watched folder and merges the trees. Each folder is
+ * tagged with the profile that owns it; when one watched folder sits inside
+ * another, the nearer (nested) one wins, so its files follow its own profile.
+ * @param {Object[]} profileList - Configured profiles
+ * @returns {Promise<Map<string, {name: string, parentId: string|null, profileId: string}>>}
+ */
+async function getWatchedTree(profileList) {
+    const merged = new Map();
+    const depths = new Map();
+
+    for (const profile of profileList) {
+        const tree = await getFolderTree(profile.folderId);
+        for (const [folderId, folder] of tree) {
+            const depth = getFolderPath(tree, folderId).length;
+            if (depths.has(folderId) && depths.get(folderId) <= depth) continue;
+            merged.set(folderId, { ...folder, profileId: profile.id });
+            depths.set(folderId, depth);
         }
     }
 
-    await getSubfolders(parentFolderId);
-    return allIds;
+    return merged;
 }
 
 /**
- * Reads the state file from GCS to get the last checked timestamp.
- * Defaults to 1 hour ago if no state exists.
+ * Groups the watched folders by profile, for the poller state.
+ * @param {Map} folderTree - Result of getWatchedTree()
+ * @returns {Object<string, string[]>} Folder IDs by profile ID
  */
-async function getLastCheckTime(bucketName) {
+function getFolderIdsByProfile(folderTree) {
+    const byProfile = {};
+    for (const [folderId, folder] of folderTree) {
+        (byProfile[folder.profileId] = byProfile[folder.profileId] || []).push(folderId);
+    }
+    return byProfile;
+}
+
+/**
+ * Whether a saved folder tree still matches the profiles: every watched
+ * folder is in it, under its own profile.
+ * @param {Map|null} folderTree - From loadState()
+ * @param {Object[]} profileList - Configured profiles
+ * @returns {boolean}
+ */
+function coversProfiles(folderTree, profileList) {
+    return Boolean(folderTree) && profileList.every(profile =>
+        folderTree.has(profile.folderId) && folderTree.get(profile.folderId).profileId === profile.id);
+}
+
+/**
+ * Adds folders the change feed reports inside the tree (created, moved in or
+ * renamed since the tree was walked), so their files are recognised. Folders
+ * that left are not removed; the next poll walks the tree again.
+ * @param {Map} folderTree - Result of getWatchedTree() (updated)
+ * @param {Object[]} changeItems - From readChangeFeeds()
+ */
+function addChangedFolders(folderTree, changeItems) {
+    let pending = changeItems
+        .map(change => change.file)
+        .filter(file => file && !file.trashed && file.mimeType === FOLDER_MIME_TYPE);
+    // A new folder can come before its new parent in the feed
+    let added = true;
+    while (added) {
+        added = false;
+        pending = pending.filter(folder => {
+            const parentId = (folder.parents || []).find(id => folderTree.has(id));
+            if (!parentId) return true;
+            const existing = folderTree.get(folder.id);
+            folderTree.set(folder.id, existing
+                ? { ...existing, name: folder.name }
+                : { name: folder.name, parentId, profileId: folderTree.get(parentId).profileId });
+            added = added || !existing;
+            return false;
+        });
+    }
+}
+
+/**
+ * Gets all folder IDs (parent + all subfolders).
+ * @param {Map} folderTree - Result of getFolderTree()
+ * @returns {string[]} Array of all folder IDs
+ */
+function getAllFolderIds(folderTree) {
+    return Array.from(folderTree.keys());
+}
+
+/**
+ * Folder names from the watched root down to `folderId`.
+ * @param {Map} folderTree - Result of getFolderTree()
+ * @param {string} folderId
+ * @returns {string[]} e.g. ["Team Recordings", "Sales"]
+ */
+function getFolderPath(folderTree, folderId) {
+    const segments = [];
+    let current = folderTree.get(folderId);
+    while (current) {
+        segments.unshift(current.name);
+        current = current.parentId ? folderTree.get(current.parentId) : null;
+    }
+    return segments;
+}
+
+/**
+ * Reads the poller state from GCS.
+ * Shape: { pageTokens: { <driveId|MY_DRIVE>: token }, folderIds: { <profileId>: [...] },
+ * folders: { <folderId>: { name, parentId, profileId } }, channels: { <driveId|MY_DRIVE>: channel } }.
+ * `folders` is the last poll's folder tree, returned as the `folderTree` Map
+ * (null if none was saved). Per-file progress lives in the ledger.
+ * The object generation is kept so saveState() can detect a concurrent run.
+ * Older single-folder state ({ pageToken, driveId, folderIds: [...] }) is
+ * mapped onto the first profile; state that only carries `lastTime` keeps it
+ * so the first change-feed run can catch up from it.
+ */
+async function loadState(bucketName, profileList) {
     const file = storage.bucket(bucketName).file(STATE_FILE_NAME);
+    let state = {};
+    let generation = 0; // 0 = "must not exist yet" for the save precondition
     try {
-        const [exists] = await file.exists();
-        if (!exists) {
-            // Default to 1 hour ago (ISO String)
-            const d = new Date();
-            d.setHours(d.getHours() - 1);
-            return d.toISOString();
-        }
-        const [content] = await file.download();
-        const state = JSON.parse(content.toString());
-        return state.lastTime;
+        const [metadata] = await file.getMetadata();
+        generation = metadata.generation;
+        // Read exactly the generation the precondition will be checked against
+        const [content] = await storage.bucket(bucketName).file(STATE_FILE_NAME, { generation }).download();
+        state = JSON.parse(content.toString());
     } catch (e) {
-        console.warn('Failed to read state, defaulting to 1 hour ago.', e);
-        const d = new Date();
-        d.setHours(d.getHours() - 1);
-        return d.toISOString();
+        if (e.code !== 404) {
+            console.warn('Failed to read state, starting from a fresh change feed.', e);
+        }
+    }
+
+    // Page tokens are per drive: a token only belongs to the feed it was issued for
+    const pageTokens = { ...(state.pageTokens || {}) };
+    if (state.pageToken) {
+        pageTokens[state.driveId || MY_DRIVE] = state.pageToken;
+    }
+
+    let folderIds = state.folderIds || null;
+    if (Array.isArray(folderIds)) {
+        folderIds = { [profileList[0].id]: folderIds };
     }
+
+    return {
+        pageTokens,
+        lastTime: Object.keys(pageTokens).length > 0 ? null : (state.lastTime || null),
+        folderIds,
+        folderTree: state.folders ? new Map(Object.entries(state.folders)) : null,
+        channels: state.channels || {},
+        generation
+    };
 }
 
 /**
- * Saves the new timestamp to GCS.
+ * Saves the next page tokens, the current folder hierarchy (IDs by profile,
+ * and the tree for the webhook) and the push channels to GCS. Tokens of drives no profile uses any more are dropped.
+ *
+ * The write only succeeds if nobody saved in between (poll and webhook can
+ * overlap). Losing that race is harmless: this run's files are already in the
+ * ledger, and the winner's page tokens are at least as far along.
+ * @returns {Promise<boolean>} false if another run saved first
  */
-async function saveLastCheckTime(bucketName, timeStr) {
+async function saveState(bucketName, state) {
     const file = storage.bucket(bucketName).file(STATE_FILE_NAME);
-    await file.save(JSON.stringify({ lastTime: timeStr }));
-    console.log('State updated:', timeStr);
+    try {
+        await file.save(JSON.stringify({
+            pageTokens: state.nextPageTokens,
+            folderIds: state.folderIds,
+            folders: state.folderTree ? Object.fromEntries(state.folderTree) : null,
+            channels: state.channels
+        }), {
+            resumable: false,
+            preconditionOpts: { ifGenerationMatch: state.generation }
+        });
+    } catch (err) {
+        if (err.code !== 412) throw err;
+        console.warn('State was saved by a concurrent run. Keeping its page tokens.');
+        return false;
+    }
+    console.log('State updated. Next page tokens:', JSON.stringify(state.nextPageTokens));
+    return true;
 }
 
 /**
  * Streams file from Drive -> GCS
+ * @param {string} fileId - Drive file ID
+ * @param {string} fileName - Human-readable Drive name (kept as originalName metadata)
+ * @param {string} objectName - Destination key, see naming.buildObjectName()
+ * @param {string} [profileId] - Watched-folder profile, read by the transcriber and notifier
+ * @param {number} [timeoutMs] - Abort the transfer (and reject) after this long
  */
-async function downloadAndUpload(fileId, fileName, bucketName, parentFolderId) {
-    // We need to match the destination bucket object
-    const destFile = storage.bucket(bucketName).file(fileName);
+async function downloadAndUpload(fileId, fileName, objectName, bucketName, parentFolderId, profileId, timeoutMs) {
+    const destFile = storage.bucket(bucketName).file(objectName);
+    const controller = new AbortController();
+    const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
 
-    return new Promise(async (resolve, reject) => {
-        try {
-            const driveRes = await drive.files.get(
-                { fileId: fileId, alt: 'media' },
-                { responseType: 'stream' }
-            );
+    try {
+        const driveRes = await drive.files.get(
+            { fileId: fileId, alt: 'media', supportsAllDrives: true },
+            { responseType: 'stream', signal: controller.signal }
+        );
 
-            const writeStream = destFile.createWriteStream({
+        const writeStream = destFile.createWriteStream({
+            metadata: {
                 metadata: {
-                    metadata: {
-                        originalDriveId: fileId,
-                        parentFolderId: parentFolderId || ''
-                    }
+                    originalDriveId: fileId,
+                    originalName: fileName,
+                    parentFolderId: parentFolderId || '',
+                    profileId: profileId || ''
                 }
-            });
-
-            driveRes.data
-                .on('error', err => reject(err))
-                .pipe(writeStream)
-                .on('finish', () => resolve()) // Resolve when GCS upload is complete
-                .on('error', err => reject(err));
+            }
+        });
 
-        } catch (e) {
-            reject(e);
+        // Resolves when the GCS upload is complete; aborting destroys both
+        // streams, and an aborted upload leaves no object behind
+        await pipeline(driveRes.data, writeStream, { signal: controller.signal });
+    } catch (err) {
+        if (controller.signal.aborted) {
+            throw new Error(`Download timed out after ${Math.round(timeoutMs / 1000)}s`);
         }
-    });
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
 }
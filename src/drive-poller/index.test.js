@@ -0,0 +1,706 @@
+process.env.DEST_BUCKET = 'input';
+process.env.FOLDER_ID = 'root';
+process.env.INGEST_FILE_TIMEOUT_SECONDS = '1';
+process.env.WEBHOOK_URL = 'https://webhook.example.com/drive';
+process.env.WEBHOOK_TOKEN = 'channel-secret';
+process.env.LARGE_DOWNLOAD_JOB_NAME = 'projects/test/locations/us-central1/jobs/drive-large-downloader';
+
+const { Readable, Writable } = require('stream');
+
+// In-memory stand-ins for Drive and GCS. Objects are keyed "<bucket>/<name>";
+// every write gets a new generation, as in GCS.
+const mockObjects = new Map();
+let mockGeneration = 0;
+// (key, content) => Error to fail a save with, or null. May write first, like a concurrent run.
+let mockSaveError = () => null;
+
+// Drive: files and folders by ID, and one change feed whose page tokens are
+// positions in it. Lists return `pageSize` results per page.
+const mockDrive = {
+    items: new Map(),
+    changes: [],
+    pageSize: 2,
+    files: { get: jest.fn(), list: jest.fn() },
+    changesApi: { getStartPageToken: jest.fn(), list: jest.fn(), watch: jest.fn() },
+    channels: { stop: jest.fn() }
+};
+const mockRunJob = jest.fn();
+
+jest.mock('googleapis', () => ({
+    google: {
+        auth: { GoogleAuth: jest.fn(() => ({ getClient: async () => ({}) })) },
+        options: jest.fn(),
+        drive: () => ({ files: mockDrive.files, changes: mockDrive.changesApi, channels: mockDrive.channels }),
+        run: () => ({ projects: { locations: { jobs: { run: mockRunJob } } } })
+    }
+}));
+jest.mock('@google-cloud/storage', () => ({ Storage: jest.fn(() => ({ bucket: mockBucket })) }));
+
+function mockError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+function mockObjectMetadata(object) {
+    return { generation: String(object.generation), updated: object.updated, metadata: { ...object.metadata } };
+}
+
+function mockFile(bucketName, name) {
+    const key = `${bucketName}/${name}`;
+    const file = {
+        name,
+        metadata: mockObjects.has(key) ? mockObjectMetadata(mockObjects.get(key)) : {},
+        async getMetadata() {
+            if (!mockObjects.has(key)) throw mockError(404, `No such object: ${key}`);
+            return [mockObjectMetadata(mockObjects.get(key))];
+        },
+        async download() {
+            if (!mockObjects.has(key)) throw mockError(404, `No such object: ${key}`);
+            return [mockObjects.get(key).content];
+        },
+        async save(content, options = {}) {
+            const expected = (options.preconditionOpts || {}).ifGenerationMatch;
+            const failure = mockSaveError(key, content.toString());
+            if (failure) throw failure;
+            const current = mockObjects.get(key);
+            if (expected !== undefined && String(expected) !== String(current ? current.generation : 0)) {
+                throw mockError(412, 'Precondition failed');
+            }
+            const object = mockNewObject(content, (options.metadata || {}).metadata);
+            mockObjects.set(key, object);
+            file.metadata = mockObjectMetadata(object);
+        },
+        createWriteStream(options = {}) {
+            const chunks = [];
+            return new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                },
+                final(callback) {
+                    mockObjects.set(key, mockNewObject(Buffer.concat(chunks), (options.metadata || {}).metadata));
+                    callback();
+                }
+            });
+        },
+        async delete(options = {}) {
+            if (!mockObjects.delete(key) && !options.ignoreNotFound) throw mockError(404, `No such object: ${key}`);
+        }
+    };
+    return file;
+}
+
+function mockBucket(bucketName) {
+    return {
+        name: bucketName,
+        file: name => mockFile(bucketName, name),
+        async getFiles(query = {}) {
+            const names = Array.from(mockObjects.keys())
+                .filter(key => key.startsWith(`${bucketName}/${query.prefix || ''}`))
+                .map(key => key.slice(bucketName.length + 1));
+            return [names.map(name => mockFile(bucketName, name))];
+        }
+    };
+}
+
+function mockNewObject(content, metadata = {}) {
+    return {
+        content: Buffer.from(content),
+        metadata: { ...metadata },
+        generation: ++mockGeneration,
+        updated: new Date().toISOString()
+    };
+}
+
+// files.list understands the queries the poller builds: "'a' in parents or ...",
+// folder or media mime types, "createdTime > '...'" and "trashed = false"
+function mockListFiles({ q, pageToken }) {
+    const parents = new Set(Array.from(q.matchAll(/'([^']+)' in parents/g), match => match[1]));
+    const createdAfter = (q.match(/createdTime > '([^']+)'/) || [])[1];
+    const folders = q.includes("mimeType = 'application/vnd.google-apps.folder'");
+    const matches = Array.from(mockDrive.items.values()).filter(item =>
+        item.parents.some(id => parents.has(id)) && !item.trashed &&
+        (folders ? item.mimeType === 'application/vnd.google-apps.folder' : /^(video|audio)\//.test(item.mimeType)) &&
+        (!createdAfter || item.createdTime > createdAfter));
+    const start = parseInt(pageToken) || 0;
+    const end = start + mockDrive.pageSize;
+    return { data: { files: matches.slice(start, end), nextPageToken: end < matches.length ? String(end) : undefined } };
+}
+
+function mockListChanges({ pageToken }) {
+    const start = parseInt(pageToken);
+    const end = start + mockDrive.pageSize;
+    return {
+        data: {
+            changes: mockDrive.changes.slice(start, end),
+            ...(end < mockDrive.changes.length ? { nextPageToken: String(end) } : { newStartPageToken: String(mockDrive.changes.length) })
+        }
+    };
+}
+
+const { pollDrive, driveWebhook } = require('./index');
+
+const FOLDER = 'application/vnd.google-apps.folder';
+const STATE_FILE = 'input/drive-poller-state.json';
+
+// Drive edits: each one lands in the change feed, like in Drive
+let clock = Date.parse('2026-01-01T00:00:00Z');
+function putItem(id, name, parent, mimeType, extra = {}) {
+    const item = { id, name, mimeType, parents: [parent], createdTime: new Date(clock += 60000).toISOString(), ...extra };
+    mockDrive.items.set(id, item);
+    mockDrive.changes.push({ fileId: id, removed: false, file: { ...item } });
+    return item;
+}
+const addFolder = (id, name, parent) => putItem(id, name, parent, FOLDER);
+const addRecording = (id, name, parent, extra) => putItem(id, name, parent, 'video/mp4', { size: '5', ...extra });
+function moveItem(id, parent) {
+    const item = { ...mockDrive.items.get(id), parents: [parent] };
+    mockDrive.items.set(id, item);
+    mockDrive.changes.push({ fileId: id, removed: false, file: { ...item } });
+}
+
+const saveState = state => mockObjects.set(STATE_FILE, mockNewObject(JSON.stringify(state)));
+const savedState = () => JSON.parse(mockObjects.get(STATE_FILE).content.toString());
+const ledgerEntry = fileId => mockObjects.has(`input/_ledger/${fileId}.json`)
+    ? JSON.parse(mockObjects.get(`input/_ledger/${fileId}.json`).content.toString())
+    : null;
+const putEntry = entry => mockObjects.set(`input/_ledger/${entry.fileId}.json`, mockNewObject(JSON.stringify(entry),
+    { status: entry.status, attempts: String(entry.attempts || 0), parentFolderId: entry.parentFolderId || '' }));
+const uploads = () => Array.from(mockObjects.keys())
+    .filter(key => !key.startsWith('input/_ledger/') && key !== STATE_FILE)
+    .map(key => key.slice('input/'.length))
+    .sort();
+
+async function poll(query = {}) {
+    const res = { code: null, body: null };
+    res.status = code => { res.code = code; return res; };
+    res.send = body => { res.body = body; return res; };
+    await pollDrive({ query }, res);
+    return res;
+}
+
+async function notify(headers, handler = driveWebhook) {
+    const res = { code: null, body: null };
+    res.status = code => { res.code = code; return res; };
+    res.send = body => { res.body = body; return res; };
+    await handler({ get: name => headers[name] }, res);
+    return res;
+}
+
+beforeEach(() => {
+    mockObjects.clear();
+    mockDrive.items.clear();
+    mockDrive.changes.length = 0;
+    mockDrive.pageSize = 2;
+    mockSaveError = () => null;
+    jest.clearAllMocks();
+    mockDrive.files.get.mockImplementation(async ({ fileId, alt }) => {
+        const item = mockDrive.items.get(fileId);
+        if (!item) throw mockError(404, `File not found: ${fileId}`);
+        return { data: alt === 'media' ? Readable.from([Buffer.from(`media of ${fileId}`)]) : item };
+    });
+    mockDrive.files.list.mockImplementation(async params => mockListFiles(params));
+    mockDrive.changesApi.getStartPageToken.mockImplementation(async () => ({ data: { startPageToken: String(mockDrive.changes.length) } }));
+    mockDrive.changesApi.list.mockImplementation(async params => mockListChanges(params));
+    mockRunJob.mockImplementation(async () => ({ data: { name: 'operations/job-run' } }));
+    mockDrive.changesApi.watch.mockImplementation(async ({ requestBody }) => ({
+        data: { id: requestBody.id, resourceId: `resource-${requestBody.id}`, expiration: requestBody.expiration }
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockDrive.items.set('root', { id: 'root', name: 'Recordings', mimeType: FOLDER, parents: [] });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Drive Poller - Page Tokens', () => {
+    test('should start the change feed from now on the first run', async () => {
+        addRecording('rec-old-0000001', 'Before.mp4', 'root');
+
+        const res = await poll();
+
+        expect(res.code).toBe(200);
+        expect(mockDrive.changesApi.getStartPageToken).toHaveBeenCalledTimes(1);
+        expect(mockDrive.changesApi.list).not.toHaveBeenCalled();
+        expect(uploads()).toEqual([]);
+        expect(savedState().pageTokens).toEqual({ 'my-drive': '1' });
+    });
+
+    test('should follow the change feed across pages and carry the token to the next run', async () => {
+        saveState({ pageTokens: { 'my-drive': '0' } });
+        for (let i = 1; i <= 5; i++) {
+            addRecording(`rec-new-000000${i}`, `Call ${i}.mp4`, 'root');
+        }
+
+        await poll();
+
+        expect(mockDrive.changesApi.list.mock.calls.map(([params]) => params.pageToken)).toEqual(['0', '2', '4']);
+        expect(uploads()).toEqual([1, 2, 3, 4, 5].map(i => `Recordings/Call ${i}__rec-new-000000${i}.mp4`));
+        expect(savedState().pageTokens).toEqual({ 'my-drive': '5' });
+
+        mockDrive.changesApi.list.mockClear();
+        addRecording('rec-new-0000006', 'Call 6.mp4', 'root');
+        await poll();
+
+        expect(mockDrive.changesApi.list.mock.calls.map(([params]) => params.pageToken)).toEqual(['5']);
+        expect(uploads()).toContain('Recordings/Call 6__rec-new-0000006.mp4');
+        expect(savedState().pageTokens).toEqual({ 'my-drive': '6' });
+    });
+
+    test('should catch up from a lastTime watermark and then drop it', async () => {
+        addRecording('rec-old-0000001', 'Old.mp4', 'root');
+        const lastTime = new Date(clock).toISOString();
+        addRecording('rec-new-0000002', 'Missed.mp4', 'root');
+        saveState({ lastTime });
+
+        await poll();
+
+        expect(uploads()).toEqual(['Recordings/Missed__rec-new-0000002.mp4']);
+        expect(savedState()).not.toHaveProperty('lastTime');
+        expect(savedState().pageTokens).toEqual({ 'my-drive': '2' });
+    });
+
+    test('should map the single-folder state onto the first profile', async () => {
+        saveState({ pageToken: '0', driveId: null, folderIds: ['root'] });
+        addRecording('rec-new-0000001', 'Call.mp4', 'root');
+
+        await poll();
+
+        expect(mockDrive.changesApi.list).toHaveBeenCalledWith(expect.objectContaining({ pageToken: '0' }));
+        expect(uploads()).toEqual(['Recordings/Call__rec-new-0000001.mp4']);
+        expect(savedState()).toMatchObject({ pageTokens: { 'my-drive': '1' }, folderIds: { default: ['root'] } });
+    });
+
+    test('should forget files that leave the watched folders and ingest them again when they return', async () => {
+        saveState({ pageTokens: { 'my-drive': '0' } });
+        addFolder('team', 'Team', 'root');
+        addRecording('rec-team-000001', 'Standup.mp4', 'team');
+        addRecording('rec-root-000001', 'Call.mp4', 'root');
+        await poll();
+        expect(ledgerEntry('rec-team-000001')).toMatchObject({ status: 'uploaded', parentFolderId: 'team' });
+        expect(ledgerEntry('rec-root-000001')).toMatchObject({ status: 'uploaded', parentFolderId: 'root' });
+
+        moveItem('rec-root-000001', 'elsewhere');
+        await poll();
+        expect(ledgerEntry('rec-root-000001')).toBeNull();
+
+        // Only the folder is reported; its files leave with it
+        moveItem('team', 'elsewhere');
+        await poll();
+        expect(ledgerEntry('rec-team-000001')).toBeNull();
+
+        mockDrive.files.get.mockClear();
+        moveItem('rec-root-000001', 'root');
+        await poll();
+        expect(ledgerEntry('rec-root-000001')).toMatchObject({ status: 'uploaded', parentFolderId: 'root', attempts: 1 });
+        expect(mockDrive.files.get).toHaveBeenCalledWith(expect.objectContaining({ fileId: 'rec-root-000001', alt: 'media' }), expect.anything());
+    });
+});
+
+describe('Drive Poller - Folder Tree', () => {
+    const parentsOf = q => Array.from(q.matchAll(/'([^']+)' in parents/g), match => match[1]);
+    const folderQueries = () => mockDrive.files.list.mock.calls
+        .map(([params]) => params)
+        .filter(params => params.q.includes("mimeType = 'application/vnd.google-apps.folder'"));
+
+    beforeEach(() => {
+        mockDrive.pageSize = 3;
+        for (let i = 0; i < 120; i++) {
+            addFolder(`team-${i}`, `Team ${i}`, 'root');
+        }
+        addFolder('nested', 'Nested', 'team-119');
+    });
+
+    test('should walk more folders than fit in one parent query, reading every page', async () => {
+        await poll();
+
+        const tree = savedState().folders;
+        expect(Object.keys(tree)).toHaveLength(122);
+        expect(tree.nested).toEqual({ name: 'Nested', parentId: 'team-119', profileId: 'default' });
+
+        const queries = folderQueries();
+        expect(queries.every(params => parentsOf(params.q).length <= 50)).toBe(true);
+        // The root level has 40 pages of 3; the level below is cut into 50 + 50 + 20 parents
+        expect(queries.filter(params => parentsOf(params.q).join() === 'root')).toHaveLength(40);
+        const shards = Array.from(new Set(queries.map(params => parentsOf(params.q).join())))
+            .map(ids => ids.split(',').length);
+        expect(shards).toEqual([1, 50, 50, 20, 1]);
+    });
+
+    test('should find media in every shard once', async () => {
+        for (const i of [0, 49, 50, 119]) {
+            addRecording(`rec-team-${String(i).padStart(6, '0')}`, `Call ${i}.mp4`, `team-${i}`);
+        }
+        addRecording('rec-both-000001', 'Shared.mp4', 'team-0', { parents: ['team-0', 'team-99'] });
+        addRecording('rec-nest-000001', 'Deep.mp4', 'nested');
+
+        await poll({ backfill: 'true', hours: '100000' });
+
+        expect(uploads()).toEqual([
+            'Recordings/Team 0/Call 0__rec-team-000000.mp4',
+            'Recordings/Team 0/Shared__rec-both-000001.mp4',
+            'Recordings/Team 119/Call 119__rec-team-000119.mp4',
+            'Recordings/Team 119/Nested/Deep__rec-nest-000001.mp4',
+            'Recordings/Team 49/Call 49__rec-team-000049.mp4',
+            'Recordings/Team 50/Call 50__rec-team-000050.mp4'
+        ]);
+        expect(mockDrive.files.get.mock.calls.filter(([params]) => params.alt === 'media')).toHaveLength(6);
+    });
+});
+
+describe('Drive Poller - Ingestion', () => {
+    beforeEach(() => {
+        saveState({ pageTokens: { 'my-drive': '0' } });
+        mockDrive.files.get.mockImplementation(async ({ fileId, alt }) => {
+            if (alt === 'media') throw mockError(500, 'Backend Error');
+            return { data: mockDrive.items.get(fileId) };
+        });
+    });
+
+    test('should record a failed download with the object name it was meant for', async () => {
+        // Queued before path-based naming: no objectName yet
+        putEntry({ fileId: 'rec-fail-000001', name: 'Call.mp4', parentFolderId: 'root', status: 'queued', attempts: 0 });
+
+        const res = await poll();
+
+        expect(res.code).toBe(200);
+        expect(res.body).toBe('Processed 0 files (0 via Job), failed 1.');
+        expect(ledgerEntry('rec-fail-000001')).toMatchObject({
+            objectName: 'Call__rec-fail-000001.mp4',
+            status: 'failed',
+            attempts: 1,
+            lastError: 'Backend Error'
+        });
+    });
+
+    test('should count a file as failed when its failure cannot be recorded', async () => {
+        putEntry({ fileId: 'rec-fail-000001', name: 'Call.mp4', parentFolderId: 'root', status: 'queued', attempts: 0 });
+        mockSaveError = (key, content) => key.startsWith('input/_ledger/') && content.includes('"failed"')
+            ? mockError(503, 'Service Unavailable')
+            : null;
+
+        const res = await poll();
+
+        expect(res.code).toBe(200);
+        expect(res.body).toBe('Processed 0 files (0 via Job), failed 1.');
+        expect(ledgerEntry('rec-fail-000001')).toMatchObject({ status: 'downloading', attempts: 1 });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to record the failure of Call.mp4'), 'Service Unavailable');
+    });
+
+    test('should count a file as failed when it cannot be claimed', async () => {
+        putEntry({ fileId: 'rec-fail-000001', name: 'Call.mp4', parentFolderId: 'root', status: 'queued', attempts: 0 });
+        mockSaveError = key => key.startsWith('input/_ledger/') ? mockError(503, 'Service Unavailable') : null;
+
+        const res = await poll();
+
+        expect(res.code).toBe(200);
+        expect(res.body).toBe('Processed 0 files (0 via Job), failed 1.');
+        expect(mockDrive.files.get).not.toHaveBeenCalledWith(expect.objectContaining({ alt: 'media' }), expect.anything());
+        expect(ledgerEntry('rec-fail-000001')).toMatchObject({ status: 'queued', attempts: 0 });
+    });
+});
+
+describe('Drive Poller - Ledger Claims', () => {
+    const entry = (fileId, changes) => {
+        mockDrive.items.set(fileId, { id: fileId, name: `${fileId}.mp4`, mimeType: 'video/mp4', parents: ['root'] });
+        return { fileId, name: `${fileId}.mp4`, objectName: `Recordings/${fileId}.mp4`, parentFolderId: 'root', attempts: 0, ...changes };
+    };
+    const hoursAgo = hours => new Date(Date.now() - hours * 3600000).toISOString();
+    const downloads = () => mockDrive.files.get.mock.calls.filter(([params]) => params.alt === 'media').map(([params]) => params.fileId);
+
+    beforeEach(() => {
+        saveState({ pageTokens: { 'my-drive': '0' } });
+    });
+
+    test('should leave a file to the run that claimed it first', async () => {
+        putEntry(entry('rec-busy-000001', { status: 'queued' }));
+        // The webhook claims the entry between this run's listing and its claim
+        mockSaveError = (key, content) => {
+            if (key === 'input/_ledger/rec-busy-000001.json' && content.includes('"downloading"') && !mockSaveError.raced) {
+                mockSaveError.raced = true;
+                putEntry(entry('rec-busy-000001', { status: 'downloading', attempts: 1 }));
+            }
+            return null;
+        };
+
+        const res = await poll();
+
+        expect(res.body).toBe('Processed 0 files (0 via Job), 1 taken by another run.');
+        expect(downloads()).toEqual([]);
+        expect(ledgerEntry('rec-busy-000001')).toMatchObject({ status: 'downloading', attempts: 1 });
+    });
+
+    test('should retry failed files until MAX_INGEST_ATTEMPTS', async () => {
+        putEntry(entry('rec-once-000001', { status: 'failed', attempts: 2 }));
+        putEntry(entry('rec-done-000001', { status: 'failed', attempts: 3 }));
+        putEntry(entry('rec-ok-0000001', { status: 'uploaded', attempts: 1 }));
+
+        await poll();
+
+        expect(downloads()).toEqual(['rec-once-000001']);
+        expect(ledgerEntry('rec-once-000001')).toMatchObject({ status: 'uploaded', attempts: 3 });
+        expect(ledgerEntry('rec-done-000001')).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+
+    test('should take over downloads left behind by a dead run', async () => {
+        putEntry(entry('rec-dead-000001', { status: 'downloading', attempts: 1 }));
+        putEntry(entry('rec-live-000001', { status: 'downloading', attempts: 1 }));
+        putEntry(entry('rec-last-000001', { status: 'downloading', attempts: 3 }));
+        const touch = (fileId, updated) => { mockObjects.get(`input/_ledger/${fileId}.json`).updated = updated; };
+        touch('rec-dead-000001', hoursAgo(3));
+        touch('rec-live-000001', hoursAgo(1));
+        touch('rec-last-000001', hoursAgo(3));
+
+        await poll();
+
+        expect(downloads()).toEqual(['rec-dead-000001']);
+        expect(ledgerEntry('rec-dead-000001')).toMatchObject({ status: 'uploaded', attempts: 2 });
+    });
+});
+
+describe('Drive Poller - Downloads', () => {
+    const queue = count => {
+        for (let i = 1; i <= count; i++) {
+            const fileId = `rec-pool-00000${i}`;
+            mockDrive.items.set(fileId, { id: fileId, name: `Call ${i}.mp4`, mimeType: 'video/mp4', parents: ['root'] });
+            putEntry({ fileId, name: `Call ${i}.mp4`, objectName: `Recordings/Call ${i}__${fileId}.mp4`, parentFolderId: 'root', status: 'queued', attempts: 0 });
+        }
+    };
+    // Media streams that end on the next timer tick, or never
+    const slowMedia = content => new Readable({
+        read() {
+            if (this.sent) return;
+            this.sent = true;
+            setTimeout(() => { this.push(content); this.push(null); }, 5);
+        }
+    });
+    const endlessMedia = () => new Readable({ read() {} });
+    const mediaGet = download => async (params, options) => params.alt === 'media'
+        ? { data: await download(params, options) }
+        : { data: mockDrive.items.get(params.fileId) };
+
+    beforeEach(() => {
+        saveState({ pageTokens: { 'my-drive': '0' } });
+    });
+
+    test('should download at most INGEST_CONCURRENCY files at a time', async () => {
+        queue(7);
+        let active = 0;
+        let peak = 0;
+        mockDrive.files.get.mockImplementation(mediaGet(async ({ fileId }) => {
+            peak = Math.max(peak, ++active);
+            const media = slowMedia(Buffer.from(`media of ${fileId}`));
+            media.on('end', () => active--);
+            return media;
+        }));
+
+        const res = await poll();
+
+        expect(peak).toBe(4);
+        expect(res.body).toBe('Processed 7 files (0 via Job).');
+        expect(uploads()).toHaveLength(7);
+        expect(mockObjects.get('input/Recordings/Call 7__rec-pool-000007.mp4').metadata).toEqual({
+            originalDriveId: 'rec-pool-000007',
+            originalName: 'Call 7.mp4',
+            parentFolderId: 'root',
+            profileId: ''
+        });
+    });
+
+    test('should abort a download that runs past its timeout and leave no object behind', async () => {
+        queue(2);
+        mockDrive.files.get.mockImplementation(mediaGet(async ({ fileId }) =>
+            fileId === 'rec-pool-000001' ? endlessMedia() : slowMedia(Buffer.from('media'))));
+
+        const res = await poll();
+
+        expect(res.body).toBe('Processed 1 files (0 via Job), failed 1.');
+        expect(uploads()).toEqual(['Recordings/Call 2__rec-pool-000002.mp4']);
+        expect(ledgerEntry('rec-pool-000001')).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Download timed out after 1s' });
+        const [, timedOut] = mockDrive.files.get.mock.calls.find(([params]) => params.fileId === 'rec-pool-000001');
+        expect(timedOut.signal.aborted).toBe(true);
+    });
+
+    test('should leave files that cannot finish before the deadline queued', async () => {
+        queue(6);
+        // The first downloads take up all but a minute of the function's hour
+        const start = Date.now();
+        let elapsed = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => start + elapsed);
+        mockDrive.files.get.mockImplementation(mediaGet(async () => {
+            elapsed = 59 * 60 * 1000;
+            return slowMedia(Buffer.from('media'));
+        }));
+
+        const res = await poll();
+
+        expect(res.body).toBe('Processed 4 files (0 via Job), 2 left for the next run.');
+        expect(ledgerEntry('rec-pool-000005')).toMatchObject({ status: 'queued', attempts: 0 });
+        expect(ledgerEntry('rec-pool-000006')).toMatchObject({ status: 'queued', attempts: 0 });
+    });
+});
+
+describe('Drive Poller - Channel Renewal', () => {
+    const HOUR = 60 * 60 * 1000;
+    const expiring = { id: 'channel-old', resourceId: 'resource-old', expiration: String(Date.now() + HOUR), address: 'https://webhook.example.com/drive' };
+    const stopped = () => mockDrive.channels.stop.mock.calls.map(([params]) => params.requestBody.id);
+
+    beforeEach(() => {
+        saveState({ pageTokens: { 'my-drive': '0' }, channels: { 'my-drive': expiring } });
+    });
+
+    test('should stop a replaced channel once the new one is saved', async () => {
+        await poll();
+
+        const { channels } = savedState();
+        expect(channels['my-drive'].id).not.toBe('channel-old');
+        expect(mockDrive.changesApi.watch).toHaveBeenCalledWith(expect.objectContaining({ pageToken: '0' }));
+        expect(stopped()).toEqual(['channel-old']);
+    });
+
+    test('should keep a channel that has time left', async () => {
+        saveState({ pageTokens: { 'my-drive': '0' }, channels: { 'my-drive': { ...expiring, expiration: String(Date.now() + 48 * HOUR) } } });
+
+        await poll();
+
+        expect(mockDrive.changesApi.watch).not.toHaveBeenCalled();
+        expect(stopped()).toEqual([]);
+        expect(savedState().channels['my-drive'].id).toBe('channel-old');
+    });
+
+    test('should move a channel to a new webhook address', async () => {
+        saveState({ pageTokens: { 'my-drive': '0' }, channels: { 'my-drive': { ...expiring, expiration: String(Date.now() + 48 * HOUR), address: 'https://old.example.com/drive' } } });
+
+        await poll();
+
+        expect(savedState().channels['my-drive']).toMatchObject({ address: 'https://webhook.example.com/drive' });
+        expect(stopped()).toEqual(['channel-old']);
+    });
+
+    test('should retire channels of feeds no profile uses', async () => {
+        saveState({ pageTokens: { 'my-drive': '0', 'shared-gone': '7' }, channels: { 'my-drive': expiring, 'shared-gone': { ...expiring, id: 'channel-gone' } } });
+
+        await poll();
+
+        expect(Object.keys(savedState().channels)).toEqual(['my-drive']);
+        expect(stopped().sort()).toEqual(['channel-gone', 'channel-old']);
+    });
+
+    test('should stop the new channel instead when another run saved the state first', async () => {
+        // The webhook saves between this poll's read and its write; its state still uses the old channel
+        mockSaveError = key => {
+            if (key === STATE_FILE && !mockSaveError.raced) {
+                mockSaveError.raced = true;
+                saveState({ pageTokens: { 'my-drive': '1' }, channels: { 'my-drive': expiring } });
+            }
+            return null;
+        };
+
+        const res = await poll();
+
+        expect(res.code).toBe(200);
+        const [{ requestBody: opened }] = mockDrive.changesApi.watch.mock.calls[0];
+        expect(stopped()).toEqual([opened.id]);
+        expect(savedState()).toEqual({ pageTokens: { 'my-drive': '1' }, channels: { 'my-drive': expiring } });
+    });
+});
+
+describe('Drive Webhook - Queueing', () => {
+    let channelId;
+    const change = () => ({ 'X-Goog-Channel-ID': channelId, 'X-Goog-Resource-State': 'change', 'X-Goog-Channel-Token': 'channel-secret' });
+    const downloads = () => mockDrive.files.get.mock.calls.filter(([params]) => params.alt === 'media');
+
+    beforeEach(async () => {
+        // A first poll saves the folder tree and opens the channel
+        await poll();
+        channelId = savedState().channels['my-drive'].id;
+        jest.clearAllMocks();
+        addRecording('rec-push-000001', 'Call.mp4', 'root');
+    });
+
+    test('should queue new files and hand them to the job without downloading', async () => {
+        const res = await notify(change());
+
+        expect(res.code).toBe(200);
+        expect(res.body).toBe('Processed 1 files (1 via Job).');
+        expect(downloads()).toEqual([]);
+        expect(mockDrive.files.list).not.toHaveBeenCalled(); // Reused the saved tree
+        expect(ledgerEntry('rec-push-000001')).toMatchObject({ status: 'handed-to-job', objectName: 'Recordings/Call__rec-push-000001.mp4' });
+        const [{ requestBody }] = mockRunJob.mock.calls[0];
+        expect(requestBody.overrides.containerOverrides[0].env).toEqual(expect.arrayContaining([
+            { name: 'FILE_ID', value: 'rec-push-000001' },
+            { name: 'OBJECT_NAME', value: 'Recordings/Call__rec-push-000001.mp4' }
+        ]));
+        expect(savedState().pageTokens).toEqual({ 'my-drive': '1' });
+    });
+
+    test('should leave new files queued for the poll without a job', async () => {
+        let webhook;
+        const jobName = process.env.LARGE_DOWNLOAD_JOB_NAME;
+        delete process.env.LARGE_DOWNLOAD_JOB_NAME;
+        jest.isolateModules(() => { webhook = require('./index').driveWebhook; });
+        process.env.LARGE_DOWNLOAD_JOB_NAME = jobName;
+
+        const res = await notify(change(), webhook);
+
+        expect(res.body).toBe('Processed 0 files (0 via Job), 1 left for the next run.');
+        expect(downloads()).toEqual([]);
+        expect(mockRunJob).not.toHaveBeenCalled();
+        expect(ledgerEntry('rec-push-000001')).toMatchObject({ status: 'queued', attempts: 0 });
+
+        await poll();
+        expect(ledgerEntry('rec-push-000001')).toMatchObject({ status: 'uploaded', attempts: 1 });
+    });
+});
+
+describe('Drive Webhook - Notifications', () => {
+    const headers = changes => ({ 'X-Goog-Channel-ID': 'channel-1', 'X-Goog-Resource-State': 'change', 'X-Goog-Channel-Token': 'channel-secret', ...changes });
+
+    beforeEach(() => {
+        saveState({
+            pageTokens: { 'my-drive': '0' },
+            folders: { root: { name: 'Recordings', parentId: null, profileId: 'default' } },
+            channels: { 'my-drive': { id: 'channel-1', resourceId: 'resource-1', expiration: String(Date.now() + 86400000 * 3), address: 'https://webhook.example.com/drive' } }
+        });
+        addRecording('rec-push-000001', 'Call.mp4', 'root');
+    });
+
+    test.each([
+        ['a wrong', 'not-the-secret'],
+        ['a missing', undefined]
+    ])('should reject notifications with %s channel token', async (label, token) => {
+        const res = await notify(headers({ 'X-Goog-Channel-Token': token }));
+
+        expect(res.code).toBe(403);
+        expect(mockDrive.changesApi.list).not.toHaveBeenCalled();
+        expect(ledgerEntry('rec-push-000001')).toBeNull();
+    });
+
+    test('should ignore notifications from unknown channels', async () => {
+        const res = await notify(headers({ 'X-Goog-Channel-ID': 'channel-replaced' }));
+
+        expect(res.code).toBe(200);
+        expect(res.body).toBe('Unknown channel.');
+        expect(mockDrive.changesApi.list).not.toHaveBeenCalled();
+        expect(savedState().pageTokens).toEqual({ 'my-drive': '0' });
+    });
+
+    test('should acknowledge the sync message of a new channel', async () => {
+        const res = await notify(headers({ 'X-Goog-Resource-State': 'sync' }));
+
+        expect(res.code).toBe(200);
+        expect(mockDrive.changesApi.list).not.toHaveBeenCalled();
+    });
+
+    test('should read the notified feed from its token', async () => {
+        const res = await notify(headers());
+
+        expect(res.code).toBe(200);
+        expect(mockDrive.changesApi.list).toHaveBeenCalledWith(expect.objectContaining({ pageToken: '0' }));
+        expect(ledgerEntry('rec-push-000001')).toMatchObject({ status: 'handed-to-job' });
+        expect(savedState().pageTokens).toEqual({ 'my-drive': '1' });
+    });
+});
@@ -1,10 +1,22 @@
 const { google } = require('googleapis');
 const { Storage } = require('@google-cloud/storage');
+const { spawn } = require('child_process');
 const path = require('path');
+const ledger = require('./shared/ledger');
 
 const storage = new Storage();
 const drive = google.drive({ version: 'v3' });
 
+// Must match max_retries on the Cloud Run Job (infra/jobs.tf)
+const JOB_MAX_RETRIES = parseInt(process.env.JOB_MAX_RETRIES || '3');
+
+// Segmenting for recordings over the 3h transcription limit.
+// Segments overlap so words cut at a boundary appear whole in one of them;
+// the notifier drops the duplicates when stitching.
+const SEGMENT_PREFIX = '_segments/';
+const SEGMENT_LENGTH_SECONDS = parseInt(process.env.SEGMENT_LENGTH_SECONDS || String(2 * 60 * 60)); // 2 hours
+const SEGMENT_OVERLAP_SECONDS = parseInt(process.env.SEGMENT_OVERLAP_SECONDS || '30');
+
 /**
  * Cloud Run Job entry point.
  * Reads configuration from Environment Variables.
@@ -15,8 +27,12 @@ async function main() {
     // 1. Validate Env Vars
     const fileId = process.env.FILE_ID;
     const fileName = process.env.FILE_NAME;
+    // Path-based key from the poller; older triggers only sent FILE_NAME
+    const objectName = process.env.OBJECT_NAME || fileName;
     const destBucket = process.env.DEST_BUCKET;
     const parentFolderId = process.env.PARENT_FOLDER_ID; // Optional, for metadata
+    const profileId = process.env.PROFILE_ID; // Watched-folder profile, read by the transcriber and notifier
+    const segmentDurationMs = parseInt(process.env.SEGMENT_DURATION_MS || '0'); // Set when the recording must be segmented
 
     if (!fileId || !fileName || !destBucket) {
         console.error('Missing required env vars: FILE_ID, FILE_NAME, or DEST_BUCKET');
@@ -26,7 +42,8 @@ async function main() {
     console.log(`Config:
       File ID: ${fileId}
       File Name: ${fileName}
-      Destination: gs://${destBucket}/${fileName}
+      Destination: gs://${destBucket}/${objectName}
+      Segmenting: ${segmentDurationMs ? `yes (${(segmentDurationMs / 3600000).toFixed(1)}h)` : 'no'}
     `);
 
     try {
@@ -39,7 +56,7 @@ async function main() {
 
         // 3. Setup GCS Upload Stream
         const bucket = storage.bucket(destBucket);
-        const file = bucket.file(fileName);
+        const file = bucket.file(objectName);
 
         // Passthrough stream from Drive -> GCS
         // GCS Node SDK automatically handles resumable uploads for large files
@@ -47,8 +64,12 @@ async function main() {
             metadata: {
                 metadata: {
                     originalDriveId: fileId,
+                    originalName: fileName,
                     parentFolderId: parentFolderId || '',
-                    processedBy: 'large-downloader-job'
+                    profileId: profileId || '',
+                    processedBy: 'large-downloader-job',
+                    // The transcriber skips segmented originals; their segments are transcribed instead
+                    ...(segmentDurationMs ? { segmented: 'true' } : {})
                 }
             },
             resumable: true,
@@ -58,7 +79,7 @@ async function main() {
         console.log('Initiating download stream...');
 
         const res = await drive.files.get(
-            { fileId: fileId, alt: 'media' },
+            { fileId: fileId, alt: 'media', supportsAllDrives: true },
             { responseType: 'stream' }
         );
 
@@ -82,13 +103,130 @@ async function main() {
                 });
         });
 
+        if (segmentDurationMs) {
+            await createSegments(destBucket, objectName, segmentDurationMs / 1000, {
+                originalDriveId: fileId,
+                originalName: fileName,
+                parentFolderId: parentFolderId || '',
+                profileId: profileId || ''
+            });
+        }
+
+        await updateLedger(destBucket, fileId, { status: ledger.STATUS.UPLOADED, lastError: null });
+
         console.log('Job finished successfully.');
         process.exit(0);
 
     } catch (err) {
         console.error('Job failed:', err);
+
+        // Cloud Run retries the task itself; only the last attempt marks the
+        // file as failed so the poller can pick it up again.
+        const attempt = parseInt(process.env.CLOUD_RUN_TASK_ATTEMPT || '0');
+        const finalAttempt = attempt >= JOB_MAX_RETRIES;
+        try {
+            await updateLedger(destBucket, fileId, {
+                status: finalAttempt ? ledger.STATUS.FAILED : ledger.STATUS.HANDED_TO_JOB,
+                lastError: err.message || String(err)
+            });
+        } catch (ledgerErr) {
+            console.warn('Failed to update ingestion ledger:', ledgerErr.message);
+        }
         process.exit(1);
     }
 }
 
+/**
+ * Splits an uploaded recording into overlapping mono 16 kHz FLAC segments at
+ * `_segments/<objectName>/part-NNN.flac`. Each segment carries its offset and
+ * the segment count in metadata; the transcriber sends them through the audio
+ * path and the notifier stitches the results back into `<objectName>.json`.
+ *
+ * ffmpeg reads the original over HTTPS with range requests, so nothing is
+ * buffered on the (in-memory) local disk.
+ * @param {string} bucketName
+ * @param {string} objectName - Key of the full recording
+ * @param {number} durationSeconds
+ * @param {Object} baseMetadata - Metadata copied onto every segment
+ */
+async function createSegments(bucketName, objectName, durationSeconds, baseMetadata) {
+    const step = SEGMENT_LENGTH_SECONDS - SEGMENT_OVERLAP_SECONDS;
+    const segmentCount = Math.max(1, Math.ceil((durationSeconds - SEGMENT_OVERLAP_SECONDS) / step));
+    console.log(`Splitting ${objectName} (${Math.round(durationSeconds)}s) into ${segmentCount} segments...`);
+
+    const gcsAuth = new google.auth.GoogleAuth({
+        scopes: ['https://www.googleapis.com/auth/devstorage.read_only']
+    });
+    const sourceUrl = `https://storage.googleapis.com/storage/v1/b/${bucketName}/o/${encodeURIComponent(objectName)}?alt=media`;
+
+    for (let index = 0; index < segmentCount; index++) {
+        const offsetSeconds = index * step;
+        const segmentName = `${SEGMENT_PREFIX}${objectName}/part-${String(index).padStart(3, '0')}.flac`;
+
+        // Fresh token per segment: extracting a long segment can outlive one token
+        const token = await gcsAuth.getAccessToken();
+
+        const writeStream = storage.bucket(bucketName).file(segmentName).createWriteStream({
+            contentType: 'audio/flac',
+            metadata: {
+                metadata: {
+                    ...baseMetadata,
+                    segmentOf: objectName,
+                    segmentIndex: String(index),
+                    segmentCount: String(segmentCount),
+                    offsetSeconds: String(offsetSeconds),
+                    overlapSeconds: String(SEGMENT_OVERLAP_SECONDS)
+                }
+            },
+            resumable: true
+        });
+
+        await new Promise((resolve, reject) => {
+            const ffmpeg = spawn('ffmpeg', [
+                '-hide_banner', '-loglevel', 'error',
+                '-headers', `Authorization: Bearer ${token}\r\n`,
+                '-ss', String(offsetSeconds),
+                '-t', String(SEGMENT_LENGTH_SECONDS),
+                '-i', sourceUrl,
+                '-vn', '-ac', '1', '-ar', '16000',
+                '-c:a', 'flac', '-f', 'flac', 'pipe:1'
+            ]);
+
+            // The upload is only completed once ffmpeg exited cleanly. Otherwise it
+            // is aborted, so no truncated segment gets created and transcribed.
+            let stderr = '';
+            const abort = err => {
+                writeStream.destroy(err);
+                reject(err);
+            };
+
+            ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+            ffmpeg.on('error', abort);
+            ffmpeg.on('close', code => {
+                if (code !== 0) {
+                    abort(new Error(`ffmpeg exited with ${code} on segment ${index}: ${stderr.trim()}`));
+                    return;
+                }
+                writeStream.end();
+            });
+
+            ffmpeg.stdout.pipe(writeStream, { end: false });
+            writeStream
+                .on('error', reject)
+                .on('finish', resolve);
+        });
+
+        console.log(`Segment ${index + 1}/${segmentCount} written: gs://${bucketName}/${segmentName} (offset ${offsetSeconds}s)`);
+    }
+}
+
+/**
+ * Updates this file's entry in the poller's ingestion ledger
+ * (`_ledger/<fileId>.json`, see shared/ledger.js).
+ */
+async function updateLedger(bucketName, fileId, changes) {
+    const saved = await ledger.updateEntry(storage.bucket(bucketName), fileId, changes);
+    console.log(`Ledger updated: ${fileId} -> ${saved.status}`);
+}
+
 main();
@@ -0,0 +1,287 @@
+/**
+ * Map-reduce analysis for transcripts too long for one model request.
+ *
+ * A transcript over the token budget is cut at block boundaries (the
+ * "[m:ss - m:ss]" headers written by formatTranscript()) into parts that each
+ * fit. Every part is analysed on its own for notes that serve the user's
+ * prompt (map); a final request then answers the prompt from those notes
+ * (reduce). Notes that together are still over budget are merged in rounds
+ * first.
+ *
+ * Progress lives in a state object the caller persists between attempts.
+ * Finished parts, and a finished analysis, are never sent again; a failed
+ * part is retried on the next attempt, up to MAX_CHUNK_ATTEMPTS, after which
+ * the analysis goes ahead without it and says which time range is missing.
+ * A transcript that fits in one request keeps its answer the same way
+ * (analyzeWhole()), so a retry for another prompt does not ask again.
+ *
+ * The model call and state storage are passed in, so this module stays free
+ * of API clients.
+ */
+
+const crypto = require('crypto');
+
+const MAX_CHUNK_ATTEMPTS = 3;
+
+// Input context per model family; unknown models get a conservative default
+const CONTEXT_TOKENS = {
+    gemini: 1000000,
+    claude: 200000
+};
+const DEFAULT_CONTEXT_TOKENS = 128000;
+// Room for the answer and the instructions wrapped around each part
+const RESERVED_TOKENS = 8192;
+
+const BLOCK_TIME_PATTERN = /^\[([\d:]+) - ([\d:]+)\]/;
+// Scripts written without spaces come out at roughly one token per character
+const WIDE_CHARACTERS = /[\u0e00-\u0e7f\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g;
+
+/**
+ * Rough token count: about four characters per token for alphabetic text.
+ * Errs high, which only makes parts smaller.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    const value = String(text || '');
+    const wide = (value.match(WIDE_CHARACTERS) || []).length;
+    return Math.ceil((value.length - wide) / 4) + wide;
+}
+
+/**
+ * Tokens one part may hold: the configured budget, capped by what fits in the
+ * model's context next to the prompt.
+ * @param {string} modelId
+ * @param {string} prompt - User's analysis prompt
+ * @param {number} [configuredTokens] - ANALYSIS_CHUNK_TOKENS; 0 for the model maximum
+ * @returns {number}
+ */
+function chunkBudget(modelId, prompt, configuredTokens = 0) {
+    const family = Object.keys(CONTEXT_TOKENS).find(name => String(modelId).startsWith(name));
+    const context = family ? CONTEXT_TOKENS[family] : DEFAULT_CONTEXT_TOKENS;
+    const available = context - RESERVED_TOKENS - estimateTokens(prompt);
+    return Math.max(Math.min(configuredTokens > 0 ? configuredTokens : available, available), 1000);
+}
+
+/**
+ * Splits a block that alone exceeds the budget (one long paragraph) at word
+ * boundaries, repeating its timestamp header on every piece.
+ */
+function splitBlock(block, maxTokens) {
+    if (estimateTokens(block) <= maxTokens) {
+        return [block];
+    }
+    const [firstLine, ...rest] = block.split('\n');
+    const header = BLOCK_TIME_PATTERN.test(firstLine) ? firstLine : null;
+    const words = (header ? rest.join('\n') : block).split(/\s+/).filter(Boolean);
+    const room = maxTokens - (header ? estimateTokens(header) + 1 : 0);
+
+    const pieces = [];
+    let current = [];
+    for (const word of words) {
+        if (current.length > 0 && estimateTokens([...current, word].join(' ')) > room) {
+            pieces.push(current.join(' '));
+            current = [];
+        }
+        current.push(word);
+    }
+    if (current.length > 0) pieces.push(current.join(' '));
+    return pieces.map(piece => header ? `${header}\n${piece}` : piece);
+}
+
+/**
+ * Cuts a formatted transcript into parts of at most maxTokens, keeping
+ * timestamped blocks whole where possible.
+ * @param {string} transcript - formatTranscript() output
+ * @param {number} maxTokens
+ * @returns {Array<{start: string|null, end: string|null, text: string}>} Time range from the block headers
+ */
+function chunkTranscript(transcript, maxTokens) {
+    const blocks = String(transcript || '')
+        .split('\n\n')
+        .filter(block => block.trim())
+        .flatMap(block => splitBlock(block, maxTokens));
+
+    const groups = [];
+    let current = [];
+    let tokens = 0;
+    for (const block of blocks) {
+        const blockTokens = estimateTokens(block) + 1;
+        if (current.length > 0 && tokens + blockTokens > maxTokens) {
+            groups.push(current);
+            current = [];
+            tokens = 0;
+        }
+        current.push(block);
+        tokens += blockTokens;
+    }
+    if (current.length > 0) groups.push(current);
+
+    return groups.map(group => {
+        const times = group.map(block => block.match(BLOCK_TIME_PATTERN)).filter(Boolean);
+        return {
+            start: times.length > 0 ? times[0][1] : null,
+            end: times.length > 0 ? times[times.length - 1][2] : null,
+            text: group.join('\n\n')
+        };
+    });
+}
+
+function fingerprintOf(texts) {
+    return crypto.createHash('sha256').update(texts.join('\u0000')).digest('hex');
+}
+
+function rangeLabel(part, index) {
+    return part.start ? `${part.start} - ${part.end}` : `part ${index + 1}`;
+}
+
+function buildPartPrompt(prompt, context, part, index, count) {
+    return `You are reading part ${index + 1} of ${count} (${rangeLabel(part, index)}) of a long recording's transcript. ` +
+        `The full transcript will be analysed with the instructions below, using notes taken from every part.\n\n` +
+        `Instructions:\n${prompt}\n\n` +
+        `Write the notes for this part only: everything the instructions will need (topics, decisions, action items, ` +
+        `names, figures, open questions), each with its timestamp. Do not write the final answer yet.\n\n` +
+        `${context}Transcript part:\n${part.text}`;
+}
+
+function buildCombinePrompt(prompt, notes, { final, missing = [] }) {
+    const sections = notes.map(note => `=== ${note.label} ===\n${note.text}`).join('\n\n');
+    if (!final) {
+        return `Merge these consecutive notes from a long recording's transcript into one set of notes, ` +
+            `keeping every detail and timestamp relevant to these instructions:\n${prompt}\n\n${sections}`;
+    }
+    const gaps = missing.length > 0
+        ? `These parts could not be analysed and are missing from the notes: ${missing.join(', ')}. Mention the gap in your answer.\n\n`
+        : '';
+    return `${prompt}\n\nThe recording was too long to analyse in one request. Below are notes taken from its ` +
+        `consecutive parts, in order and with timestamps. Answer the instructions above for the whole recording ` +
+        `from these notes, as if you had read the full transcript.\n\n${gaps}${sections}`;
+}
+
+/**
+ * Analyses a long transcript in parts and combines the results.
+ * @param {Object} options
+ * @param {string} options.transcript - formatTranscript() output
+ * @param {string} options.prompt - User's analysis prompt
+ * @param {string} [options.context] - Notes on the transcript format (speaker labels, slide text)
+ * @param {number} options.maxTokens - From chunkBudget()
+ * @param {function(string): Promise<string>} options.callModel - Sends one prompt, returns the text
+ * @param {function(string): Promise<string>} [options.callFinal] - Sends the final request (structured answers); defaults to callModel
+ * @param {Object|null} [options.state] - Saved by a previous attempt
+ * @param {function(Object): Promise<void>} [options.saveState] - Called after every part
+ * @returns {Promise<string>} Final analysis
+ * @throws {Error} With `retryable` set when a failed part or the final pass should be retried
+ */
+async function analyzeInChunks({ transcript, prompt, context = '', maxTokens, callModel, callFinal = callModel, state = null, saveState = async () => {} }) {
+    const parts = chunkTranscript(transcript, maxTokens);
+    const fingerprint = fingerprintOf([prompt, ...parts.map(part => part.text)]);
+    // Progress only carries over for the same prompt and transcript
+    const progress = state && state.fingerprint === fingerprint ? state : {
+        fingerprint,
+        combineAttempts: 0,
+        parts: parts.map(part => ({ start: part.start, end: part.end, status: 'pending', attempts: 0, notes: null, error: null })),
+        result: null
+    };
+    // Finished on an earlier attempt that failed elsewhere (another prompt of the same recording)
+    if (progress.result) {
+        return progress.result;
+    }
+
+    for (const [i, part] of parts.entries()) {
+        const record = progress.parts[i];
+        if (record.status === 'done' || record.attempts >= MAX_CHUNK_ATTEMPTS) continue;
+
+        record.attempts++;
+        try {
+            record.notes = await callModel(buildPartPrompt(prompt, context, part, i, parts.length));
+            record.status = 'done';
+            record.error = null;
+            console.log(`Analysed part ${i + 1}/${parts.length} (${rangeLabel(part, i)}).`);
+        } catch (err) {
+            record.status = 'failed';
+            record.error = err.message;
+            console.warn(`Analysis of part ${i + 1}/${parts.length} failed (attempt ${record.attempts}/${MAX_CHUNK_ATTEMPTS}): ${err.message}`);
+        }
+        await saveState(progress);
+    }
+
+    const retry = progress.parts.filter(record => record.status !== 'done' && record.attempts < MAX_CHUNK_ATTEMPTS);
+    if (retry.length > 0) {
+        const err = new Error(`${retry.length} of ${parts.length} analysis parts failed; retrying them on the next attempt`);
+        err.retryable = true;
+        throw err;
+    }
+
+    let notes = progress.parts
+        .map((record, i) => ({ label: rangeLabel(record, i), text: record.notes, done: record.status === 'done' }))
+        .filter(note => note.done);
+    const missing = progress.parts
+        .map((record, i) => record.status === 'done' ? null : rangeLabel(record, i))
+        .filter(Boolean);
+    if (notes.length === 0) {
+        throw new Error(`All ${parts.length} analysis parts failed: ${progress.parts[0].error}`);
+    }
+
+    try {
+        // Merge neighbouring notes until the final request fits
+        while (notes.length > 1 && estimateTokens(buildCombinePrompt(prompt, notes, { final: true, missing })) > maxTokens) {
+            const batches = [];
+            for (const note of notes) {
+                const batch = batches[batches.length - 1];
+                if (batch && estimateTokens(buildCombinePrompt(prompt, [...batch, note], { final: false })) <= maxTokens) {
+                    batch.push(note);
+                } else {
+                    batches.push([note]);
+                }
+            }
+            if (batches.length === notes.length) break; // Every note alone fills the budget
+            const merged = [];
+            for (const batch of batches) {
+                merged.push(batch.length === 1 ? batch[0] : {
+                    label: `${batch[0].label.split(' - ')[0]} - ${batch[batch.length - 1].label.split(' - ').pop()}`,
+                    text: await callModel(buildCombinePrompt(prompt, batch, { final: false }))
+                });
+            }
+            notes = merged;
+        }
+        progress.result = await callFinal(buildCombinePrompt(prompt, notes, { final: true, missing }));
+    } catch (err) {
+        progress.combineAttempts = (progress.combineAttempts || 0) + 1;
+        await saveState(progress);
+        console.warn(`Combining the analysis parts failed (attempt ${progress.combineAttempts}/${MAX_CHUNK_ATTEMPTS}): ${err.message}`);
+        err.retryable = progress.combineAttempts < MAX_CHUNK_ATTEMPTS;
+        throw err;
+    }
+    await saveState(progress);
+    return progress.result;
+}
+
+/**
+ * Answers a request that fits the budget, or returns the answer an earlier
+ * attempt saved for the same request.
+ * @param {Object} options
+ * @param {string} options.request - Prompt with the whole transcript
+ * @param {function(string): Promise<string>} options.callModel - Sends the request, returns the text
+ * @param {Object|null} [options.state] - Saved by a previous attempt
+ * @param {function(Object): Promise<void>} [options.saveState] - Called with the answer
+ * @returns {Promise<string>}
+ */
+async function analyzeWhole({ request, callModel, state = null, saveState = async () => {} }) {
+    const fingerprint = fingerprintOf([request]);
+    if (state && state.fingerprint === fingerprint && state.result) {
+        console.log('Reusing the answer from an earlier attempt.');
+        return state.result;
+    }
+    const result = await callModel(request);
+    await saveState({ fingerprint, result });
+    return result;
+}
+
+module.exports = {
+    MAX_CHUNK_ATTEMPTS,
+    estimateTokens,
+    chunkBudget,
+    chunkTranscript,
+    analyzeInChunks,
+    analyzeWhole
+};
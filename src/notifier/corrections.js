@@ -0,0 +1,89 @@
+/**
+ * Transcript corrections.
+ *
+ * A find/replace dictionary edited on the dashboard and stored in the
+ * transcripts bucket: `_config/corrections.txt` for every folder and
+ * `_config/corrections/<profileId>.txt` for one watched folder. One rule per
+ * line, `#` starts a comment:
+ *
+ *   cube control => kubectl
+ *   jenny eye => GenAI
+ *
+ * Matching ignores case and only hits whole words; the longest rule wins where
+ * rules overlap, and replacements are never matched again.
+ */
+
+const CORRECTIONS_CONFIG_FILE = '_config/corrections.txt';
+const CORRECTIONS_CONFIG_PREFIX = '_config/corrections/';
+
+const SEPARATOR = '=>';
+
+function normalizeKey(text) {
+    return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Reads a correction file. Lines without "=>" or with an empty side are skipped.
+ * @param {string} text - File content
+ * @returns {Array<{from: string, to: string}>}
+ */
+function parseCorrections(text) {
+    const corrections = [];
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const rule = line.replace(/#.*$/, '');
+        const separatorAt = rule.indexOf(SEPARATOR);
+        if (separatorAt === -1) continue;
+
+        const from = rule.slice(0, separatorAt).trim().replace(/\s+/g, ' ');
+        const to = rule.slice(separatorAt + SEPARATOR.length).trim();
+        if (from && to) {
+            corrections.push({ from, to });
+        }
+    }
+    return corrections;
+}
+
+/**
+ * Combines rule lists; a later list replaces rules for the same phrase.
+ * @param {...Array<{from: string, to: string}>} lists - e.g. global, then folder
+ * @returns {Array<{from: string, to: string}>}
+ */
+function mergeCorrections(...lists) {
+    const byKey = new Map();
+    for (const correction of lists.flat()) {
+        byKey.set(normalizeKey(correction.from), correction);
+    }
+    return [...byKey.values()];
+}
+
+/**
+ * Applies corrections to transcript text in a single pass.
+ * @param {string} text
+ * @param {Array<{from: string, to: string}>} corrections
+ * @returns {string}
+ */
+function applyCorrections(text, corrections) {
+    if (!text || !corrections || corrections.length === 0) {
+        return text;
+    }
+
+    const replacements = new Map(corrections.map(c => [normalizeKey(c.from), c.to]));
+    const alternatives = [...replacements.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(key => key.split(' ').map(escapeRegExp).join('\\s+'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+    return text.replace(pattern, match => replacements.get(normalizeKey(match)) || match);
+}
+
+module.exports = {
+    CORRECTIONS_CONFIG_FILE,
+    CORRECTIONS_CONFIG_PREFIX,
+    parseCorrections,
+    mergeCorrections,
+    applyCorrections
+};
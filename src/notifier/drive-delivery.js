@@ -0,0 +1,161 @@
+/**
+ * Delivery of transcripts back into Google Drive.
+ *
+ * With a profile's `driveDelivery.enabled`, the transcript and analysis are
+ * written next to the source recording, into `driveDelivery.subfolder` of the
+ * recording's folder ("Transcripts" by default, created on first use; "a/b"
+ * nests, "" writes into the folder itself). `driveDelivery.googleDocs`
+ * converts them to Google Docs.
+ *
+ * Every delivered file carries appProperties naming the recording's Drive
+ * file ID and the output kind, so a re-run updates the file it wrote before
+ * (even after it was renamed) instead of adding a duplicate.
+ *
+ * All functions take an authenticated Drive v3 client (drive scope) so this
+ * module stays free of auth and environment handling.
+ */
+
+const { Readable } = require('stream');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+
+const APP_PROPERTY = {
+    SOURCE: 'transcriptSource', // Drive file ID of the recording
+    KIND: 'transcriptKind'      // "transcript", "analysis", ...
+};
+
+// 403s that are throttling, not missing permissions
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'sharingRateLimitExceeded'];
+
+function escapeQueryValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * True for Drive's answer to a folder the service account cannot write to:
+ * 403 with Viewer/Commenter access, 404 without any access.
+ * @param {Error} err - googleapis (gaxios) error
+ * @returns {boolean}
+ */
+function isWriteDenied(err) {
+    const status = typeof err.code === 'number' ? err.code : (err.response && err.response.status);
+    if (status === 404) return true;
+    if (status !== 403) return false;
+    const reasons = (err.errors || []).map(e => e.reason);
+    return !reasons.some(reason => RATE_LIMIT_REASONS.includes(reason));
+}
+
+/**
+ * Finds a subfolder by name, creating it if it does not exist.
+ * @param {Object} drive - Drive v3 client
+ * @param {string} parentFolderId
+ * @param {string} name
+ * @param {Object} listOptions - Shared Drive options for files.list
+ * @returns {Promise<string>} Folder ID
+ */
+async function findOrCreateFolder(drive, parentFolderId, name, listOptions) {
+    const res = await drive.files.list({
+        q: `'${parentFolderId}' in parents and name = '${escapeQueryValue(name)}' and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`,
+        fields: 'files(id)',
+        pageSize: 1,
+        ...listOptions
+    });
+    if (res.data.files && res.data.files.length > 0) {
+        return res.data.files[0].id;
+    }
+
+    const created = await drive.files.create({
+        requestBody: { name, mimeType: FOLDER_MIME_TYPE, parents: [parentFolderId] },
+        fields: 'id',
+        supportsAllDrives: true
+    });
+    console.log(`Created Drive folder "${name}" (${created.data.id}) in ${parentFolderId}`);
+    return created.data.id;
+}
+
+/**
+ * Creates a file, or replaces the content of the one a previous run wrote.
+ * @returns {Promise<{kind: string, id: string, name: string, link: string|null, updated: boolean}>}
+ */
+async function upsertFile(drive, folderId, sourceId, file, googleDocs, listOptions) {
+    const res = await drive.files.list({
+        q: `'${folderId}' in parents and trashed = false` +
+            ` and appProperties has { key='${APP_PROPERTY.SOURCE}' and value='${escapeQueryValue(sourceId)}' }` +
+            ` and appProperties has { key='${APP_PROPERTY.KIND}' and value='${escapeQueryValue(file.kind)}' }`,
+        fields: 'files(id)',
+        pageSize: 1,
+        ...listOptions
+    });
+    const existing = res.data.files && res.data.files[0];
+
+    // Drive converts text/plain uploads into a Doc when the target is a Doc
+    const name = googleDocs ? file.name.replace(/\.txt$/, '') : file.name;
+    const media = { mimeType: 'text/plain', body: Readable.from([file.content]) };
+
+    if (existing) {
+        const updated = await drive.files.update({
+            fileId: existing.id,
+            media,
+            fields: 'id, name, webViewLink',
+            supportsAllDrives: true
+        });
+        return { kind: file.kind, id: updated.data.id, name: updated.data.name, link: updated.data.webViewLink || null, updated: true };
+    }
+
+    const created = await drive.files.create({
+        requestBody: {
+            name,
+            parents: [folderId],
+            mimeType: googleDocs ? GOOGLE_DOC_MIME_TYPE : 'text/plain',
+            appProperties: { [APP_PROPERTY.SOURCE]: sourceId, [APP_PROPERTY.KIND]: file.kind }
+        },
+        media,
+        fields: 'id, name, webViewLink',
+        supportsAllDrives: true
+    });
+    return { kind: file.kind, id: created.data.id, name: created.data.name, link: created.data.webViewLink || null, updated: false };
+}
+
+/**
+ * Writes a recording's outputs into its Drive folder.
+ * @param {Object} drive - Drive v3 client with the drive scope
+ * @param {Object} delivery
+ * @param {string} delivery.parentFolderId - Folder of the source recording
+ * @param {string} delivery.sourceId - Drive file ID of the recording
+ * @param {string} delivery.subfolder - Folder path below parentFolderId; "" for the folder itself
+ * @param {boolean} delivery.googleDocs - Convert to Google Docs
+ * @param {Array<{kind: string, name: string, content: string}>} delivery.files
+ * @param {Object} [delivery.listOptions] - Shared Drive options for files.list
+ * @param {string} [delivery.serviceAccount] - Named in the access error
+ * @returns {Promise<Array<{kind: string, id: string, name: string, link: string|null, updated: boolean}>>}
+ */
+async function deliverToDrive(drive, { parentFolderId, sourceId, subfolder, googleDocs, files, listOptions = {}, serviceAccount }) {
+    try {
+        let folderId = parentFolderId;
+        for (const name of String(subfolder || '').split('/').map(s => s.trim()).filter(Boolean)) {
+            folderId = await findOrCreateFolder(drive, folderId, name, listOptions);
+        }
+
+        const delivered = [];
+        for (const file of files) {
+            delivered.push(await upsertFile(drive, folderId, sourceId, file, googleDocs, listOptions));
+        }
+        return delivered;
+    } catch (err) {
+        if (!isWriteDenied(err)) throw err;
+        const denied = new Error(`Cannot write to Drive folder ${parentFolderId}: ` +
+            `${serviceAccount || 'the service account'} needs Editor access to it (Contributor or higher on a Shared Drive); ` +
+            `Viewer access only allows reading recordings. Drive said: ${err.message}`);
+        denied.code = 'DRIVE_WRITE_DENIED';
+        denied.cause = err;
+        throw denied;
+    }
+}
+
+module.exports = {
+    FOLDER_MIME_TYPE,
+    GOOGLE_DOC_MIME_TYPE,
+    APP_PROPERTY,
+    deliverToDrive
+};
@@ -0,0 +1,196 @@
+/**
+ * Prompt files in Google Drive.
+ *
+ * Without a library or dashboard prompt, the analysis prompt is the nearest
+ * PROMPT.md to the recording: its own folder is searched first, then each
+ * parent up to the watched folder. In every folder the prompt may sit in a
+ * `_prompts` (or `THE PROMPT`) subfolder or directly in the folder:
+ *
+ *   Watched folder/
+ *   ├── _prompts/PROMPT.md        <- every recording without a closer prompt
+ *   └── Sales/
+ *       ├── _prompts/PROMPT.md    <- recordings in Sales/ and below
+ *       └── Call.mp4
+ *
+ * Front-matter in the prompt file can pick the model, and ask for a
+ * structured answer with a JSON Schema written as JSON on one line:
+ *
+ *   ---
+ *   model: claude-sonnet-4
+ *   schema: {"type": "object", "properties": {"summary": {"type": "string"}}}
+ *   ---
+ *   Summarize the call ...
+ *
+ * Lookups are cached per folder for PROMPT_CACHE_TTL_MS, so consecutive
+ * recordings from the same folders do not search Drive again; edits to a
+ * prompt apply after that long.
+ *
+ * All functions take an authenticated Drive v3 client (drive.readonly is
+ * enough) so this module stays free of auth and environment handling.
+ */
+
+const { schemaError } = require('./structured');
+
+const PROMPT_FOLDER_NAMES = ['_prompts', 'THE PROMPT'];
+const PROMPT_FILE_NAMES = ['PROMPT.md', 'PROMPT.MD', 'prompt.md'];
+const PROMPT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+// Guards against parent loops and runaway walks outside the watched folder
+const MAX_FOLDER_DEPTH = 20;
+
+function escapeQueryValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Splits a prompt file into its front-matter settings and the prompt. An
+ * unusable schema is ignored with a warning, so the prompt still runs as text.
+ * @param {string} text - Prompt file content
+ * @returns {{prompt: string, model: string|null, schema?: Object}}
+ */
+function parsePromptFile(text) {
+    const value = String(text || '').replace(/^\uFEFF/, '');
+    const match = value.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+        return { prompt: value.trim(), model: null };
+    }
+
+    const settings = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const setting = line.match(/^\s*([A-Za-z_][\w-]*)\s*:\s*(.*?)\s*$/);
+        if (setting) {
+            settings[setting[1].toLowerCase()] = setting[2].replace(/^(['"])(.*)\1$/, '$2');
+        }
+    }
+    const prompt = value.slice(match[0].length).trim();
+    const schema = settings.schema ? parseSchemaSetting(settings.schema) : null;
+    return { prompt, model: settings.model || null, ...(schema ? { schema } : {}) };
+}
+
+function parseSchemaSetting(value) {
+    let schema;
+    try {
+        schema = JSON.parse(value);
+    } catch (e) {
+        console.warn(`Ignoring the prompt file's schema, it is not JSON on one line: ${e.message}`);
+        return null;
+    }
+    const problem = schemaError(schema);
+    if (problem) {
+        console.warn(`Ignoring the prompt file's schema: ${problem}`);
+        return null;
+    }
+    return schema;
+}
+
+/**
+ * Cached lookup; a failed lookup is not cached.
+ */
+async function cached(cache, key, load) {
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) {
+        return hit.value;
+    }
+    const value = await load();
+    cache.set(key, { value, expires: Date.now() + PROMPT_CACHE_TTL_MS });
+    return value;
+}
+
+async function findChild(drive, folderId, nameQuery, extraQuery, listOptions) {
+    const res = await drive.files.list({
+        q: `'${folderId}' in parents and trashed = false and (${nameQuery})${extraQuery}`,
+        fields: 'files(id, name, webViewLink)',
+        pageSize: 1,
+        ...listOptions
+    });
+    return (res.data.files && res.data.files[0]) || null;
+}
+
+/**
+ * The prompt file of one folder (in a prompt subfolder first), downloaded.
+ * @returns {Promise<{id: string, name: string, location: string, link: string|null, content: string}|null>}
+ */
+async function findFolderPrompt(drive, folderId, listOptions) {
+    const fileQuery = PROMPT_FILE_NAMES.map(name => `name = '${escapeQueryValue(name)}'`).join(' or ');
+    const places = [];
+    for (const folderName of PROMPT_FOLDER_NAMES) {
+        const promptFolder = await findChild(drive, folderId, `name = '${escapeQueryValue(folderName)}'`, ` and mimeType = '${FOLDER_MIME_TYPE}'`, listOptions);
+        if (promptFolder) places.push({ id: promptFolder.id, location: `${folderName}/` });
+    }
+    places.push({ id: folderId, location: '' });
+
+    for (const place of places) {
+        const file = await findChild(drive, place.id, fileQuery, ` and mimeType != '${FOLDER_MIME_TYPE}'`, listOptions);
+        if (!file) continue;
+
+        const res = await drive.files.get({ fileId: file.id, alt: 'media', supportsAllDrives: true }, { responseType: 'text' });
+        const content = typeof res.data === 'string' ? res.data : Buffer.from(res.data).toString();
+        return { id: file.id, name: file.name, location: `${place.location}${file.name}`, link: file.webViewLink || null, content };
+    }
+    return null;
+}
+
+/**
+ * Finds the prompt file nearest to a recording.
+ * @param {Object} drive - Drive v3 client
+ * @param {Object} options
+ * @param {string[]} options.startFolderIds - The recording's folder (ID variants to try in order); empty starts at the root
+ * @param {string} options.rootFolderId - Watched folder; the search stops there
+ * @param {Object} [options.listOptions] - Shared Drive options for files.list
+ * @param {Map} cache - Kept between calls (per function instance)
+ * @returns {Promise<{prompt: string, model: string|null, schema?: Object, fileId: string, path: string, link: string|null}|null>}
+ *   `path` is "<folder name>/_prompts/PROMPT.md"
+ */
+async function locateNearestPrompt(drive, { startFolderIds = [], rootFolderId, listOptions = {} }, cache) {
+    const getFolder = folderId => cached(cache, `folder:${folderId}`, async () => {
+        const res = await drive.files.get({ fileId: folderId, fields: 'id, name, parents', supportsAllDrives: true });
+        return { name: res.data.name, parents: res.data.parents || [] };
+    });
+
+    let folderId = null;
+    for (const candidate of startFolderIds.filter(Boolean)) {
+        try {
+            await getFolder(candidate);
+            folderId = candidate;
+            break;
+        } catch (e) {
+            console.log(`Recording folder ${candidate} not readable (${e.message}); trying the next candidate.`);
+        }
+    }
+    folderId = folderId || rootFolderId;
+
+    const visited = new Set();
+    while (folderId && !visited.has(folderId) && visited.size < MAX_FOLDER_DEPTH) {
+        visited.add(folderId);
+        let folder;
+        try {
+            folder = await getFolder(folderId);
+        } catch (e) {
+            console.warn(`Cannot read Drive folder ${folderId} while looking for a prompt: ${e.message}`);
+            break;
+        }
+        const found = await cached(cache, `prompt:${folderId}`, () => findFolderPrompt(drive, folderId, listOptions));
+        if (found) {
+            return { ...parsePromptFile(found.content), fileId: found.id, path: `${folder.name}/${found.location}`, link: found.link };
+        }
+        if (folderId === rootFolderId) {
+            return null;
+        }
+        // Up one level; outside the watched folder the walk ends at the top of the drive, then tries the root
+        folderId = folder.parents[0] || rootFolderId;
+    }
+
+    if (rootFolderId && !visited.has(rootFolderId)) {
+        return locateNearestPrompt(drive, { startFolderIds: [], rootFolderId, listOptions }, cache);
+    }
+    return null;
+}
+
+module.exports = {
+    PROMPT_FOLDER_NAMES,
+    PROMPT_FILE_NAMES,
+    PROMPT_CACHE_TTL_MS,
+    parsePromptFile,
+    locateNearestPrompt
+};
@@ -0,0 +1,152 @@
+/**
+ * HTML version of the transcript email.
+ *
+ * The email goes out as multipart/alternative: the plain text built by the
+ * notifier, and this HTML rendered from a template. The default template is
+ * email-template.html next to this file; operators replace it by uploading
+ * their own as `_config/email-template.html` to the transcripts bucket.
+ *
+ * Templates use `{{name}}` for text, which is escaped, and `{{{name}}}` for
+ * the sections rendered here (badges, buttons, analyses, transcript). Unknown
+ * names render empty.
+ *
+ * Analyses are Markdown. Raw HTML in them (model output) is shown as text,
+ * and links or images other than http(s) and mailto as their text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Marked } = require('marked');
+
+const EMAIL_TEMPLATE_FILE = '_config/email-template.html';
+const DEFAULT_EMAIL_TEMPLATE = fs.readFileSync(path.join(__dirname, 'email-template.html'), 'utf8');
+
+// Passages of the transcript shown in the email; the attachment has all of them
+const TRANSCRIPT_PREVIEW_PASSAGES = 20;
+
+const markdown = new Marked({
+    gfm: true,
+    breaks: true, // Model answers use single line breaks for structure
+    renderer: {
+        html(token) {
+            return escapeHtml(token.text);
+        },
+        // Links and images from model output only keep web and mail URLs
+        link(token) {
+            const text = this.parser.parseInline(token.tokens);
+            if (!isSafeUrl(token.href)) return text;
+            const title = token.title ? ` title="${escapeHtml(token.title)}"` : '';
+            return `<a href="${escapeHtml(token.href)}"${title}>${text}</a>`;
+        },
+        image(token) {
+            if (!isSafeUrl(token.href)) return escapeHtml(token.text);
+            const title = token.title ? ` title="${escapeHtml(token.title)}"` : '';
+            return `<img src="${escapeHtml(token.href)}" alt="${escapeHtml(token.text)}"${title}>`;
+        }
+    }
+});
+
+function isSafeUrl(url) {
+    return /^(https?:|mailto:)/i.test(String(url || '').trim());
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Fills a template.
+ * @param {string} template
+ * @param {Object<string, string>} text - Values for {{name}}
+ * @param {Object<string, string>} sections - HTML for {{{name}}}
+ * @returns {string}
+ */
+function fillTemplate(template, text, sections) {
+    // One pass, so braces inside inserted values are left alone
+    return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, section, name) =>
+        section ? sections[section] || '' : escapeHtml(text[name] || ''));
+}
+
+function renderBadges(badges) {
+    return badges
+        .filter(badge => badge.value)
+        .map(badge => `<span class="badge">${escapeHtml(badge.label)}: <strong>${escapeHtml(badge.value)}</strong></span>`)
+        .join('\n');
+}
+
+function renderButtons(buttons) {
+    const html = buttons
+        .filter(button => button.url)
+        .map(button => `<a class="button" href="${escapeHtml(button.url)}">${escapeHtml(button.label)}</a>`)
+        .join('\n');
+    return html ? `<div>${html}</div>` : '';
+}
+
+function renderAnalyses(analyses) {
+    return analyses.map(analysis => `<div class="card analysis">\n` +
+        `<h2>${escapeHtml(analysis.title)}</h2>\n` +
+        (analysis.source ? `<p class="source">Prompt: ${escapeHtml(analysis.source)}</p>\n` : '') +
+        `${markdown.parse(analysis.text)}</div>`).join('\n');
+}
+
+/**
+ * Collapsible preview of the first passages of the formatted transcript
+ * ("[0:00 - 0:12] Speaker 1: ..." blocks).
+ */
+function renderTranscript(transcript) {
+    const passages = String(transcript || '').split('\n\n').map(passage => passage.trim()).filter(Boolean);
+    if (passages.length === 0) return '';
+
+    const shown = passages.slice(0, TRANSCRIPT_PREVIEW_PASSAGES);
+    const label = shown.length < passages.length
+        ? `Transcript preview (first ${shown.length} of ${passages.length} passages)`
+        : `Transcript (${passages.length} passage${passages.length === 1 ? '' : 's'})`;
+    const html = shown.map(passage => {
+        const match = passage.match(/^(\[[\d:]+ - [\d:]+\])\s*([\s\S]*)$/);
+        const body = escapeHtml(match ? match[2] : passage).replace(/\n/g, '<br>');
+        return `<p class="passage">${match ? `<span class="timestamp">${escapeHtml(match[1])}</span> ` : ''}${body}</p>`;
+    }).join('\n');
+    return `<div class="card"><details>\n<summary>${label}</summary>\n${html}\n</details></div>`;
+}
+
+/**
+ * Renders the HTML email.
+ * @param {string} template - DEFAULT_EMAIL_TEMPLATE or the operator's
+ * @param {Object} view
+ * @param {string} view.subject
+ * @param {string} view.title - Recording name
+ * @param {string} view.intro - First paragraph
+ * @param {Array<{label: string, value: string}>} [view.badges] - Duration, language, models; empty values are left out
+ * @param {Array<{label: string, url: string}>} [view.buttons] - Dashboard and files
+ * @param {string[]} [view.notes] - Warnings, e.g. a failed Drive delivery
+ * @param {Array<{title: string, source?: string, text: string}>} [view.analyses] - Markdown text
+ * @param {string} [view.transcript] - Formatted transcript
+ * @param {string} [view.dashboardUrl]
+ * @returns {string}
+ */
+function renderEmailHtml(template, view) {
+    return fillTemplate(template, {
+        subject: view.subject,
+        title: view.title,
+        intro: view.intro,
+        dashboardUrl: view.dashboardUrl
+    }, {
+        badges: renderBadges(view.badges || []),
+        buttons: renderButtons(view.buttons || []),
+        notes: (view.notes || []).map(note => `<p class="note">${escapeHtml(note)}</p>`).join('\n'),
+        analyses: renderAnalyses(view.analyses || []),
+        transcript: renderTranscript(view.transcript)
+    });
+}
+
+module.exports = {
+    EMAIL_TEMPLATE_FILE,
+    DEFAULT_EMAIL_TEMPLATE,
+    TRANSCRIPT_PREVIEW_PASSAGES,
+    renderEmailHtml
+};
@@ -0,0 +1,324 @@
+/**
+ * Transcript exports.
+ *
+ * Next to `<key>_TRANSCRIPT.txt`, a profile's `exports` list picks extra
+ * formats, saved to the transcripts bucket and attached to the email:
+ *
+ *   srt   <key>.srt               SubRip captions
+ *   vtt   <key>.vtt               WebVTT captions, speakers as <v Speaker N> voices
+ *   docx  <key>_TRANSCRIPT.docx   Word version of the formatted transcript
+ *   json  <key>_TRANSCRIPT.json   The normalized transcript (see normalize.js) plus the
+ *                                 recording's name and language, corrections applied
+ *                                 to segment text
+ *
+ * Captions are cut from the word timings: a cue ends at a sentence, a speaker
+ * change, a pause, or when it would exceed CAPTION_LIMITS, and its text is
+ * wrapped into at most two balanced lines.
+ */
+
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const { applyCorrections } = require('./corrections');
+
+const EXPORT_FORMAT = {
+    SRT: 'srt',
+    VTT: 'vtt',
+    DOCX: 'docx',
+    JSON: 'json'
+};
+
+const EXPORT_FORMATS = Object.values(EXPORT_FORMAT);
+
+// Suffix replacing ".json" in "<key>.json"
+const EXPORT_SUFFIX = {
+    [EXPORT_FORMAT.SRT]: '.srt',
+    [EXPORT_FORMAT.VTT]: '.vtt',
+    [EXPORT_FORMAT.DOCX]: '_TRANSCRIPT.docx',
+    [EXPORT_FORMAT.JSON]: '_TRANSCRIPT.json'
+};
+
+const CONTENT_TYPE = {
+    [EXPORT_FORMAT.SRT]: 'application/x-subrip; charset=utf-8',
+    [EXPORT_FORMAT.VTT]: 'text/vtt; charset=utf-8',
+    [EXPORT_FORMAT.DOCX]: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    [EXPORT_FORMAT.JSON]: 'application/json; charset=utf-8'
+};
+
+// Common broadcast caption guidelines
+const CAPTION_LIMITS = {
+    maxLineLength: 42,
+    maxLines: 2,
+    maxDurationSeconds: 7,
+    minDurationSeconds: 1,
+    maxPauseSeconds: 1.5
+};
+
+const SENTENCE_END = /[.!?…]["')\]]?$/;
+
+/**
+ * Output object name of an export.
+ * @param {string} transcriptName - "<key>.json"
+ * @param {string} format - One of EXPORT_FORMAT
+ * @returns {string}
+ */
+function exportFileName(transcriptName, format) {
+    return transcriptName.replace(/\.json$/, EXPORT_SUFFIX[format]);
+}
+
+/**
+ * Words of a segment; segments without word timings get their text spread
+ * over the segment by length.
+ */
+function segmentWords(segment) {
+    if (segment.words && segment.words.length > 0) {
+        return segment.words;
+    }
+    const tokens = String(segment.text || '').trim().split(/\s+/).filter(Boolean);
+    const totalLength = tokens.reduce((sum, token) => sum + token.length, 0);
+    const duration = Math.max((segment.end || 0) - (segment.start || 0), 0);
+    let offset = segment.start || 0;
+    return tokens.map(token => {
+        const start = offset;
+        offset += duration * (token.length / totalLength);
+        return { word: token, start, end: offset, speaker: segment.speaker || null };
+    });
+}
+
+/**
+ * Splits caption text into lines of at most maxLineLength, two lines as even
+ * as possible. Text that cannot fit in two lines wraps greedily.
+ * @param {string} text
+ * @param {number} [maxLineLength]
+ * @returns {string[]}
+ */
+function wrapCaption(text, maxLineLength = CAPTION_LIMITS.maxLineLength) {
+    if (text.length <= maxLineLength) {
+        return [text];
+    }
+
+    let best = null;
+    for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+        const longer = Math.max(i, text.length - i - 1);
+        if (longer <= maxLineLength && (!best || longer < best.longer)) {
+            best = { at: i, longer };
+        }
+    }
+    if (best) {
+        return [text.slice(0, best.at), text.slice(best.at + 1)];
+    }
+
+    const lines = [];
+    for (const word of text.split(' ')) {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= maxLineLength) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Cuts a transcript into caption cues.
+ * @param {Object[]} segments - Normalized transcript segments
+ * @param {Array<{from: string, to: string}>} [corrections] - See corrections.js
+ * @returns {Array<{start: number, end: number, speaker: number|null, newSpeaker: boolean, text: string}>}
+ */
+function buildCaptionCues(segments, corrections = []) {
+    const words = (segments || [])
+        .flatMap(segmentWords)
+        .filter(w => w.word)
+        .sort((a, b) => a.start - b.start);
+
+    const cues = [];
+    let current = null;
+    const closeCue = () => {
+        if (current) {
+            const { start, end, speaker, newSpeaker } = current;
+            cues.push({ start, end, speaker, newSpeaker, text: applyCorrections(current.words.join(' '), corrections) });
+        }
+    };
+    for (const w of words) {
+        const speaker = w.speaker || null;
+        const fits = current &&
+            speaker === current.speaker &&
+            !SENTENCE_END.test(current.words[current.words.length - 1]) &&
+            w.start - current.end <= CAPTION_LIMITS.maxPauseSeconds &&
+            w.end - current.start <= CAPTION_LIMITS.maxDurationSeconds &&
+            wrapCaption(`${current.label}${current.words.join(' ')} ${w.word}`).length <= CAPTION_LIMITS.maxLines;
+        if (fits) {
+            current.words.push(w.word);
+            current.end = w.end;
+            continue;
+        }
+        closeCue();
+        const newSpeaker = Boolean(speaker) && (!current || current.speaker !== speaker);
+        current = {
+            start: w.start,
+            end: w.end,
+            speaker,
+            newSpeaker,
+            // Room for formatSrt()'s speaker name
+            label: newSpeaker ? `Speaker ${speaker}: ` : '',
+            words: [w.word]
+        };
+    }
+    closeCue();
+
+    return cues.map((cue, i) => {
+        // Short cues stay up for minDurationSeconds unless the next one starts first
+        const next = cues[i + 1];
+        const minEnd = cue.start + CAPTION_LIMITS.minDurationSeconds;
+        const end = Math.max(cue.end, next ? Math.min(minEnd, next.start) : minEnd);
+        return { ...cue, end: next ? Math.min(end, next.start) : end };
+    });
+}
+
+/**
+ * "01:02:03,456" (SRT) or "01:02:03.456" (WebVTT).
+ */
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(Math.max(seconds, 0) * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * SubRip has no speaker markup, so the speaker is named where it changes.
+ * @param {Object[]} cues - From buildCaptionCues()
+ * @returns {string} SubRip file content
+ */
+function formatSrt(cues) {
+    return cues.map((cue, i) => {
+        const text = cue.newSpeaker ? `Speaker ${cue.speaker}: ${cue.text}` : cue.text;
+        return `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${wrapCaption(text).join('\n')}\n`;
+    }).join('\n');
+}
+
+/**
+ * @param {Object[]} cues - From buildCaptionCues()
+ * @returns {string} WebVTT file content
+ */
+function formatVtt(cues) {
+    const body = cues.map(cue => {
+        const voice = cue.speaker ? `<v Speaker ${cue.speaker}>` : '';
+        return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${voice}${wrapCaption(cue.text).join('\n')}\n`;
+    }).join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Word document of the formatted transcript: title, details, then one
+ * paragraph per block with its "[0:00 - 0:12] Speaker 1:" header in bold.
+ * @param {Object} options
+ * @param {string} options.title - Recording name
+ * @param {string[]} options.details - e.g. ["Duration: 5 min 32 sec", "Language: de-DE"]
+ * @param {string} options.transcript - formatTranscript() output
+ * @returns {Promise<Buffer>}
+ */
+async function buildDocx({ title, details, transcript }) {
+    const blocks = String(transcript || '').split('\n\n').filter(Boolean).map(block => {
+        const [header, ...lines] = block.split('\n');
+        return new Paragraph({
+            spacing: { after: 200 },
+            children: [
+                new TextRun({ text: header, bold: true }),
+                ...lines.map(line => new TextRun({ text: line, break: 1 }))
+            ]
+        });
+    });
+
+    const document = new Document({
+        title,
+        sections: [{
+            children: [
+                new Paragraph({ text: title, heading: HeadingLevel.HEADING_1 }),
+                ...details.map(line => new Paragraph({ children: [new TextRun({ text: line, color: '666666' })] })),
+                new Paragraph({ text: '' }),
+                ...blocks
+            ]
+        }]
+    });
+    return Packer.toBuffer(document);
+}
+
+/**
+ * The normalized transcript for other tools, with corrections applied to
+ * segment text (words keep what was recognised).
+ * @param {Object} transcriptData - Normalized transcript
+ * @param {Object} recording
+ * @param {string} recording.name - Readable file name
+ * @param {string|null} recording.languageCode
+ * @param {Array<{from: string, to: string}>} [corrections]
+ * @returns {string}
+ */
+function buildJsonExport(transcriptData, recording, corrections = []) {
+    return JSON.stringify({
+        ...transcriptData,
+        recording: { name: recording.name, languageCode: recording.languageCode || null },
+        exportedAt: new Date().toISOString(),
+        segments: (transcriptData.segments || []).map(segment => ({
+            ...segment,
+            text: applyCorrections(segment.text, corrections)
+        }))
+    }, null, 2);
+}
+
+/**
+ * Builds the requested exports of one transcript.
+ * @param {string[]} formats - Profile `exports`; unknown names are skipped
+ * @param {Object} options
+ * @param {string} options.transcriptName - "<key>.json"
+ * @param {Object} options.transcriptData - Normalized transcript
+ * @param {string} options.formattedTranscript - formatTranscript() output
+ * @param {string} options.title - Recording name
+ * @param {string[]} options.details - Header lines for the document
+ * @param {string|null} options.languageCode
+ * @param {Array<{from: string, to: string}>} [options.corrections]
+ * @returns {Promise<Array<{format: string, fileName: string, content: string|Buffer, contentType: string}>>}
+ */
+async function buildExports(formats, { transcriptName, transcriptData, formattedTranscript, title, details, languageCode, corrections = [] }) {
+    const requested = [...new Set(formats || [])];
+    const unknown = requested.filter(format => !EXPORT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        console.warn(`Ignoring unknown export formats: ${unknown.join(', ')}`);
+    }
+
+    const exports = [];
+    for (const format of requested.filter(f => EXPORT_FORMATS.includes(f))) {
+        let content;
+        switch (format) {
+            case EXPORT_FORMAT.SRT:
+                content = formatSrt(buildCaptionCues(transcriptData.segments, corrections));
+                break;
+            case EXPORT_FORMAT.VTT:
+                content = formatVtt(buildCaptionCues(transcriptData.segments, corrections));
+                break;
+            case EXPORT_FORMAT.DOCX:
+                content = await buildDocx({ title, details, transcript: formattedTranscript });
+                break;
+            case EXPORT_FORMAT.JSON:
+                content = buildJsonExport(transcriptData, { name: title, languageCode }, corrections);
+                break;
+        }
+        exports.push({ format, fileName: exportFileName(transcriptName, format), content, contentType: CONTENT_TYPE[format] });
+    }
+    return exports;
+}
+
+module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_FORMATS,
+    EXPORT_SUFFIX,
+    exportFileName,
+    wrapCaption,
+    buildCaptionCues,
+    formatSrt,
+    formatVtt,
+    buildDocx,
+    buildJsonExport,
+    buildExports
+};
@@ -4,14 +4,46 @@ const functions = require('@google-cloud/functions-framework');
 const { Readable } = require('stream');
 const { VertexAI } = require('@google-cloud/vertexai');
 const { GoogleAuth } = require('google-auth-library');
+const {
+    RAW_OUTPUT_PREFIX,
+    parseSeconds,
+    parseRawObjectName,
+    normalizeRawTranscript,
+    toTranscript
+} = require('./normalize');
+const {
+    CORRECTIONS_CONFIG_FILE,
+    CORRECTIONS_CONFIG_PREFIX,
+    parseCorrections,
+    mergeCorrections,
+    applyCorrections
+} = require('./corrections');
+const { EXPORT_FORMAT, EXPORT_SUFFIX, buildExports } = require('./exports');
+const { deliverToDrive } = require('./drive-delivery');
+const { estimateTokens, chunkBudget, analyzeInChunks, analyzeWhole } = require('./analysis');
+const { PROMPT_LIBRARY_FILE, ANALYSIS_JSON_PATTERN, parsePromptLibrary, selectPrompts, analysisSuffix } = require('./prompt-library');
+const { schemaError, toGeminiSchema, requestStructured, renderStructured } = require('./structured');
+const { locateNearestPrompt } = require('./drive-prompts');
+const { configuredChannels, sendNotice } = require('./shared/notify');
+const { profileFor, configuredProfiles, driveListOptions } = require('./shared/profiles');
+const { displayNameFromObjectName } = require('./shared/naming');
+const { EMAIL_TEMPLATE_FILE, DEFAULT_EMAIL_TEMPLATE, renderEmailHtml } = require('./email-html');
 
 // Model configuration
 const MODEL_CONFIG_FILE = '_config/model.txt';
+const PROMPT_CONFIG_FILE = '_config/prompt.txt';
+const PROMPT_SCHEMA_CONFIG_FILE = '_config/prompt.schema.json';
 const DEFAULT_MODEL = 'gemini-2.5-flash';
+// Longer transcripts are analysed in parts; ~60k tokens is 4-5 hours of speech
+const ANALYSIS_CHUNK_TOKENS = parseInt(process.env.ANALYSIS_CHUNK_TOKENS) || 60000;
 
 // Lazy-initialized clients
 let vertexAI = null;
 let googleAuth = null;
+let driveReader = null;
+let driveWriter = null;
+// Drive prompt lookups, reused across recordings while the instance lives
+const drivePromptCache = new Map();
 
 function getProjectConfig() {
     const projectId = process.env.GCP_PROJECT || process.env.GOOGLE_CLOUD_PROJECT;
@@ -39,7 +71,29 @@ function getGoogleAuth() {
     return googleAuth;
 }
 
-async function callClaudeOnVertex(prompt, modelId) {
+// Prompt lookups only read Drive; delivering transcripts needs the full drive scope
+async function getDriveReader() {
+    if (driveReader) return driveReader;
+    const auth = new google.auth.GoogleAuth({
+        scopes: ['https://www.googleapis.com/auth/drive.readonly']
+    });
+    driveReader = google.drive({ version: 'v3', auth: await auth.getClient() });
+    return driveReader;
+}
+
+async function getDriveWriter() {
+    if (driveWriter) return driveWriter;
+    const auth = new google.auth.GoogleAuth({
+        scopes: ['https://www.googleapis.com/auth/drive']
+    });
+    driveWriter = google.drive({ version: 'v3', auth: await auth.getClient() });
+    return driveWriter;
+}
+
+// Claude returns structured answers as the input of this tool (input_schema = the prompt's schema)
+const STRUCTURED_TOOL = 'record_analysis';
+
+async function callClaudeOnVertex(prompt, modelId, schema = null) {
     const { projectId, location } = getProjectConfig();
     const auth = getGoogleAuth();
     const client = await auth.getClient();
@@ -60,7 +114,11 @@ async function callClaudeOnVertex(prompt, modelId) {
             messages: [{
                 role: 'user',
                 content: prompt
-            }]
+            }],
+            ...(schema ? {
+                tools: [{ name: STRUCTURED_TOOL, description: 'Records the analysis of the transcript.', input_schema: schema }],
+                tool_choice: { type: 'tool', name: STRUCTURED_TOOL }
+            } : {})
         })
     });
 
@@ -73,6 +131,10 @@ async function callClaudeOnVertex(prompt, modelId) {
 
     // Extract text from Claude response
     if (result.content && Array.isArray(result.content)) {
+        const toolUse = result.content.find(block => block.type === 'tool_use');
+        if (schema && toolUse) {
+            return JSON.stringify(toolUse.input);
+        }
         return result.content
             .filter(block => block.type === 'text')
             .map(block => block.text)
@@ -82,20 +144,98 @@ async function callClaudeOnVertex(prompt, modelId) {
     throw new Error('Unexpected response structure from Claude');
 }
 
-async function analyzeWithModel(transcript, prompt, modelId) {
-    const fullPrompt = `${prompt}\n\nTranscript:\n${transcript}`;
+/**
+ * Runs the analysis prompt over a transcript. Transcripts over the model's
+ * token budget are analysed in parts and combined (see analysis.js); their
+ * progress is kept in progressFile so a retry only repeats failed parts.
+ * Shorter ones keep their answer there, so a retry for another prompt's
+ * parts does not ask again. The caller deletes progressFile once the results
+ * are delivered.
+ * @param {string} transcript - formatTranscript() output
+ * @param {string} prompt
+ * @param {string} modelId
+ * @param {Object} [progressFile] - GCS file for the analysis state
+ * @param {Object} [schema] - JSON Schema of a structured answer (see structured.js)
+ * @returns {Promise<string>} Analysis text; for a schema, the validated answer as JSON
+ */
+async function analyzeWithModel(transcript, prompt, modelId, progressFile = null, schema = null) {
+    // Diarized transcripts label each turn; tell the model what the labels are
+    const speakerNote = SPEAKER_TURN_PATTERN.test(transcript)
+        ? 'Each turn is labelled "Speaker N" by automatic speaker detection; the numbers do not identify people by name.\n'
+        : '';
+    const slideNote = SLIDE_TEXT_PATTERN.test(transcript)
+        ? 'Blocks labelled "[Slide text]" are text read from the screen (slides, shared documents) while it was shown, not speech.\n'
+        : '';
+
+    // The request that produces the answer; structured ones are validated and repaired
+    const answer = schema
+        ? async request => JSON.stringify(await requestStructured({
+            prompt: request,
+            schema,
+            callModel: structuredRequest => callModel(structuredRequest, modelId, schema)
+        }), null, 2)
+        : request => callModel(request, modelId);
+
+    // A redelivery (another prompt's parts failed) finds what this prompt already got
+    let state = null;
+    if (progressFile) {
+        try {
+            const [saved] = await progressFile.download();
+            state = JSON.parse(saved.toString());
+        } catch (e) {
+            // First attempt
+        }
+    }
+    const saveState = async progress => {
+        if (!progressFile) return;
+        await progressFile.save(JSON.stringify(progress), { contentType: 'application/json', resumable: false });
+    };
+
+    const maxTokens = chunkBudget(modelId, schema ? `${prompt}${JSON.stringify(schema)}` : prompt, ANALYSIS_CHUNK_TOKENS);
+    const transcriptTokens = estimateTokens(transcript);
+    if (transcriptTokens <= maxTokens) {
+        const request = `${prompt}\n\n${speakerNote}${slideNote}Transcript:\n${transcript}`;
+        return await analyzeWhole({ request, callModel: answer, state, saveState });
+    }
+
+    console.log(`Transcript is about ${transcriptTokens} tokens, over the ${maxTokens}-token budget; analysing it in parts.`);
+    let analysis;
+    try {
+        analysis = await analyzeInChunks({
+            transcript,
+            prompt,
+            context: speakerNote + slideNote,
+            maxTokens,
+            callModel: partPrompt => callModel(partPrompt, modelId),
+            callFinal: answer,
+            state,
+            saveState
+        });
+    } catch (err) {
+        // Progress is kept only while a retry is pending; a later re-run starts fresh
+        if (progressFile && !err.retryable) await progressFile.delete({ ignoreNotFound: true });
+        throw err;
+    }
+    // Kept until the notification is sent, so a retry for another prompt reuses it
+    return analysis;
+}
 
+async function callModel(fullPrompt, modelId, schema = null) {
     // Determine if it's a Gemini or Claude model
     if (modelId.startsWith('claude')) {
         // Claude model via Vertex AI REST API
         console.log(`Using Claude model: ${modelId}`);
-        return await callClaudeOnVertex(fullPrompt, modelId);
+        return await callClaudeOnVertex(fullPrompt, modelId, schema);
 
     } else {
-        // Gemini model via Vertex AI SDK
+        // Gemini model via Vertex AI SDK; JSON mode for structured answers
         console.log(`Using Gemini model: ${modelId}`);
         const ai = getVertexAI();
-        const model = ai.getGenerativeModel({ model: modelId });
+        const responseSchema = schema ? toGeminiSchema(schema) : null;
+        const model = ai.getGenerativeModel({
+            model: modelId,
+            ...(schema ? { generationConfig: { responseMimeType: 'application/json', ...(responseSchema ? { responseSchema } : {}) } } : {})
+        });
 
         const result = await model.generateContent(fullPrompt);
         const response = result.response;
@@ -111,10 +251,19 @@ async function analyzeWithModel(transcript, prompt, modelId) {
 }
 
 const storage = new Storage();
-const drive = google.drive({ version: 'v3' });
-const NOTIFICATION_EMAIL = process.env.NOTIFICATION_EMAIL;
 const INPUT_BUCKET = process.env.INPUT_BUCKET;
 
+// Recordings over the 3h limit are transcribed as "_segments/<key>/part-NNN.flac"
+const SEGMENT_PREFIX = '_segments/';
+const CONFIG_PREFIX = '_config/';
+// "<prefix><key>.json" ("<prefix><key>_<prompt>.json" for library prompts):
+// a prompt's progress or answer while the recording's analyses are being retried
+const ANALYSIS_PROGRESS_PREFIX = '_analysis/';
+// Turn header written by formatSpeakerTurns(): "[0:00 - 0:12] Speaker 1:"
+const SPEAKER_TURN_PATTERN = /^\[[\d:]+ - [\d:]+\] Speaker \d+:$/m;
+// On-screen text block header written by formatTranscript(): "[1:04 - 1:30] [Slide text]"
+const SLIDE_TEXT_PATTERN = /^\[[\d:]+ - [\d:]+\] \[Slide text\]$/m;
+
 functions.cloudEvent('sendNotification', async (cloudEvent) => {
     const file = cloudEvent.data;
 
@@ -125,7 +274,41 @@ functions.cloudEvent('sendNotification', async (cloudEvent) => {
         return;
     }
 
+    if (file.name.startsWith(CONFIG_PREFIX)) {
+        console.log('Config file, skipping.');
+        return;
+    }
+
+    if (file.name.startsWith(ANALYSIS_PROGRESS_PREFIX)) {
+        console.log('Analysis progress file, skipping.');
+        return;
+    }
+
+    if (file.name.endsWith(EXPORT_SUFFIX[EXPORT_FORMAT.JSON])) {
+        console.log('Transcript export, skipping.');
+        return;
+    }
+
+    if (ANALYSIS_JSON_PATTERN.test(file.name)) {
+        console.log('Structured analysis, skipping.');
+        return;
+    }
+
     try {
+        // Providers leave raw results under "_raw/<key>/<provider>/". Normalize them
+        // into "<key>.json"; that write triggers this function again for the real work.
+        if (file.name.startsWith(RAW_OUTPUT_PREFIX)) {
+            await promoteRawTranscript(storage.bucket(file.bucket), file.name);
+            return;
+        }
+
+        // Segment transcripts of a long recording: once all are in, stitch them
+        // into "<key>.json" (one transcript, one email) and let that trigger us.
+        if (file.name.startsWith(SEGMENT_PREFIX)) {
+            await stitchSegmentsIfComplete(storage.bucket(file.bucket), file.name);
+            return;
+        }
+
         // Idempotency check: Skip if already notified
         const bucket = storage.bucket(file.bucket);
         const transcriptFile = bucket.file(file.name);
@@ -138,37 +321,62 @@ functions.cloudEvent('sendNotification', async (cloudEvent) => {
         // 1. Download the transcript JSON
         const [content] = await transcriptFile.download();
 
-        const transcriptData = JSON.parse(content.toString());
+        // Written normalized by promoteRawTranscript(); older ones are Video Intelligence JSON
+        const transcriptData = toTranscript(JSON.parse(content.toString()));
+
+        // Object keys carry the Drive folder path and file ID; emails use the readable name
+        const videoObjectName = file.name.replace(/\.json$/, '');
+        const sourceMetadata = await getSourceMetadata(videoObjectName);
+        const videoName = sourceMetadata.originalName || displayNameFromObjectName(videoObjectName);
+        // Recipients, prompt, model and retention follow the watched folder's profile
+        const profile = profileFor(sourceMetadata.profileId);
 
-        // 2. Extract Text with Timing (Video Intelligence Format)
-        const formattedTranscript = formatTranscript(transcriptData);
+        // 2. Extract Text with Timing; dashboard corrections apply to the saved and analysed text
+        const corrections = await loadCorrections(bucket, profile);
+        const formattedTranscript = formatTranscript(transcriptData, corrections);
         const videoDuration = getVideoDuration(transcriptData);
+        // Auto mode lets the API pick; otherwise the requested language is what was used
+        const detectedLanguage = sourceMetadata.transcriptionLanguage === 'auto';
+        const languageCode = getTranscriptLanguage(transcriptData) ||
+            (detectedLanguage ? null : sourceMetadata.transcriptionLanguage) || null;
+        const languageLine = languageCode
+            ? `Language: ${languageCode}${detectedLanguage ? ' (detected)' : ''}\n`
+            : '';
+        // Lets transcripts from different backends be compared side by side
+        const providerLine = transcriptData.provider ? `Provider: ${transcriptData.provider}\n` : '';
 
         let transcriptContent = null;
-        let analysisText = null;
-        let selectedModel = DEFAULT_MODEL; // Declare here so it's accessible in all code paths
-        let subject = `Analysis & Transcript: ${file.name.replace(/\.json$/, '')}`;
+        // One entry per prompt run: {name (null for the single prompt), model, source (where the prompt came from), text, data (structured answer)}
+        const analyses = [];
+        let subject = `Analysis & Transcript: ${videoName}`;
         let emailBody = '';
 
         // Check for empty or very short transcript (under 10 words)
-        // We strip timestamps "[0:00 - 0:05]" (approximate check) to count actual speech words
-        const speechOnly = formattedTranscript ? formattedTranscript.replace(/\[\d+:\d+ - \d+:\d+\]/g, '').trim() : '';
+        // We strip timestamps "[0:00 - 0:05]" and slide text (approximate check) to count actual speech words
+        const speechOnly = formattedTranscript ? formattedTranscript
+            .split('\n\n')
+            .filter(block => !SLIDE_TEXT_PATTERN.test(block))
+            .join('\n\n')
+            .replace(/\[[\d:]+ - [\d:]+\]( Speaker \d+:)?/g, '').trim() : '';
         const wordCount = speechOnly.split(/\s+/).length;
         const isInsufficient = !formattedTranscript || wordCount < 10;
 
         if (isInsufficient) {
             console.warn(`Transcript insufficient (${wordCount} words) for ${file.name}. Skipping AI analysis.`);
 
-            subject = `Transcript Empty / Failed: ${file.name.replace(/\.json$/, '')}`;
-            emailBody = `Your video "${file.name.replace(/\.json$/, '')}" has been processed.\n\n` +
-                `Video Duration: ${videoDuration}\n\n` +
+            subject = `Transcript Empty / Failed: ${videoName}`;
+            emailBody = `Your video "${videoName}" has been processed.\n\n` +
+                `Video Duration: ${videoDuration}\n` +
+                languageLine + '\n' +
                 `Status: No significant speech detected (${wordCount} words).\n` +
                 `AI analysis was skipped because there is not enough content to analyze.\n\n` +
                 `This could be because the video is silent, the audio is unclear, or the speech is very brief.`;
 
             // We still save a "transcript" file effectively saying it failed, so the dashboard shows something
-            transcriptContent = `Video: ${file.name.replace(/\.json$/, '')}\n` +
+            transcriptContent = `Video: ${videoName}\n` +
                 `Duration: ${videoDuration}\n` +
+                languageLine +
+                providerLine +
                 `Processed: ${new Date().toISOString()}\n\n` +
                 `═══════════════════════════════════════════════════════\n` +
                 `TRANSCRIPT STATUS: INSUFFICIENT DATA\n` +
@@ -180,88 +388,148 @@ functions.cloudEvent('sendNotification', async (cloudEvent) => {
 
             // 2.5 Prepare Content (including optional AI Analysis)
 
-            // Run Analysis - check GCS config first, then fall back to Google Drive
-            const PROMPT_CONFIG_FILE = '_config/prompt.txt';
-            const MAIN_WATCHED_FOLDER_ID = process.env.FOLDER_ID;
-            const PROMPT_FOLDER_CANDIDATES = ['_prompts', 'THE PROMPT'];
-            const PROMPT_FILE_CANDIDATES = ['PROMPT.md', 'PROMPT.MD', 'prompt.md'];
-
+            // Run Analysis - the profile's library prompts, else its prompt, then GCS config, then Google Drive
+            let analysisJobs = [];
+            let selectedModel = DEFAULT_MODEL;
             try {
-                let promptContent = null;
-                selectedModel = DEFAULT_MODEL; // Reset to default, may be overridden below
-
-                // 1. First, try to load settings from GCS (set via dashboard)
-                try {
-                    const [promptData] = await bucket.file(PROMPT_CONFIG_FILE).download();
-                    const gcsPrompt = promptData.toString().trim();
-                    if (gcsPrompt) {
-                        console.log('Found prompt in GCS config. Using dashboard-configured prompt.');
-                        promptContent = gcsPrompt;
+                // Load model selection: profile first, then GCS; library entries may name their own
+                if (profile.model) {
+                    selectedModel = profile.model;
+                    console.log(`Using model from profile "${profile.id}": ${selectedModel}`);
+                } else {
+                    try {
+                        const [modelData] = await bucket.file(MODEL_CONFIG_FILE).download();
+                        const gcsModel = modelData.toString().trim();
+                        if (gcsModel) {
+                            selectedModel = gcsModel;
+                            console.log(`Using dashboard-configured model: ${selectedModel}`);
+                        }
+                    } catch (modelErr) {
+                        console.log(`No model config found, using default: ${DEFAULT_MODEL}`);
                     }
-                } catch (gcsErr) {
-                    // No GCS prompt file, that's okay - fall back to Drive
-                    console.log('No GCS prompt config found, checking Google Drive...');
                 }
 
-                // Load model selection from GCS
-                try {
-                    const [modelData] = await bucket.file(MODEL_CONFIG_FILE).download();
-                    const gcsModel = modelData.toString().trim();
-                    if (gcsModel) {
-                        selectedModel = gcsModel;
-                        console.log(`Using dashboard-configured model: ${selectedModel}`);
-                    }
-                } catch (modelErr) {
-                    console.log(`No model config found, using default: ${DEFAULT_MODEL}`);
+                // A profile prompt without a prompt selection keeps the single analysis
+                const library = (profile.prompts.length > 0 || !profile.prompt) ? await loadPromptLibrary(bucket) : [];
+                const { prompts, unknown } = selectPrompts(library, profile.prompts);
+                if (unknown.length > 0) {
+                    console.warn(`Profile "${profile.id}" names prompts missing from the library: ${unknown.join(', ')}`);
                 }
 
-                // 2. Fall back to Google Drive prompt if GCS is empty
-                if (!promptContent && MAIN_WATCHED_FOLDER_ID) {
-                    console.log(`Searching Google Drive folder: ${MAIN_WATCHED_FOLDER_ID}`);
-                    promptContent = await locatePromptContent(
-                        MAIN_WATCHED_FOLDER_ID,
-                        PROMPT_FOLDER_CANDIDATES,
-                        PROMPT_FILE_CANDIDATES
-                    );
-                } else if (!promptContent && !MAIN_WATCHED_FOLDER_ID) {
-                    console.warn('FOLDER_ID env var not set and no GCS prompt. Skipping AI analysis.');
+                if (prompts.length > 0) {
+                    analysisJobs = prompts.map(entry => ({
+                        name: entry.name,
+                        prompt: entry.prompt,
+                        model: entry.model || selectedModel,
+                        schema: entry.schema || null,
+                        source: `prompt library "${entry.name}"`
+                    }));
+                    console.log(`Running ${analysisJobs.length} library prompts: ${analysisJobs.map(job => job.name).join(', ')}`);
+                } else {
+                    let promptContent = profile.prompt || null;
+                    let promptSource = `profile "${profile.id}"`;
+                    let promptModel = null;
+                    // A profile prompt is text only; structured answers need a library entry
+                    let promptSchema = null;
+
+                    // 1. First, try to load the prompt from GCS (set via dashboard)
+                    if (promptContent) {
+                        console.log(`Using prompt from profile "${profile.id}".`);
+                    } else {
+                        const dashboardPrompt = await loadDashboardPrompt(bucket);
+                        if (dashboardPrompt) {
+                            console.log('Found prompt in GCS config. Using dashboard-configured prompt.');
+                            promptContent = dashboardPrompt.prompt;
+                            promptSchema = dashboardPrompt.schema;
+                            promptSource = `dashboard (${PROMPT_CONFIG_FILE})`;
+                        } else {
+                            // No GCS prompt file, that's okay - fall back to Drive
+                            console.log('No GCS prompt config found, checking Google Drive...');
+                        }
+                    }
+
+                    // 2. Fall back to the PROMPT.md nearest to the recording in Google Drive
+                    if (!promptContent && profile.folderId) {
+                        console.log(`Searching Google Drive from the recording's folder up to ${profile.folderId}`);
+                        const drivePrompt = await locateDrivePrompt(profile, sourceMetadata);
+                        if (drivePrompt && drivePrompt.prompt) {
+                            promptContent = drivePrompt.prompt;
+                            promptModel = drivePrompt.model;
+                            promptSchema = drivePrompt.schema || null;
+                            promptSource = `Google Drive ${drivePrompt.path}${drivePrompt.link ? ` (${drivePrompt.link})` : ''}`;
+                            if (promptModel) {
+                                console.log(`Using model from the prompt file's front-matter: ${promptModel}`);
+                            }
+                        }
+                    } else if (!promptContent && !profile.folderId) {
+                        console.warn(`No watched folder for profile "${profile.id}" and no GCS prompt. Skipping AI analysis.`);
+                    }
+
+                    if (promptContent) {
+                        console.log(`Found prompt template: ${promptSource}`);
+                        analysisJobs = [{ name: null, prompt: promptContent, model: promptModel || selectedModel, schema: promptSchema, source: promptSource }];
+                    } else {
+                        console.log('No prompt template found. Skipping AI analysis.');
+                    }
                 }
+            } catch (promptErr) {
+                console.error('Error loading the analysis prompt:', promptErr);
+                analyses.push({ name: null, model: selectedModel, text: `[Error during AI Analysis: ${promptErr.message}]` });
+            }
 
-                if (promptContent) {
-                    console.log(`Found prompt template. Running AI analysis with ${selectedModel}...`);
-                    analysisText = await analyzeWithModel(formattedTranscript, promptContent, selectedModel);
+            // Every prompt runs even if one fails; a failure of one does not hold back the others
+            let retryErr = null;
+            for (const job of analysisJobs) {
+                try {
+                    console.log(`Running AI analysis${job.name ? ` "${job.name}"` : ''} with ${job.model}...`);
+                    const text = await analyzeWithModel(formattedTranscript, job.prompt, job.model,
+                        bucket.file(analysisProgressName(file.name, job.name)), job.schema);
+                    if (job.schema) {
+                        const data = JSON.parse(text);
+                        analyses.push({ name: job.name, model: job.model, source: job.source, text: renderStructured(data, job.schema), data });
+                    } else {
+                        analyses.push({ name: job.name, model: job.model, source: job.source, text });
+                    }
                     console.log('AI Analysis complete.');
-                } else {
-                    console.log('No prompt template found. Skipping AI analysis.');
+                } catch (aiErr) {
+                    if (aiErr.retryable) {
+                        retryErr = aiErr;
+                        continue;
+                    }
+                    console.error('Error during AI analysis:', aiErr);
+                    analyses.push({ name: job.name, model: job.model, source: job.source, text: `[Error during AI Analysis: ${aiErr.message}]` });
                 }
-            } catch (aiErr) {
-                console.error('Error during AI analysis:', aiErr);
-                analysisText = `[Error during AI Analysis: ${aiErr.message}]`;
             }
+            // Failed parts of a chunked analysis: let the event be redelivered to retry them
+            if (retryErr) throw retryErr;
 
             // 3. Prepare Valid Content
-            transcriptContent = `Video: ${file.name.replace(/\.json$/, '')}\n` +
+            transcriptContent = `Video: ${videoName}\n` +
                 `Duration: ${videoDuration}\n` +
+                languageLine +
+                providerLine +
                 `Processed: ${new Date().toISOString()}\n\n` +
                 `═══════════════════════════════════════════════════════\n` +
                 `TRANSCRIPT\n` +
                 `═══════════════════════════════════════════════════════\n\n` +
                 `${formattedTranscript}`;
 
-            subject = `[Drive Automation] Analysis & Transcript: ${file.name.replace(/\.json$/, '')}`;
+            subject = `[Drive Automation] Analysis & Transcript: ${videoName}`;
 
-            const gcsLink = `https://storage.cloud.google.com/${process.env.TRANSCRIPT_BUCKET || 'BUCKET_UNKNOWN'}/${file.name}`;
+            const gcsLink = gcsObjectUrl(file.name);
 
-            emailBody = `Your video "${file.name.replace(/\.json$/, '')}" has been processed!\n\n` +
-                `Video Duration: ${videoDuration}\n\n`;
+            emailBody = `Your video "${videoName}" has been processed!\n\n` +
+                `Video Duration: ${videoDuration}\n` +
+                languageLine + '\n';
 
             emailBody += `The transcript and AI analysis are attached to this email.\n\n`;
 
-            if (analysisText) {
+            for (const analysis of analyses) {
                 emailBody += `═══════════════════════════════════════════════════════\n` +
-                    `AI ANALYSIS\n` +
+                    `AI ANALYSIS${analysis.name ? `: ${analysis.name}` : ''}\n` +
                     `═══════════════════════════════════════════════════════\n\n` +
-                    `${analysisText}\n\n`;
+                    (analysis.source ? `Prompt: ${analysis.source}\n\n` : '') +
+                    `${analysis.text}\n\n`;
             }
 
             emailBody += `═══════════════════════════════════════════════════════\n` +
@@ -273,177 +541,678 @@ functions.cloudEvent('sendNotification', async (cloudEvent) => {
 
         const transcriptFileName = file.name.replace(/\.json$/, '_TRANSCRIPT.txt');
 
-        let analysisFileName = null;
-        let analysisContent = null;
-
-        if (analysisText) {
-            analysisFileName = file.name.replace(/\.json$/, '_ANALYSIS.txt');
-            analysisContent = `Video: ${file.name.replace(/\.json$/, '')}\n` +
+        const analysisFiles = analyses.map(analysis => ({
+            ...analysis,
+            fileName: file.name.replace(/\.json$/, analysisSuffix(analysis.name)),
+            content: `Video: ${videoName}\n` +
                 `Duration: ${videoDuration}\n` +
+                languageLine +
+                (analysis.source ? `Prompt: ${analysis.source}\n` : '') +
+                `Model: ${analysis.model}\n` +
                 `Processed: ${new Date().toISOString()}\n\n` +
                 `═══════════════════════════════════════════════════════\n` +
-                `AI ANALYSIS\n` +
+                `AI ANALYSIS${analysis.name ? `: ${analysis.name}` : ''}\n` +
                 `═══════════════════════════════════════════════════════\n\n` +
-                `${analysisText}`;
-        }
-
-        // Save Transcript to GCS
+                `${analysis.text}`
+        }));
+
+        // Save Transcript to GCS (readable name in metadata for the dashboard).
+        // With a retention period, customTime marks when the bucket lifecycle rule may delete it.
+        const expiresAt = getTranscriptExpiry(profile);
+        const outputMetadata = {
+            metadata: {
+                originalName: videoName,
+                profileId: profile.id,
+                ...(languageCode ? { languageCode } : {}),
+                ...(transcriptData.provider ? { transcriptionProvider: transcriptData.provider } : {})
+            },
+            ...(expiresAt ? { customTime: expiresAt } : {})
+        };
         await bucket.file(transcriptFileName).save(transcriptContent, {
-            contentType: 'text/plain; charset=utf-8'
+            contentType: 'text/plain; charset=utf-8',
+            metadata: outputMetadata
         });
         console.log(`Saved transcript to GCS: ${transcriptFileName}`);
 
-        // Save Analysis to GCS (if available)
-        if (analysisFileName && analysisContent) {
-            await bucket.file(analysisFileName).save(analysisContent, {
-                contentType: 'text/plain; charset=utf-8'
+        // Save Analyses to GCS (if available)
+        for (const analysisFile of analysisFiles) {
+            await bucket.file(analysisFile.fileName).save(analysisFile.content, {
+                contentType: 'text/plain; charset=utf-8',
+                metadata: outputMetadata
             });
-            console.log(`Saved analysis to GCS: ${analysisFileName}`);
+            console.log(`Saved analysis to GCS: ${analysisFile.fileName}`);
+
+            // The validated answer of a prompt with a schema, for other tools
+            if (analysisFile.data) {
+                const dataFileName = file.name.replace(/\.json$/, analysisSuffix(analysisFile.name, '.json'));
+                await bucket.file(dataFileName).save(JSON.stringify(analysisFile.data, null, 2), {
+                    contentType: 'application/json; charset=utf-8',
+                    metadata: outputMetadata
+                });
+                console.log(`Saved structured analysis to GCS: ${dataFileName}`);
+            }
         }
 
-        // 4. Send Notification
-        await sendEmailOrSMS(
-            file.name, // Original JSON filename for reference
+        // Captions, Word and JSON exports the profile asks for, saved and attached alongside
+        const exportFiles = formattedTranscript ? await buildExports(profile.exports, {
+            transcriptName: file.name,
+            transcriptData,
+            formattedTranscript,
+            title: videoName,
+            details: [`Duration: ${videoDuration}`, languageLine.trim(), providerLine.trim()].filter(Boolean),
+            languageCode,
+            corrections
+        }) : [];
+        for (const exportFile of exportFiles) {
+            await bucket.file(exportFile.fileName).save(exportFile.content, {
+                contentType: exportFile.contentType,
+                metadata: outputMetadata
+            });
+            console.log(`Saved ${exportFile.format} export to GCS: ${exportFile.fileName}`);
+        }
+
+        // 3.5 Deliver transcript and analysis next to the recording in Drive (profile option)
+        let driveFiles = [];
+        const emailNotes = [];
+        if (profile.driveDelivery.enabled) {
+            const delivery = await deliverOutputsToDrive(profile, sourceMetadata, [
+                { kind: 'transcript', name: `${videoName}_TRANSCRIPT.txt`, content: transcriptContent },
+                ...analysisFiles.map(analysisFile => ({
+                    kind: analysisFile.name ? `analysis:${analysisFile.name}` : 'analysis',
+                    name: `${videoName}${analysisSuffix(analysisFile.name)}`,
+                    content: analysisFile.content
+                }))
+            ]);
+            emailBody += delivery.text;
+            driveFiles = delivery.files;
+            if (delivery.error) emailNotes.push(`Could not save to Google Drive: ${delivery.error}`);
+        }
+
+        // HTML alternative of the email; the plain text above stays the fallback
+        const modelNames = [...new Set(analyses.map(analysis => analysis.model))].join(', ');
+        const emailHtml = renderEmailHtml(await loadEmailTemplate(bucket), {
             subject,
-            emailBody,
-            transcriptContent,
-            transcriptFileName,
-            analysisContent,
-            analysisFileName,
-            selectedModel // Pass the model name
+            title: videoName,
+            intro: isInsufficient
+                ? `No significant speech detected (${wordCount} words). AI analysis was skipped because there is not enough content to analyze.`
+                : `Your video "${videoName}" has been processed.`,
+            badges: [
+                { label: 'Duration', value: videoDuration },
+                { label: 'Language', value: languageCode ? `${languageCode}${detectedLanguage ? ' (detected)' : ''}` : '' },
+                { label: analyses.length > 1 ? 'Models' : 'Model', value: modelNames },
+                { label: 'Provider', value: transcriptData.provider || '' }
+            ],
+            buttons: [
+                { label: 'Open the dashboard', url: process.env.DASHBOARD_URL },
+                // Delivered Drive files, else the bucket objects
+                ...(driveFiles.length > 0 ? driveFiles.map(d => ({ label: d.name, url: d.link })) : [
+                    { label: 'Transcript', url: gcsObjectUrl(transcriptFileName) },
+                    ...analysisFiles.map(analysisFile => ({
+                        label: analysisFile.name ? `Analysis: ${analysisFile.name}` : 'Analysis',
+                        url: gcsObjectUrl(analysisFile.fileName)
+                    }))
+                ])
+            ],
+            notes: emailNotes,
+            analyses: analyses.map(analysis => ({
+                title: `AI Analysis${analysis.name ? `: ${analysis.name}` : ''}`,
+                source: analysis.source,
+                text: analysis.text
+            })),
+            transcript: isInsufficient ? '' : formattedTranscript,
+            dashboardUrl: process.env.DASHBOARD_URL
+        });
+
+        // 4. Send Notification (email, Slack, Teams, webhook)
+        await sendNotification(
+            profile,
+            file.name, // Original JSON filename for reference
+            {
+                subject,
+                text: emailBody,
+                html: emailHtml,
+                // Chat channels get the analyses, not the whole email
+                summary: analyses.length > 0
+                    ? analyses.map(analysis => `${analysis.name ? `${analysis.name}\n` : ''}${analysis.text}`).join('\n\n')
+                    : (isInsufficient ? emailBody : `Video Duration: ${videoDuration}\nThe transcript is on the dashboard.`),
+                data: {
+                    transcript: file.name,
+                    videoName,
+                    duration: videoDuration,
+                    languageCode: languageCode || null,
+                    transcriptFile: transcriptFileName,
+                    speechDetected: !isInsufficient,
+                    analyses: analysisFiles.map(analysisFile => ({
+                        name: analysisFile.name,
+                        model: analysisFile.model,
+                        file: analysisFile.fileName,
+                        ...(analysisFile.data ? { data: analysisFile.data } : {})
+                    }))
+                },
+                attachments: [
+                    // Attachment names drop the folder path and ID
+                    { filename: `${videoName}_TRANSCRIPT.txt`, content: transcriptContent },
+                    ...analysisFiles.map(analysisFile => ({
+                        filename: `${videoName}${analysisSuffix(analysisFile.name)}`,
+                        content: analysisFile.content
+                    })),
+                    ...exportFiles.map(exportFile => ({
+                        filename: `${videoName}${EXPORT_SUFFIX[exportFile.format]}`,
+                        content: exportFile.content,
+                        contentType: exportFile.contentType
+                    }))
+                ]
+            },
+            modelNames // Models used
         );
 
         // Mark as notified (idempotency)
         await transcriptFile.setMetadata({
-            metadata: { notificationSent: new Date().toISOString() }
+            metadata: { notificationSent: new Date().toISOString() },
+            ...(expiresAt ? { customTime: expiresAt } : {})
         });
 
-        // 6. Cleanup: Delete the source video from input bucket
-        if (INPUT_BUCKET) {
-            // Transcript filename is "video.mp4.json", original is "video.mp4"
-            const originalFileName = file.name.replace(/\.json$/, '');
+        // Analysis progress is only needed until the results are out
+        for (const analysis of analyses) {
+            await bucket.file(analysisProgressName(file.name, analysis.name)).delete({ ignoreNotFound: true });
+        }
+
+        // 6. Cleanup: Delete the source video from input bucket (unless the profile keeps it)
+        if (INPUT_BUCKET && !profile.retention.deleteSourceVideo) {
+            console.log(`Keeping source file ${videoObjectName} (profile "${profile.id}" retains source videos)`);
+        } else if (INPUT_BUCKET) {
+            // Transcript filename is "<key>.json", original is "<key>"
             try {
-                await storage.bucket(INPUT_BUCKET).file(originalFileName).delete();
-                console.log(`Cleaned up source file: ${originalFileName} from ${INPUT_BUCKET}`);
+                await storage.bucket(INPUT_BUCKET).file(videoObjectName).delete();
+                console.log(`Cleaned up source file: ${videoObjectName} from ${INPUT_BUCKET}`);
             } catch (cleanupErr) {
-                console.warn(`Failed to cleanup source file ${originalFileName}:`, cleanupErr.message);
+                console.warn(`Failed to cleanup source file ${videoObjectName}:`, cleanupErr.message);
             }
         }
 
     } catch (err) {
         console.error('Error processing transcript:', err);
+        if (err.retryable) throw err;
     }
 });
 
 /**
- * Extracts video duration from the Video Intelligence API response.
- * @param {Object} transcriptData - The parsed JSON from Video Intelligence API
- * @returns {string} Formatted duration (e.g., "5 min 32 sec" or "1 hr 23 min")
+ * When the profile's transcripts should be deleted, as an RFC 3339 timestamp
+ * for the object's customTime (the transcripts bucket has a lifecycle rule on
+ * it). Null keeps them forever.
+ * @param {Object} profile
+ * @param {Date} [now]
+ * @returns {string|null}
  */
-function getVideoDuration(transcriptData) {
+function getTranscriptExpiry(profile, now = new Date()) {
+    const days = profile.retention.keepTranscriptsDays;
+    if (!days) return null;
+    return new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Loads the dashboard's prompt library.
+ * @param {Bucket} bucket - Transcripts bucket
+ * @returns {Promise<Array<{name: string, model: string, prompt: string}>>} Empty when not configured
+ */
+async function loadPromptLibrary(bucket) {
     try {
-        const annotationResults = transcriptData.annotation_results;
-        if (!annotationResults || annotationResults.length === 0) {
-            return 'Unknown';
-        }
+        const [data] = await bucket.file(PROMPT_LIBRARY_FILE).download();
+        return parsePromptLibrary(data.toString());
+    } catch (e) {
+        return []; // Not configured
+    }
+}
 
-        const segment = annotationResults[0].segment;
-        if (!segment || !segment.end_time_offset) {
-            return 'Unknown';
+/**
+ * Loads the dashboard's single prompt and its optional schema. An unusable
+ * schema is ignored with a warning, so the prompt still runs as text.
+ * @param {Bucket} bucket - Transcripts bucket
+ * @returns {Promise<{prompt: string, schema: Object|null}|null>} null when not configured
+ */
+async function loadDashboardPrompt(bucket) {
+    let prompt;
+    try {
+        const [data] = await bucket.file(PROMPT_CONFIG_FILE).download();
+        prompt = data.toString().trim();
+    } catch (e) {
+        return null; // Not configured
+    }
+    if (!prompt) return null;
+
+    let schema = null;
+    try {
+        const [data] = await bucket.file(PROMPT_SCHEMA_CONFIG_FILE).download();
+        schema = JSON.parse(data.toString());
+    } catch (e) {
+        if (e instanceof SyntaxError) console.warn(`Ignoring ${PROMPT_SCHEMA_CONFIG_FILE}, it is not JSON: ${e.message}`);
+        return { prompt, schema: null };
+    }
+    const problem = schemaError(schema);
+    if (problem) {
+        console.warn(`Ignoring ${PROMPT_SCHEMA_CONFIG_FILE}: ${problem}`);
+        return { prompt, schema: null };
+    }
+    return { prompt, schema };
+}
+
+/**
+ * Loads the operator's email template, or the default one.
+ * @param {Bucket} bucket - Transcripts bucket
+ * @returns {Promise<string>}
+ */
+async function loadEmailTemplate(bucket) {
+    try {
+        const [data] = await bucket.file(EMAIL_TEMPLATE_FILE).download();
+        const template = data.toString();
+        if (template.trim()) {
+            console.log(`Using email template from ${EMAIL_TEMPLATE_FILE}.`);
+            return template;
         }
+    } catch (e) {
+        // Not configured
+    }
+    return DEFAULT_EMAIL_TEMPLATE;
+}
 
-        const endTime = segment.end_time_offset;
-        const totalSeconds = parseInt(endTime.seconds || 0) + (endTime.nanos || 0) / 1e9;
+/**
+ * Console link to an object in the transcripts bucket (needs a signed-in user with access).
+ * @param {string} objectName
+ * @returns {string}
+ */
+function gcsObjectUrl(objectName) {
+    return `https://storage.cloud.google.com/${process.env.TRANSCRIPT_BUCKET || 'BUCKET_UNKNOWN'}/${encodeURI(objectName)}`;
+}
 
-        const hours = Math.floor(totalSeconds / 3600);
-        const minutes = Math.floor((totalSeconds % 3600) / 60);
-        const seconds = Math.floor(totalSeconds % 60);
+/**
+ * Object holding the analysis progress (or answer) of one prompt.
+ * @param {string} transcriptName - "<key>.json"
+ * @param {string|null} promptName - Library entry, or null for the single prompt
+ * @returns {string}
+ */
+function analysisProgressName(transcriptName, promptName) {
+    return `${ANALYSIS_PROGRESS_PREFIX}${promptName ? transcriptName.replace(/\.json$/, `_${promptName}.json`) : transcriptName}`;
+}
 
-        if (hours > 0) {
-            return `${hours} hr ${minutes} min`;
-        } else if (minutes > 0) {
-            return `${minutes} min ${seconds} sec`;
-        } else {
-            return `${seconds} sec`;
-        }
+/**
+ * Loads the dashboard's correction dictionary: the global rules, then the
+ * watched folder's own, which win for the same phrase.
+ * @param {Bucket} bucket - Transcripts bucket
+ * @param {Object} profile
+ * @returns {Promise<Array<{from: string, to: string}>>}
+ */
+async function loadCorrections(bucket, profile) {
+    const lists = await Promise.all(
+        [CORRECTIONS_CONFIG_FILE, `${CORRECTIONS_CONFIG_PREFIX}${profile.id}.txt`].map(async name => {
+            try {
+                const [data] = await bucket.file(name).download();
+                return parseCorrections(data.toString());
+            } catch (e) {
+                return []; // Not configured
+            }
+        })
+    );
+    const corrections = mergeCorrections(...lists);
+    if (corrections.length > 0) {
+        console.log(`Applying ${corrections.length} transcript corrections.`);
+    }
+    return corrections;
+}
+
+/**
+ * Reads the custom metadata the poller / large-downloader set on the source
+ * video (originalName, parentFolderId, ...). Returns {} if the source is gone.
+ * @param {string} videoObjectName - Key of the source video in INPUT_BUCKET
+ * @returns {Promise<Object>}
+ */
+async function getSourceMetadata(videoObjectName) {
+    if (!INPUT_BUCKET) return {};
+    try {
+        const [metadata] = await storage.bucket(INPUT_BUCKET).file(videoObjectName).getMetadata();
+        return metadata.metadata || {};
     } catch (e) {
-        return 'Unknown';
+        console.warn(`Could not read source metadata for ${videoObjectName}:`, e.message);
+        return {};
     }
 }
 
 /**
- * Formats the Video Intelligence API response into human-readable transcript with timing.
- * Note: The API returns snake_case keys (annotation_results, speech_transcriptions, etc.)
- * @param {Object} transcriptData - The parsed JSON from Video Intelligence API
- * @returns {string|null} Formatted transcript with timing, or NULL if empty/failed
+ * Writes outputs into the source recording's Drive folder (see
+ * drive-delivery.js). Failures are logged and reported in the email rather
+ * than holding it back.
+ * @param {Object} profile
+ * @param {Object} sourceMetadata - From getSourceMetadata()
+ * @param {Array<{kind: string, name: string, content: string}>} files
+ * @returns {Promise<{text: string, files: Object[], error?: string}>} Email section listing
+ *   the Drive files or the problem, the delivered files (name, link) and the problem
  */
-function formatTranscript(transcriptData) {
-    const paragraphs = [];
+async function deliverOutputsToDrive(profile, sourceMetadata, files) {
+    const parentFolderId = sanitizeParentFolderId(sourceMetadata.parentFolderId);
+    const sourceId = sourceMetadata.originalDriveId;
+    const header = `\n\n═══════════════════════════════════════════════════════\n` +
+        `GOOGLE DRIVE\n` +
+        `═══════════════════════════════════════════════════════\n\n`;
 
-    // API uses snake_case: annotation_results
-    const annotationResults = transcriptData.annotation_results;
-    if (!annotationResults || annotationResults.length === 0) {
-        return null;
+    if (!parentFolderId || !sourceId) {
+        console.warn('Source metadata has no Drive folder or file ID, skipping Drive delivery.');
+        return { text: '', files: [] };
     }
 
-    const annotations = annotationResults[0];
-    // API uses snake_case: speech_transcriptions
-    if (!annotations.speech_transcriptions || annotations.speech_transcriptions.length === 0) {
-        return null;
+    try {
+        const delivered = await deliverToDrive(await getDriveWriter(), {
+            parentFolderId,
+            sourceId,
+            subfolder: profile.driveDelivery.subfolder,
+            googleDocs: profile.driveDelivery.googleDocs,
+            files,
+            listOptions: driveListOptions(configuredProfiles()),
+            serviceAccount: process.env.SERVICE_ACCOUNT_EMAIL
+        });
+        delivered.forEach(d => console.log(`${d.updated ? 'Updated' : 'Created'} ${d.kind} in Drive: ${d.name} (${d.id})`));
+        return { text: header + delivered.map(d => `${d.name}: ${d.link || d.id}`).join('\n'), files: delivered };
+    } catch (err) {
+        console.error('Drive delivery failed:', err.message);
+        return { text: header + `Could not save to Google Drive: ${err.message}`, files: [], error: err.message };
     }
+}
 
-    for (const transcription of annotations.speech_transcriptions) {
-        if (!transcription.alternatives || transcription.alternatives.length === 0) {
-            continue;
+/**
+ * Converts a provider's raw result into the normalized transcript at
+ * "<key>.json", so everything after it is the same for every backend.
+ * @param {Bucket} bucket - Transcripts bucket
+ * @param {string} rawObjectName - "_raw/<key>/<provider>/<result>.json"
+ */
+async function promoteRawTranscript(bucket, rawObjectName) {
+    const { objectName: videoObjectName, provider } = parseRawObjectName(rawObjectName);
+    const targetName = `${videoObjectName}.json`;
+
+    const [content] = await bucket.file(rawObjectName).download();
+    const normalized = normalizeRawTranscript(
+        provider,
+        JSON.parse(content.toString()),
+        INPUT_BUCKET ? `gs://${INPUT_BUCKET}/${videoObjectName}` : undefined
+    );
+
+    try {
+        // Only the first delivery of this event may create the target (no duplicate emails)
+        await bucket.file(targetName).save(JSON.stringify(normalized), {
+            contentType: 'application/json',
+            preconditionOpts: { ifGenerationMatch: 0 }
+        });
+        console.log(`Normalized ${provider} output ${rawObjectName} -> ${targetName}`);
+    } catch (err) {
+        if (err.code === 412) {
+            console.log(`${targetName} already exists. Skipping duplicate conversion.`);
+            return;
         }
+        throw err;
+    }
+}
 
-        const alternative = transcription.alternatives[0];
-        const transcript = alternative.transcript;
+/**
+ * Checks whether every segment of a long recording has been transcribed and,
+ * if so, writes the stitched transcript to "<key>.json" and removes the
+ * segment files. Segment count and offsets come from the segment objects'
+ * metadata in the input bucket (set by the large-downloader job).
+ * @param {Bucket} bucket - Transcripts bucket
+ * @param {string} segmentJsonName - "_segments/<key>/part-NNN.flac.json"
+ */
+async function stitchSegmentsIfComplete(bucket, segmentJsonName) {
+    const videoObjectName = segmentJsonName.slice(SEGMENT_PREFIX.length, segmentJsonName.lastIndexOf('/'));
+    const segmentFolder = `${SEGMENT_PREFIX}${videoObjectName}/`;
+    const inputBucket = storage.bucket(INPUT_BUCKET);
+
+    // The transcriber cancels the segments of a failed recording; drop what they still produce
+    const [segmentExists] = await inputBucket.file(segmentJsonName.replace(/\.json$/, '')).exists();
+    if (!segmentExists) {
+        console.log(`Segment of ${videoObjectName} was cancelled. Deleting its late transcript ${segmentJsonName}.`);
+        await bucket.file(segmentJsonName).delete({ ignoreNotFound: true });
+        return;
+    }
 
-        if (!transcript || transcript.trim() === '') {
-            continue;
+    const [segmentJsons] = await bucket.getFiles({ prefix: segmentFolder });
+    const transcribed = segmentJsons.filter(f => f.name.endsWith('.json'));
+
+    const parts = [];
+    for (const jsonFile of transcribed) {
+        const segmentSourceName = jsonFile.name.replace(/\.json$/, '');
+        const [sourceMetadata] = await inputBucket.file(segmentSourceName).getMetadata();
+        const meta = sourceMetadata.metadata || {};
+        const [content] = await jsonFile.download();
+        parts.push({
+            index: parseInt(meta.segmentIndex),
+            segmentCount: parseInt(meta.segmentCount),
+            offsetSeconds: parseFloat(meta.offsetSeconds) || 0,
+            overlapSeconds: parseFloat(meta.overlapSeconds) || 0,
+            data: toTranscript(JSON.parse(content.toString()))
+        });
+    }
+
+    const expected = parts.length > 0 ? parts[0].segmentCount : 0;
+    if (parts.length < expected) {
+        console.log(`Segment ${segmentJsonName} done. ${parts.length}/${expected} segments transcribed, waiting for the rest.`);
+        return;
+    }
+
+    parts.sort((a, b) => a.index - b.index);
+    const stitched = stitchSegmentTranscripts(parts, `gs://${INPUT_BUCKET}/${videoObjectName}`);
+    const targetName = `${videoObjectName}.json`;
+
+    try {
+        // Several segments can finish together; only one of them may write the result
+        await bucket.file(targetName).save(JSON.stringify(stitched), {
+            contentType: 'application/json',
+            preconditionOpts: { ifGenerationMatch: 0 }
+        });
+        console.log(`Stitched ${parts.length} segments into ${targetName}`);
+    } catch (err) {
+        if (err.code === 412) {
+            console.log(`${targetName} already stitched by another event.`);
+            return;
+        }
+        throw err;
+    }
+
+    // Segments are no longer needed; the full recording is cleaned up after notification
+    for (const jsonFile of transcribed) {
+        await jsonFile.delete({ ignoreNotFound: true });
+        await inputBucket.file(jsonFile.name.replace(/\.json$/, '')).delete({ ignoreNotFound: true });
+    }
+}
+
+/**
+ * Joins segment transcripts (normalized, timings relative to each segment)
+ * into one transcript with absolute timings. Neighbouring segments overlap;
+ * each side keeps the words that start before the middle of the overlap, so
+ * nothing is lost or duplicated at the seams.
+ * @param {Array<{offsetSeconds: number, overlapSeconds: number, data: Object}>} parts - In playback order
+ * @param {string} [inputUri] - gs:// URI of the full recording
+ * @returns {Object} Normalized transcript
+ */
+function stitchSegmentTranscripts(parts, inputUri) {
+    const segments = [];
+    let durationSeconds = 0;
+
+    parts.forEach((part, i) => {
+        const next = parts[i + 1];
+        const keepFrom = i === 0 ? -Infinity : part.offsetSeconds + part.overlapSeconds / 2;
+        const keepUntil = next ? next.offsetSeconds + next.overlapSeconds / 2 : Infinity;
+        const shift = seconds => Math.round((part.offsetSeconds + seconds) * 1000) / 1000;
+        durationSeconds = Math.max(durationSeconds, shift(part.data.durationSeconds || 0));
+
+        for (const segment of part.data.segments || []) {
+            if (!segment.words || segment.words.length === 0) {
+                continue;
+            }
+
+            const words = segment.words
+                .map(w => ({ ...w, start: shift(w.start), end: shift(w.end) }))
+                .filter(w => w.start >= keepFrom && w.start < keepUntil);
+
+            if (words.length === 0) {
+                continue;
+            }
+
+            segments.push({
+                ...segment,
+                start: words[0].start,
+                end: words[words.length - 1].end,
+                // Rebuild the text only when the seam cut into this segment
+                text: words.length === segment.words.length
+                    ? segment.text
+                    : words.map(w => w.word).join(' '),
+                words
+            });
         }
+    });
 
-        // Get timing from words array if available
-        let startTime = '0:00';
-        let endTime = '0:00';
+    return {
+        schemaVersion: parts.length > 0 ? parts[0].data.schemaVersion : 1,
+        provider: parts.length > 0 ? parts[0].data.provider : null,
+        inputUri: inputUri || null,
+        durationSeconds,
+        segments
+    };
+}
 
-        if (alternative.words && alternative.words.length > 0) {
-            const firstWord = alternative.words[0];
-            const lastWord = alternative.words[alternative.words.length - 1];
+/**
+ * The language most of the transcript was recognised in. Providers report a
+ * language per segment; with several candidates (auto mode) they can differ,
+ * so the one covering the most words wins.
+ * @param {Object} transcriptData - Normalized transcript
+ * @returns {string|null} BCP-47 code such as "de-DE", or null if not reported
+ */
+function getTranscriptLanguage(transcriptData) {
+    const wordsByLanguage = {};
 
-            // API uses snake_case: start_time, end_time
-            startTime = formatTime(firstWord.start_time);
-            endTime = formatTime(lastWord.end_time);
+    for (const segment of transcriptData.segments || []) {
+        if (!segment.languageCode || !segment.text) {
+            continue;
         }
+        // APIs report e.g. "en-us"; normalise to "en-US"
+        const [lang, region] = segment.languageCode.split('-');
+        const code = region ? `${lang.toLowerCase()}-${region.toUpperCase()}` : lang.toLowerCase();
+        const words = segment.text.trim().split(/\s+/).length;
+        wordsByLanguage[code] = (wordsByLanguage[code] || 0) + words;
+    }
 
-        paragraphs.push(`[${startTime} - ${endTime}]\n${transcript.trim()}`);
+    const ranked = Object.entries(wordsByLanguage).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+/**
+ * Formats the recording's duration.
+ * @param {Object} transcriptData - Normalized transcript
+ * @returns {string} Formatted duration (e.g., "5 min 32 sec" or "1 hr 23 min")
+ */
+function getVideoDuration(transcriptData) {
+    const totalSeconds = transcriptData.durationSeconds;
+    if (!totalSeconds) {
+        return 'Unknown';
     }
 
-    if (paragraphs.length === 0) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+
+    if (hours > 0) {
+        return `${hours} hr ${minutes} min`;
+    } else if (minutes > 0) {
+        return `${minutes} min ${seconds} sec`;
+    } else {
+        return `${seconds} sec`;
+    }
+}
+
+/**
+ * Formats a normalized transcript into human-readable paragraphs with timing.
+ * On-screen text, when the transcript has it, is merged into the timeline as
+ * "[Slide text]" blocks.
+ * @param {Object} transcriptData - Normalized transcript
+ * @param {Array<{from: string, to: string}>} [corrections] - See corrections.js
+ * @returns {string|null} Formatted transcript with timing, or NULL if empty/failed
+ */
+function formatTranscript(transcriptData, corrections = []) {
+    const segments = (transcriptData.segments || []).filter(segment => segment.text && segment.text.trim());
+    if (segments.length === 0) {
         return null;
     }
 
-    return paragraphs.join('\n\n');
+    // With speaker diarization, group words into "Speaker N" turns instead
+    const speechBlocks = speakerTurnBlocks(segments, corrections) || segments.map(segment => ({
+        start: segment.start,
+        text: `[${formatTime(segment.start)} - ${formatTime(segment.end)}]\n${applyCorrections(segment.text.trim(), corrections)}`
+    }));
+
+    // A slide goes before speech that starts at the same time
+    const slideBlocks = (transcriptData.onScreenText || []).map(block => ({
+        start: block.start,
+        text: `[${formatTime(block.start)} - ${formatTime(block.end)}] [Slide text]\n${applyCorrections(block.lines.join('\n'), corrections)}`
+    }));
+
+    return [...slideBlocks, ...speechBlocks]
+        .sort((a, b) => a.start - b.start)
+        .map(block => block.text)
+        .join('\n\n');
 }
 
 /**
- * Converts Video Intelligence time format to human-readable MM:SS or HH:MM:SS
- * @param {string|Object} time - Time in format "123.456s" or {seconds: 123, nanos: 456000000}
+ * Groups diarized words into timestamped speaker turns:
+ *
+ *   [0:00 - 0:12] Speaker 1:
+ *   Thanks for joining. Shall we start?
+ *
+ * @param {Object[]} segments - Normalized transcript segments
+ * @param {Array<{from: string, to: string}>} [corrections] - Applied to each turn's text
+ * @returns {string|null} Formatted turns, or null if no word has a speaker
+ */
+function formatSpeakerTurns(segments, corrections = []) {
+    const blocks = speakerTurnBlocks(segments, corrections);
+    return blocks ? blocks.map(block => block.text).join('\n\n') : null;
+}
+
+/**
+ * The turns of formatSpeakerTurns() with their start times, for merging
+ * with on-screen text.
+ * @returns {Array<{start: number, text: string}>|null}
+ */
+function speakerTurnBlocks(segments, corrections) {
+    const words = segments
+        .flatMap(segment => segment.words || [])
+        .filter(w => w.speaker)
+        .sort((a, b) => a.start - b.start);
+    if (words.length === 0) {
+        return null;
+    }
+
+    const turns = [];
+    for (const w of words) {
+        const current = turns[turns.length - 1];
+        if (current && current.speaker === w.speaker) {
+            current.words.push(w);
+        } else {
+            turns.push({ speaker: w.speaker, words: [w] });
+        }
+    }
+
+    return turns.map(turn => {
+        const startTime = formatTime(turn.words[0].start);
+        const endTime = formatTime(turn.words[turn.words.length - 1].end);
+        const text = applyCorrections(turn.words.map(w => w.word).join(' '), corrections);
+        return { start: turn.words[0].start, text: `[${startTime} - ${endTime}] Speaker ${turn.speaker}:\n${text}` };
+    });
+}
+
+/**
+ * Converts a time to human-readable MM:SS or HH:MM:SS
+ * @param {number|string|Object} time - Seconds, "123.456s" or {seconds: 123, nanos: 456000000}
  * @returns {string} Formatted time string
  */
 function formatTime(time) {
     if (!time) return '0:00';
 
-    let totalSeconds = 0;
-
-    if (typeof time === 'string') {
-        // Format: "123.456s"
-        totalSeconds = parseFloat(time.replace('s', ''));
-    } else if (typeof time === 'object') {
-        // Format: {seconds: "123", nanos: 456000000}
-        totalSeconds = parseInt(time.seconds || 0) + (time.nanos || 0) / 1e9;
-    }
+    // Format: "123.456s" or {seconds: "123", nanos: 456000000}
+    const totalSeconds = parseSeconds(time);
 
     const hours = Math.floor(totalSeconds / 3600);
     const minutes = Math.floor((totalSeconds % 3600) / 60);
@@ -455,31 +1224,25 @@ function formatTime(time) {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
-async function sendEmailOrSMS(originalFilename, subject, text, transcriptContent, transcriptFileName, analysisContent, analysisFileName, modelName) {
-    const user = process.env.GMAIL_USER;
-    const pass = process.env.GMAIL_APP_PASSWORD;
-    const to = process.env.NOTIFICATION_EMAIL;
+/**
+ * Sends the transcript notice through the profile's channels (see shared/notify.js).
+ * The email and webhook get the system info appended to the text.
+ * @param {Object} profile
+ * @param {string} originalFilename - Transcript object name, for the log
+ * @param {Object} notice - subject, text, html, summary, data and attachments (transcript, analyses, exports)
+ * @param {string} [modelName] - AI models used, for the system info
+ */
+async function sendNotification(profile, originalFilename, notice, modelName) {
     const dashboardUrl = process.env.DASHBOARD_URL;
 
     console.log('---------------------------------------------------');
     console.log(`NOTIFICATION for ${originalFilename}`);
-    console.log(`SUBJECT: ${subject}`);
-    console.log(`TO: ${to || 'Log Only'}`);
+    console.log(`SUBJECT: ${notice.subject}`);
+    console.log(`TO: ${profile.notificationEmails.join(', ') || 'no email'}; channels: ${configuredChannels(profile).join(', ') || 'Log Only'}`);
     console.log('---------------------------------------------------');
 
-    if (!user || !pass || !to) {
-        console.warn('No GMAIL_USER/PASS or NOTIFICATION_EMAIL env var set. Skipping actual send.');
-        return;
-    }
-
-    const nodemailer = require('nodemailer');
-    const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: { user, pass }
-    });
-
     // Append Model Info and Dashboard Link
-    let finalText = text;
+    let finalText = notice.text;
 
     finalText += `\n═══════════════════════════════════════════════════════\n` +
         `SYSTEM INFO\n` +
@@ -495,30 +1258,34 @@ async function sendEmailOrSMS(originalFilename, subject, text, transcriptContent
         finalText += `Dashboard: (URL not configured)\n`;
     }
 
-    // Attachments
-    const attachments = [];
-    if (transcriptContent && transcriptFileName) {
-        attachments.push({
-            filename: transcriptFileName,
-            content: transcriptContent
-        });
-    }
-    if (analysisContent && analysisFileName) {
-        attachments.push({
-            filename: analysisFileName,
-            content: analysisContent
-        });
-    }
-
-    await transporter.sendMail({
-        from: user,
-        to: to,
-        subject: subject,
+    await sendNotice(profile, {
+        event: 'transcript.ready',
+        ...notice,
         text: finalText,
-        attachments: attachments
+        ...(dashboardUrl ? { link: { label: 'Open the dashboard', url: dashboardUrl } } : {})
     });
 }
 
+/**
+ * The PROMPT.md nearest to the recording in Drive (see drive-prompts.js), or
+ * null. Lookup errors skip the analysis, as a missing prompt does.
+ * @param {Object} profile
+ * @param {Object} sourceMetadata - Carries the recording's parentFolderId
+ * @returns {Promise<{prompt: string, model: string|null, fileId: string, path: string, link: string|null}|null>}
+ */
+async function locateDrivePrompt(profile, sourceMetadata) {
+    try {
+        return await locateNearestPrompt(await getDriveReader(), {
+            startFolderIds: getFolderIdCandidates(sourceMetadata.parentFolderId),
+            rootFolderId: profile.folderId,
+            listOptions: driveListOptions(configuredProfiles())
+        }, drivePromptCache);
+    } catch (err) {
+        console.warn('Error searching Google Drive for a prompt file:', err.message);
+        return null;
+    }
+}
+
 /**
  * Sanitizes a Google Drive folder ID by removing trailing underscores.
  * Trailing underscores can cause Drive API 404 errors.
@@ -556,149 +1323,15 @@ function getFolderIdCandidates(folderId) {
     return Array.from(new Set(candidates)).filter(Boolean);
 }
 
-function escapeDriveQueryValue(value) {
-    return value.replace(/'/g, "\\'");
-}
-
-/**
- * Attempts to locate a prompt template inside known subfolders or directly in the
- * watched root folder.
- * @param {string} rootFolderId - The root Drive folder that is being monitored
- * @param {string[]} folderCandidates - List of folder names to look for (in order)
- * @param {string[]} fileCandidates - List of acceptable prompt file names
- * @returns {Promise<string|null>} Prompt contents or null if none found
- */
-async function locatePromptContent(rootFolderId, folderCandidates, fileCandidates) {
-    for (const folderName of folderCandidates) {
-        console.log(`Searching for prompt folder '${folderName}' in: ${rootFolderId}`);
-        const promptFolderId = await findSubfolderId(rootFolderId, folderName);
-        if (!promptFolderId) {
-            continue;
-        }
-
-        console.log(`Found prompt folder '${folderName}' (${promptFolderId}). Looking for prompt file...`);
-        const promptContent = await findPromptFile(promptFolderId, fileCandidates);
-        if (promptContent) {
-            return promptContent;
-        }
-        console.log(`No prompt file found inside ${folderName}.`);
-    }
-
-    console.log('Prompt subfolders not found. Searching for prompt file directly in root folder...');
-    return await findPromptFile(rootFolderId, fileCandidates);
-}
-
-/**
- * Searches for a file using any of the provided candidate names.
- * @param {string} folderId - The folder to search in
- * @param {string|string[]} fileNames - Acceptable file names (case variations)
- * @returns {Promise<string|null>} The content of the file, or null if not found
- */
-async function findPromptFile(folderId, fileNames) {
-    const folderCandidates = getFolderIdCandidates(folderId);
-    if (folderCandidates.length === 0) {
-        console.warn('No folder ID provided to findPromptFile.');
-        return null;
-    }
-    const candidates = Array.isArray(fileNames) ? fileNames : [fileNames];
-    if (candidates.length === 0) {
-        return null;
-    }
-
-    const escapedNames = candidates.map(name => `name = '${escapeDriveQueryValue(name)}'`).join(' or ');
-
-    // Ensure the global Drive client is authenticated (ADC handles credentials in Cloud Functions)
-
-    const auth = new google.auth.GoogleAuth({
-        scopes: ['https://www.googleapis.com/auth/drive.readonly']
-    });
-    const authClient = await auth.getClient();
-    google.options({ auth: authClient });
-
-    try {
-        for (const candidateFolderId of folderCandidates) {
-            const res = await drive.files.list({
-                q: `'${candidateFolderId}' in parents and trashed = false and (${escapedNames})`,
-                fields: 'files(id, name)',
-                pageSize: 1
-            });
-
-            const files = res.data.files;
-            if (!files || files.length === 0) {
-                console.log(`Prompt file ${candidates.join(', ')} not found in folder ${candidateFolderId}`);
-                continue;
-            }
-
-            const fileId = files[0].id;
-            console.log(`Found prompt file ${files[0].name} (${fileId})`);
-
-            // Download content
-            const fileRes = await drive.files.get({
-                fileId: fileId,
-                alt: 'media'
-            }, { responseType: 'stream' });
-
-            return new Promise((resolve, reject) => {
-                let data = '';
-                fileRes.data
-                    .on('data', chunk => data += chunk)
-                    .on('end', () => resolve(data))
-                    .on('error', err => reject(err));
-            });
-        }
-
-        return null;
-
-    } catch (err) {
-        console.warn(`Error searching for prompt file in ${folderId}:`, err.message);
-        return null; // Fail gracefully (skip analysis)
-    }
-}
-
-
-/**
- * Searches for a subfolder by name in the specified parent folder.
- * @param {string} parentFolderId 
- * @param {string} subfolderName 
- * @returns {Promise<string|null>} The folder ID, or null if not found
- */
-async function findSubfolderId(parentFolderId, subfolderName) {
-    const folderCandidates = getFolderIdCandidates(parentFolderId);
-    if (folderCandidates.length === 0) {
-        console.warn('No parent folder ID provided to findSubfolderId.');
-        return null;
-    }
-
-    const auth = new google.auth.GoogleAuth({
-        scopes: ['https://www.googleapis.com/auth/drive.readonly']
-    });
-    const authClient = await auth.getClient();
-    google.options({ auth: authClient });
-
-    try {
-        for (const candidateId of folderCandidates) {
-            const res = await drive.files.list({
-                q: `'${candidateId}' in parents and name = '${subfolderName}' and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
-                fields: 'files(id, name)',
-                pageSize: 1
-            });
-
-            if (res.data.files && res.data.files.length > 0) {
-                return res.data.files[0].id;
-            }
-        }
-        return null;
-    } catch (err) {
-        console.warn(`Error searching for subfolder '${subfolderName}' in ${parentFolderId}:`, err.message);
-        return null;
-    }
-}
-
-// Export functions for testing
 module.exports = {
     sanitizeParentFolderId,
     formatTime,
     getVideoDuration,
     formatTranscript,
-    findSubfolderId // Export for testing if needed
+    formatSpeakerTurns,
+    getTranscriptExpiry,
+    getTranscriptLanguage,
+    loadDashboardPrompt,
+    callModel,
+    stitchSegmentTranscripts
 };
@@ -1,6 +1,73 @@
 const fc = require('fast-check');
 process.env.GCP_PROJECT = 'test-project'; // Mock project ID for Vertex AI init
-const { sanitizeParentFolderId } = require('./index');
+const mockGetGenerativeModel = jest.fn();
+jest.mock('@google-cloud/vertexai', () => ({
+    VertexAI: jest.fn(() => ({ getGenerativeModel: mockGetGenerativeModel }))
+}));
+const {
+    sanitizeParentFolderId,
+    getTranscriptExpiry,
+    getTranscriptLanguage,
+    loadDashboardPrompt,
+    callModel,
+    stitchSegmentTranscripts,
+    formatTranscript,
+    formatSpeakerTurns,
+    getVideoDuration
+} = require('./index');
+const {
+    parseRawObjectName,
+    normalizeVideoIntelligence,
+    normalizeSpeechResults,
+    normalizeWhisper,
+    toTranscript
+} = require('./normalize');
+const {
+    parseCorrections,
+    mergeCorrections,
+    applyCorrections
+} = require('./corrections');
+const {
+    exportFileName,
+    buildCaptionCues,
+    formatSrt,
+    formatVtt,
+    buildJsonExport
+} = require('./exports');
+const {
+    FOLDER_MIME_TYPE,
+    GOOGLE_DOC_MIME_TYPE,
+    deliverToDrive
+} = require('./drive-delivery');
+const {
+    MAX_CHUNK_ATTEMPTS,
+    estimateTokens,
+    chunkTranscript,
+    analyzeInChunks,
+    analyzeWhole
+} = require('./analysis');
+const {
+    parsePromptLibrary,
+    selectPrompts,
+    analysisSuffix
+} = require('./prompt-library');
+const {
+    MAX_REPAIR_ATTEMPTS,
+    parseJsonAnswer,
+    toGeminiSchema,
+    requestStructured,
+    renderStructured
+} = require('./structured');
+const {
+    parsePromptFile,
+    locateNearestPrompt
+} = require('./drive-prompts');
+const { profileFor } = require('./shared/profiles');
+const {
+    DEFAULT_EMAIL_TEMPLATE,
+    TRANSCRIPT_PREVIEW_PASSAGES,
+    renderEmailHtml
+} = require('./email-html');
 
 describe('Notifier - Drive Upload Bug Fix', () => {
     describe('sanitizeParentFolderId', () => {
@@ -66,3 +133,1029 @@ describe('Notifier - Drive Upload Bug Fix', () => {
         });
     });
 });
+
+describe('Notifier - Audio Transcripts', () => {
+    describe('normalizeSpeechResults', () => {
+        const speechOutput = {
+            results: [
+                {
+                    alternatives: [{
+                        transcript: 'Welcome to the show.',
+                        confidence: 0.93,
+                        words: [
+                            { word: 'Welcome', startOffset: '0.400s', endOffset: '0.900s' },
+                            { word: 'show.', startOffset: '1.500s', endOffset: '2s' }
+                        ]
+                    }],
+                    resultEndOffset: '2.100s',
+                    languageCode: 'en-us'
+                },
+                { alternatives: [], resultEndOffset: '3s' },
+                {
+                    alternatives: [{
+                        transcript: 'Today we talk about budgets.',
+                        words: [
+                            { word: 'Today', startOffset: '65s', endOffset: '65.400s' },
+                            { word: 'budgets.', startOffset: '67s', endOffset: '67.800s' }
+                        ]
+                    }],
+                    resultEndOffset: '68s'
+                }
+            ]
+        };
+
+        test('should produce normalized segments', () => {
+            const normalized = normalizeSpeechResults(speechOutput, 'gs://in/pod.mp3');
+
+            expect(normalized.provider).toBe('speech-v2');
+            expect(normalized.inputUri).toBe('gs://in/pod.mp3');
+            expect(normalized.segments).toHaveLength(2);
+            expect(normalized.segments[0]).toMatchObject({ start: 0.4, end: 2, confidence: 0.93, languageCode: 'en-us' });
+            expect(normalized.segments[0].words[0]).toEqual({ word: 'Welcome', start: 0.4, end: 0.9, confidence: null, speaker: null });
+            expect(normalized.durationSeconds).toBe(68);
+        });
+
+        test('should format through the existing transcript formatter', () => {
+            const normalized = normalizeSpeechResults(speechOutput);
+            expect(formatTranscript(normalized)).toBe(
+                '[0:00 - 0:02]\nWelcome to the show.\n\n[1:05 - 1:07]\nToday we talk about budgets.'
+            );
+            expect(getVideoDuration(normalized)).toBe('1 min 8 sec');
+        });
+
+        test('should accept snake_case fields and object offsets', () => {
+            const normalized = normalizeSpeechResults({
+                results: [{
+                    alternatives: [{
+                        transcript: 'Hi',
+                        words: [{ word: 'Hi', start_offset: { seconds: '3', nanos: 0 }, end_offset: { seconds: '4' } }]
+                    }]
+                }]
+            });
+            expect(formatTranscript(normalized)).toBe('[0:03 - 0:04]\nHi');
+        });
+
+        test('should return no transcript for empty results', () => {
+            expect(formatTranscript(normalizeSpeechResults({}))).toBeNull();
+        });
+    });
+});
+
+describe('Notifier - Segmented Transcripts', () => {
+    describe('stitchSegmentTranscripts', () => {
+        const word = (text, start, end) => ({
+            word: text,
+            start_time: { seconds: Math.floor(start), nanos: Math.round((start % 1) * 1e9) },
+            end_time: { seconds: Math.floor(end), nanos: Math.round((end % 1) * 1e9) }
+        });
+        const segment = (endSeconds, results) => normalizeVideoIntelligence({
+            annotation_results: [{
+                segment: { end_time_offset: { seconds: endSeconds } },
+                speech_transcriptions: results.map(words => ({
+                    alternatives: [{ transcript: words.map(w => w.word).join(' '), words }]
+                }))
+            }]
+        });
+
+        // Segment 0 covers 0-100s, segment 1 starts at 80s (20s overlap, seam at 90s)
+        const parts = [
+            {
+                offsetSeconds: 0,
+                overlapSeconds: 20,
+                data: segment(100, [
+                    [word('Hello', 1, 2), word('everyone.', 2, 3)],
+                    [word('Before', 85, 86), word('the', 88, 89), word('break', 91, 92)]
+                ])
+            },
+            {
+                offsetSeconds: 80,
+                overlapSeconds: 20,
+                data: segment(50, [
+                    [word('Before', 5, 6), word('the', 8, 9), word('break', 11, 12), word('ends.', 13, 14)],
+                    [word('Welcome', 40, 41), word('back.', 41, 42)]
+                ])
+            }
+        ];
+
+        test('should shift timings to absolute positions', () => {
+            const stitched = stitchSegmentTranscripts(parts, 'gs://in/long.mp4');
+            const last = stitched.segments[stitched.segments.length - 1];
+
+            expect(last.text).toBe('Welcome back.');
+            expect(last.start).toBe(120);
+            expect(last.words[0].start).toBe(120);
+            expect(stitched.durationSeconds).toBe(130);
+        });
+
+        test('should keep each overlapping word exactly once', () => {
+            const stitched = stitchSegmentTranscripts(parts);
+            const allWords = stitched.segments.flatMap(segment => segment.words.map(w => w.word));
+
+            expect(allWords).toEqual(['Hello', 'everyone.', 'Before', 'the', 'break', 'ends.', 'Welcome', 'back.']);
+        });
+
+        test('should format as one continuous transcript', () => {
+            expect(formatTranscript(stitchSegmentTranscripts(parts))).toBe(
+                '[0:01 - 0:03]\nHello everyone.\n\n' +
+                '[1:25 - 1:29]\nBefore the\n\n' +
+                '[1:31 - 1:34]\nbreak ends.\n\n' +
+                '[2:00 - 2:02]\nWelcome back.'
+            );
+        });
+    });
+});
+
+describe('Notifier - Watched Folder Profiles', () => {
+    const profiles = [
+        { id: 'sales', folderId: 'folder-sales', notificationEmails: ['sales@example.com'], model: 'claude-sonnet-4' },
+        { id: 'legal', folderId: 'folder-legal', retention: { deleteSourceVideo: false, keepTranscriptsDays: 30 } }
+    ];
+
+    afterEach(() => {
+        delete process.env.PROFILES;
+        delete process.env.FOLDER_ID;
+        delete process.env.NOTIFICATION_EMAIL;
+    });
+
+    describe('getTranscriptExpiry', () => {
+        test('should keep transcripts forever without a retention period', () => {
+            process.env.PROFILES = JSON.stringify(profiles);
+
+            expect(getTranscriptExpiry(profileFor('sales'))).toBeNull();
+        });
+
+        test('should add the retention period to the processing time', () => {
+            process.env.PROFILES = JSON.stringify(profiles);
+            const now = new Date('2024-01-01T00:00:00Z');
+
+            expect(getTranscriptExpiry(profileFor('legal'), now)).toBe('2024-01-31T00:00:00.000Z');
+        });
+    });
+});
+
+describe('Notifier - Transcription Language', () => {
+    describe('getTranscriptLanguage', () => {
+        const segment = (text, languageCode) => ({ text, languageCode, words: [] });
+
+        test('should normalise the reported language code', () => {
+            expect(getTranscriptLanguage({ segments: [segment('Guten Morgen zusammen', 'de-de')] })).toBe('de-DE');
+        });
+
+        test('should pick the language covering the most words', () => {
+            const data = {
+                segments: [
+                    segment('Hello', 'en-US'),
+                    segment('Hola a todos y bienvenidos', 'es-ES'),
+                    segment('Thanks', 'en-US')
+                ]
+            };
+
+            expect(getTranscriptLanguage(data)).toBe('es-ES');
+        });
+
+        test('should return null when no language is reported', () => {
+            expect(getTranscriptLanguage({ segments: [segment('Hello', null)] })).toBeNull();
+            expect(getTranscriptLanguage({})).toBeNull();
+        });
+
+        test('should read the language of Speech-to-Text results', () => {
+            const raw = { results: [{ alternatives: [{ transcript: 'Bonjour à tous', words: [] }], languageCode: 'fr-fr' }] };
+
+            expect(getTranscriptLanguage(normalizeSpeechResults(raw, 'gs://b/a.mp3'))).toBe('fr-FR');
+        });
+    });
+});
+
+describe('Notifier - Speaker Diarization', () => {
+    describe('formatSpeakerTurns', () => {
+        const word = (text, start, end, speaker) => ({ word: text, start, end, confidence: null, speaker });
+
+        test('should group consecutive words of a speaker into timestamped turns', () => {
+            const segments = [{
+                text: 'Shall we start? Yes, go ahead.',
+                words: [
+                    word('Shall', 0, 0.5, 1), word('we', 0.5, 0.7, 1), word('start?', 0.7, 1.2, 1),
+                    word('Yes,', 2, 2.4, 2), word('go', 2.5, 2.7, 2), word('ahead.', 2.7, 3.1, 2)
+                ]
+            }, {
+                text: 'Great.',
+                words: [word('Great.', 64, 64.5, 1)]
+            }];
+
+            expect(formatSpeakerTurns(segments)).toBe(
+                '[0:00 - 0:01] Speaker 1:\nShall we start?\n\n' +
+                '[0:02 - 0:03] Speaker 2:\nYes, go ahead.\n\n' +
+                '[1:04 - 1:04] Speaker 1:\nGreat.'
+            );
+        });
+
+        test('should leave undiarized transcripts to the paragraph formatter', () => {
+            const segments = [{ start: 1, end: 2, text: 'Hi', words: [word('Hi', 1, 2, null)] }];
+
+            expect(formatSpeakerTurns(segments)).toBeNull();
+            expect(formatTranscript({ segments })).toBe('[0:01 - 0:02]\nHi');
+        });
+
+        test('should read Speech-to-Text speaker labels', () => {
+            const normalized = normalizeSpeechResults({
+                results: [{
+                    alternatives: [{
+                        transcript: 'Morning. Hi.',
+                        words: [
+                            { word: 'Morning.', startOffset: '0s', endOffset: '1s', speakerLabel: '1' },
+                            { word: 'Hi.', startOffset: '1.5s', endOffset: '2s', speakerLabel: '2' }
+                        ]
+                    }]
+                }]
+            });
+
+            expect(formatTranscript(normalized)).toBe('[0:00 - 0:01] Speaker 1:\nMorning.\n\n[0:01 - 0:02] Speaker 2:\nHi.');
+        });
+    });
+});
+
+describe('Notifier - Transcription Providers', () => {
+    describe('parseRawObjectName', () => {
+        test('should split the source key and provider', () => {
+            expect(parseRawObjectName('_raw/Team/Call__1AbCdEfGhIjK.mp4/whisper/transcription.json'))
+                .toEqual({ objectName: 'Team/Call__1AbCdEfGhIjK.mp4', provider: 'whisper' });
+        });
+
+        test('should treat results without a provider folder as Speech-to-Text', () => {
+            expect(parseRawObjectName('_raw/Team/Call__1AbCdEfGhIjK.mp3/Call_transcript_123.json'))
+                .toEqual({ objectName: 'Team/Call__1AbCdEfGhIjK.mp3', provider: 'speech-v2' });
+        });
+    });
+
+    describe('normalizeVideoIntelligence', () => {
+        const word = (text, start, end, speaker) => ({
+            word: text,
+            start_time: { seconds: start },
+            end_time: { seconds: end },
+            ...(speaker !== undefined ? { speaker_tag: speaker } : {})
+        });
+
+        test('should not repeat words listed again in the diarization result', () => {
+            const first = [word('Hello', 0, 1), word('there.', 1, 2)];
+            const normalized = normalizeVideoIntelligence({
+                annotation_results: [{
+                    speech_transcriptions: [
+                        { alternatives: [{ transcript: 'Hello there.', words: first }], language_code: 'en-us' },
+                        { alternatives: [{ transcript: 'Hi.', words: [word('Hi.', 3, 4)] }], language_code: 'en-us' },
+                        { alternatives: [{ transcript: 'Hi.', words: [word('Hello', 0, 1, 1), word('there.', 1, 2, 1), word('Hi.', 3, 4, 2)] }] }
+                    ]
+                }]
+            });
+
+            expect(normalized.segments.map(segment => segment.text)).toEqual(['Hello there.', 'Hi.']);
+            expect(normalized.segments.map(segment => segment.speaker)).toEqual([1, 2]);
+            expect(formatTranscript(normalized)).toBe('[0:00 - 0:02] Speaker 1:\nHello there.\n\n[0:03 - 0:04] Speaker 2:\nHi.');
+        });
+
+        test('should read transcripts written before normalization', () => {
+            const legacy = {
+                annotation_results: [{
+                    segment: { end_time_offset: { seconds: 75 } },
+                    speech_transcriptions: [{ alternatives: [{ transcript: 'Old format.', words: [word('Old', 2, 3), word('format.', 3, 4)] }] }]
+                }]
+            };
+            const transcript = toTranscript(legacy);
+
+            expect(transcript.provider).toBeNull();
+            expect(getVideoDuration(transcript)).toBe('1 min 15 sec');
+            expect(formatTranscript(transcript)).toBe('[0:02 - 0:04]\nOld format.');
+            expect(toTranscript(transcript)).toBe(transcript);
+        });
+    });
+
+    describe('normalizeWhisper', () => {
+        const response = {
+            language: 'german',
+            duration: 9.5,
+            text: 'Guten Morgen. Wie geht es?',
+            segments: [
+                { start: 0, end: 4, text: ' Guten Morgen.', avg_logprob: -0.1 },
+                { start: 4, end: 9, text: ' Wie geht es?', avg_logprob: -0.3 }
+            ],
+            words: [
+                { word: ' Guten', start: 0.2, end: 0.6 },
+                { word: ' Morgen.', start: 0.6, end: 1.1 },
+                { word: ' Wie', start: 5, end: 5.3 },
+                { word: ' geht', start: 5.3, end: 5.6 },
+                { word: ' es?', start: 5.6, end: 6 }
+            ]
+        };
+
+        test('should assign file-level words to their segments', () => {
+            const normalized = normalizeWhisper(response, 'gs://in/call.m4a');
+
+            expect(normalized.provider).toBe('whisper');
+            expect(normalized.durationSeconds).toBe(9.5);
+            expect(normalized.segments[1].words.map(w => w.word)).toEqual(['Wie', 'geht', 'es?']);
+            expect(normalized.segments[0].confidence).toBeCloseTo(0.905, 3);
+            expect(formatTranscript(normalized)).toBe('[0:00 - 0:01]\nGuten Morgen.\n\n[0:05 - 0:06]\nWie geht es?');
+            expect(getTranscriptLanguage(normalized)).toBe('de');
+        });
+
+        test('should number diarized speakers from 1', () => {
+            const normalized = normalizeWhisper({
+                segments: [
+                    { start: 0, end: 1, text: 'Hi.', speaker: 'SPEAKER_00', words: [{ word: 'Hi.', start: 0, end: 1, probability: 0.9 }] },
+                    { start: 1, end: 2, text: 'Hello.', speaker: 'SPEAKER_01', words: [{ word: 'Hello.', start: 1, end: 2 }] }
+                ]
+            });
+
+            expect(normalized.segments[0].words[0]).toEqual({ word: 'Hi.', start: 0, end: 1, confidence: 0.9, speaker: 1 });
+            expect(formatTranscript(normalized)).toBe('[0:00 - 0:01] Speaker 1:\nHi.\n\n[0:01 - 0:02] Speaker 2:\nHello.');
+        });
+    });
+});
+
+describe('Notifier - Transcript Corrections', () => {
+    describe('parseCorrections', () => {
+        test('should read one rule per line and skip comments and blanks', () => {
+            const text = '# Product names\ncube  control => kubectl\n\njenny eye => GenAI # marketing\nno separator\n => empty';
+
+            expect(parseCorrections(text)).toEqual([
+                { from: 'cube control', to: 'kubectl' },
+                { from: 'jenny eye', to: 'GenAI' }
+            ]);
+        });
+
+        test('should let folder rules replace global rules for the same phrase', () => {
+            const merged = mergeCorrections(
+                [{ from: 'Acme', to: 'ACME' }, { from: 'gee cloud', to: 'gcloud' }],
+                [{ from: 'acme', to: 'Acme Corp' }]
+            );
+
+            expect(merged).toEqual([{ from: 'acme', to: 'Acme Corp' }, { from: 'gee cloud', to: 'gcloud' }]);
+        });
+    });
+
+    describe('applyCorrections', () => {
+        const corrections = [
+            { from: 'cube control', to: 'kubectl' },
+            { from: 'cube', to: 'Kube' },
+            { from: 'a', to: 'b' },
+            { from: 'b', to: 'c' }
+        ];
+
+        test('should replace whole words ignoring case, longest rule first', () => {
+            expect(applyCorrections('Run Cube\ncontrol, then cube. Cubes stay.', corrections))
+                .toBe('Run kubectl, then Kube. Cubes stay.');
+        });
+
+        test('should not correct its own replacements', () => {
+            expect(applyCorrections('a and b', corrections)).toBe('b and c');
+        });
+
+        test('should correct paragraphs and speaker turns', () => {
+            const segments = [{
+                start: 0, end: 1, text: 'Open cube control.',
+                words: [{ word: 'Open', start: 0, end: 0.3, speaker: 1 }, { word: 'cube', start: 0.3, end: 0.6, speaker: 1 }, { word: 'control.', start: 0.6, end: 1, speaker: 1 }]
+            }];
+            const undiarized = [{ ...segments[0], words: [] }];
+
+            expect(formatTranscript({ segments }, corrections)).toBe('[0:00 - 0:01] Speaker 1:\nOpen kubectl.');
+            expect(formatTranscript({ segments: undiarized }, corrections)).toBe('[0:00 - 0:01]\nOpen kubectl.');
+        });
+
+        test('should leave text unchanged without matching rules', () => {
+            fc.assert(
+                fc.property(fc.string(), (text) => {
+                    expect(applyCorrections(text, [{ from: 'zzz-not-there', to: 'x' }])).toBe(text);
+                    expect(applyCorrections(text, [])).toBe(text);
+                })
+            );
+        });
+    });
+});
+
+describe('Notifier - On-screen Text', () => {
+    const offset = seconds => ({ seconds: Math.floor(seconds), nanos: Math.round((seconds % 1) * 1e9) });
+    const detection = (text, start, end, x, y, confidence = 0.95) => ({
+        text,
+        segments: [{
+            segment: { start_time_offset: offset(start), end_time_offset: offset(end) },
+            confidence,
+            frames: [{ rotated_bounding_box: { vertices: [{ x, y }] } }]
+        }]
+    });
+    const raw = {
+        annotation_results: [{
+            segment: { end_time_offset: offset(90) },
+            speech_transcriptions: [
+                { alternatives: [{ transcript: 'Welcome everyone.', words: [] }] }
+            ]
+        }, {
+            text_annotations: [
+                detection('Revenue +12%', 0, 40, 0.1, 0.4),
+                detection('Q3 Results', 0, 40, 0.1, 0.1),
+                detection('Agenda', 60, 90, 0.1, 0.1),
+                detection('blurry logo', 60, 90, 0.9, 0.9, 0.2)
+            ],
+            shot_annotations: [
+                { start_time_offset: offset(0), end_time_offset: offset(20) },
+                { start_time_offset: offset(20.5), end_time_offset: offset(41) },
+                { start_time_offset: offset(41), end_time_offset: offset(59) },
+                { start_time_offset: offset(59), end_time_offset: offset(90) }
+            ]
+        }]
+    };
+
+    test('should group detected text into one block per slide in reading order', () => {
+        const normalized = normalizeVideoIntelligence(raw, 'gs://in/deck.mp4');
+
+        expect(normalized.onScreenText).toEqual([
+            { start: 0, end: 41, lines: ['Q3 Results', 'Revenue +12%'] },
+            { start: 59, end: 90, lines: ['Agenda'] }
+        ]);
+        expect(normalized.durationSeconds).toBe(90);
+    });
+
+    test('should merge slide text into the timeline by timestamp', () => {
+        const normalized = normalizeVideoIntelligence(raw, 'gs://in/deck.mp4');
+        normalized.segments = [
+            { start: 5, end: 8, text: 'Welcome everyone.', words: [] },
+            { start: 62, end: 64, text: 'Next up, the agenda.', words: [] }
+        ];
+
+        expect(formatTranscript(normalized)).toBe(
+            '[0:00 - 0:41] [Slide text]\nQ3 Results\nRevenue +12%\n\n' +
+            '[0:05 - 0:08]\nWelcome everyone.\n\n' +
+            '[0:59 - 1:30] [Slide text]\nAgenda\n\n' +
+            '[1:02 - 1:04]\nNext up, the agenda.'
+        );
+    });
+
+    test('should leave transcripts without text detection unchanged', () => {
+        const normalized = normalizeVideoIntelligence({ annotation_results: [raw.annotation_results[0]] });
+
+        expect(normalized).not.toHaveProperty('onScreenText');
+    });
+});
+
+describe('Notifier - Transcript Exports', () => {
+    const timedWords = (text, start, speaker = null, step = 0.4) => text.split(' ').map((word, i) => ({
+        word, start: start + i * step, end: start + i * step + step * 0.9, speaker
+    }));
+    const segments = [
+        { start: 0, end: 4, text: '', speaker: 1, words: timedWords('Hello and welcome to the quarterly review of the platform team.', 0, 1) },
+        { start: 5, end: 9, text: '', speaker: 2, words: timedWords('Thanks. Today we will look at uptime numbers and incidents from last month and plan the next steps together.', 5, 2) },
+        { start: 20, end: 21, text: 'Yes.', speaker: 1, words: [] }
+    ];
+
+    test('should name export files after the transcript key', () => {
+        expect(exportFileName('Team/Call__x1.mp4.json', 'srt')).toBe('Team/Call__x1.mp4.srt');
+        expect(exportFileName('Team/Call__x1.mp4.json', 'docx')).toBe('Team/Call__x1.mp4_TRANSCRIPT.docx');
+        expect(exportFileName('Team/Call__x1.mp4.json', 'json')).toBe('Team/Call__x1.mp4_TRANSCRIPT.json');
+    });
+
+    test('should write numbered SRT cues with comma timestamps and speaker names', () => {
+        const srt = formatSrt(buildCaptionCues(segments));
+
+        expect(srt.startsWith('1\n00:00:00,000 --> 00:00:')).toBe(true);
+        expect(srt).toContain('Speaker 1: Hello and welcome');
+        expect(srt).toContain('Speaker 2: Thanks.');
+        expect(srt).toMatch(/\n00:00:20,000 --> 00:00:21,000\nSpeaker 1: Yes\.\n$/);
+    });
+
+    test('should write WebVTT with voice tags', () => {
+        const vtt = formatVtt(buildCaptionCues(segments));
+
+        expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> ')).toBe(true);
+        expect(vtt).toContain('<v Speaker 2>Thanks.');
+        expect(vtt).not.toContain('Speaker 2: ');
+    });
+
+    test('should end cues at sentences and pauses without overlapping', () => {
+        const cues = buildCaptionCues(segments);
+
+        expect(cues.find(c => c.text.startsWith('Thanks')).text).toBe('Thanks.');
+        expect(cues[cues.length - 1]).toEqual({ start: 20, end: 21, speaker: 1, newSpeaker: true, text: 'Yes.' });
+        cues.forEach((cue, i) => {
+            expect(cue.end).toBeGreaterThan(cue.start);
+            expect(cue.end - cue.start).toBeLessThanOrEqual(7);
+            if (cues[i + 1]) expect(cue.end).toBeLessThanOrEqual(cues[i + 1].start);
+        });
+    });
+
+    test('should keep every cue within two lines of 42 characters', () => {
+        const word = fc.stringMatching(/^[a-z]{1,12}[.,]?$/);
+        fc.assert(fc.property(fc.array(word, { minLength: 1, maxLength: 80 }), fc.boolean(), (tokens, diarized) => {
+            const words = tokens.map((w, i) => ({ word: w, start: i * 0.3, end: i * 0.3 + 0.25, speaker: diarized ? 1 + Math.floor(i / 25) : null }));
+            const srt = formatSrt(buildCaptionCues([{ start: 0, end: tokens.length * 0.3, text: tokens.join(' '), words }]));
+
+            srt.split('\n\n').forEach(block => {
+                const lines = block.trim().split('\n').slice(2);
+                expect(lines.length).toBeLessThanOrEqual(2);
+                lines.forEach(line => expect(line.length).toBeLessThanOrEqual(42));
+            });
+        }));
+    });
+
+    test('should export the normalized transcript with corrected segment text', () => {
+        const exported = JSON.parse(buildJsonExport(
+            { schemaVersion: 1, provider: 'speech-v2', segments: [{ start: 0, end: 2, text: 'we run cooper netties', words: [] }] },
+            { name: 'Call.mp4', languageCode: 'en-US' },
+            [{ from: 'cooper netties', to: 'Kubernetes' }]
+        ));
+
+        expect(exported).toMatchObject({
+            schemaVersion: 1,
+            provider: 'speech-v2',
+            recording: { name: 'Call.mp4', languageCode: 'en-US' },
+            segments: [{ text: 'we run Kubernetes' }]
+        });
+    });
+});
+
+describe('Notifier - Drive Delivery', () => {
+    // In-memory stand-in for the Drive v3 files API, understanding the queries deliverToDrive() sends
+    const createDriveStandIn = ({ writable = true } = {}) => {
+        const stored = new Map();
+        const unescape = value => value.replace(/\\(.)/g, '$1');
+        const matches = (f, q) => {
+            const parent = q.match(/'([^']+)' in parents/)[1];
+            const name = q.match(/name = '((?:[^'\\]|\\.)*)'/);
+            const mimeType = q.match(/mimeType = '([^']+)'/);
+            const properties = [...q.matchAll(/appProperties has \{ key='([^']+)' and value='((?:[^'\\]|\\.)*)' \}/g)];
+            return f.parents.includes(parent) &&
+                (!name || f.name === unescape(name[1])) &&
+                (!mimeType || f.mimeType === mimeType[1]) &&
+                properties.every(([, key, value]) => (f.appProperties || {})[key] === unescape(value));
+        };
+        const denied = () => Object.assign(new Error('The user does not have sufficient permissions for this file.'),
+            { code: 403, errors: [{ reason: 'insufficientFilePermissions' }] });
+        const read = async body => {
+            let content = '';
+            for await (const chunk of body) content += chunk;
+            return content;
+        };
+        const response = f => ({ data: { id: f.id, name: f.name, webViewLink: `https://drive.test/${f.id}` } });
+        return {
+            stored,
+            files: {
+                list: async ({ q }) => ({ data: { files: [...stored.values()].filter(f => matches(f, q)).map(f => ({ id: f.id })) } }),
+                create: async ({ requestBody, media }) => {
+                    if (!writable) throw denied();
+                    const f = { ...requestBody, id: `id-${stored.size + 1}`, content: media ? await read(media.body) : null };
+                    stored.set(f.id, f);
+                    return response(f);
+                },
+                update: async ({ fileId, media }) => {
+                    if (!writable) throw denied();
+                    const f = stored.get(fileId);
+                    f.content = await read(media.body);
+                    return response(f);
+                }
+            }
+        };
+    };
+    const delivery = (files, options = {}) => ({
+        parentFolderId: 'recordings-folder',
+        sourceId: 'drive-file-1',
+        subfolder: 'Transcripts',
+        googleDocs: true,
+        files,
+        serviceAccount: 'drive-bot@project.iam.gserviceaccount.com',
+        ...options
+    });
+    const outputs = version => [
+        { kind: 'transcript', name: "Bob's Call.mp4_TRANSCRIPT.txt", content: `transcript v${version}` },
+        { kind: 'analysis', name: "Bob's Call.mp4_ANALYSIS.txt", content: `analysis v${version}` }
+    ];
+
+    test('should create the subfolder and Google Docs next to the recording', async () => {
+        const drive = createDriveStandIn();
+        const delivered = await deliverToDrive(drive, delivery(outputs(1)));
+
+        const [folder, ...docs] = [...drive.stored.values()];
+        expect(folder).toMatchObject({ name: 'Transcripts', mimeType: FOLDER_MIME_TYPE, parents: ['recordings-folder'] });
+        expect(docs.map(d => [d.name, d.mimeType, d.parents[0], d.content])).toEqual([
+            ["Bob's Call.mp4_TRANSCRIPT", GOOGLE_DOC_MIME_TYPE, folder.id, 'transcript v1'],
+            ["Bob's Call.mp4_ANALYSIS", GOOGLE_DOC_MIME_TYPE, folder.id, 'analysis v1']
+        ]);
+        expect(delivered.map(d => d.updated)).toEqual([false, false]);
+    });
+
+    test('should update the files of an earlier run instead of adding duplicates', async () => {
+        const drive = createDriveStandIn();
+        await deliverToDrive(drive, delivery(outputs(1), { googleDocs: false }));
+        const delivered = await deliverToDrive(drive, delivery(outputs(2), { googleDocs: false }));
+
+        expect(drive.stored.size).toBe(3);
+        expect([...drive.stored.values()].map(f => f.content)).toEqual([null, 'transcript v2', 'analysis v2']);
+        expect(delivered.map(d => [d.name, d.updated])).toEqual([
+            ["Bob's Call.mp4_TRANSCRIPT.txt", true],
+            ["Bob's Call.mp4_ANALYSIS.txt", true]
+        ]);
+    });
+
+    test('should explain that Viewer access is not enough', async () => {
+        const drive = createDriveStandIn({ writable: false });
+
+        await expect(deliverToDrive(drive, delivery(outputs(1), { subfolder: '' }))).rejects.toMatchObject({
+            code: 'DRIVE_WRITE_DENIED',
+            message: expect.stringContaining('drive-bot@project.iam.gserviceaccount.com needs Editor access')
+        });
+        expect(drive.stored.size).toBe(0);
+    });
+});
+
+describe('Notifier - Long Transcript Analysis', () => {
+    const block = (minute, words) => `[${minute}:00 - ${minute}:59] Speaker 1:\n${Array(words).fill(`minute${minute}`).join(' ')}`;
+    const transcript = [0, 1, 2, 3, 4, 5].map(minute => block(minute, 60)).join('\n\n');
+
+    test('should cut at block boundaries within the budget and keep time ranges', () => {
+        const chunks = chunkTranscript(transcript, 400);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => expect(estimateTokens(chunk.text)).toBeLessThanOrEqual(400));
+        expect(chunks.map(chunk => chunk.text).join('\n\n')).toBe(transcript);
+        expect(chunks[0].start).toBe('0:00');
+        expect(chunks[chunks.length - 1].end).toBe('5:59');
+    });
+
+    test('should split an oversized block and repeat its header', () => {
+        const chunks = chunkTranscript(block(7, 400), 300);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => {
+            expect(chunk.text.startsWith('[7:00 - 7:59] Speaker 1:\n')).toBe(true);
+            expect(estimateTokens(chunk.text)).toBeLessThanOrEqual(300);
+        });
+    });
+
+    test('should retry only the failed part on the next attempt', async () => {
+        const calls = [];
+        let failPart = 2;
+        const callModel = async prompt => {
+            const part = (prompt.match(/^You are reading part (\d+)/) || [])[1];
+            calls.push(part ? `part ${part}` : 'combine');
+            if (Number(part) === failPart) throw new Error('429 Resource exhausted');
+            return part ? `notes ${part}` : `final: ${prompt.match(/notes \d/g).join(', ')}`;
+        };
+        let saved = null;
+        const options = { transcript, prompt: 'Summarize.', maxTokens: 400, callModel, saveState: async state => { saved = JSON.parse(JSON.stringify(state)); } };
+        const partCount = chunkTranscript(transcript, 400).length;
+
+        await expect(analyzeInChunks(options)).rejects.toMatchObject({ retryable: true });
+        expect(saved.parts.map(part => part.status)).toEqual(
+            Array.from({ length: partCount }, (_, i) => (i === 1 ? 'failed' : 'done')));
+
+        calls.length = 0;
+        failPart = null;
+        const analysis = await analyzeInChunks({ ...options, state: saved });
+
+        expect(calls).toEqual(['part 2', 'combine']);
+        expect(analysis).toBe(`final: ${Array.from({ length: partCount }, (_, i) => `notes ${i + 1}`).join(', ')}`);
+
+        // Redelivered because another prompt failed: the finished analysis is reused
+        calls.length = 0;
+        await expect(analyzeInChunks({ ...options, state: saved })).resolves.toBe(analysis);
+        expect(calls).toEqual([]);
+    });
+
+    test('should go ahead without a part that keeps failing and name the gap', async () => {
+        let finalPrompt = null;
+        const callModel = async prompt => {
+            if (prompt.startsWith('You are reading part 1 ')) throw new Error('Safety filter');
+            if (prompt.startsWith('You are reading')) return 'notes';
+            finalPrompt = prompt;
+            return 'final';
+        };
+        let state = null;
+        const options = { transcript, prompt: 'Summarize.', maxTokens: 400, callModel, saveState: async s => { state = s; } };
+
+        for (let attempt = 1; attempt < MAX_CHUNK_ATTEMPTS; attempt++) {
+            await expect(analyzeInChunks({ ...options, state })).rejects.toMatchObject({ retryable: true });
+        }
+
+        await expect(analyzeInChunks({ ...options, state })).resolves.toBe('final');
+        expect(finalPrompt).toContain('could not be analysed and are missing from the notes: 0:00 - ');
+    });
+
+    test('should keep the answer of a short transcript for a redelivery', async () => {
+        const callModel = jest.fn(async () => 'summary');
+        let state = null;
+        const options = { request: 'Summarize.\n\nTranscript:\n[0:00 - 0:05]\nHello.', callModel, saveState: async s => { state = s; } };
+
+        await expect(analyzeWhole(options)).resolves.toBe('summary');
+        // Redelivered because another prompt's parts failed: not asked again
+        await expect(analyzeWhole({ ...options, state })).resolves.toBe('summary');
+        expect(callModel).toHaveBeenCalledTimes(1);
+
+        // An edited prompt is a new request
+        await analyzeWhole({ ...options, request: 'List the action items.\n\nTranscript:\n[0:00 - 0:05]\nHello.', state });
+        expect(callModel).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Notifier - Prompt Library', () => {
+    const library = [
+        { name: 'summary', model: '', prompt: 'Summarize the recording.' },
+        { name: 'action-items', model: 'claude-sonnet-4', prompt: 'List the action items.' }
+    ];
+
+    test('should read valid entries and skip invalid or repeated names', () => {
+        const parsed = parsePromptLibrary(JSON.stringify([
+            ...library,
+            { name: 'Action Items', prompt: 'Invalid name' },
+            { name: 'summary', prompt: 'Repeated name' },
+            { name: 'empty', prompt: '  ' }
+        ]));
+
+        expect(parsed).toEqual(library);
+    });
+
+    test('should ignore a library that is not a JSON list', () => {
+        expect(parsePromptLibrary('not json')).toEqual([]);
+        expect(parsePromptLibrary('{"name": "summary"}')).toEqual([]);
+    });
+
+    test('should run the whole library unless the profile picks prompts', () => {
+        expect(selectPrompts(library, [])).toEqual({ prompts: library, unknown: [] });
+        expect(selectPrompts(library, ['action-items', 'minutes'])).toEqual({ prompts: [library[1]], unknown: ['minutes'] });
+    });
+
+    test('should name library analyses after their prompt', () => {
+        expect(analysisSuffix('action-items')).toBe('_ANALYSIS_action-items.txt');
+        expect(analysisSuffix(null)).toBe('_ANALYSIS.txt');
+    });
+});
+
+describe('Notifier - Structured Analysis', () => {
+    const schema = {
+        type: 'object',
+        required: ['decisions', 'actionItems'],
+        properties: {
+            decisions: { type: 'array', items: { type: 'string' } },
+            actionItems: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['task', 'owner'],
+                    properties: { task: { type: 'string' }, owner: { type: 'string' }, dueDate: { type: ['string', 'null'], title: 'Due' } }
+                }
+            }
+        }
+    };
+    const valid = { decisions: ['Ship v2'], actionItems: [{ task: 'Send the deck', owner: 'Speaker 1', dueDate: null }] };
+
+    test('should read JSON from a code fence or surrounding text', () => {
+        expect(parseJsonAnswer('Here it is:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+        expect(parseJsonAnswer('Sure. {"a": [1, 2]} Done.')).toEqual({ a: [1, 2] });
+        expect(() => parseJsonAnswer('No JSON here')).toThrow();
+    });
+
+    test('should ask for a repair with the validation errors', async () => {
+        const prompts = [];
+        const answers = ['{"actionItems": [{"task": "Send the deck"}]}', JSON.stringify(valid)];
+        const callModel = async prompt => {
+            prompts.push(prompt);
+            return answers[prompts.length - 1];
+        };
+
+        await expect(requestStructured({ prompt: 'Extract.', schema, callModel })).resolves.toEqual(valid);
+        expect(prompts).toHaveLength(2);
+        expect(prompts[1]).toContain('{"actionItems": [{"task": "Send the deck"}]}');
+        expect(prompts[1]).toContain("must have required property 'decisions'");
+        expect(prompts[1]).toContain("must have required property 'owner'");
+    });
+
+    test('should give up after the repair attempts', async () => {
+        const callModel = jest.fn(async () => 'not json');
+
+        await expect(requestStructured({ prompt: 'Extract.', schema, callModel })).rejects.toThrow('does not match its schema');
+        expect(callModel).toHaveBeenCalledTimes(MAX_REPAIR_ATTEMPTS + 1);
+    });
+
+    test('should render fields in schema order with titles', () => {
+        expect(renderStructured({ actionItems: valid.actionItems, decisions: [] }, schema)).toBe(
+            'Decisions:\n' +
+            '  (none)\n' +
+            'Action items:\n' +
+            '  - Task: Send the deck\n' +
+            '    Owner: Speaker 1\n' +
+            '    Due: -'
+        );
+    });
+
+    test('should skip library entries with an unusable schema', () => {
+        const library = parsePromptLibrary(JSON.stringify([
+            { name: 'actions', prompt: 'Extract.', schema },
+            { name: 'list', prompt: 'List.', schema: { type: 'array' } },
+            { name: 'broken', prompt: 'Extract.', schema: { type: 'object', properties: { a: { type: 'nonsense' } } } }
+        ]));
+
+        expect(library.map(entry => entry.name)).toEqual(['actions']);
+        expect(library[0].schema).toEqual(schema);
+    });
+
+    test('should convert the schema to a Gemini responseSchema', () => {
+        expect(toGeminiSchema(schema)).toEqual({
+            type: 'OBJECT',
+            required: ['decisions', 'actionItems'],
+            properties: {
+                decisions: { type: 'ARRAY', items: { type: 'STRING' } },
+                actionItems: {
+                    type: 'ARRAY',
+                    items: {
+                        type: 'OBJECT',
+                        required: ['task', 'owner'],
+                        properties: { task: { type: 'STRING' }, owner: { type: 'STRING' }, dueDate: { type: 'STRING', description: 'Due', nullable: true } }
+                    }
+                }
+            }
+        });
+    });
+
+    test('should leave out what Gemini cannot express', () => {
+        expect(toGeminiSchema({
+            type: 'object',
+            required: ['mood', 'topics'],
+            properties: {
+                mood: { type: 'string', enum: ['good', 'bad'] },
+                score: { type: 'integer', enum: [1, 2, 3] },
+                topics: { anyOf: [{ type: 'string' }, { type: 'number' }] },
+                tags: { type: 'array', items: { $ref: '#/definitions/tag' } }
+            }
+        })).toEqual({
+            type: 'OBJECT',
+            required: ['mood'],
+            properties: { mood: { type: 'STRING', enum: ['good', 'bad'] }, score: { type: 'INTEGER' } }
+        });
+        expect(toGeminiSchema({ type: 'object', additionalProperties: { type: 'string' } })).toBeNull();
+    });
+
+    test('should pass the responseSchema to Gemini', async () => {
+        const generateContent = jest.fn(async () => ({ response: { candidates: [{ content: { parts: [{ text: JSON.stringify(valid) }] } }] } }));
+        mockGetGenerativeModel.mockReturnValue({ generateContent });
+
+        await expect(callModel('Extract.', 'gemini-2.5-flash', schema)).resolves.toBe(JSON.stringify(valid));
+        expect(mockGetGenerativeModel).toHaveBeenCalledWith({
+            model: 'gemini-2.5-flash',
+            generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) }
+        });
+
+        await callModel('Summarize.', 'gemini-2.5-flash');
+        expect(mockGetGenerativeModel).toHaveBeenLastCalledWith({ model: 'gemini-2.5-flash' });
+    });
+
+    test('should read the schema of the dashboard prompt', async () => {
+        const bucketWith = files => ({
+            file: name => ({
+                download: async () => {
+                    if (!(name in files)) throw Object.assign(new Error('No such object'), { code: 404 });
+                    return [Buffer.from(files[name])];
+                }
+            })
+        });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(loadDashboardPrompt(bucketWith({}))).resolves.toBeNull();
+        await expect(loadDashboardPrompt(bucketWith({ '_config/prompt.txt': 'Summarize.' }))).resolves.toEqual({ prompt: 'Summarize.', schema: null });
+        await expect(loadDashboardPrompt(bucketWith({ '_config/prompt.txt': 'Extract.', '_config/prompt.schema.json': JSON.stringify(schema) })))
+            .resolves.toEqual({ prompt: 'Extract.', schema });
+        await expect(loadDashboardPrompt(bucketWith({ '_config/prompt.txt': 'Extract.', '_config/prompt.schema.json': '{"type": "array"}' })))
+            .resolves.toEqual({ prompt: 'Extract.', schema: null });
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('_config/prompt.schema.json'));
+        warn.mockRestore();
+    });
+});
+
+describe('Notifier - Drive Prompt Inheritance', () => {
+    // Watched/ (root) > Sales/ > Calls/, with prompt files by folder ID
+    function fakeDrive(promptFolders) {
+        const folders = {
+            root: { name: 'Watched', parents: ['drive-top'] },
+            sales: { name: 'Sales', parents: ['root'] },
+            calls: { name: 'Calls', parents: ['sales'] }
+        };
+        const calls = [];
+        const drive = {
+            files: {
+                get: async ({ fileId, alt }) => {
+                    calls.push(fileId);
+                    if (alt === 'media') return { data: promptFolders[fileId.replace(/-prompt$/, '')] };
+                    if (!folders[fileId]) throw new Error('File not found');
+                    return { data: folders[fileId] };
+                },
+                list: async ({ q }) => {
+                    const parent = q.match(/^'([^']+)'/)[1];
+                    const wantsFile = q.includes("name = 'PROMPT.md'");
+                    return { data: { files: wantsFile && parent in promptFolders ? [{ id: `${parent}-prompt`, name: 'PROMPT.md' }] : [] } };
+                }
+            }
+        };
+        return { drive, calls };
+    }
+
+    test('should read the model from front-matter', () => {
+        expect(parsePromptFile('---\nmodel: "claude-sonnet-4"\n---\nSummarize the call.\n')).toEqual({ prompt: 'Summarize the call.', model: 'claude-sonnet-4' });
+        expect(parsePromptFile('Summarize the call.')).toEqual({ prompt: 'Summarize the call.', model: null });
+    });
+
+    test('should read a one-line schema from front-matter', () => {
+        const schema = { type: 'object', properties: { summary: { type: 'string' } } };
+        expect(parsePromptFile(`---\nschema: ${JSON.stringify(schema)}\n---\nSummarize the call.`)).toEqual({ prompt: 'Summarize the call.', model: null, schema });
+
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(parsePromptFile('---\nschema: {"type": "object",\n---\nSummarize the call.')).toEqual({ prompt: 'Summarize the call.', model: null });
+        expect(parsePromptFile('---\nschema: {"type": "string"}\n---\nSummarize the call.')).toEqual({ prompt: 'Summarize the call.', model: null });
+        expect(warn).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+    });
+
+    test('should use the prompt nearest to the recording', async () => {
+        const { drive } = fakeDrive({ root: 'Root prompt', sales: '---\nmodel: gemini-2.5-pro\n---\nSales prompt' });
+
+        await expect(locateNearestPrompt(drive, { startFolderIds: ['calls'], rootFolderId: 'root' }, new Map())).resolves.toMatchObject({
+            prompt: 'Sales prompt',
+            model: 'gemini-2.5-pro',
+            path: 'Sales/PROMPT.md'
+        });
+    });
+
+    test('should fall back to the watched folder and stop there', async () => {
+        const { drive } = fakeDrive({ root: 'Root prompt' });
+        const nearest = await locateNearestPrompt(drive, { startFolderIds: ['missing__', 'calls'], rootFolderId: 'root' }, new Map());
+
+        expect(nearest).toMatchObject({ prompt: 'Root prompt', model: null, path: 'Watched/PROMPT.md' });
+        await expect(locateNearestPrompt(fakeDrive({}).drive, { startFolderIds: ['calls'], rootFolderId: 'root' }, new Map())).resolves.toBeNull();
+    });
+
+    test('should cache folder and prompt lookups', async () => {
+        const { drive, calls } = fakeDrive({ root: 'Root prompt' });
+        const cache = new Map();
+
+        await locateNearestPrompt(drive, { startFolderIds: ['calls'], rootFolderId: 'root' }, cache);
+        const firstCalls = calls.length;
+        await expect(locateNearestPrompt(drive, { startFolderIds: ['calls'], rootFolderId: 'root' }, cache)).resolves.toMatchObject({ prompt: 'Root prompt' });
+        expect(calls).toHaveLength(firstCalls);
+    });
+});
+
+describe('Notifier - HTML Email', () => {
+    const view = {
+        subject: 'Analysis & Transcript: Q3 <Review>.mp4',
+        title: 'Q3 <Review>.mp4',
+        intro: 'Your video "Q3 <Review>.mp4" has been processed.',
+        badges: [{ label: 'Duration', value: '45 min' }, { label: 'Language', value: '' }, { label: 'Model', value: 'gemini-2.5-flash' }],
+        buttons: [{ label: 'Open the dashboard', url: 'https://dashboard.example.com/?a=1&b=2' }, { label: 'Transcript', url: undefined }],
+        analyses: [{ title: 'AI Analysis: summary', source: 'prompt library "summary"', text: '## Decisions\n- **Ship** v2\n<script>alert(1)</script>' }],
+        transcript: '[0:00 - 0:12] Speaker 1: Hello & welcome.\n\n[0:12 - 0:20] Speaker 2: Thanks.'
+    };
+
+    test('should render analyses from Markdown and show raw HTML as text', () => {
+        const html = renderEmailHtml(DEFAULT_EMAIL_TEMPLATE, view);
+
+        expect(html).toContain('<h2>Decisions</h2>');
+        expect(html).toContain('<strong>Ship</strong>');
+        expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).not.toContain('<script>');
+        expect(html).toContain('<title>Analysis &amp; Transcript: Q3 &lt;Review&gt;.mp4</title>');
+    });
+
+    test('should show badges and buttons that have a value', () => {
+        const html = renderEmailHtml(DEFAULT_EMAIL_TEMPLATE, view);
+
+        expect(html).toContain('Duration: <strong>45 min</strong>');
+        expect(html).not.toContain('Language:');
+        expect(html).toContain('<a class="button" href="https://dashboard.example.com/?a=1&amp;b=2">Open the dashboard</a>');
+        expect(html).not.toContain('>Transcript</a>');
+    });
+
+    test('should preview the first transcript passages in a collapsible block', () => {
+        const passages = Array.from({ length: TRANSCRIPT_PREVIEW_PASSAGES + 5 }, (_, i) => `[0:${String(i).padStart(2, '0')} - 0:${String(i + 1).padStart(2, '0')}] Passage ${i}`);
+        const html = renderEmailHtml(DEFAULT_EMAIL_TEMPLATE, { ...view, transcript: passages.join('\n\n') });
+
+        expect(html).toContain(`<summary>Transcript preview (first ${TRANSCRIPT_PREVIEW_PASSAGES} of ${passages.length} passages)</summary>`);
+        expect(html).toContain('<span class="timestamp">[0:00 - 0:01]</span> Passage 0');
+        expect(html).not.toContain(`Passage ${TRANSCRIPT_PREVIEW_PASSAGES}<`);
+        expect(renderEmailHtml(DEFAULT_EMAIL_TEMPLATE, view)).toContain('<summary>Transcript (2 passages)</summary>');
+    });
+
+    test('should only keep web and mail links from Markdown', () => {
+        const text = '[Docs](https://example.com/docs "Guide") [Mail](mailto:team@example.com) [Click](javascript:alert(1)) ' +
+            '[Data](data:text/html,hi) ![Chart](https://example.com/chart.png) ![Pixel](JavaScript:alert(2)) [Local](/admin)';
+        const html = renderEmailHtml('{{{analyses}}}', { ...view, analyses: [{ title: 'Links', text }] });
+
+        expect(html).toContain('<a href="https://example.com/docs" title="Guide">Docs</a>');
+        expect(html).toContain('<a href="mailto:team@example.com">Mail</a>');
+        expect(html).toContain('<img src="https://example.com/chart.png" alt="Chart">');
+        expect(html).toContain(' Click Data ');
+        expect(html).toContain(' Pixel Local');
+        expect(html.toLowerCase()).not.toMatch(/javascript:|data:|href="\/admin"/);
+    });
+
+    test('should fill an operator template', () => {
+        const template = '<h1>{{ title }}</h1>{{{analyses}}}<p>{{unknown}}{{{missing}}}</p><a href="{{dashboardUrl}}">Dashboard</a>';
+        const html = renderEmailHtml(template, { ...view, analyses: [{ title: 'Notes', text: 'Use {{title}} here' }], dashboardUrl: 'https://dashboard.example.com' });
+
+        expect(html.startsWith('<h1>Q3 &lt;Review&gt;.mp4</h1><div class="card analysis">')).toBe(true);
+        expect(html).toContain('<p>Use {{title}} here</p>');
+        expect(html).toContain('<p></p><a href="https://dashboard.example.com">Dashboard</a>');
+    });
+});
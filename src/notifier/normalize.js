@@ -0,0 +1,380 @@
+/**
+ * Normalized transcripts.
+ *
+ * The transcriber's providers (src/transcriber/providers.js) leave their raw
+ * results under `_raw/<key>/<provider>/`. This module turns each of them into
+ * the one shape the notifier writes to `<key>.json` and reads back:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "provider": "speech-v2",
+ *     "inputUri": "gs://input/Team/Meeting__1AbC....mp4",
+ *     "durationSeconds": 68.2,
+ *     "segments": [{
+ *       "start": 0.4, "end": 2.1,              // seconds from the start of the recording
+ *       "text": "Welcome to the show.",
+ *       "confidence": 0.93,                    // 0-1, or null if the provider has none
+ *       "languageCode": "en-us",               // as reported, or null
+ *       "speaker": 1,                          // when every word has the same speaker, else null
+ *       "words": [{ "word": "Welcome", "start": 0.4, "end": 0.9, "confidence": 0.98, "speaker": 1 }]
+ *     }],
+ *     "onScreenText": [{ "start": 0, "end": 42.5, "lines": ["Q3 Results", "Revenue +12%"] }]
+ *   }
+ *
+ * `onScreenText` is only present when Video Intelligence read text from the
+ * video (a profile's `onScreenText` setting): one block per shot, in reading order.
+ *
+ * Transcripts written before this format (Video Intelligence JSON) are
+ * converted on read by toTranscript().
+ */
+
+const SCHEMA_VERSION = 1;
+
+const RAW_OUTPUT_PREFIX = '_raw/';
+
+// Mirrors PROVIDER in src/transcriber/providers.js
+const PROVIDER = {
+    VIDEO_INTELLIGENCE: 'video-intelligence',
+    SPEECH_V2: 'speech-v2',
+    WHISPER: 'whisper'
+};
+
+// Text detections below this confidence are mostly noise (logos, blurred UI)
+const MIN_TEXT_CONFIDENCE = 0.5;
+
+// OpenAI's server reports the language by name; self-hosted servers use codes
+const WHISPER_LANGUAGE_NAMES = {
+    english: 'en', german: 'de', spanish: 'es', french: 'fr', italian: 'it', portuguese: 'pt', dutch: 'nl'
+};
+
+/**
+ * Parses a protobuf Duration as written to JSON ("123.456s" or {seconds, nanos}).
+ * Plain numbers are already seconds.
+ * @param {string|Object|number} time
+ * @returns {number} Seconds (0 if missing)
+ */
+function parseSeconds(time) {
+    if (!time) return 0;
+    if (typeof time === 'number') return time;
+    if (typeof time === 'string') {
+        return parseFloat(time.replace('s', '')) || 0;
+    }
+    if (typeof time === 'object') {
+        return parseInt(time.seconds || 0) + (time.nanos || 0) / 1e9;
+    }
+    return 0;
+}
+
+function roundSeconds(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Finds the source key and provider of a raw result object.
+ * Results from before providers had their own folder are Speech-to-Text.
+ * @param {string} rawObjectName - "_raw/<key>/<provider>/<file>.json"
+ * @returns {{objectName: string, provider: string}}
+ */
+function parseRawObjectName(rawObjectName) {
+    const parts = rawObjectName.slice(RAW_OUTPUT_PREFIX.length).split('/');
+    parts.pop();
+    const folder = parts[parts.length - 1];
+    if (Object.values(PROVIDER).includes(folder)) {
+        return { objectName: parts.slice(0, -1).join('/'), provider: folder };
+    }
+    return { objectName: parts.join('/'), provider: PROVIDER.SPEECH_V2 };
+}
+
+/**
+ * Builds one normalized segment. Timing comes from the words when there are
+ * any, otherwise from `start` / `end`.
+ */
+function buildSegment({ text, confidence, languageCode, words, start, end }) {
+    const speakers = new Set(words.map(w => w.speaker));
+    return {
+        start: roundSeconds(words.length > 0 ? words[0].start : start || 0),
+        end: roundSeconds(words.length > 0 ? words[words.length - 1].end : end || start || 0),
+        text: String(text || '').trim(),
+        confidence: typeof confidence === 'number' ? confidence : null,
+        languageCode: languageCode || null,
+        speaker: speakers.size === 1 ? [...speakers][0] : null,
+        words
+    };
+}
+
+function buildWord(word, start, end, confidence, speaker) {
+    return {
+        word: String(word || '').trim(),
+        start: roundSeconds(start),
+        end: roundSeconds(end),
+        confidence: typeof confidence === 'number' ? confidence : null,
+        speaker: speaker || null
+    };
+}
+
+function buildTranscript(provider, inputUri, segments, durationSeconds) {
+    const lastEnd = segments.length > 0 ? segments[segments.length - 1].end : 0;
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        provider,
+        inputUri: inputUri || null,
+        durationSeconds: roundSeconds(Math.max(durationSeconds || 0, lastEnd)),
+        segments
+    };
+}
+
+/**
+ * Normalizes Video Intelligence annotateVideo output (snake_case).
+ * With speaker diarization, later results repeat every word from the start of
+ * the recording (only those copies carry speaker tags), so words are
+ * de-duplicated by timing and take their speaker from any tagged copy.
+ * @param {Object} raw - Parsed annotation JSON
+ * @param {string} [inputUri]
+ * @returns {Object} Normalized transcript
+ */
+function normalizeVideoIntelligence(raw, inputUri) {
+    // Features can come back as separate results for the same video
+    const results = (raw && raw.annotation_results) || [];
+    const annotations = results[0] || {};
+    const transcriptions = results.flatMap(result => result.speech_transcriptions || []);
+    const timingKey = w => `${parseSeconds(w.start_time)}|${parseSeconds(w.end_time)}|${w.word}`;
+
+    const speakerByTiming = new Map();
+    for (const transcription of transcriptions) {
+        const alternative = (transcription.alternatives || [])[0];
+        for (const w of (alternative && alternative.words) || []) {
+            if (w.speaker_tag) speakerByTiming.set(timingKey(w), w.speaker_tag);
+        }
+    }
+
+    const seen = new Set();
+    const segments = [];
+    for (const transcription of transcriptions) {
+        const alternative = (transcription.alternatives || [])[0];
+        if (!alternative || !alternative.transcript || !alternative.transcript.trim()) {
+            continue;
+        }
+
+        const allWords = alternative.words || [];
+        const freshWords = allWords.filter(w => !seen.has(timingKey(w)));
+        allWords.forEach(w => seen.add(timingKey(w)));
+        if (allWords.length > 0 && freshWords.length === 0) {
+            continue; // The cumulative diarization result
+        }
+
+        segments.push(buildSegment({
+            text: alternative.transcript,
+            confidence: alternative.confidence,
+            languageCode: transcription.language_code,
+            words: freshWords.map(w => buildWord(
+                w.word, parseSeconds(w.start_time), parseSeconds(w.end_time), w.confidence, speakerByTiming.get(timingKey(w))
+            ))
+        }));
+    }
+
+    const durationSeconds = Math.max(0, ...results.map(result => parseSeconds(result.segment && result.segment.end_time_offset)));
+    const transcript = buildTranscript(PROVIDER.VIDEO_INTELLIGENCE, inputUri || annotations.input_uri, segments, durationSeconds);
+
+    const onScreenText = collectOnScreenText(
+        results.flatMap(result => result.text_annotations || []),
+        results.flatMap(result => result.shot_annotations || []),
+        transcript.durationSeconds
+    );
+    return onScreenText.length > 0 ? { ...transcript, onScreenText } : transcript;
+}
+
+/**
+ * Groups Video Intelligence text detections into one block per shot, lines
+ * ordered top to bottom, left to right. Consecutive shots showing the same
+ * text (a slide held across a camera cut) become one block.
+ * @param {Object[]} textAnnotations - `text_annotations`
+ * @param {Object[]} shotAnnotations - `shot_annotations`; without any the video is one shot
+ * @param {number} durationSeconds
+ * @returns {Array<{start: number, end: number, lines: string[]}>}
+ */
+function collectOnScreenText(textAnnotations, shotAnnotations, durationSeconds) {
+    const appearances = [];
+    for (const annotation of textAnnotations) {
+        const text = String(annotation.text || '').trim();
+        if (!text) continue;
+        for (const segment of annotation.segments || []) {
+            if (typeof segment.confidence === 'number' && segment.confidence < MIN_TEXT_CONFIDENCE) continue;
+            const frame = (segment.frames || [])[0];
+            const box = frame && frame.rotated_bounding_box;
+            const corner = (box && box.vertices && box.vertices[0]) || {};
+            appearances.push({
+                text,
+                start: parseSeconds(segment.segment && segment.segment.start_time_offset),
+                end: parseSeconds(segment.segment && segment.segment.end_time_offset),
+                // Coordinates are 0-1; rounding puts words of one line on the same row
+                row: Math.round((corner.y || 0) * 50),
+                x: corner.x || 0
+            });
+        }
+    }
+    if (appearances.length === 0) {
+        return [];
+    }
+
+    const shots = shotAnnotations.length > 0
+        ? shotAnnotations
+            .map(shot => ({ start: parseSeconds(shot.start_time_offset), end: parseSeconds(shot.end_time_offset) }))
+            .sort((a, b) => a.start - b.start)
+        : [{ start: 0, end: Math.max(durationSeconds, ...appearances.map(a => a.end)) }];
+
+    const blocks = [];
+    for (const shot of shots) {
+        const visible = appearances
+            .filter(a => a.start === a.end
+                ? a.start >= shot.start && a.start < shot.end
+                : Math.min(a.end, shot.end) > Math.max(a.start, shot.start))
+            .sort((a, b) => a.row - b.row || a.x - b.x);
+        const lines = [...new Set(visible.map(a => a.text))];
+        if (lines.length === 0) continue;
+
+        const previous = blocks[blocks.length - 1];
+        if (previous && previous.lines.join('\n') === lines.join('\n')) {
+            previous.end = roundSeconds(shot.end);
+            continue;
+        }
+        blocks.push({ start: roundSeconds(shot.start), end: roundSeconds(shot.end), lines });
+    }
+    return blocks;
+}
+
+/**
+ * Normalizes a Speech-to-Text v2 batch result file. Accepts camelCase or
+ * snake_case fields and "1.5s" or {seconds, nanos} offsets.
+ * @param {Object} raw - Parsed result file
+ * @param {string} [inputUri]
+ * @returns {Object} Normalized transcript
+ */
+function normalizeSpeechResults(raw, inputUri) {
+    const segments = [];
+    let previousEnd = 0;
+    let endSeconds = 0;
+
+    for (const result of (raw && raw.results) || []) {
+        const resultEnd = parseSeconds(result.resultEndOffset || result.result_end_offset || result.resultEndTime);
+        endSeconds = Math.max(endSeconds, resultEnd);
+
+        const alternative = result.alternatives && result.alternatives[0];
+        if (!alternative || !alternative.transcript) {
+            previousEnd = Math.max(previousEnd, resultEnd);
+            continue;
+        }
+
+        const words = (alternative.words || []).map(w => {
+            const end = parseSeconds(w.endOffset || w.end_offset || w.endTime);
+            endSeconds = Math.max(endSeconds, end);
+            // v2 reports diarization as a string label ("1", "2", ...)
+            return buildWord(
+                w.word,
+                parseSeconds(w.startOffset || w.start_offset || w.startTime),
+                end,
+                w.confidence,
+                parseInt(w.speakerLabel || w.speaker_label || w.speakerTag)
+            );
+        });
+
+        segments.push(buildSegment({
+            text: alternative.transcript,
+            confidence: alternative.confidence,
+            languageCode: result.languageCode || result.language_code,
+            words,
+            start: previousEnd,
+            end: resultEnd
+        }));
+        previousEnd = Math.max(previousEnd, resultEnd);
+    }
+
+    return buildTranscript(PROVIDER.SPEECH_V2, inputUri, segments, endSeconds);
+}
+
+/**
+ * Normalizes a Whisper verbose_json response. Word timestamps may be listed
+ * per segment (faster-whisper style) or once for the whole file (OpenAI);
+ * diarizing servers (whisperX style) label speakers "SPEAKER_00", ...
+ * @param {Object} raw - Parsed response
+ * @param {string} [inputUri]
+ * @returns {Object} Normalized transcript
+ */
+function normalizeWhisper(raw, inputUri) {
+    const rawSegments = (raw && raw.segments) || [];
+    const fileWords = (raw && raw.words) || [];
+    const reported = String((raw && raw.language) || '').toLowerCase();
+    const languageCode = WHISPER_LANGUAGE_NAMES[reported] ||
+        (/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/.test(reported) ? reported : null);
+    const toSpeaker = speaker => {
+        if (typeof speaker === 'number') return speaker + 1;
+        const match = String(speaker || '').match(/(\d+)$/);
+        return match ? parseInt(match[1]) + 1 : null;
+    };
+
+    const segments = rawSegments
+        .filter(segment => segment.text && segment.text.trim())
+        .map((segment, i) => {
+            const next = rawSegments[i + 1];
+            const sourceWords = segment.words ||
+                fileWords.filter(w => w.start >= segment.start && (!next || w.start < next.start));
+            return buildSegment({
+                text: segment.text,
+                // avg_logprob is a mean log-probability per token
+                confidence: typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null,
+                languageCode,
+                words: sourceWords.map(w => buildWord(
+                    w.word, w.start, w.end, w.probability, toSpeaker(w.speaker !== undefined ? w.speaker : segment.speaker)
+                )),
+                start: segment.start,
+                end: segment.end
+            });
+        });
+
+    return buildTranscript(PROVIDER.WHISPER, inputUri, segments, raw && raw.duration);
+}
+
+/**
+ * Normalizes a raw result from any provider.
+ * @param {string} provider - One of PROVIDER
+ * @param {Object} raw
+ * @param {string} [inputUri]
+ * @returns {Object} Normalized transcript
+ */
+function normalizeRawTranscript(provider, raw, inputUri) {
+    switch (provider) {
+        case PROVIDER.VIDEO_INTELLIGENCE:
+            return normalizeVideoIntelligence(raw, inputUri);
+        case PROVIDER.WHISPER:
+            return normalizeWhisper(raw, inputUri);
+        case PROVIDER.SPEECH_V2:
+            return normalizeSpeechResults(raw, inputUri);
+        default:
+            throw new Error(`Unknown transcription provider "${provider}"`);
+    }
+}
+
+/**
+ * Reads a `<key>.json` transcript, converting the Video Intelligence shape
+ * used before normalized transcripts existed.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} Normalized transcript
+ */
+function toTranscript(data) {
+    if (data && data.schemaVersion) {
+        return data;
+    }
+    return { ...normalizeVideoIntelligence(data), provider: null };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    RAW_OUTPUT_PREFIX,
+    PROVIDER,
+    parseSeconds,
+    parseRawObjectName,
+    normalizeVideoIntelligence,
+    normalizeSpeechResults,
+    normalizeWhisper,
+    normalizeRawTranscript,
+    toTranscript
+};
@@ -0,0 +1,102 @@
+/**
+ * Prompt library.
+ *
+ * Named analysis prompts, managed on the dashboard and stored in the
+ * transcripts bucket as `_config/prompts.json`:
+ *
+ *   [
+ *     { "name": "summary", "model": "", "prompt": "Summarize ..." },
+ *     { "name": "action-items", "model": "claude-sonnet-4", "prompt": "List ...",
+ *       "schema": { "type": "object", "properties": { "items": { ... } } } }
+ *   ]
+ *
+ * Every entry a recording runs is saved as `<key>_ANALYSIS_<name>.txt`. An
+ * empty model uses the profile's model, then the dashboard default. A
+ * `schema` asks for a JSON answer, also saved as `<key>_ANALYSIS_<name>.json`
+ * (see structured.js). A profile's `prompts` picks entries by name; without
+ * it every entry runs.
+ *
+ * Without a library the single prompt (profile prompt, `_config/prompt.txt`
+ * or PROMPT.md in Drive) runs as before and is saved as `<key>_ANALYSIS.txt`.
+ */
+
+const { schemaError } = require('./structured');
+
+const PROMPT_LIBRARY_FILE = '_config/prompts.json';
+
+// Becomes part of object and attachment names
+const PROMPT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+// Structured answers, "<key>_ANALYSIS_<name>.json"; not transcripts
+const ANALYSIS_JSON_PATTERN = /_ANALYSIS(_[a-z0-9][a-z0-9-]{0,39})?\.json$/;
+
+/**
+ * Reads the library, skipping entries without a valid name or prompt,
+ * repeated names and unusable schemas.
+ * @param {string} text - Content of PROMPT_LIBRARY_FILE
+ * @returns {Array<{name: string, model: string, prompt: string, schema?: Object}>}
+ */
+function parsePromptLibrary(text) {
+    let entries;
+    try {
+        entries = JSON.parse(text);
+    } catch (e) {
+        console.warn(`Prompt library is not valid JSON, ignoring it: ${e.message}`);
+        return [];
+    }
+    if (!Array.isArray(entries)) {
+        console.warn('Prompt library is not a list, ignoring it.');
+        return [];
+    }
+
+    const library = [];
+    for (const entry of entries) {
+        const name = entry && String(entry.name || '').trim();
+        const prompt = entry && String(entry.prompt || '').trim();
+        if (!PROMPT_NAME_PATTERN.test(name) || !prompt || library.some(e => e.name === name)) {
+            console.warn(`Skipping prompt library entry "${name}": needs a unique name (a-z, 0-9, -) and a prompt.`);
+            continue;
+        }
+        const invalidSchema = entry.schema ? schemaError(entry.schema) : null;
+        if (invalidSchema) {
+            console.warn(`Skipping prompt library entry "${name}": ${invalidSchema}`);
+            continue;
+        }
+        library.push({ name, model: String(entry.model || '').trim(), prompt, ...(entry.schema ? { schema: entry.schema } : {}) });
+    }
+    return library;
+}
+
+/**
+ * The library entries a profile runs.
+ * @param {Array<{name: string, model: string, prompt: string}>} library
+ * @param {string[]} names - Profile `prompts`; empty for every entry
+ * @returns {{prompts: Object[], unknown: string[]}} Unknown names are not in the library
+ */
+function selectPrompts(library, names) {
+    if (!names || names.length === 0) {
+        return { prompts: library, unknown: [] };
+    }
+    return {
+        prompts: library.filter(entry => names.includes(entry.name)),
+        unknown: names.filter(name => !library.some(entry => entry.name === name))
+    };
+}
+
+/**
+ * Output suffix of an analysis on "<key>".
+ * @param {string|null} promptName - Library entry, or null for the single prompt
+ * @param {string} [extension] - ".json" for a structured answer
+ * @returns {string} "_ANALYSIS_<name>.txt" or "_ANALYSIS.txt"
+ */
+function analysisSuffix(promptName, extension = '.txt') {
+    return promptName ? `_ANALYSIS_${promptName}${extension}` : `_ANALYSIS${extension}`;
+}
+
+module.exports = {
+    PROMPT_LIBRARY_FILE,
+    PROMPT_NAME_PATTERN,
+    ANALYSIS_JSON_PATTERN,
+    parsePromptLibrary,
+    selectPrompts,
+    analysisSuffix
+};
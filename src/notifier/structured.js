@@ -0,0 +1,213 @@
+/**
+ * Structured (JSON) analyses.
+ *
+ * A prompt with a `schema` (a JSON Schema whose root is an object) gets its
+ * answer as JSON: Gemini runs in JSON mode with the schema as its
+ * responseSchema (toGeminiSchema()), Claude answers through a tool that takes
+ * the schema as its input. The answer is validated against the full schema;
+ * an invalid one is sent back with the validation errors and a repair
+ * instruction, up to MAX_REPAIR_ATTEMPTS times.
+ *
+ * Schemas come from prompt library entries, `_config/prompt.schema.json` next
+ * to the dashboard's single prompt, or a `schema:` line in the front-matter
+ * of a Drive PROMPT.md.
+ *
+ * The validated value is saved as `<key>_ANALYSIS_<name>.json`, and the text
+ * analysis (email, `_ANALYSIS_<name>.txt`) shows it rendered by
+ * renderStructured().
+ *
+ * The model call is passed in, so this module stays free of API clients.
+ */
+
+const Ajv = require('ajv');
+
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Why a schema cannot be used, or null if it can.
+ * @param {*} schema - Library entry `schema`
+ * @returns {string|null}
+ */
+function schemaError(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object') {
+        return 'the schema must be a JSON Schema object with "type": "object"';
+    }
+    try {
+        ajv.compile(schema);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+// JSON Schema types Gemini's responseSchema knows (OpenAPI 3.0 subset)
+const GEMINI_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+/**
+ * Gemini's responseSchema for a JSON Schema. It takes a subset of OpenAPI
+ * 3.0: upper-case types, `nullable` instead of a "null" type, string enums.
+ * Anything it cannot express ($ref, anyOf, patterns, bounds, ...) is left
+ * out; the answer is still validated against the full schema.
+ * @param {Object} schema - JSON Schema
+ * @returns {Object|null} null when not even the root object can be expressed
+ */
+function toGeminiSchema(schema) {
+    const convert = node => {
+        if (!node || typeof node !== 'object') return null;
+        const types = [].concat(node.type || []);
+        const type = types.find(t => t !== 'null');
+        if (!GEMINI_TYPES.includes(type) || types.length > (types.includes('null') ? 2 : 1)) return null;
+
+        const result = { type: type.toUpperCase() };
+        const description = node.description || node.title;
+        if (description) result.description = String(description);
+        if (types.includes('null')) result.nullable = true;
+        if (type === 'string' && Array.isArray(node.enum) && node.enum.every(value => typeof value === 'string')) {
+            result.enum = node.enum;
+        }
+        if (type === 'array') {
+            const items = convert(node.items);
+            if (!items) return null;
+            result.items = items;
+        }
+        if (type === 'object') {
+            const properties = {};
+            for (const [key, property] of Object.entries(node.properties || {})) {
+                const converted = convert(property);
+                if (converted) properties[key] = converted;
+            }
+            // Gemini rejects objects without properties
+            if (Object.keys(properties).length === 0) return null;
+            result.properties = properties;
+            const required = (node.required || []).filter(key => key in properties);
+            if (required.length > 0) result.required = required;
+        }
+        return result;
+    };
+    return convert(schema);
+}
+
+/**
+ * Reads the JSON in a model answer, allowing for a Markdown code fence or
+ * text around it.
+ * @param {string} text
+ * @returns {*}
+ * @throws {SyntaxError} When there is no JSON to read
+ */
+function parseJsonAnswer(text) {
+    const value = String(text || '').trim();
+    const fenced = value.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) {
+        return JSON.parse(fenced[1]);
+    }
+    const start = value.indexOf('{');
+    const end = value.lastIndexOf('}');
+    return JSON.parse(start !== -1 && end > start ? value.slice(start, end + 1) : value);
+}
+
+function schemaInstruction(schema) {
+    return `Answer with a single JSON object and nothing else. It must match this JSON Schema:\n${JSON.stringify(schema, null, 2)}`;
+}
+
+function buildRepairPrompt(request, answer, problem) {
+    return `${request}\n\nYour previous answer was:\n${answer}\n\n` +
+        `It does not match the schema: ${problem}\n` +
+        `Answer again with the corrected JSON object only, keeping everything that was right.`;
+}
+
+/**
+ * Asks for an answer matching the schema, repairing invalid answers.
+ * @param {Object} options
+ * @param {string} options.prompt - Full request (instructions and transcript or notes)
+ * @param {Object} options.schema - JSON Schema of the answer
+ * @param {function(string): Promise<string>} options.callModel - Sends one prompt in structured mode, returns the text
+ * @returns {Promise<Object>} Validated value
+ * @throws {Error} When the answer is still invalid after MAX_REPAIR_ATTEMPTS repairs
+ */
+async function requestStructured({ prompt, schema, callModel }) {
+    const validate = ajv.compile(schema);
+    const request = `${prompt}\n\n${schemaInstruction(schema)}`;
+
+    let next = request;
+    for (let attempt = 0; ; attempt++) {
+        const answer = await callModel(next);
+        let problem;
+        try {
+            const value = parseJsonAnswer(answer);
+            if (validate(value)) {
+                return value;
+            }
+            problem = ajv.errorsText(validate.errors, { dataVar: 'answer' });
+        } catch (e) {
+            problem = `it is not valid JSON (${e.message})`;
+        }
+
+        if (attempt >= MAX_REPAIR_ATTEMPTS) {
+            throw new Error(`Structured answer still does not match its schema after ${attempt + 1} attempts: ${problem}`);
+        }
+        console.warn(`Structured answer does not match its schema (attempt ${attempt + 1}), asking for a repair: ${problem}`);
+        next = buildRepairPrompt(request, answer, problem);
+    }
+}
+
+/**
+ * "dueDate" / "due_date" -> "Due date", unless the schema gives a title.
+ */
+function fieldLabel(key, schema) {
+    if (schema && schema.title) return schema.title;
+    const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isScalar(value) {
+    return value === null || typeof value !== 'object';
+}
+
+function formatScalar(value) {
+    return value === null || value === '' ? '-' : String(value);
+}
+
+function renderLines(value, schema, pad) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return [`${pad}(none)`];
+        const itemSchema = (schema && schema.items) || {};
+        return value.flatMap(item => {
+            if (isScalar(item)) return [`${pad}- ${formatScalar(item)}`];
+            // Nested lines sit two columns in; the first takes the bullet
+            const lines = renderLines(item, itemSchema, `${pad}  `);
+            return [`${pad}- ${lines[0].slice(pad.length + 2)}`, ...lines.slice(1)];
+        });
+    }
+
+    const properties = (schema && schema.properties) || {};
+    const keys = [...Object.keys(properties).filter(key => key in value), ...Object.keys(value).filter(key => !(key in properties))];
+    if (keys.length === 0) return [`${pad}-`];
+    return keys.flatMap(key => {
+        const label = fieldLabel(key, properties[key]);
+        if (isScalar(value[key])) return [`${pad}${label}: ${formatScalar(value[key])}`];
+        return [`${pad}${label}:`, ...renderLines(value[key], properties[key], `${pad}  `)];
+    });
+}
+
+/**
+ * Readable text of a structured answer: one "Label: value" line per field,
+ * lists as "- " items, nested fields indented. Fields follow the schema's
+ * order and titles.
+ * @param {Object} value - From requestStructured()
+ * @param {Object} [schema]
+ * @returns {string}
+ */
+function renderStructured(value, schema = {}) {
+    return renderLines(value, schema, '').join('\n');
+}
+
+module.exports = {
+    MAX_REPAIR_ATTEMPTS,
+    schemaError,
+    toGeminiSchema,
+    parseJsonAnswer,
+    requestStructured,
+    renderStructured
+};
@@ -0,0 +1,135 @@
+/**
+ * Per-file ingestion ledger.
+ *
+ * One object per Drive file at `_ledger/<fileId>.json` in the input bucket.
+ * The JSON body holds the full entry; `status`, `attempts` and `parentFolderId`
+ * are mirrored into custom object metadata so a prefix listing is enough to
+ * find files that need work without downloading every entry.
+ *
+ * Writers: drive-poller, the large-downloader job and
+ * scripts/backfill_large_files.js; reader: dashboard.
+ *
+ * The scheduled poll and the Drive webhook can run at the same time. Entries
+ * returned by putEntry() and listEntries() carry the object `generation`;
+ * passing it back as `ifGenerationMatch` turns a write into a claim that fails
+ * with code 412 if another run got there first.
+ */
+
+const LEDGER_PREFIX = '_ledger/';
+
+const STATUS = {
+    QUEUED: 'queued',
+    DOWNLOADING: 'downloading',
+    HANDED_TO_JOB: 'handed-to-job',
+    UPLOADED: 'uploaded',
+    SKIPPED_TOO_LONG: 'skipped-too-long',
+    FAILED: 'failed'
+};
+
+// Files in these states never need another download attempt
+const FINAL_STATUSES = [STATUS.UPLOADED, STATUS.SKIPPED_TOO_LONG, STATUS.HANDED_TO_JOB];
+
+function entryPath(fileId) {
+    return `${LEDGER_PREFIX}${fileId}.json`;
+}
+
+/**
+ * Reads the ledger entry for a Drive file.
+ * @param {Bucket} bucket - GCS bucket holding the ledger
+ * @param {string} fileId - Drive file ID
+ * @returns {Promise<Object|null>} The entry, or null if the file is unknown
+ */
+async function getEntry(bucket, fileId) {
+    try {
+        const [content] = await bucket.file(entryPath(fileId)).download();
+        return JSON.parse(content.toString());
+    } catch (e) {
+        if (e.code === 404) return null;
+        throw e;
+    }
+}
+
+/**
+ * Writes (creates or replaces) a ledger entry. Each call is its own commit,
+ * so a failure later in the run never loses progress on earlier files.
+ * @param {Bucket} bucket
+ * @param {Object} entry - Must include fileId and status
+ * @param {Object} [options]
+ * @param {number} [options.ifGenerationMatch] - Only write if the entry is still at this generation (0: only create)
+ * @returns {Promise<Object>} The saved entry, with its new generation
+ */
+async function putEntry(bucket, entry, options = {}) {
+    const { generation, ...fields } = entry;
+    const saved = { ...fields, updatedAt: new Date().toISOString() };
+    const file = bucket.file(entryPath(entry.fileId));
+    await file.save(JSON.stringify(saved, null, 2), {
+        contentType: 'application/json',
+        resumable: false,
+        ...(options.ifGenerationMatch !== undefined
+            ? { preconditionOpts: { ifGenerationMatch: options.ifGenerationMatch } }
+            : {}),
+        metadata: {
+            metadata: {
+                status: saved.status,
+                attempts: String(saved.attempts || 0),
+                parentFolderId: saved.parentFolderId || ''
+            }
+        }
+    });
+    return { ...saved, generation: file.metadata.generation };
+}
+
+/**
+ * Reads an entry, applies `changes` and writes it back.
+ * @param {Bucket} bucket
+ * @param {string} fileId
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object>} The saved entry
+ */
+async function updateEntry(bucket, fileId, changes) {
+    const current = (await getEntry(bucket, fileId)) || { fileId, attempts: 0 };
+    return putEntry(bucket, { ...current, ...changes });
+}
+
+/**
+ * Forgets a file, e.g. after it left the watched folders. If it comes back it
+ * is ingested again.
+ * @param {Bucket} bucket
+ * @param {string} fileId
+ */
+async function deleteEntry(bucket, fileId) {
+    await bucket.file(entryPath(fileId)).delete({ ignoreNotFound: true });
+}
+
+/**
+ * Lists ledger entries from object metadata only (no downloads).
+ * @param {Bucket} bucket
+ * @returns {Promise<Array<{fileId: string, status: string, attempts: number, parentFolderId: string, updatedAt: string, generation: string}>>}
+ */
+async function listEntries(bucket) {
+    const [files] = await bucket.getFiles({ prefix: LEDGER_PREFIX });
+    return files
+        .filter(f => f.name.endsWith('.json'))
+        .map(f => {
+            const meta = f.metadata.metadata || {};
+            return {
+                fileId: f.name.slice(LEDGER_PREFIX.length, -'.json'.length),
+                status: meta.status || STATUS.QUEUED,
+                attempts: parseInt(meta.attempts) || 0,
+                parentFolderId: meta.parentFolderId || '',
+                updatedAt: f.metadata.updated,
+                generation: f.metadata.generation
+            };
+        });
+}
+
+module.exports = {
+    LEDGER_PREFIX,
+    STATUS,
+    FINAL_STATUSES,
+    getEntry,
+    putEntry,
+    updateEntry,
+    deleteEntry,
+    listEntries
+};
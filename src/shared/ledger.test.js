@@ -0,0 +1,103 @@
+const ledger = require('./ledger');
+
+// In-memory bucket: every write gets a new generation, as in GCS
+function createBucket() {
+    const objects = new Map();
+    let generation = 0;
+    const notFound = name => Object.assign(new Error(`No such object: ${name}`), { code: 404 });
+
+    const file = name => {
+        const handle = {
+            name,
+            metadata: {},
+            async download() {
+                if (!objects.has(name)) throw notFound(name);
+                return [objects.get(name).content];
+            },
+            async save(content, options = {}) {
+                const expected = (options.preconditionOpts || {}).ifGenerationMatch;
+                const current = objects.get(name);
+                if (expected !== undefined && expected !== (current ? current.generation : 0)) {
+                    throw Object.assign(new Error('Precondition failed'), { code: 412 });
+                }
+                const object = {
+                    content: Buffer.from(content),
+                    generation: ++generation,
+                    metadata: { ...options.metadata.metadata },
+                    updated: new Date().toISOString()
+                };
+                objects.set(name, object);
+                handle.metadata = { generation: object.generation, metadata: object.metadata, updated: object.updated };
+            },
+            async delete(options = {}) {
+                if (!objects.delete(name) && !options.ignoreNotFound) throw notFound(name);
+            }
+        };
+        return handle;
+    };
+
+    return {
+        objects,
+        file,
+        async getFiles({ prefix }) {
+            const names = Array.from(objects.keys()).filter(name => name.startsWith(prefix));
+            return [names.map(name => {
+                const object = objects.get(name);
+                return { name, metadata: { generation: object.generation, metadata: object.metadata, updated: object.updated } };
+            })];
+        }
+    };
+}
+
+describe('Shared - Ledger', () => {
+    let bucket;
+    const entry = changes => ({ fileId: 'file-1', name: 'Call.mp4', parentFolderId: 'root', status: ledger.STATUS.QUEUED, attempts: 0, ...changes });
+
+    beforeEach(() => {
+        bucket = createBucket();
+    });
+
+    test('should return null for files it has no entry for', async () => {
+        await expect(ledger.getEntry(bucket, 'unknown')).resolves.toBeNull();
+    });
+
+    test('should store the entry with its status mirrored into object metadata', async () => {
+        const saved = await ledger.putEntry(bucket, entry({ attempts: 2, generation: 7 }));
+
+        expect(saved).toMatchObject({ fileId: 'file-1', status: 'queued', generation: 1 });
+        expect(bucket.objects.get('_ledger/file-1.json').metadata).toEqual({ status: 'queued', attempts: '2', parentFolderId: 'root' });
+        // The generation belongs to the object, not the entry
+        await expect(ledger.getEntry(bucket, 'file-1')).resolves.not.toHaveProperty('generation');
+    });
+
+    test('should create an entry only once with ifGenerationMatch 0', async () => {
+        await ledger.putEntry(bucket, entry(), { ifGenerationMatch: 0 });
+
+        await expect(ledger.putEntry(bucket, entry({ name: 'Other.mp4' }), { ifGenerationMatch: 0 }))
+            .rejects.toMatchObject({ code: 412 });
+        await expect(ledger.getEntry(bucket, 'file-1')).resolves.toMatchObject({ name: 'Call.mp4' });
+    });
+
+    test('should let only one of two runs claim the same generation', async () => {
+        const queued = await ledger.putEntry(bucket, entry());
+        const [listed] = await ledger.listEntries(bucket);
+        expect(listed).toEqual({ fileId: 'file-1', status: 'queued', attempts: 0, parentFolderId: 'root', updatedAt: expect.any(String), generation: queued.generation });
+
+        const claimed = await ledger.putEntry(bucket, { ...queued, status: ledger.STATUS.DOWNLOADING }, { ifGenerationMatch: listed.generation });
+        await expect(ledger.putEntry(bucket, { ...queued, status: ledger.STATUS.DOWNLOADING }, { ifGenerationMatch: listed.generation }))
+            .rejects.toMatchObject({ code: 412 });
+
+        // The winner goes on from the generation its claim returned
+        await ledger.putEntry(bucket, { ...claimed, status: ledger.STATUS.UPLOADED }, { ifGenerationMatch: claimed.generation });
+        await expect(ledger.getEntry(bucket, 'file-1')).resolves.toMatchObject({ status: 'uploaded' });
+    });
+
+    test('should update and delete entries', async () => {
+        await ledger.updateEntry(bucket, 'file-2', { status: ledger.STATUS.HANDED_TO_JOB });
+        await expect(ledger.getEntry(bucket, 'file-2')).resolves.toMatchObject({ fileId: 'file-2', status: 'handed-to-job', attempts: 0 });
+
+        await ledger.deleteEntry(bucket, 'file-2');
+        await ledger.deleteEntry(bucket, 'file-2');
+        await expect(ledger.getEntry(bucket, 'file-2')).resolves.toBeNull();
+    });
+});
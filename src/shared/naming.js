@@ -0,0 +1,76 @@
+/**
+ * Object naming for files copied from Drive into the input bucket.
+ *
+ * Keys keep the Drive folder path and add the Drive file ID before the
+ * extension, so two "Meeting.mp4" files in different folders (or the same
+ * folder) never overwrite each other:
+ *
+ *   Team Recordings/Sales/Meeting__1AbCdEfGhIjKlMnOp.mp4
+ *
+ * Every downstream object is derived by suffixing this key (`<key>.json`,
+ * `<key>_TRANSCRIPT.txt`, ...), so the whole pipeline inherits the uniqueness.
+ * The human-readable name travels separately in the `originalName` metadata.
+ *
+ * Objects written before this scheme are plain file names ("Meeting.mp4");
+ * displayNameFromObjectName() returns those unchanged.
+ */
+
+const MAX_SEGMENT_LENGTH = 100;
+
+// Drive IDs are URL-safe base64-ish strings, in practice 25+ characters
+const ID_SUFFIX_PATTERN = /^(.*)__[A-Za-z0-9_-]{10,}(\.[^./]+)?$/;
+
+/**
+ * Makes a Drive folder or file name safe to use as one path segment.
+ * Slashes would create extra levels, and a leading "_" or "." would hide the
+ * object from the dashboard (which treats those prefixes as internal).
+ * @param {string} name
+ * @returns {string}
+ */
+function sanitizeSegment(name) {
+    const cleaned = String(name || '')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .replace(/[\\/#?[\]*]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^[_.\s]+/, '')
+        .slice(0, MAX_SEGMENT_LENGTH)
+        .trim();
+    return cleaned || 'untitled';
+}
+
+/**
+ * Builds the input bucket key for a Drive file.
+ * @param {string[]} folderSegments - Folder names from the watched root down to the file's folder
+ * @param {string} fileName - Drive file name
+ * @param {string} fileId - Drive file ID
+ * @returns {string} Object key
+ */
+function buildObjectName(folderSegments, fileName, fileId) {
+    const safeName = sanitizeSegment(fileName);
+    const dot = safeName.lastIndexOf('.');
+    const stem = dot > 0 ? safeName.slice(0, dot) : safeName;
+    const ext = dot > 0 ? safeName.slice(dot) : '';
+
+    const segments = (folderSegments || []).map(sanitizeSegment);
+    segments.push(`${stem}__${fileId}${ext}`);
+    return segments.join('/');
+}
+
+/**
+ * Recovers the readable file name from an object key, for callers that do not
+ * have the `originalName` metadata at hand. Flat legacy names pass through.
+ * @param {string} objectName - e.g. "Team/Meeting__1AbC....mp4"
+ * @returns {string} e.g. "Meeting.mp4"
+ */
+function displayNameFromObjectName(objectName) {
+    const base = String(objectName || '').split('/').pop();
+    const match = base.match(ID_SUFFIX_PATTERN);
+    return match ? `${match[1]}${match[2] || ''}` : base;
+}
+
+module.exports = {
+    sanitizeSegment,
+    buildObjectName,
+    displayNameFromObjectName
+};
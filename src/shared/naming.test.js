@@ -0,0 +1,25 @@
+const { displayNameFromObjectName } = require('./naming');
+
+describe('Shared - Object Naming', () => {
+    describe('displayNameFromObjectName', () => {
+        test('should strip folder path and Drive file ID', () => {
+            expect(displayNameFromObjectName('Team Recordings/Sales/Meeting__1AbCdEfGhIjKlMnOpQrStUv.mp4')).toBe('Meeting.mp4');
+        });
+
+        test('should keep names without an extension', () => {
+            expect(displayNameFromObjectName('Team/Notes__1AbCdEfGhIjKlMnOp')).toBe('Notes');
+        });
+
+        test('should pass legacy flat names through unchanged', () => {
+            expect(displayNameFromObjectName('Meeting.mp4')).toBe('Meeting.mp4');
+        });
+
+        test('should not treat short double-underscore suffixes as IDs', () => {
+            expect(displayNameFromObjectName('Weekly__v2.mp4')).toBe('Weekly__v2.mp4');
+        });
+
+        test('should keep double underscores inside the readable name', () => {
+            expect(displayNameFromObjectName('A/my__video__1AbCdEfGhIjKlMnOp.mov')).toBe('my__video.mov');
+        });
+    });
+});
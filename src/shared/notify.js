@@ -0,0 +1,236 @@
+/**
+ * Notification channels.
+ *
+ * The notifier (transcript ready) and the transcriber (started, failed) send
+ * their notices through every channel the recording's profile configures:
+ *
+ *   email   - notificationEmails, through SMTP_HOST (any server) or the Gmail account;
+ *             plain text, with an HTML alternative when the notice has one
+ *   slack   - Slack incoming webhook
+ *   teams   - Microsoft Teams webhook (Workflows or incoming webhook), as an Adaptive Card
+ *   webhook - Any URL; gets the notice as JSON, signed with NOTIFY_WEBHOOK_SECRET
+ *
+ * The webhook URLs are profile fields:
+ *
+ *   "channels": { "slack": "https://hooks.slack.com/...", "teams": "", "webhook": "" }
+ *
+ * Channels are sent independently; a failing one is logged and the others
+ * still go out. sendNotice() only throws when every channel failed.
+ *
+ * Signed webhooks carry X-Transcriber-Timestamp and X-Transcriber-Signature,
+ * "sha256=" and the hex HMAC-SHA256 of "<timestamp>.<body>".
+ *
+ * Email needs nodemailer in the package.json of each function that sends it.
+ */
+
+const crypto = require('crypto');
+
+const CHANNELS = ['email', 'slack', 'teams', 'webhook'];
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+// Chat messages are cut here (Slack section limit); email and webhook get everything
+const MAX_CHAT_TEXT = 2900;
+
+const SIGNATURE_HEADER = 'X-Transcriber-Signature';
+const TIMESTAMP_HEADER = 'X-Transcriber-Timestamp';
+
+/**
+ * nodemailer transport options: SMTP_HOST when set, else the Gmail account.
+ * @param {Object} env
+ * @returns {Object|null} Null when email is not configured
+ */
+function smtpOptions(env) {
+    if (env.SMTP_HOST) {
+        const port = parseInt(env.SMTP_PORT) || 587;
+        return {
+            host: env.SMTP_HOST,
+            port,
+            secure: port === 465, // Other ports upgrade with STARTTLS
+            ...(env.SMTP_USER ? { auth: { user: env.SMTP_USER, pass: env.SMTP_PASSWORD || '' } } : {}),
+            connectionTimeout: REQUEST_TIMEOUT_MS
+        };
+    }
+    if (env.GMAIL_USER && env.GMAIL_APP_PASSWORD) {
+        return { service: 'gmail', auth: { user: env.GMAIL_USER, pass: env.GMAIL_APP_PASSWORD } };
+    }
+    return null;
+}
+
+function senderAddress(env) {
+    return env.SMTP_FROM || env.SMTP_USER || env.GMAIL_USER || '';
+}
+
+/**
+ * The channels a profile sends to.
+ * @param {Object} profile - Needs notificationEmails and channels
+ * @param {Object} [env=process.env]
+ * @returns {string[]} Names from CHANNELS
+ */
+function configuredChannels(profile, env = process.env) {
+    const urls = profile.channels || {};
+    return CHANNELS.filter(channel => channel === 'email'
+        ? Boolean(smtpOptions(env) && senderAddress(env) && (profile.notificationEmails || []).length > 0)
+        : Boolean(urls[channel]));
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function chatText(notice) {
+    return truncate(String(notice.summary || notice.text || notice.subject).trim(), MAX_CHAT_TEXT);
+}
+
+function escapeSlack(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackPayload(notice) {
+    return {
+        text: notice.subject, // Shown in notifications
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: truncate(notice.subject, 150) } },
+            { type: 'section', text: { type: 'mrkdwn', text: escapeSlack(chatText(notice)) } },
+            ...(notice.link ? [{
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `<${notice.link.url}|${escapeSlack(notice.link.label)}>` }]
+            }] : [])
+        ]
+    };
+}
+
+function teamsPayload(notice) {
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    { type: 'TextBlock', text: notice.subject, weight: 'Bolder', size: 'Medium', wrap: true },
+                    { type: 'TextBlock', text: chatText(notice), wrap: true }
+                ],
+                actions: notice.link ? [{ type: 'Action.OpenUrl', title: notice.link.label, url: notice.link.url }] : []
+            }
+        }]
+    };
+}
+
+function webhookPayload(profile, notice) {
+    return {
+        event: notice.event,
+        profileId: profile.id,
+        subject: notice.subject,
+        text: notice.text,
+        link: notice.link ? notice.link.url : null,
+        data: notice.data || {},
+        sentAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Signature of a webhook body, for the receiver to check.
+ * @param {string} body - Request body as sent
+ * @param {string} secret - NOTIFY_WEBHOOK_SECRET
+ * @param {string} timestamp - X-Transcriber-Timestamp value
+ * @returns {string} "sha256=<hex>"
+ */
+function signWebhook(body, secret, timestamp) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 200);
+        throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+}
+
+const SENDERS = {
+    async email(profile, notice, env) {
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport(smtpOptions(env));
+        await transporter.sendMail({
+            from: senderAddress(env),
+            to: profile.notificationEmails.join(', '),
+            subject: notice.subject,
+            text: notice.text,
+            ...(notice.html ? { html: notice.html } : {}),
+            attachments: (notice.attachments || []).filter(attachment => attachment.content)
+        });
+    },
+
+    async slack(profile, notice) {
+        await postJson(profile.channels.slack, JSON.stringify(slackPayload(notice)));
+    },
+
+    async teams(profile, notice) {
+        await postJson(profile.channels.teams, JSON.stringify(teamsPayload(notice)));
+    },
+
+    async webhook(profile, notice, env) {
+        const body = JSON.stringify(webhookPayload(profile, notice));
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = env.NOTIFY_WEBHOOK_SECRET ? {
+            [TIMESTAMP_HEADER]: timestamp,
+            [SIGNATURE_HEADER]: signWebhook(body, env.NOTIFY_WEBHOOK_SECRET, timestamp)
+        } : {};
+        await postJson(profile.channels.webhook, body, headers);
+    }
+};
+
+/**
+ * Sends a notice through every channel of the profile.
+ * @param {Object} profile - Needs id, notificationEmails and channels
+ * @param {Object} notice
+ * @param {string} notice.event - "transcript.ready", "transcription.started" or "transcription.failed"
+ * @param {string} notice.subject
+ * @param {string} notice.text - Full text (email body, webhook `text`)
+ * @param {string} [notice.html] - HTML email; `text` stays the plain-text alternative
+ * @param {string} [notice.summary] - Shorter text for Slack and Teams; defaults to `text`
+ * @param {{label: string, url: string}} [notice.link] - Where to read more
+ * @param {Object} [notice.data] - Details for the webhook JSON
+ * @param {Array<{filename: string, content: string|Buffer, contentType?: string}>} [notice.attachments] - Email only
+ * @param {Object} [env=process.env]
+ * @returns {Promise<Array<{channel: string, ok: boolean, error?: string}>>} Empty when no channel is configured
+ * @throws {Error} When every channel failed
+ */
+async function sendNotice(profile, notice, env = process.env) {
+    const channels = configuredChannels(profile, env);
+    if (channels.length === 0) {
+        console.warn(`No notification channels configured for profile "${profile.id}". Skipping actual send.`);
+        return [];
+    }
+
+    const results = await Promise.all(channels.map(async channel => {
+        try {
+            await SENDERS[channel](profile, notice, env);
+            console.log(`Sent ${notice.event} notice via ${channel}.`);
+            return { channel, ok: true };
+        } catch (err) {
+            console.error(`Sending ${notice.event} notice via ${channel} failed: ${err.message}`);
+            return { channel, ok: false, error: err.message };
+        }
+    }));
+
+    if (results.every(result => !result.ok)) {
+        throw new Error(`Every notification channel failed: ${results.map(result => `${result.channel} (${result.error})`).join(', ')}`);
+    }
+    return results;
+}
+
+module.exports = {
+    CHANNELS,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    configuredChannels,
+    signWebhook,
+    sendNotice
+};
@@ -0,0 +1,100 @@
+const http = require('http');
+const {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    configuredChannels,
+    signWebhook,
+    sendNotice
+} = require('./notify');
+
+describe('Shared - Notification Channels', () => {
+    // Local stand-in for the Slack, Teams and webhook endpoints; "/fail" answers 500
+    let server;
+    let baseUrl;
+    let requests;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ path: req.url, headers: req.headers, body });
+                res.statusCode = req.url === '/fail' ? 500 : 200;
+                res.end(req.url === '/fail' ? 'invalid_token' : 'ok');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const notice = {
+        event: 'transcript.ready',
+        subject: 'Analysis & Transcript: Call.mp4',
+        text: 'Full email body',
+        summary: 'Decisions: ship <v2>',
+        link: { label: 'Open the dashboard', url: 'https://dashboard.example.com' },
+        data: { transcript: 'Call__abc.mp4.json' }
+    };
+    const profile = channels => ({ id: 'sales', notificationEmails: [], channels });
+    const requestTo = path => requests.find(request => request.path === path);
+
+    test('should only use configured channels', () => {
+        expect(configuredChannels(profile({ slack: '', teams: '', webhook: '' }), {})).toEqual([]);
+        expect(configuredChannels({ ...profile({ teams: 'https://teams' }), notificationEmails: ['a@example.com'] }, { SMTP_HOST: 'smtp.example.com', SMTP_USER: 'bot@example.com' }))
+            .toEqual(['email', 'teams']);
+        // Email needs recipients and a server
+        expect(configuredChannels(profile({}), { GMAIL_USER: 'bot@gmail.com', GMAIL_APP_PASSWORD: 'x' })).toEqual([]);
+    });
+
+    test('should post Slack, Teams and webhook payloads', async () => {
+        const results = await sendNotice(profile({ slack: `${baseUrl}/slack`, teams: `${baseUrl}/teams`, webhook: `${baseUrl}/hook` }), notice, {});
+
+        expect(results.map(result => result.ok)).toEqual([true, true, true]);
+        const slack = JSON.parse(requestTo('/slack').body);
+        expect(slack.text).toBe(notice.subject);
+        expect(slack.blocks[1].text.text).toBe('Decisions: ship &lt;v2&gt;');
+        expect(slack.blocks[2].elements[0].text).toBe('<https://dashboard.example.com|Open the dashboard>');
+        const card = JSON.parse(requestTo('/teams').body).attachments[0];
+        expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+        expect(card.content.body.map(block => block.text)).toEqual([notice.subject, 'Decisions: ship <v2>']);
+        expect(JSON.parse(requestTo('/hook').body)).toMatchObject({ event: 'transcript.ready', profileId: 'sales', text: 'Full email body', data: notice.data });
+        expect(requestTo('/hook').headers[SIGNATURE_HEADER.toLowerCase()]).toBeUndefined();
+    });
+
+    test('should sign webhook notices with the secret', async () => {
+        await sendNotice(profile({ webhook: `${baseUrl}/hook` }), notice, { NOTIFY_WEBHOOK_SECRET: 's3cret' });
+
+        const { headers, body } = requestTo('/hook');
+        const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+        expect(timestamp).toMatch(/^\d+$/);
+        expect(headers[SIGNATURE_HEADER.toLowerCase()]).toBe(signWebhook(body, 's3cret', timestamp));
+        expect(signWebhook(body, 'other', timestamp)).not.toBe(signWebhook(body, 's3cret', timestamp));
+    });
+
+    test('should keep sending when one channel fails', async () => {
+        const results = await sendNotice({
+            ...profile({ slack: `${baseUrl}/fail`, teams: `${baseUrl}/teams`, webhook: `${baseUrl}/hook` }),
+            notificationEmails: ['team@example.com']
+        }, notice, { SMTP_HOST: '127.0.0.1', SMTP_PORT: '1', SMTP_FROM: 'bot@example.com' }); // Nothing listens on port 1
+
+        expect(results.filter(result => !result.ok).map(result => result.channel)).toEqual(['email', 'slack']);
+        expect(results.find(result => result.channel === 'slack').error).toBe('HTTP 500: invalid_token');
+        expect(requestTo('/teams')).toBeDefined();
+        expect(requestTo('/hook')).toBeDefined();
+    });
+
+    test('should fail when every channel fails', async () => {
+        await expect(sendNotice(profile({ slack: `${baseUrl}/fail`, webhook: `${baseUrl}/fail` }), notice, {}))
+            .rejects.toThrow('Every notification channel failed: slack (HTTP 500: invalid_token), webhook (HTTP 500: invalid_token)');
+    });
+});
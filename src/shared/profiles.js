@@ -0,0 +1,179 @@
+/**
+ * Watched folders and their pipeline profiles.
+ *
+ * Profiles come from the PROFILES env var, a JSON array rendered by terraform
+ * from `watched_folders`:
+ *
+ *   [{
+ *     "id": "sales",
+ *     "folderId": "1AbC...",
+ *     "sharedDriveId": "",
+ *     "notificationEmails": ["sales@example.com"],
+ *     "channels": { "slack": "https://hooks.slack.com/...", "teams": "", "webhook": "" },
+ *     "languageCode": "de-DE",
+ *     "provider": "speech-v2",
+ *     "onScreenText": false,
+ *     "prompt": "",
+ *     "prompts": ["summary", "action-items"],
+ *     "model": "",
+ *     "exports": ["srt", "docx"],
+ *     "driveDelivery": { "enabled": true, "subfolder": "Transcripts", "googleDocs": false },
+ *     "sendStartEmail": true,
+ *     "retention": { "deleteSourceVideo": true, "keepTranscriptsDays": 0 }
+ *   }]
+ *
+ * `languageCode` may also be "auto" (detect) or "" (dashboard setting).
+ * `provider` picks the transcription backend; "" uses TRANSCRIPTION_PROVIDER.
+ * `onScreenText` adds slide text and shot changes (Video Intelligence only).
+ * `prompts` picks entries of the dashboard prompt library (all when empty).
+ * `exports` lists extra transcript formats: "srt", "vtt", "docx", "json".
+ * `channels` holds Slack, Teams and webhook URLs for notices (besides email).
+ * `driveDelivery` writes transcript and analysis back next to the recording.
+ *
+ * Deployments without PROFILES get a single "default" profile built from the
+ * original single-folder env vars (FOLDER_ID, SHARED_DRIVE_ID, ...).
+ *
+ * The poller tags every uploaded object with `profileId` metadata; the
+ * transcriber and notifier find the profile again with profileFor().
+ */
+
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Fills in defaults so consumers never have to check for missing fields.
+ * @param {Object} raw - One profile as configured
+ * @returns {Object} Complete profile
+ */
+function normalizeProfile(raw) {
+    const retention = raw.retention || {};
+    const driveDelivery = raw.driveDelivery || {};
+    const channels = raw.channels || {};
+    return {
+        id: String(raw.id || DEFAULT_PROFILE_ID),
+        folderId: raw.folderId || null,
+        sharedDriveId: raw.sharedDriveId || null,
+        notificationEmails: (raw.notificationEmails || []).filter(Boolean),
+        channels: { slack: channels.slack || '', teams: channels.teams || '', webhook: channels.webhook || '' },
+        languageCode: raw.languageCode || '', // Empty: dashboard setting, then en-US
+        provider: raw.provider || '',
+        onScreenText: raw.onScreenText === true,
+        prompt: raw.prompt || '',
+        prompts: (raw.prompts || []).filter(Boolean),
+        model: raw.model || '',
+        exports: (raw.exports || []).filter(Boolean),
+        driveDelivery: {
+            enabled: driveDelivery.enabled === true,
+            subfolder: typeof driveDelivery.subfolder === 'string' ? driveDelivery.subfolder : 'Transcripts',
+            googleDocs: driveDelivery.googleDocs === true
+        },
+        sendStartEmail: raw.sendStartEmail !== false,
+        retention: {
+            deleteSourceVideo: retention.deleteSourceVideo !== false,
+            keepTranscriptsDays: parseInt(retention.keepTranscriptsDays) || 0
+        }
+    };
+}
+
+/**
+ * Reads the configured profiles.
+ * @param {Object} [env=process.env]
+ * @returns {Object[]} Normalized profiles, in configuration order
+ */
+function loadProfiles(env = process.env) {
+    if (env.PROFILES) {
+        const parsed = JSON.parse(env.PROFILES);
+        if (!Array.isArray(parsed)) {
+            throw new Error('PROFILES must be a JSON array');
+        }
+        const profiles = parsed.map(normalizeProfile);
+        const ids = new Set();
+        for (const profile of profiles) {
+            if (!profile.folderId) {
+                throw new Error(`Profile "${profile.id}" has no folderId`);
+            }
+            if (ids.has(profile.id)) {
+                throw new Error(`Duplicate profile id "${profile.id}"`);
+            }
+            ids.add(profile.id);
+        }
+        return profiles;
+    }
+
+    if (!env.FOLDER_ID) {
+        return [];
+    }
+    return [singleFolderProfile(env)];
+}
+
+function singleFolderProfile(env) {
+    return normalizeProfile({
+        id: DEFAULT_PROFILE_ID,
+        folderId: env.FOLDER_ID,
+        sharedDriveId: env.SHARED_DRIVE_ID,
+        notificationEmails: env.NOTIFICATION_EMAIL ? [env.NOTIFICATION_EMAIL] : [],
+        sendStartEmail: env.SEND_START_EMAIL !== 'false'
+    });
+}
+
+/**
+ * Looks up a profile by ID. Objects uploaded before profiles existed carry no
+ * ID and get the first profile.
+ * @param {Object[]} profiles - Result of loadProfiles()
+ * @param {string} [profileId]
+ * @returns {Object|null}
+ */
+function getProfile(profiles, profileId) {
+    return profiles.find(p => p.id === profileId) || profiles[0] || null;
+}
+
+/**
+ * The profile an object was uploaded under, for the functions after the
+ * poller. The poller already rejected a bad PROFILES, so this does not check
+ * it again, and it always returns a profile: without PROFILES (or a
+ * FOLDER_ID) the single-folder env vars make the default one.
+ * @param {string} [profileId] - `profileId` object metadata
+ * @param {Object} [env=process.env]
+ * @returns {Object} Normalized profile
+ */
+function profileFor(profileId, env = process.env) {
+    return getProfile(configuredProfiles(env), profileId) || singleFolderProfile(env);
+}
+
+/**
+ * Every profile, unchecked (see profileFor()); the single-folder one without PROFILES.
+ * @param {Object} [env=process.env]
+ * @returns {Object[]} Normalized profiles
+ */
+function configuredProfiles(env = process.env) {
+    return env.PROFILES ? JSON.parse(env.PROFILES).map(normalizeProfile) : [singleFolderProfile(env)];
+}
+
+/**
+ * files.list parameters that make queries see Shared Drive content.
+ * When every profile lives in the same Shared Drive the search is scoped to
+ * that drive (corpora=drive); profiles spread over several drives need
+ * corpora=allDrives; My Drive only needs the defaults.
+ * @param {Object[]} profileList - Configured profiles
+ * @returns {Object}
+ */
+function driveListOptions(profileList) {
+    const sharedDriveIds = new Set(profileList.map(p => p.sharedDriveId));
+    const base = { includeItemsFromAllDrives: true, supportsAllDrives: true };
+    if (sharedDriveIds.size === 1 && !sharedDriveIds.has(null)) {
+        return { ...base, corpora: 'drive', driveId: profileList[0].sharedDriveId };
+    }
+    if (profileList.some(p => p.sharedDriveId)) {
+        return { ...base, corpora: 'allDrives' };
+    }
+    return base;
+}
+
+module.exports = {
+    DEFAULT_PROFILE_ID,
+    normalizeProfile,
+    loadProfiles,
+    getProfile,
+    profileFor,
+    configuredProfiles,
+    driveListOptions
+};
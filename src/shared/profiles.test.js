@@ -0,0 +1,72 @@
+const { loadProfiles, profileFor, configuredProfiles, driveListOptions } = require('./profiles');
+
+describe('Shared - Watched Folder Profiles', () => {
+    const profiles = [
+        { id: 'sales', folderId: 'folder-sales', notificationEmails: ['sales@example.com'], model: 'claude-sonnet-4' },
+        { id: 'legal', folderId: 'folder-legal', retention: { deleteSourceVideo: false, keepTranscriptsDays: 30 } }
+    ];
+    const env = { PROFILES: JSON.stringify(profiles) };
+
+    describe('profileFor', () => {
+        test('should find the profile named in the object metadata', () => {
+            const profile = profileFor('legal', env);
+
+            expect(profile.folderId).toBe('folder-legal');
+            expect(profile.retention).toEqual({ deleteSourceVideo: false, keepTranscriptsDays: 30 });
+        });
+
+        test('should fall back to the first profile for untagged objects', () => {
+            expect(profileFor(undefined, env).id).toBe('sales');
+            expect(profileFor('removed-profile', env).id).toBe('sales');
+        });
+
+        test('should fill in defaults', () => {
+            const profile = profileFor('sales', env);
+
+            expect(profile.model).toBe('claude-sonnet-4');
+            expect(profile.prompt).toBe('');
+            expect(profile.sendStartEmail).toBe(true);
+            expect(profile.channels).toEqual({ slack: '', teams: '', webhook: '' });
+            expect(profile.retention).toEqual({ deleteSourceVideo: true, keepTranscriptsDays: 0 });
+        });
+
+        test('should build a default profile from single-folder env vars', () => {
+            const profile = profileFor('anything', { FOLDER_ID: 'folder-legacy', NOTIFICATION_EMAIL: 'me@example.com', SEND_START_EMAIL: 'false' });
+
+            expect(profile.id).toBe('default');
+            expect(profile.folderId).toBe('folder-legacy');
+            expect(profile.notificationEmails).toEqual(['me@example.com']);
+            expect(profile.sendStartEmail).toBe(false);
+        });
+
+        test('should not check the profiles again after the poller', () => {
+            // The transcriber gets the channels and settings, not the folder
+            const profile = profileFor('sales', { PROFILES: JSON.stringify([{ id: 'sales', sendStartEmail: false }]) });
+
+            expect(profile.folderId).toBeNull();
+            expect(profile.sendStartEmail).toBe(false);
+            expect(() => loadProfiles({ PROFILES: JSON.stringify([{ id: 'sales' }]) })).toThrow('Profile "sales" has no folderId');
+        });
+    });
+
+    describe('driveListOptions', () => {
+        const base = { includeItemsFromAllDrives: true, supportsAllDrives: true };
+
+        test('should scope the search to the one Shared Drive', () => {
+            const list = configuredProfiles({ PROFILES: JSON.stringify(profiles.map(p => ({ ...p, sharedDriveId: 'drive-1' }))) });
+
+            expect(driveListOptions(list)).toEqual({ ...base, corpora: 'drive', driveId: 'drive-1' });
+        });
+
+        test('should search all drives for folders in several drives', () => {
+            const list = configuredProfiles({ PROFILES: JSON.stringify([{ ...profiles[0], sharedDriveId: 'drive-1' }, profiles[1]]) });
+
+            expect(driveListOptions(list)).toEqual({ ...base, corpora: 'allDrives' });
+        });
+
+        test('should keep the defaults for My Drive', () => {
+            expect(driveListOptions(configuredProfiles(env))).toEqual(base);
+            expect(driveListOptions([])).toEqual(base);
+        });
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Transient vs permanent transcription errors.
+ *
+ * Transient errors (quota, timeouts, unavailable backends, network trouble)
+ * are worth retrying; permanent ones (unreadable input, bad configuration,
+ * missing permissions) fail the same way every time. Errors come from gRPC
+ * clients (numeric `code` 0-16), GCS and the Whisper server (HTTP status in
+ * `code` or `status`), and Node's networking (`code` such as "ECONNRESET").
+ * Anything unrecognised counts as transient; retries are bounded anyway.
+ */
+
+// UNKNOWN, DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_GRPC_CODES = [2, 4, 8, 10, 13, 14];
+// INVALID_ARGUMENT, NOT_FOUND, PERMISSION_DENIED, FAILED_PRECONDITION, OUT_OF_RANGE, UNIMPLEMENTED, UNAUTHENTICATED
+const PERMANENT_GRPC_CODES = [3, 5, 7, 9, 11, 12, 16];
+const TRANSIENT_HTTP_STATUSES = [408, 429];
+
+/**
+ * @param {Error|Object} err - Thrown error, or an operation's error status ({code, message})
+ * @returns {boolean} True if a retry may succeed
+ */
+function isTransientError(err) {
+    if (!err) return false;
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') return true;
+
+    const code = err.code !== undefined ? err.code : err.status;
+    if (typeof code === 'string') {
+        return true; // ECONNRESET, ETIMEDOUT, EAI_AGAIN, ...
+    }
+    if (typeof code === 'number') {
+        if (code >= 400) {
+            return code >= 500 || TRANSIENT_HTTP_STATUSES.includes(code);
+        }
+        if (PERMANENT_GRPC_CODES.includes(code)) return false;
+        if (TRANSIENT_GRPC_CODES.includes(code)) return true;
+    }
+
+    // fetch() reports network failures as "fetch failed" with the cause attached
+    return err.cause ? isTransientError(err.cause) : true;
+}
+
+module.exports = {
+    isTransientError
+};
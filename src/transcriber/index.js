@@ -1,13 +1,95 @@
 const { VideoIntelligenceServiceClient } = require('@google-cloud/video-intelligence');
+const { v2: speechV2 } = require('@google-cloud/speech');
 const { Storage } = require('@google-cloud/storage');
 const functions = require('@google-cloud/functions-framework');
+const {
+    PROVIDER,
+    PROVIDER_NAMES,
+    selectProvider,
+    startVideoIntelligence,
+    startSpeechV2,
+    transcribeWithWhisper,
+    checkVideoIntelligence,
+    checkSpeechV2
+} = require('./providers');
+const { isTransientError } = require('./errors');
+const { sendNotice } = require('./shared/notify');
+const { profileFor } = require('./shared/profiles');
 
 const client = new VideoIntelligenceServiceClient();
+const speechClient = new speechV2.SpeechClient();
 const storage = new Storage();
 const TRANSCRIPT_BUCKET = process.env.TRANSCRIPT_BUCKET;
 
-// File extensions to process (video files only)
+// File extensions to process
 const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.m4v', '.wmv', '.flv'];
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.wav', '.ogg', '.flac', '.aac', '.opus'];
+// Listing filter for the same extensions, so checkTranscriptions skips the ledger and
+// state files. matchGlob is case-sensitive, hence "**.{[mM][pP]4,...}".
+const MEDIA_GLOB = `**.{${[...VIDEO_EXTENSIONS, ...AUDIO_EXTENSIONS]
+    .map(ext => ext.slice(1).replace(/[a-z]/g, c => `[${c}${c.toUpperCase()}]`)).join(',')}}`;
+
+// Language: filename tag ("Call [de].mp4") > watched folder profile > dashboard setting > default
+const LANGUAGE_CONFIG_FILE = '_config/language.txt'; // Written by the dashboard
+const DEFAULT_LANGUAGE = 'en-US';
+const AUTO_LANGUAGE = 'auto';
+// Candidates for auto-detection, passed to Speech-to-Text v2 as languageCodes
+const AUTO_LANGUAGE_CODES = (process.env.AUTO_LANGUAGE_CODES || 'en-US,de-DE,es-ES')
+    .split(',').map(code => code.trim()).filter(Boolean);
+// Short filename tags ("[de]") mapped to the regional codes the APIs expect
+const LANGUAGE_ALIASES = {
+    en: 'en-US', de: 'de-DE', es: 'es-ES', fr: 'fr-FR', it: 'it-IT', pt: 'pt-BR', nl: 'nl-NL'
+};
+// Video Intelligence has no language detection. Speech-to-Text v2 decodes these
+// containers itself, so in auto mode they take the Speech path like audio files.
+const SPEECH_DECODABLE_VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.webm'];
+
+// Phrase hints from the dashboard: every folder, plus one file per watched-folder profile
+const PHRASES_CONFIG_FILE = '_config/phrases.txt';
+const PHRASES_CONFIG_PREFIX = '_config/phrases/';
+// Speech API limits: 5000 phrases of up to 100 characters; a few hundred is plenty
+const MAX_PHRASES = 500;
+const MAX_PHRASE_LENGTH = 100;
+
+// Speaker diarization ("Speaker 1 / Speaker 2" turns in the transcript)
+const ENABLE_SPEAKER_DIARIZATION = process.env.ENABLE_SPEAKER_DIARIZATION !== 'false';
+const MIN_SPEAKER_COUNT = parseInt(process.env.MIN_SPEAKER_COUNT) || 2;
+const MAX_SPEAKER_COUNT = Math.max(parseInt(process.env.MAX_SPEAKER_COUNT) || 6, MIN_SPEAKER_COUNT);
+
+// Backend: profile `provider` > TRANSCRIPTION_PROVIDER > by file type (see providers.js)
+const TRANSCRIPTION_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || '';
+const WHISPER_URL = process.env.WHISPER_URL || '';
+const WHISPER_API_KEY = process.env.WHISPER_API_KEY || '';
+const WHISPER_MODEL = process.env.WHISPER_MODEL || 'whisper-1';
+// Whisper runs inside this function, so it has to finish before the 540s timeout
+const WHISPER_TIMEOUT_MS = (parseInt(process.env.WHISPER_TIMEOUT_SECONDS) || 480) * 1000;
+// Larger files go to Speech-to-Text or Video Intelligence (OpenAI accepts 25 MB)
+const WHISPER_MAX_UPLOAD_BYTES = (parseInt(process.env.WHISPER_MAX_UPLOAD_MB) || 25) * 1024 * 1024;
+
+// Operation tracking (checkTranscriptions, run by Cloud Scheduler)
+const INPUT_BUCKET = process.env.INPUT_BUCKET;
+const MAX_TRANSCRIPTION_ATTEMPTS = parseInt(process.env.MAX_TRANSCRIPTION_ATTEMPTS) || 3;
+// A job still running after this long is treated as stuck and restarted
+const STUCK_AFTER_MS = (parseInt(process.env.TRANSCRIPTION_STUCK_AFTER_MINUTES) || 360) * 60 * 1000;
+// transcribeAudio normally records a start within seconds of the upload
+const START_GRACE_MS = 15 * 60 * 1000;
+// Time the notifier gets to turn a finished job into "<key>.json"
+const OUTPUT_GRACE_MS = 30 * 60 * 1000;
+// Transient start errors make Eventarc redeliver the upload event (with exponential
+// backoff, up to 10 minutes apart) for this long; then checkTranscriptions takes over
+const EVENT_RETRY_WINDOW_MS = 60 * 60 * 1000;
+// Recordings that failed for good are moved here (same bucket, same key below it)
+const FAILED_PREFIX = '_failed/';
+// Segments of recordings over the 3h limit (large-downloader job)
+const SEGMENT_PREFIX = '_segments/';
+
+// transcriptionStatus values on the source object
+const STATUS = {
+    RUNNING: 'running',
+    START_FAILED: 'start-failed',
+    DONE: 'done',
+    FAILED: 'failed'
+};
 
 functions.cloudEvent('transcribeAudio', async (cloudEvent) => {
     const file = cloudEvent.data;
@@ -19,84 +101,584 @@ functions.cloudEvent('transcribeAudio', async (cloudEvent) => {
         return;
     }
 
-    // Skip non-video files (e.g., drive-poller-state.json)
+    try {
+        await startTranscription(file.bucket, file.name, { eventTime: cloudEvent.time });
+    } catch (err) {
+        // Throwing makes Eventarc redeliver the event
+        if (isTransientError(err) && Date.now() - Date.parse(cloudEvent.time) < EVENT_RETRY_WINDOW_MS) {
+            throw err;
+        }
+        console.error(`Dropping upload event for ${file.name}:`, err.message || err);
+    }
+});
+
+/**
+ * Periodic check of every transcription the input bucket still holds. Jobs
+ * that failed, never started, stalled, or finished without a transcript are
+ * restarted up to MAX_TRANSCRIPTION_ATTEMPTS times; after that the source is
+ * marked failed and the profile's recipients get the error. Only media objects
+ * are listed (MEDIA_GLOB), not the ledger next to them.
+ */
+functions.http('checkTranscriptions', async (req, res) => {
+    const summary = { checked: 0, done: 0, running: 0, retried: 0, failed: 0 };
+
+    try {
+        const [files] = await storage.bucket(INPUT_BUCKET).getFiles({ matchGlob: MEDIA_GLOB });
+        for (const file of files) {
+            const meta = file.metadata.metadata || {};
+            if (!isMediaFile(file.name) || file.name.startsWith(FAILED_PREFIX) || meta.segmented === 'true' ||
+                meta.transcriptionStatus === STATUS.DONE || meta.transcriptionStatus === STATUS.FAILED) {
+                continue;
+            }
+
+            summary.checked++;
+            try {
+                summary[await checkTranscription(file)]++;
+            } catch (err) {
+                console.error(`Could not check ${file.name}:`, err.message || err);
+            }
+        }
+
+        console.log(`Transcription check: ${JSON.stringify(summary)}`);
+        res.status(200).json(summary);
+    } catch (err) {
+        console.error('Transcription check failed:', err);
+        res.status(500).send(err.message);
+    }
+});
+
+function isMediaFile(objectName) {
+    const ext = objectName.substring(objectName.lastIndexOf('.')).toLowerCase();
+    return VIDEO_EXTENSIONS.includes(ext) || AUDIO_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Starts transcribing one object in the input bucket and records the job on
+ * it (transcriptionStarted, transcriptionOperation, ...).
+ *
+ * Start errors are classified (errors.js). Transient ones are recorded as
+ * start-failed and retried: by rethrowing for Eventarc while the upload event
+ * is recent, otherwise by checkTranscriptions. Permanent ones, and transient
+ * ones past MAX_TRANSCRIPTION_ATTEMPTS, fail the recording (failTranscription()).
+ * @param {string} bucketName - Input bucket
+ * @param {string} objectName
+ * @param {Object} [options]
+ * @param {boolean} [options.retry] - Restart even though a job was already recorded
+ * @param {string} [options.eventTime] - Time of the upload event being handled
+ * @returns {Promise<string|undefined>} The recorded STATUS, or undefined if skipped
+ */
+async function startTranscription(bucketName, objectName, options = {}) {
+    const file = { bucket: bucketName, name: objectName };
+
+    // Skip non-media files (e.g., drive-poller-state.json)
     const ext = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
-    if (!VIDEO_EXTENSIONS.includes(ext)) {
-        console.log(`Skipping non-video file: ${file.name}`);
+    if (!isMediaFile(file.name)) {
+        console.log(`Skipping non-media file: ${file.name}`);
+        return;
+    }
+    if (file.name.startsWith(FAILED_PREFIX)) {
+        console.log(`Skipping failed recording: ${file.name}`);
         return;
     }
 
-    // Idempotency check: Skip if already processed
+    // Idempotency check: Skip if already processed. A failed recording that
+    // shows up again was moved back out of "_failed/" and starts over.
     const sourceFile = storage.bucket(file.bucket).file(file.name);
     const [metadata] = await sourceFile.getMetadata();
-    if (metadata.metadata && metadata.metadata.transcriptionStarted) {
+    const customMetadata = metadata.metadata || {};
+    const requeued = !options.retry && customMetadata.transcriptionStatus === STATUS.FAILED;
+    if (customMetadata.transcriptionStarted && !options.retry && !requeued) {
         console.log(`Skipping already-processed file: ${file.name}`);
         return;
     }
+    if (requeued) {
+        console.log(`Requeued after failing: ${file.name}`);
+    }
+
+    // Recordings over the 3h limit are transcribed through their segments
+    // ("_segments/<key>/part-NNN.flac", audio path) and stitched by the notifier.
+    if (customMetadata.segmented === 'true') {
+        console.log(`Skipping segmented original: ${file.name} (its segments are transcribed instead)`);
+        return;
+    }
+    const isSegment = Boolean(customMetadata.segmentOf);
+    if (isSegment && !requeued) {
+        // Segments uploaded or retried after their recording failed join the failure
+        const [original] = await storage.bucket(file.bucket).file(customMetadata.segmentOf).getMetadata();
+        const recording = original.metadata || {};
+        if (recording.transcriptionStatus === STATUS.FAILED) {
+            await cancelSegment(sourceFile, recording.transcriptionError);
+            return STATUS.FAILED;
+        }
+    }
 
-    const gcsUri = `gs://${file.bucket}/${file.name}`;
-    const outputUri = `gs://${TRANSCRIPT_BUCKET}/${file.name}.json`;
+    // The watched folder's profile decides the language and the start email
+    const profile = profileFor(customMetadata.profileId);
+    const displayName = customMetadata.originalName || file.name;
+    const language = await resolveLanguage(displayName, profile);
+    const autoDetect = language.code === AUTO_LANGUAGE;
+    console.log(`Language for ${displayName}: ${language.code} (from ${language.source})`);
 
-    const request = {
-        inputUri: gcsUri,
-        outputUri: outputUri,
-        features: ['SPEECH_TRANSCRIPTION'],
-        videoContext: {
-            speechTranscriptionConfig: {
-                languageCode: 'en-US',
-                enableAutomaticPunctuation: true,
-            },
-        },
+    // Object keys keep the Drive folder path ("Team/Meeting__<id>.mp4"); raw results
+    // go under "_raw/<key>/<provider>/" and the notifier writes "<key>.json".
+    const provider = chooseProvider(profile, ext, autoDetect, parseInt(metadata.size) || 0);
+    const phrases = await loadPhraseHints(profile);
+    // Slide text and shot changes come from Video Intelligence's visual features
+    const onScreenText = profile.onScreenText && provider === PROVIDER.VIDEO_INTELLIGENCE;
+    if (profile.onScreenText && !onScreenText) {
+        console.log(`On-screen text needs Video Intelligence; ${provider} transcribes speech only.`);
+    }
+    const job = {
+        bucket: file.bucket,
+        objectName: file.name,
+        transcriptBucket: TRANSCRIPT_BUCKET,
+        // Providers with detection pick among the candidates; Video Intelligence uses the first
+        languageCodes: autoDetect ? AUTO_LANGUAGE_CODES : [language.code],
+        diarization: ENABLE_SPEAKER_DIARIZATION
+            ? { minSpeakers: MIN_SPEAKER_COUNT, maxSpeakers: MAX_SPEAKER_COUNT }
+            : null,
+        phrases,
+        onScreenText
     };
 
-    try {
-        console.log(`Starting Video Intelligence job for ${gcsUri}...`);
-
-        // Start the long-running operation FIRST
-        // The API will perform the analysis and write the JSON directly to 'outputUri'.
-        const [operation] = await client.annotateVideo(request);
+    const attempts = requeued ? 1 : (parseInt(customMetadata.transcriptionAttempts) || 0) + 1;
+    let operationName = null;
 
-        console.log(`Job started. Operation name: ${operation.name}`);
-        console.log(`Output will be written to: ${outputUri}`);
+    try {
+        console.log(`Transcribing gs://${file.bucket}/${file.name} with ${provider} (attempt ${attempts})...`);
+        if (provider === PROVIDER.WHISPER) {
+            await transcribeWithWhisper(storage, job, {
+                url: WHISPER_URL,
+                apiKey: WHISPER_API_KEY,
+                model: WHISPER_MODEL,
+                timeoutMs: WHISPER_TIMEOUT_MS
+            });
+        } else if (provider === PROVIDER.SPEECH_V2) {
+            operationName = await startSpeechV2(speechClient, job);
+        } else {
+            if (autoDetect) {
+                console.log(`Auto-detection is not available with Video Intelligence. Using ${AUTO_LANGUAGE_CODES[0]}.`);
+            }
+            operationName = await startVideoIntelligence(client, job);
+        }
 
-        // Mark file as processed (idempotency)
+        // Mark file as processed (idempotency); the notifier reports the language setting
+        // and checkTranscriptions follows the operation. Null removes a key.
         await sourceFile.setMetadata({
-            metadata: { transcriptionStarted: new Date().toISOString() }
+            metadata: {
+                transcriptionStarted: new Date().toISOString(),
+                transcriptionLanguage: language.code,
+                transcriptionProvider: provider,
+                transcriptionOperation: operationName,
+                transcriptionAttempts: String(attempts),
+                transcriptionStatus: STATUS.RUNNING,
+                transcriptionOutputMissingSince: null,
+                ...(requeued ? { transcriptionError: null, transcriptionFailedAt: null } : {})
+            }
         });
 
-        // Only send email AFTER job successfully started (prevents duplicate emails on retry)
-        // Check if start email is enabled via environment variable
-        if (process.env.SEND_START_EMAIL !== 'false') {
-            await sendEmail('Transcription Started', `Processing file: ${file.name}\nWe'll notify you when it's done.`);
-        } else {
-            console.log('Start email disabled via SEND_START_EMAIL=false');
+    } catch (err) {
+        const message = String(err.message || err).slice(0, 1000);
+        const transient = isTransientError(err);
+        // Redeliveries of a recent upload event are not counted as attempts
+        const redeliver = transient && options.eventTime &&
+            Date.now() - Date.parse(options.eventTime) < EVENT_RETRY_WINDOW_MS;
+
+        if (redeliver || (transient && attempts < MAX_TRANSCRIPTION_ATTEMPTS)) {
+            console.error(`Failed to start transcription for ${file.name} (transient, ` +
+                `${redeliver ? 'upload event will be redelivered' : `attempt ${attempts}/${MAX_TRANSCRIPTION_ATTEMPTS}`}):`, err);
+            await sourceFile.setMetadata({
+                metadata: {
+                    transcriptionAttempts: String(redeliver ? attempts - 1 : attempts),
+                    transcriptionStatus: STATUS.START_FAILED,
+                    transcriptionError: message
+                }
+            });
+            if (redeliver) throw err;
+            return STATUS.START_FAILED;
         }
 
-    } catch (err) {
-        console.error(`Failed to start video transcription for ${file.name}:`, err);
+        console.error(`Failed to start transcription for ${file.name} (${transient ? 'no attempts left' : 'permanent'}):`, err);
+        await failTranscription(sourceFile, { ...customMetadata, transcriptionProvider: provider }, message, attempts);
+        return STATUS.FAILED;
+    }
+
+    if (requeued && isSegment) {
+        // This segment failed its recording (failSegmentedRecording()); the recording is pending again
+        try {
+            await storage.bucket(file.bucket).file(customMetadata.segmentOf).setMetadata({
+                metadata: { transcriptionStatus: null, transcriptionError: null, transcriptionFailedAt: null }
+            });
+        } catch (err) {
+            console.warn(`Could not clear the failure of ${customMetadata.segmentOf}:`, err.message || err);
+        }
+    }
+
+    // Only send email AFTER job successfully started (prevents duplicate emails on retry).
+    // Outside the try: the job is running, so a failed notice must not count as a failed start.
+    if (options.retry) {
+        console.log('Restarted transcription. Start email was sent with the first attempt.');
+    } else if (isSegment && customMetadata.segmentIndex !== '0') {
+        console.log('Later segment of a long recording. Start email was sent with the first segment.');
+    } else if (profile.sendStartEmail) {
+        await sendNotification(profile, 'transcription.started', 'Transcription Started',
+            `Processing file: ${displayName}\nWe'll notify you when it's done.`, { file: displayName });
+    } else {
+        console.log(`Start email disabled for profile "${profile.id}"`);
+    }
+    return STATUS.RUNNING;
+}
+
+/**
+ * Works out where one transcription stands and acts on it.
+ * @param {File} file - Source object in the input bucket
+ * @returns {Promise<string>} Summary key: done, running, retried or failed
+ */
+async function checkTranscription(file) {
+    const meta = file.metadata.metadata || {};
+    const now = Date.now();
+
+    const [hasOutput] = await storage.bucket(TRANSCRIPT_BUCKET).file(`${file.name}.json`).exists();
+    if (hasOutput) {
+        await file.setMetadata({ metadata: { transcriptionStatus: STATUS.DONE } });
+        return 'done';
+    }
+
+    let problem = null;
+    let transient = true; // Only operation errors can be permanent
+    const startedAt = Date.parse(meta.transcriptionStarted);
+    if (!meta.transcriptionStarted) {
+        // Upload events that failed or never arrived. Eventarc is still
+        // redelivering recent events that failed to start.
+        if (meta.transcriptionStatus === STATUS.START_FAILED) {
+            if (now - Date.parse(file.metadata.timeCreated) > EVENT_RETRY_WINDOW_MS || parseInt(meta.transcriptionAttempts) > 0) {
+                problem = meta.transcriptionError || 'Transcription could not be started';
+            }
+        } else if (now - Date.parse(file.metadata.timeCreated) > START_GRACE_MS) {
+            problem = 'Transcription was never started';
+        }
+    } else {
+        const operation = await getOperationStatus(meta, `gs://${file.bucket.name}/${file.name}`);
+        if (operation.error) {
+            problem = operation.error;
+            transient = isTransientError({ code: operation.errorCode });
+        } else if (!operation.done) {
+            if (now - startedAt > STUCK_AFTER_MS) {
+                problem = `Still running after ${Math.round((now - startedAt) / 3600000)} hours`;
+            }
+        } else if (!meta.transcriptionOutputMissingSince) {
+            // Finished; give the notifier time to write "<key>.json"
+            await file.setMetadata({ metadata: { transcriptionOutputMissingSince: new Date(now).toISOString() } });
+        } else if (now - Date.parse(meta.transcriptionOutputMissingSince) > OUTPUT_GRACE_MS) {
+            problem = 'Finished without producing a transcript';
+        }
+    }
+
+    if (!problem) {
+        return 'running';
     }
-});
 
-async function sendEmail(subject, text) {
-    const user = process.env.GMAIL_USER;
-    const pass = process.env.GMAIL_APP_PASSWORD;
-    const to = process.env.NOTIFICATION_EMAIL;
+    const attempts = parseInt(meta.transcriptionAttempts) || 0;
+    console.warn(`Transcription of ${file.name} failed (attempt ${attempts}/${MAX_TRANSCRIPTION_ATTEMPTS}` +
+        `${transient ? '' : ', permanent'}): ${problem}`);
+    if (transient && attempts < MAX_TRANSCRIPTION_ATTEMPTS) {
+        await file.setMetadata({ metadata: { transcriptionError: String(problem).slice(0, 1000) } });
+        const status = await startTranscription(file.bucket.name, file.name, { retry: true });
+        return status === STATUS.FAILED ? 'failed' : 'retried';
+    }
+
+    await failTranscription(file, meta, String(problem).slice(0, 1000), attempts);
+    return 'failed';
+}
+
+/**
+ * Gives up on a recording: records the error, tells the profile's
+ * recipients, and moves the source to "_failed/<key>" so it is neither
+ * checked again nor shown as pending. The dashboard lists that prefix; moving
+ * the object back to its key starts it over.
+ * A failed segment fails its whole recording (failSegmentedRecording()).
+ * @param {File} file - Source object in the input bucket
+ * @param {Object} meta - Its custom metadata
+ * @param {string} problem - Error message
+ * @param {number} attempts
+ */
+async function failTranscription(file, meta, problem, attempts) {
+    await file.setMetadata({
+        metadata: {
+            transcriptionAttempts: String(attempts),
+            transcriptionStatus: STATUS.FAILED,
+            transcriptionError: problem,
+            transcriptionFailedAt: new Date().toISOString()
+        }
+    });
+    const failedName = `${FAILED_PREFIX}${file.name}`;
+    await file.move(failedName);
+    console.log(`Moved ${file.name} to ${failedName}`);
 
-    if (!user || !pass || !to) {
-        console.log('Skipping email (missing creds).');
+    if (meta.segmentOf) {
+        await failSegmentedRecording(file.bucket.name, failedName, meta, problem, attempts);
         return;
     }
+    await sendFailureNotice(file.bucket.name, failedName, meta, problem, attempts);
+}
 
-    const nodemailer = require('nodemailer');
-    const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: { user, pass }
+/**
+ * Without one of its segments a long recording is never stitched, so the
+ * original is marked failed (the dashboard shows it with the error) and the
+ * recipients get one notice for the recording, however many segments fail.
+ * Segments failing together race for the original's metageneration; only
+ * the one that marks it notifies and cancels the rest of the recording.
+ * @param {string} bucketName - Input bucket
+ * @param {string} failedName - Where the segment was moved
+ * @param {Object} meta - The segment's custom metadata
+ * @param {string} problem - Error message
+ * @param {number} attempts
+ */
+async function failSegmentedRecording(bucketName, failedName, meta, problem, attempts) {
+    const original = storage.bucket(bucketName).file(meta.segmentOf);
+    const recordingProblem = `Segment ${parseInt(meta.segmentIndex) + 1}/${meta.segmentCount} failed: ${problem}`;
+    while (true) {
+        const [metadata] = await original.getMetadata();
+        if ((metadata.metadata || {}).transcriptionStatus === STATUS.FAILED) {
+            console.log(`${meta.segmentOf} already failed through another segment. Not notifying again.`);
+            return;
+        }
+        try {
+            await original.setMetadata({
+                metadata: {
+                    transcriptionStatus: STATUS.FAILED,
+                    transcriptionError: recordingProblem.slice(0, 1000),
+                    transcriptionFailedAt: new Date().toISOString()
+                }
+            }, { ifMetagenerationMatch: metadata.metageneration });
+            break;
+        } catch (err) {
+            if (err.code !== 412) throw err; // Changed since it was read: look again
+        }
+    }
+    console.log(`Marked ${meta.segmentOf} as failed`);
+
+    await cancelSegments(bucketName, meta.segmentOf, recordingProblem);
+    await sendFailureNotice(bucketName, failedName, meta, recordingProblem, attempts);
+}
+
+/**
+ * Stops the rest of a failed long recording: the other segments follow the
+ * failed one to "_failed/" (moving them all back starts the recording over),
+ * and segment transcripts already written to "_segments/<key>/" are deleted.
+ * Operations still running for moved segments are dropped by the notifier.
+ * @param {string} bucketName - Input bucket
+ * @param {string} objectName - Key of the original recording
+ * @param {string} problem - Why the recording failed
+ */
+async function cancelSegments(bucketName, objectName, problem) {
+    const segmentFolder = `${SEGMENT_PREFIX}${objectName}/`;
+
+    const [outputs] = await storage.bucket(TRANSCRIPT_BUCKET).getFiles({ prefix: segmentFolder });
+    for (const output of outputs) {
+        await output.delete({ ignoreNotFound: true });
+    }
+
+    const [segments] = await storage.bucket(bucketName).getFiles({ prefix: segmentFolder });
+    for (const segment of segments) {
+        await cancelSegment(segment, problem);
+    }
+    console.log(`Cancelled ${segments.length} segments of ${objectName} and deleted ${outputs.length} segment transcripts`);
+}
+
+/**
+ * Moves one segment of a failed recording to "_failed/" without a notice.
+ * @param {File} file - Segment in the input bucket
+ * @param {string} problem - Why the recording failed
+ */
+async function cancelSegment(file, problem) {
+    await file.setMetadata({
+        metadata: {
+            transcriptionStatus: STATUS.FAILED,
+            transcriptionError: `Cancelled, the recording failed. ${problem || ''}`.trim().slice(0, 1000),
+            transcriptionFailedAt: new Date().toISOString()
+        }
     });
+    await file.move(`${FAILED_PREFIX}${file.name}`);
+    console.log(`Cancelled segment ${file.name}`);
+}
+
+/**
+ * Asks the provider about a recorded operation. Whisper has none (it
+ * finished inside transcribeAudio), and transcriptions started before
+ * operations were recorded can only be judged by their age.
+ * @param {Object} meta - Source object metadata
+ * @param {string} gcsUri - Source recording
+ * @returns {Promise<{done: boolean, error: string|null, errorCode: number|null}>}
+ */
+async function getOperationStatus(meta, gcsUri) {
+    const operationName = meta.transcriptionOperation;
+    if (!operationName) {
+        return { done: meta.transcriptionProvider === PROVIDER.WHISPER, error: null, errorCode: null };
+    }
+    try {
+        if (meta.transcriptionProvider === PROVIDER.SPEECH_V2) {
+            return await checkSpeechV2(speechClient, operationName, gcsUri);
+        }
+        return await checkVideoIntelligence(client, operationName);
+    } catch (err) {
+        // Finished operations are only kept for a while; judge by the output instead
+        if (err.code === 5) return { done: true, error: null, errorCode: null };
+        throw err;
+    }
+}
+
+async function sendFailureNotice(bucketName, failedName, meta, problem, attempts) {
+    const profile = profileFor(meta.profileId);
+    const displayName = meta.originalName || failedName.slice(FAILED_PREFIX.length);
+    await sendNotification(profile, 'transcription.failed', `Transcription Failed: ${displayName}`,
+        `The transcription of "${displayName}" failed and will not be retried.\n\n` +
+        `Error: ${problem}\n` +
+        `Attempts: ${attempts}\n` +
+        `Provider: ${meta.transcriptionProvider || 'unknown'}\n` +
+        `Operation: ${meta.transcriptionOperation || 'none'}\n` +
+        `Moved to: gs://${bucketName}/${failedName}\n\n` +
+        'The recording is listed under "Failed" on the dashboard. Move it back to its original path to try again.',
+        { file: displayName, error: problem, attempts, movedTo: `gs://${bucketName}/${failedName}` });
+}
+
+/**
+ * Picks the transcription backend for a file.
+ * @param {Object} profile - Watched folder profile
+ * @param {string} ext - Lower-case file extension
+ * @param {boolean} autoDetect - Language is "auto"
+ * @param {number} sizeBytes - Source object size
+ * @returns {string} One of PROVIDER
+ */
+function chooseProvider(profile, ext, autoDetect, sizeBytes) {
+    let requested = profile.provider || TRANSCRIPTION_PROVIDER;
+    if (requested && !PROVIDER_NAMES.includes(requested)) {
+        console.warn(`Unknown transcription provider "${requested}". Using the default.`);
+        requested = '';
+    }
+    if (requested === PROVIDER.WHISPER && !WHISPER_URL) {
+        console.warn('Whisper provider selected but WHISPER_URL is not set. Using the default.');
+        requested = '';
+    }
 
-    await transporter.sendMail({
-        from: user,
-        to: to,
-        subject: `[Drive Automation] ${subject}`,
-        text: text
+    const isAudio = AUDIO_EXTENSIONS.includes(ext);
+    const { provider, note } = selectProvider(requested, {
+        isAudio,
+        speechDecodable: isAudio || SPEECH_DECODABLE_VIDEO_EXTENSIONS.includes(ext),
+        autoDetect,
+        overWhisperLimit: sizeBytes > WHISPER_MAX_UPLOAD_BYTES
     });
+    if (note) {
+        console.log(`Not using ${requested} for ${ext}: ${note}. Using ${provider}.`);
+    }
+    return provider;
 }
+
+/**
+ * Picks the transcription language for a file.
+ * @param {string} displayName - Original file name, may carry a tag like "[de]" or "[auto]"
+ * @param {Object} profile - Watched folder profile
+ * @returns {Promise<{code: string, source: string}>} BCP-47 code or "auto"
+ */
+async function resolveLanguage(displayName, profile) {
+    const tagged = parseLanguageTag(displayName);
+    if (tagged) {
+        return { code: tagged, source: 'filename tag' };
+    }
+    if (profile.languageCode) {
+        return { code: profile.languageCode, source: `profile "${profile.id}"` };
+    }
+    try {
+        const [data] = await storage.bucket(TRANSCRIPT_BUCKET).file(LANGUAGE_CONFIG_FILE).download();
+        const configured = data.toString().trim();
+        if (configured) {
+            return { code: configured, source: 'dashboard setting' };
+        }
+    } catch (e) {
+        // No dashboard setting yet
+    }
+    return { code: DEFAULT_LANGUAGE, source: 'default' };
+}
+
+/**
+ * Loads the dashboard's phrase hints (product names, acronyms, ...): the
+ * global list followed by the watched folder's own, one phrase per line,
+ * `#` starts a comment. Duplicates and over-long phrases are dropped.
+ * @param {Object} profile
+ * @returns {Promise<string[]>}
+ */
+async function loadPhraseHints(profile) {
+    const bucket = storage.bucket(TRANSCRIPT_BUCKET);
+    const lists = await Promise.all(
+        [PHRASES_CONFIG_FILE, `${PHRASES_CONFIG_PREFIX}${profile.id}.txt`].map(async name => {
+            try {
+                const [data] = await bucket.file(name).download();
+                return data.toString().split(/\r?\n/);
+            } catch (e) {
+                return []; // Not configured
+            }
+        })
+    );
+
+    const seen = new Set();
+    const phrases = [];
+    for (const line of lists.flat()) {
+        const phrase = line.replace(/#.*$/, '').trim().replace(/\s+/g, ' ');
+        if (!phrase || seen.has(phrase.toLowerCase())) continue;
+        if (phrase.length > MAX_PHRASE_LENGTH) {
+            console.warn(`Skipping phrase hint over ${MAX_PHRASE_LENGTH} characters: ${phrase.slice(0, 40)}...`);
+            continue;
+        }
+        seen.add(phrase.toLowerCase());
+        phrases.push(phrase);
+    }
+
+    if (phrases.length > MAX_PHRASES) {
+        console.warn(`Using the first ${MAX_PHRASES} of ${phrases.length} phrase hints.`);
+        return phrases.slice(0, MAX_PHRASES);
+    }
+    if (phrases.length > 0) {
+        console.log(`Using ${phrases.length} phrase hints.`);
+    }
+    return phrases;
+}
+
+/**
+ * Reads a language tag in square brackets from a file name. Bare codes must be
+ * one of LANGUAGE_ALIASES.
+ * "Standup [de].mp4" -> "de-DE", "Call [es-MX].m4a" -> "es-MX", "Mix [auto].mp4" -> "auto".
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+function parseLanguageTag(fileName) {
+    const match = String(fileName || '').match(/\[(auto|[a-z]{2,3}(?:-[a-z0-9]{2,4})?)\]/i);
+    if (!match) return null;
+
+    const [language, region] = match[1].split('-');
+    if (language.toLowerCase() === AUTO_LANGUAGE) return AUTO_LANGUAGE;
+    if (region) return `${language.toLowerCase()}-${region.toUpperCase()}`;
+    return LANGUAGE_ALIASES[language.toLowerCase()] || null; // "[abc]" is more likely a label than a language
+}
+
+/**
+ * Sends a start or failure notice through the profile's channels (see shared/notify.js).
+ * Never throws: a notice outage is logged and must not change the
+ * transcription state (a failed start would restart a running job).
+ * @param {Object} profile
+ * @param {string} event - "transcription.started" or "transcription.failed"
+ * @param {string} subject
+ * @param {string} text
+ * @param {Object} data - Details for the webhook
+ */
+async function sendNotification(profile, event, subject, text, data) {
+    try {
+        await sendNotice(profile, { event, subject: `[Drive Automation] ${subject}`, text, data });
+    } catch (err) {
+        console.error(`Could not send ${event} notice for profile "${profile.id}":`, err.message || err);
+    }
+}
+
+module.exports = {
+    parseLanguageTag,
+    resolveLanguage
+};
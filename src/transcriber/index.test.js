@@ -0,0 +1,432 @@
+process.env.TRANSCRIPT_BUCKET = 'transcripts';
+process.env.INPUT_BUCKET = 'input';
+process.env.WHISPER_URL = 'http://127.0.0.1:1'; // Tests that reach Whisper pass their own server
+
+const http = require('http');
+const { Readable } = require('stream');
+const { getFunction } = require('@google-cloud/functions-framework/testing');
+
+// In-memory stand-ins for the Google clients. Objects are keyed "<bucket>/<name>".
+const mockObjects = new Map();
+const mockListings = []; // Names returned by each getFiles() call
+const mockVideoClient = { annotateVideo: jest.fn(), checkAnnotateVideoProgress: jest.fn() };
+const mockSpeechClient = {
+    getProjectId: async () => 'test-project',
+    batchRecognize: jest.fn(),
+    checkBatchRecognizeProgress: jest.fn()
+};
+
+jest.mock('@google-cloud/video-intelligence', () => ({ VideoIntelligenceServiceClient: jest.fn(() => mockVideoClient) }));
+jest.mock('@google-cloud/speech', () => ({ v2: { SpeechClient: jest.fn(() => mockSpeechClient) } }));
+jest.mock('@google-cloud/storage', () => ({ Storage: jest.fn(() => ({ bucket: mockBucket })) }));
+
+function mockNotFound(key) {
+    return Object.assign(new Error(`No such object: ${key}`), { code: 404 });
+}
+
+function mockObjectMetadata(bucketName, name, object) {
+    return {
+        name,
+        bucket: bucketName,
+        size: String(object.size !== undefined ? object.size : object.content.length),
+        timeCreated: object.timeCreated,
+        metageneration: object.metageneration,
+        metadata: { ...object.metadata }
+    };
+}
+
+function mockFile(bucketName, name) {
+    const key = `${bucketName}/${name}`;
+    const current = mockObjects.get(key);
+    return {
+        name,
+        bucket: { name: bucketName },
+        metadata: current ? mockObjectMetadata(bucketName, name, current) : {},
+        async getMetadata() {
+            if (!mockObjects.has(key)) throw mockNotFound(key);
+            return [mockObjectMetadata(bucketName, name, mockObjects.get(key))];
+        },
+        async setMetadata({ metadata }, options = {}) {
+            const object = mockObjects.get(key);
+            if (!object) throw mockNotFound(key);
+            if (options.ifMetagenerationMatch !== undefined && options.ifMetagenerationMatch !== object.metageneration) {
+                throw Object.assign(new Error('Precondition failed'), { code: 412 });
+            }
+            for (const [field, value] of Object.entries(metadata)) {
+                if (value === null) delete object.metadata[field]; // GCS removes keys set to null
+                else object.metadata[field] = value;
+            }
+            object.metageneration++;
+            object.history.push(metadata);
+        },
+        async download() {
+            if (!mockObjects.has(key)) throw mockNotFound(key);
+            return [mockObjects.get(key).content];
+        },
+        createReadStream() {
+            if (!mockObjects.has(key)) throw mockNotFound(key);
+            return Readable.from([mockObjects.get(key).content]);
+        },
+        async save(content) {
+            mockObjects.set(key, mockNewObject(content));
+        },
+        async exists() {
+            return [mockObjects.has(key)];
+        },
+        async move(destination) {
+            if (!mockObjects.has(key)) throw mockNotFound(key);
+            mockObjects.set(`${bucketName}/${destination}`, mockObjects.get(key));
+            mockObjects.delete(key);
+        },
+        async delete(options = {}) {
+            if (!mockObjects.delete(key) && !options.ignoreNotFound) throw mockNotFound(key);
+        }
+    };
+}
+
+// GCS matchGlob: "**" crosses "/", "*" and "?" do not, "{a,b}" alternates, "[..]" is a class
+function mockGlobPattern(glob) {
+    const source = glob.replace(/\*\*|[*?{},]|\[[^\]]*\]|[.+^$()|\\/]/g, token => ({
+        '**': '.*', '*': '[^/]*', '?': '[^/]', '{': '(?:', '}': ')', ',': '|'
+    })[token] || (token.startsWith('[') ? token : `\\${token}`));
+    return new RegExp(`^${source}$`);
+}
+
+function mockBucket(bucketName) {
+    return {
+        name: bucketName,
+        file: name => mockFile(bucketName, name),
+        async getFiles(query = {}) {
+            const glob = query.matchGlob ? mockGlobPattern(query.matchGlob) : null;
+            const names = Array.from(mockObjects.keys())
+                .filter(key => key.startsWith(`${bucketName}/${query.prefix || ''}`))
+                .map(key => key.slice(bucketName.length + 1))
+                .filter(name => !glob || glob.test(name));
+            mockListings.push(names);
+            return [names.map(name => mockFile(bucketName, name))];
+        }
+    };
+}
+
+function mockNewObject(content, metadata = {}, size) {
+    return {
+        content: Buffer.from(content),
+        size, // Reported size, when the content stands in for a larger file
+        metadata: { ...metadata },
+        timeCreated: new Date().toISOString(),
+        metageneration: 1,
+        history: []
+    };
+}
+
+const { parseLanguageTag, resolveLanguage } = require('./index');
+const { PROVIDER, selectProvider, transcribeWithWhisper } = require('./providers');
+const transcribeAudio = getFunction('transcribeAudio');
+
+const upload = (name, metadata = {}, size) => mockObjects.set(`input/${name}`, mockNewObject('media', metadata, size));
+const statuses = name => mockObjects.get(`input/${name}`).history
+    .map(change => change.transcriptionStatus).filter(Boolean);
+const uploadEvent = name => ({ time: new Date().toISOString(), data: { bucket: 'input', name } });
+
+beforeEach(() => {
+    mockObjects.clear();
+    mockListings.length = 0;
+    mockVideoClient.annotateVideo.mockReset().mockResolvedValue([{ name: 'operations/op-1' }]);
+    mockVideoClient.checkAnnotateVideoProgress.mockReset();
+    mockSpeechClient.batchRecognize.mockReset().mockResolvedValue([{ name: 'operations/op-2' }]);
+    mockSpeechClient.checkBatchRecognizeProgress.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete process.env.PROFILES;
+    jest.restoreAllMocks();
+});
+
+describe('Transcriber - Notices', () => {
+    // Nothing listens on port 1, so every notice channel fails
+    beforeEach(() => {
+        process.env.PROFILES = JSON.stringify([{ id: 'sales', sendStartEmail: true, channels: { webhook: 'http://127.0.0.1:1/hook' } }]);
+    });
+
+    test('should keep a started job running when the start notice cannot be sent', async () => {
+        upload('Call__abc.mp4', { profileId: 'sales', originalName: 'Call.mp4' });
+
+        await expect(transcribeAudio(uploadEvent('Call__abc.mp4'))).resolves.toBeUndefined();
+
+        expect(mockVideoClient.annotateVideo).toHaveBeenCalledTimes(1);
+        expect(statuses('Call__abc.mp4')).toEqual(['running']);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('transcription.started notice via webhook failed'));
+    });
+
+    test('should fail the recording even when the failure notice cannot be sent', async () => {
+        mockVideoClient.annotateVideo.mockRejectedValue(Object.assign(new Error('Unsupported codec'), { code: 3 }));
+        upload('Call__abc.mp4', { profileId: 'sales', originalName: 'Call.mp4' });
+
+        await expect(transcribeAudio(uploadEvent('Call__abc.mp4'))).resolves.toBeUndefined();
+
+        expect(mockObjects.has('input/Call__abc.mp4')).toBe(false);
+        expect(mockObjects.get('input/_failed/Call__abc.mp4').metadata).toMatchObject({ transcriptionStatus: 'failed', transcriptionError: 'Unsupported codec' });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('transcription.failed notice via webhook failed'));
+    });
+
+    test('should fail a segmented recording once when its segments fail', async () => {
+        mockSpeechClient.batchRecognize.mockRejectedValue(Object.assign(new Error('Audio is corrupt'), { code: 3 }));
+        upload('Offsite__abc.mp4', { profileId: 'sales', originalName: 'Offsite.mp4', segmented: 'true' });
+        const segment = index => {
+            const name = `_segments/Offsite__abc.mp4/part-00${index}.flac`;
+            upload(name, { profileId: 'sales', originalName: 'Offsite.mp4', segmentOf: 'Offsite__abc.mp4', segmentIndex: String(index), segmentCount: '3' });
+            return name;
+        };
+
+        await transcribeAudio(uploadEvent(segment(1)));
+        await transcribeAudio(uploadEvent(segment(2)));
+
+        expect(mockObjects.has('input/_failed/_segments/Offsite__abc.mp4/part-001.flac')).toBe(true);
+        expect(mockObjects.has('input/_failed/_segments/Offsite__abc.mp4/part-002.flac')).toBe(true);
+        expect(mockObjects.get('input/Offsite__abc.mp4').metadata).toMatchObject({
+            transcriptionStatus: 'failed',
+            transcriptionError: 'Segment 2/3 failed: Audio is corrupt'
+        });
+        const notices = console.error.mock.calls.filter(([message]) => String(message).includes('transcription.failed notice via webhook'));
+        expect(notices).toHaveLength(1);
+    });
+
+    test('should cancel the rest of a segmented recording when a segment fails', async () => {
+        upload('Offsite__abc.mp4', { profileId: 'sales', originalName: 'Offsite.mp4', segmented: 'true' });
+        const segment = index => {
+            const name = `_segments/Offsite__abc.mp4/part-00${index}.flac`;
+            upload(name, { profileId: 'sales', originalName: 'Offsite.mp4', segmentOf: 'Offsite__abc.mp4', segmentIndex: String(index), segmentCount: '3' });
+            return name;
+        };
+        await transcribeAudio(uploadEvent(segment(0)));
+        mockObjects.set('transcripts/_segments/Offsite__abc.mp4/part-000.flac.json', mockNewObject('{}'));
+        mockSpeechClient.batchRecognize.mockRejectedValue(Object.assign(new Error('Audio is corrupt'), { code: 3 }));
+
+        await transcribeAudio(uploadEvent(segment(1)));
+
+        expect(statuses('_failed/_segments/Offsite__abc.mp4/part-000.flac')).toEqual(['running', 'failed']);
+        expect(mockObjects.get('input/_failed/_segments/Offsite__abc.mp4/part-000.flac').metadata.transcriptionError)
+            .toBe('Cancelled, the recording failed. Segment 2/3 failed: Audio is corrupt');
+        expect(mockObjects.has('transcripts/_segments/Offsite__abc.mp4/part-000.flac.json')).toBe(false);
+
+        // The job uploads the last segment after the failure
+        mockSpeechClient.batchRecognize.mockClear();
+        await transcribeAudio(uploadEvent(segment(2)));
+
+        expect(mockSpeechClient.batchRecognize).not.toHaveBeenCalled();
+        expect(mockObjects.has('input/_segments/Offsite__abc.mp4/part-002.flac')).toBe(false);
+        expect(mockObjects.get('input/_failed/_segments/Offsite__abc.mp4/part-002.flac').metadata.transcriptionStatus).toBe('failed');
+        const notices = console.error.mock.calls.filter(([message]) => String(message).includes('transcription.failed notice via webhook'));
+        expect(notices).toHaveLength(1);
+    });
+});
+
+describe('Transcriber - Language', () => {
+    const profile = languageCode => ({ id: 'sales', languageCode });
+    const dashboardSetting = code => mockObjects.set('transcripts/_config/language.txt', mockNewObject(code));
+
+    test.each([
+        ['Standup [de].mp4', 'de-DE'],
+        ['Call [es-mx].m4a', 'es-MX'],
+        ['Mix [AUTO].mp4', 'auto'],
+        ['Review [pt-BR] final.mov', 'pt-BR'],
+        ['Notes [abc].mp4', null], // Unknown bare code: more likely a label
+        ['Draft [v2].mp4', null],
+        ['Sprint [2024].mp4', null],
+        ['Plain.mp4', null],
+        ['', null]
+    ])('should read the language tag of "%s"', (fileName, expected) => {
+        expect(parseLanguageTag(fileName)).toBe(expected);
+    });
+
+    test.each([
+        ['a filename tag over everything', 'Call [de].mp4', 'fr-FR', 'es-ES', { code: 'de-DE', source: 'filename tag' }],
+        ['the profile over the dashboard', 'Call.mp4', 'fr-FR', 'es-ES', { code: 'fr-FR', source: 'profile "sales"' }],
+        ['the profile when the tag is invalid', 'Call [abc].mp4', 'fr-FR', 'es-ES', { code: 'fr-FR', source: 'profile "sales"' }],
+        ['the dashboard without a profile language', 'Call.mp4', '', 'es-ES\n', { code: 'es-ES', source: 'dashboard setting' }],
+        ['the dashboard when the tag is invalid', 'Call [v2].mp4', '', 'auto', { code: 'auto', source: 'dashboard setting' }],
+        ['the default for an empty dashboard setting', 'Call.mp4', '', '  ', { code: 'en-US', source: 'default' }],
+        ['the default when nothing is set', 'Call.mp4', '', null, { code: 'en-US', source: 'default' }]
+    ])('should pick %s', async (_, fileName, profileLanguage, dashboard, expected) => {
+        if (dashboard !== null) dashboardSetting(dashboard);
+
+        await expect(resolveLanguage(fileName, profile(profileLanguage))).resolves.toEqual(expected);
+    });
+});
+
+describe('Transcriber - Whisper', () => {
+    // Local stand-in for a Whisper-compatible server
+    let server;
+    let baseUrl;
+    let requests;
+    let reply;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                requests.push({ method: req.method, path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+                res.statusCode = reply.status;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(reply.body));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+        reply = { status: 200, body: { text: 'Hallo zusammen', segments: [{ start: 0, end: 1.5, text: 'Hallo zusammen' }] } };
+    });
+
+    const job = {
+        bucket: 'input',
+        objectName: 'Team/Call__abc.m4a',
+        transcriptBucket: 'transcripts',
+        languageCodes: ['de-DE'],
+        phrases: ['Acme', 'OKR']
+    };
+    const options = () => ({ url: `${baseUrl}/`, apiKey: 'key-1', model: 'whisper-1', timeoutMs: 5000 });
+    const field = (body, name) => (body.match(new RegExp(`name="${name.replace(/[[\]]/g, '\\$&')}"\r\n\r\n([^\r]*)\r\n`)) || [])[1];
+
+    test('should stream the recording to the server and save its answer', async () => {
+        mockObjects.set('input/Team/Call__abc.m4a', mockNewObject('AUDIO-BYTES'));
+
+        await transcribeWithWhisper({ bucket: mockBucket }, job, options());
+
+        expect(requests).toHaveLength(1);
+        const { method, path: requestPath, headers, body } = requests[0];
+        expect([method, requestPath]).toEqual(['POST', '/v1/audio/transcriptions']);
+        expect(headers.authorization).toBe('Bearer key-1');
+        expect(headers['transfer-encoding']).toBe('chunked'); // Streamed, not buffered to a known length
+        const boundary = headers['content-type'].match(/^multipart\/form-data; boundary=(.+)$/)[1];
+        expect(body).toContain(`name="file"; filename="Call__abc.m4a"\r\nContent-Type: application/octet-stream\r\n\r\nAUDIO-BYTES\r\n--${boundary}--`);
+        expect(field(body, 'model')).toBe('whisper-1');
+        expect(field(body, 'language')).toBe('de');
+        expect(field(body, 'prompt')).toBe('Acme, OKR');
+        expect(JSON.parse(mockObjects.get('transcripts/_raw/Team/Call__abc.m4a/whisper/transcription.json').content)).toEqual(reply.body);
+    });
+
+    test('should report the server status on errors', async () => {
+        mockObjects.set('input/Team/Call__abc.m4a', mockNewObject('AUDIO-BYTES'));
+        reply = { status: 429, body: { error: 'busy' } };
+
+        await expect(transcribeWithWhisper({ bucket: mockBucket }, job, options()))
+            .rejects.toMatchObject({ status: 429, message: 'Whisper server error: 429 - {"error":"busy"}' });
+        expect(mockObjects.has('transcripts/_raw/Team/Call__abc.m4a/whisper/transcription.json')).toBe(false);
+    });
+
+    test('should send files over the upload limit to the default backend', async () => {
+        const file = { isAudio: true, speechDecodable: true, autoDetect: false };
+        expect(selectProvider(PROVIDER.WHISPER, file)).toEqual({ provider: PROVIDER.WHISPER, note: null });
+        expect(selectProvider(PROVIDER.WHISPER, { ...file, overWhisperLimit: true }))
+            .toEqual({ provider: PROVIDER.SPEECH_V2, note: 'the file is over the Whisper upload limit' });
+        expect(selectProvider(PROVIDER.WHISPER, { isAudio: false, speechDecodable: false, autoDetect: false, overWhisperLimit: true }).provider)
+            .toBe(PROVIDER.VIDEO_INTELLIGENCE);
+
+        process.env.PROFILES = JSON.stringify([{ id: 'sales', provider: 'whisper', sendStartEmail: false }]);
+        upload('Podcast__abc.mp3', { profileId: 'sales' }, 30 * 1024 * 1024);
+
+        await transcribeAudio(uploadEvent('Podcast__abc.mp3'));
+
+        expect(mockSpeechClient.batchRecognize).toHaveBeenCalledTimes(1);
+        expect(mockObjects.get('input/Podcast__abc.mp3').metadata.transcriptionProvider).toBe(PROVIDER.SPEECH_V2);
+    });
+});
+
+describe('Transcriber - Checks', () => {
+    const checkTranscriptions = getFunction('checkTranscriptions');
+    const HOUR = 60 * 60 * 1000;
+    const ago = ms => new Date(Date.now() - ms).toISOString();
+    const check = async () => {
+        let summary = null;
+        const res = { status: () => res, json: body => { summary = body; }, send: body => { throw new Error(body); } };
+        await checkTranscriptions({}, res);
+        return summary;
+    };
+    const started = (name, meta = {}) => upload(name, {
+        transcriptionStarted: ago(HOUR),
+        transcriptionStatus: 'running',
+        transcriptionProvider: 'video-intelligence',
+        transcriptionOperation: `operations/${name}`,
+        transcriptionAttempts: '1',
+        ...meta
+    });
+
+    beforeEach(() => {
+        process.env.PROFILES = JSON.stringify([{ id: 'sales', sendStartEmail: false }]);
+        mockVideoClient.checkAnnotateVideoProgress.mockResolvedValue({ done: false });
+    });
+
+    test('should only check media that is still in progress', async () => {
+        started('Team/Call__a.MP4');
+        upload('Done__b.mp4', { transcriptionStatus: 'done' });
+        upload('Long__c.mp4', { segmented: 'true' });
+        upload('_failed/Old__d.mp4', { transcriptionStatus: 'failed' });
+        upload('_ledger/abc.json');
+        upload('drive-poller-state.json');
+
+        await expect(check()).resolves.toEqual({ checked: 1, done: 0, running: 1, retried: 0, failed: 0 });
+        expect(mockVideoClient.checkAnnotateVideoProgress).toHaveBeenCalledWith('operations/Team/Call__a.MP4');
+    });
+
+    test('should not list the ledger or state files', async () => {
+        ['Call__a.mp4', 'Memo__b.M4A', '_segments/Long__c.mp4/part-000.flac', '_ledger/abc.json', 'drive-poller-state.json', 'notes.txt']
+            .forEach(name => upload(name));
+
+        await expect(check()).resolves.toMatchObject({ checked: 3, running: 3 });
+        expect(mockListings).toEqual([['Call__a.mp4', 'Memo__b.M4A', '_segments/Long__c.mp4/part-000.flac']]);
+    });
+
+    test('should mark finished transcriptions done', async () => {
+        started('Call__a.mp4');
+        mockObjects.set('transcripts/Call__a.mp4.json', mockNewObject('{}'));
+
+        await expect(check()).resolves.toMatchObject({ checked: 1, done: 1 });
+        expect(mockObjects.get('input/Call__a.mp4').metadata.transcriptionStatus).toBe('done');
+        expect(mockVideoClient.checkAnnotateVideoProgress).not.toHaveBeenCalled();
+    });
+
+    test('should restart a job that failed with a transient error', async () => {
+        started('Call__a.mp4');
+        mockVideoClient.checkAnnotateVideoProgress.mockResolvedValue({ done: true, error: { code: 14, message: 'Backend unavailable' } });
+        mockVideoClient.annotateVideo.mockResolvedValue([{ name: 'operations/restarted' }]);
+
+        await expect(check()).resolves.toMatchObject({ checked: 1, retried: 1 });
+        expect(mockVideoClient.annotateVideo).toHaveBeenCalledTimes(1);
+        expect(mockObjects.get('input/Call__a.mp4').metadata).toMatchObject({
+            transcriptionStatus: 'running',
+            transcriptionOperation: 'operations/restarted',
+            transcriptionAttempts: '2',
+            transcriptionError: 'Backend unavailable'
+        });
+    });
+
+    test('should restart a job that is stuck', async () => {
+        started('Call__a.mp4', { transcriptionStarted: ago(7 * HOUR) });
+
+        await expect(check()).resolves.toMatchObject({ retried: 1 });
+        expect(mockObjects.get('input/Call__a.mp4').metadata.transcriptionError).toBe('Still running after 7 hours');
+    });
+
+    test('should move permanent failures and exhausted retries to _failed/', async () => {
+        started('Bad__a.mp4');
+        started('Flaky__b.mp4', { transcriptionAttempts: '3' });
+        mockVideoClient.checkAnnotateVideoProgress.mockImplementation(async name => name.includes('Bad')
+            ? { done: true, error: { code: 3, message: 'Invalid input' } }
+            : { done: true, error: { code: 14, message: 'Backend unavailable' } });
+
+        await expect(check()).resolves.toMatchObject({ checked: 2, failed: 2 });
+        expect(mockVideoClient.annotateVideo).not.toHaveBeenCalled();
+        expect(mockObjects.has('input/Bad__a.mp4')).toBe(false);
+        expect(mockObjects.get('input/_failed/Bad__a.mp4').metadata).toMatchObject({ transcriptionStatus: 'failed', transcriptionError: 'Invalid input', transcriptionAttempts: '1' });
+        expect(mockObjects.get('input/_failed/Flaky__b.mp4').metadata).toMatchObject({ transcriptionStatus: 'failed', transcriptionAttempts: '3' });
+    });
+});
@@ -0,0 +1,290 @@
+/**
+ * Transcription providers.
+ *
+ * Every provider takes the same job and leaves its raw result under
+ * `_raw/<objectName>/<provider>/` in the transcripts bucket. The notifier
+ * normalizes that into `<objectName>.json` (segments, words, timings,
+ * confidence, speakers), so nothing downstream depends on the backend:
+ *
+ *   video-intelligence  annotateVideo; long-running, writes its JSON itself
+ *   speech-v2           Speech-to-Text v2 batchRecognize ("long" model); long-running
+ *   whisper             OpenAI-compatible POST /v1/audio/transcriptions; runs
+ *                       inside this function and saves the response
+ *
+ * The provider names double as raw output folder names; the notifier's
+ * normalize.js parses them back out of the object path.
+ *
+ * All functions take their API clients so this module stays free of auth and
+ * environment handling.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const PROVIDER = {
+    VIDEO_INTELLIGENCE: 'video-intelligence',
+    SPEECH_V2: 'speech-v2',
+    WHISPER: 'whisper'
+};
+
+const PROVIDER_NAMES = Object.values(PROVIDER);
+
+const RAW_OUTPUT_PREFIX = '_raw/';
+
+// Whisper reads phrase hints from its prompt, which only holds ~224 tokens
+const WHISPER_PROMPT_MAX_LENGTH = 800;
+
+/**
+ * Where a provider writes its raw result for one source object.
+ * @param {string} objectName - Key of the source in the input bucket
+ * @param {string} provider - One of PROVIDER
+ * @returns {string} Object prefix in the transcripts bucket, ending in "/"
+ */
+function rawOutputPrefix(objectName, provider) {
+    return `${RAW_OUTPUT_PREFIX}${objectName}/${provider}/`;
+}
+
+/**
+ * Picks the backend for a file. An explicit choice is honoured unless the
+ * backend cannot read the file; the default keeps Video Intelligence for video
+ * and Speech-to-Text for audio and for language detection.
+ * @param {string} requested - Profile or global setting; "" (or unknown) for the default
+ * @param {Object} file
+ * @param {boolean} file.isAudio - Audio-only container
+ * @param {boolean} file.speechDecodable - Audio, or video Speech-to-Text can decode
+ * @param {boolean} file.autoDetect - Language is "auto"
+ * @param {boolean} [file.overWhisperLimit] - Larger than the Whisper server accepts
+ * @returns {{provider: string, note: string|null}} Note explains an override
+ */
+function selectProvider(requested, { isAudio, speechDecodable, autoDetect, overWhisperLimit = false }) {
+    switch (requested) {
+        case PROVIDER.WHISPER:
+            if (overWhisperLimit) {
+                const fallback = selectProvider('', { isAudio, speechDecodable, autoDetect });
+                return { provider: fallback.provider, note: 'the file is over the Whisper upload limit' };
+            }
+            return { provider: PROVIDER.WHISPER, note: null };
+        case PROVIDER.SPEECH_V2:
+            return speechDecodable
+                ? { provider: PROVIDER.SPEECH_V2, note: null }
+                : { provider: PROVIDER.VIDEO_INTELLIGENCE, note: 'Speech-to-Text cannot decode this video' };
+        case PROVIDER.VIDEO_INTELLIGENCE:
+            return isAudio
+                ? { provider: PROVIDER.SPEECH_V2, note: 'Video Intelligence needs a video stream' }
+                : { provider: PROVIDER.VIDEO_INTELLIGENCE, note: null };
+        default:
+            return isAudio || (autoDetect && speechDecodable)
+                ? { provider: PROVIDER.SPEECH_V2, note: null }
+                : { provider: PROVIDER.VIDEO_INTELLIGENCE, note: null };
+    }
+}
+
+/**
+ * Starts a Video Intelligence speech transcription.
+ * @param {Object} client - VideoIntelligenceServiceClient
+ * @param {Object} job
+ * @param {string} job.bucket - Input bucket
+ * @param {string} job.objectName - Source recording in the input bucket
+ * @param {string} job.transcriptBucket - Receives the raw result
+ * @param {string[]} job.languageCodes - Only the first is used (no detection)
+ * @param {{minSpeakers: number, maxSpeakers: number}|null} job.diarization
+ * @param {string[]} [job.phrases] - Vocabulary hints (product names, acronyms, ...)
+ * @param {boolean} [job.onScreenText] - Also read on-screen text and shot changes (billed separately)
+ * @returns {Promise<string>} Operation name
+ */
+async function startVideoIntelligence(client, { bucket, objectName, transcriptBucket, languageCodes, diarization, phrases = [], onScreenText = false }) {
+    const outputPrefix = rawOutputPrefix(objectName, PROVIDER.VIDEO_INTELLIGENCE);
+    const [operation] = await client.annotateVideo({
+        inputUri: `gs://${bucket}/${objectName}`,
+        outputUri: `gs://${transcriptBucket}/${outputPrefix}annotations.json`,
+        features: onScreenText
+            ? ['SPEECH_TRANSCRIPTION', 'TEXT_DETECTION', 'SHOT_CHANGE_DETECTION']
+            : ['SPEECH_TRANSCRIPTION'],
+        videoContext: {
+            speechTranscriptionConfig: {
+                languageCode: languageCodes[0],
+                enableAutomaticPunctuation: true,
+                ...(phrases.length > 0 ? { speechContexts: [{ phrases }] } : {}),
+                // Video Intelligence takes a single estimate rather than a range
+                ...(diarization
+                    ? { enableSpeakerDiarization: true, diarizationSpeakerCount: diarization.maxSpeakers }
+                    : {}),
+            },
+            ...(onScreenText
+                ? { textDetectionConfig: { languageHints: [languageCodes[0].split('-')[0]] } }
+                : {}),
+        },
+    });
+    console.log(`Video Intelligence job started. Operation name: ${operation.name}`);
+    return operation.name;
+}
+
+/**
+ * Starts a Speech-to-Text v2 batch recognition. With several languageCodes the
+ * API detects the spoken language and reports it per result.
+ * @param {Object} speechClient - Speech v2 SpeechClient
+ * @param {Object} job - As for startVideoIntelligence()
+ * @returns {Promise<string>} Operation name
+ */
+async function startSpeechV2(speechClient, { bucket, objectName, transcriptBucket, languageCodes, diarization, phrases = [] }) {
+    const outputPrefix = rawOutputPrefix(objectName, PROVIDER.SPEECH_V2);
+    const projectId = await speechClient.getProjectId();
+    const [operation] = await speechClient.batchRecognize({
+        recognizer: `projects/${projectId}/locations/global/recognizers/_`,
+        config: {
+            autoDecodingConfig: {}, // mp3, m4a, wav, ogg, flac ... detected from the file
+            model: 'long',
+            languageCodes,
+            features: {
+                enableAutomaticPunctuation: true,
+                enableWordTimeOffsets: true,
+                ...(diarization
+                    ? { diarizationConfig: { minSpeakerCount: diarization.minSpeakers, maxSpeakerCount: diarization.maxSpeakers } }
+                    : {}),
+            },
+            ...(phrases.length > 0
+                ? { adaptation: { phraseSets: [{ inlinePhraseSet: { phrases: phrases.map(value => ({ value })) } }] } }
+                : {}),
+        },
+        files: [{ uri: `gs://${bucket}/${objectName}` }],
+        recognitionOutputConfig: {
+            gcsOutputConfig: { uri: `gs://${transcriptBucket}/${outputPrefix}` },
+        },
+    });
+    console.log(`Speech-to-Text job started. Operation name: ${operation.name}`);
+    return operation.name;
+}
+
+function describeStatus(status) {
+    return status.message || `error code ${status.code}`;
+}
+
+/**
+ * Looks up a Video Intelligence operation.
+ * @param {Object} client - VideoIntelligenceServiceClient
+ * @param {string} operationName - As returned by startVideoIntelligence()
+ * @returns {Promise<{done: boolean, error: string|null, errorCode: number|null}>}
+ */
+async function checkVideoIntelligence(client, operationName) {
+    const operation = await client.checkAnnotateVideoProgress(operationName);
+    return {
+        done: Boolean(operation.done),
+        error: operation.error ? describeStatus(operation.error) : null,
+        errorCode: operation.error ? operation.error.code : null
+    };
+}
+
+/**
+ * Looks up a Speech-to-Text v2 operation. A batch can succeed as a whole and
+ * still fail for its file, so the per-file result is checked too.
+ * @param {Object} speechClient - Speech v2 SpeechClient
+ * @param {string} operationName - As returned by startSpeechV2()
+ * @param {string} gcsUri - The file the batch was started for
+ * @returns {Promise<{done: boolean, error: string|null, errorCode: number|null}>}
+ */
+async function checkSpeechV2(speechClient, operationName, gcsUri) {
+    const operation = await speechClient.checkBatchRecognizeProgress(operationName);
+    if (operation.error) {
+        return { done: true, error: describeStatus(operation.error), errorCode: operation.error.code };
+    }
+    const results = (operation.done && operation.result && operation.result.results) || {};
+    const fileError = results[gcsUri] && results[gcsUri].error;
+    const failed = Boolean(fileError && fileError.code);
+    return {
+        done: Boolean(operation.done),
+        error: failed ? describeStatus(fileError) : null,
+        errorCode: failed ? fileError.code : null
+    };
+}
+
+/**
+ * multipart/form-data body with the recording streamed from GCS as the last
+ * part, so the file never has to fit in memory.
+ * @param {string} boundary
+ * @param {Array<[string, string]>} fields - Text parts, in order
+ * @param {string} fileName
+ * @param {Readable} fileStream
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* multipartBody(boundary, fields, fileName, fileStream) {
+    for (const [name, value] of fields) {
+        yield Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+    }
+    yield Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName.replace(/"/g, '%22')}"\r\n` +
+        'Content-Type: application/octet-stream\r\n\r\n');
+    yield* fileStream;
+    yield Buffer.from(`\r\n--${boundary}--\r\n`);
+}
+
+/**
+ * Sends the recording to a Whisper-compatible server and saves the
+ * verbose_json response as the raw result. The upload is streamed from GCS;
+ * files over the server's limit are routed elsewhere (selectProvider()).
+ * The call has to finish within this function's timeout.
+ * @param {Object} storage - @google-cloud/storage client
+ * @param {Object} job - As for startVideoIntelligence()
+ * @param {Object} options
+ * @param {string} options.url - Server base URL, e.g. "http://localhost:8000"
+ * @param {string} [options.apiKey] - Sent as a Bearer token
+ * @param {string} options.model - e.g. "whisper-1"
+ * @param {number} options.timeoutMs
+ */
+async function transcribeWithWhisper(storage, { bucket, objectName, transcriptBucket, languageCodes, phrases = [] }, options) {
+    const fields = [
+        ['model', options.model],
+        ['response_format', 'verbose_json'],
+        ['timestamp_granularities[]', 'segment'],
+        ['timestamp_granularities[]', 'word']
+    ];
+    if (languageCodes.length === 1) {
+        fields.push(['language', languageCodes[0].split('-')[0]]); // Whisper takes ISO-639-1
+    }
+    if (phrases.length > 0) {
+        fields.push(['prompt', phrases.join(', ').slice(0, WHISPER_PROMPT_MAX_LENGTH)]);
+    }
+
+    const boundary = `----transcriber-${crypto.randomBytes(12).toString('hex')}`;
+    const fileStream = storage.bucket(bucket).file(objectName).createReadStream();
+    let response;
+    try {
+        response = await fetch(`${options.url.replace(/\/+$/, '')}/v1/audio/transcriptions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': `multipart/form-data; boundary=${boundary}`,
+                ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+            },
+            body: multipartBody(boundary, fields, path.basename(objectName), fileStream),
+            duplex: 'half', // Required for a streamed request body
+            signal: AbortSignal.timeout(options.timeoutMs)
+        });
+    } finally {
+        fileStream.destroy(); // Stop reading from GCS if the request failed midway
+    }
+    if (!response.ok) {
+        // The status lets the transcriber tell overload (429, 5xx) from bad requests
+        const err = new Error(`Whisper server error: ${response.status} - ${await response.text()}`);
+        err.status = response.status;
+        throw err;
+    }
+    const result = await response.json();
+
+    const outputName = `${rawOutputPrefix(objectName, PROVIDER.WHISPER)}transcription.json`;
+    await storage.bucket(transcriptBucket).file(outputName).save(JSON.stringify(result), {
+        contentType: 'application/json',
+        resumable: false
+    });
+    console.log(`Whisper transcription saved (${(result.segments || []).length} segments).`);
+}
+
+module.exports = {
+    PROVIDER,
+    PROVIDER_NAMES,
+    RAW_OUTPUT_PREFIX,
+    rawOutputPrefix,
+    selectProvider,
+    startVideoIntelligence,
+    startSpeechV2,
+    transcribeWithWhisper,
+    checkVideoIntelligence,
+    checkSpeechV2
+};